@@ -0,0 +1,111 @@
+import { NextResponse } from 'next/server';
+import { getSupabaseServiceClient } from '../../../../lib/supabaseService.js';
+
+// Model cost versus credits charged, per user and per analysis mode.
+// Requires a Supabase access token (Authorization: Bearer ...) for a user whose email
+// is listed in ADMIN_EMAILS, and SUPABASE_SERVICE_ROLE_KEY to read the report.
+//
+// Query params (optional): since, until (ISO dates)
+
+function getAdminEmails() {
+  return (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+async function isAdminRequest(request, supabase) {
+  const token = request.headers.get('authorization')?.replace('Bearer ', '');
+  if (!token) return false;
+
+  const { data: { user }, error } = await supabase.auth.getUser(token);
+  return !error && Boolean(user?.email) && getAdminEmails().includes(user.email.toLowerCase());
+}
+
+function emptyGroup() {
+  return {
+    analyses: 0,
+    cacheHits: 0,
+    creditsCharged: 0,
+    modelCostUsd: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    imageTokens: 0,
+    whisperMinutes: 0
+  };
+}
+
+function addRow(group, row) {
+  group.analyses += Number(row.analyses);
+  group.cacheHits += Number(row.cache_hits);
+  group.creditsCharged += Number(row.credits_charged);
+  group.modelCostUsd += Number(row.model_cost_usd);
+  group.promptTokens += Number(row.prompt_tokens);
+  group.completionTokens += Number(row.completion_tokens);
+  group.imageTokens += Number(row.image_tokens);
+  group.whisperMinutes += Number(row.whisper_minutes);
+  return group;
+}
+
+function finishGroup(group) {
+  return {
+    ...group,
+    modelCostUsd: Number(group.modelCostUsd.toFixed(4)),
+    whisperMinutes: Number(group.whisperMinutes.toFixed(2)),
+    costPerCredit: group.creditsCharged > 0 ? Number((group.modelCostUsd / group.creditsCharged).toFixed(4)) : null,
+    costPerAnalysis: group.analyses > 0 ? Number((group.modelCostUsd / group.analyses).toFixed(4)) : null
+  };
+}
+
+function groupBy(rows, key) {
+  const groups = new Map();
+  for (const row of rows) {
+    const id = row[key];
+    if (!groups.has(id)) groups.set(id, emptyGroup());
+    addRow(groups.get(id), row);
+  }
+  return [...groups.entries()]
+    .map(([id, group]) => ({ [key === 'user_id' ? 'userId' : 'analysisMode']: id, ...finishGroup(group) }))
+    .sort((a, b) => b.modelCostUsd - a.modelCostUsd);
+}
+
+export async function GET(request) {
+  const supabase = getSupabaseServiceClient();
+  if (!supabase) {
+    return NextResponse.json({ error: 'Cost reporting not configured' }, { status: 503 });
+  }
+
+  if (!(await isAdminRequest(request, supabase))) {
+    return NextResponse.json({ error: 'Admin access required' }, { status: 403 });
+  }
+
+  const { searchParams } = new URL(request.url);
+  const since = searchParams.get('since');
+  const until = searchParams.get('until');
+  if ([since, until].some(date => date && Number.isNaN(Date.parse(date)))) {
+    return NextResponse.json({ error: 'since and until must be ISO dates' }, { status: 400 });
+  }
+
+  const { data, error } = await supabase.rpc('get_analysis_cost_report', {
+    p_since: since || null,
+    p_until: until || null
+  });
+  if (error) {
+    return NextResponse.json({ error: 'Failed to load cost report', details: error.message }, { status: 500 });
+  }
+
+  const rows = data || [];
+  return NextResponse.json({
+    since,
+    until,
+    currency: 'USD',
+    totals: finishGroup(rows.reduce(addRow, emptyGroup())),
+    byMode: groupBy(rows, 'analysis_mode'),
+    byUser: groupBy(rows, 'user_id'),
+    byUserAndMode: rows.map(row => ({
+      userId: row.user_id,
+      analysisMode: row.analysis_mode,
+      ...finishGroup(addRow(emptyGroup(), row))
+    }))
+  });
+}
@@ -3,22 +3,18 @@ import path from 'path';
 import fs from 'fs';
 import { exec } from 'child_process';
 import { promisify } from 'util';
-import { v4 as uuidv4 } from 'uuid';
 import { isSupabaseAvailable, getUserProfile, updateUserCredits, supabase } from '@/lib/supabase';
+import { createWorkspace, releaseWorkspace } from '@/lib/workspace';
+import { parseSubtitles, SUBTITLE_EXTENSIONS, MAX_SUBTITLE_BYTES } from '@/lib/subtitles';
 
 // Import the existing analysis logic
-import { analyzeVideo } from '../analyze/route.js';
+import { analyzeVideo, runCancellableAnalysis } from '../analyze/route.js';
 
 const execAsync = promisify(exec);
 
-// Helper function to ensure upload directory exists
-function ensureUploadDir() {
-  const uploadDir = path.join(process.cwd(), 'temp', 'uploads');
-  if (!fs.existsSync(uploadDir)) {
-    fs.mkdirSync(uploadDir, { recursive: true });
-  }
-  return uploadDir;
-}
+// 1 credit per 15 seconds; with supplied subtitles the audio isn't transcribed, 1 per 20 seconds
+const SECONDS_PER_CREDIT = 15;
+const SUBTITLED_SECONDS_PER_CREDIT = 20;
 
 // Helper function to get video duration using ffprobe
 async function getVideoDuration(filePath) {
@@ -38,8 +34,10 @@ export async function POST(request) {
   try {
     const formData = await request.formData();
     const file = formData.get('video');
+    const subtitleFile = formData.get('subtitles');
     const userId = formData.get('userId');
     const requestId = formData.get('requestId') || `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const forceReanalyze = formData.get('forceReanalyze') === 'true';
 
     if (!file) {
       return NextResponse.json(
@@ -73,6 +71,31 @@ export async function POST(request) {
       );
     }
 
+    // Optional captions replace the transcription of the audio
+    let subtitles = null;
+    if (subtitleFile && typeof subtitleFile !== 'string' && subtitleFile.size > 0) {
+      const subtitleExtension = path.extname(subtitleFile.name).toLowerCase();
+      if (!SUBTITLE_EXTENSIONS.includes(subtitleExtension)) {
+        return NextResponse.json(
+          { error: 'Invalid subtitle file. Please upload an SRT or VTT file.' },
+          { status: 400 }
+        );
+      }
+      if (subtitleFile.size > MAX_SUBTITLE_BYTES) {
+        return NextResponse.json(
+          { error: 'Subtitle file exceeds 2MB limit' },
+          { status: 400 }
+        );
+      }
+
+      try {
+        subtitles = parseSubtitles(await subtitleFile.text());
+      } catch (error) {
+        return NextResponse.json({ error: error.message }, { status: 400 });
+      }
+      console.log(`📝 Using supplied subtitles: ${subtitleFile.name} (${subtitles.length} cues)`);
+    }
+
     console.log(`📁 Processing uploaded file: ${file.name} (${(file.size / 1024 / 1024).toFixed(1)}MB)`);
 
     // Check user credits if Supabase is available
@@ -87,11 +110,10 @@ export async function POST(request) {
           );
         }
 
-        // Save uploaded file temporarily to get duration for credit calculation
-        const uploadDir = ensureUploadDir();
-        const fileId = uuidv4();
+        // Save uploaded file into the request's workspace to get duration for credit calculation
+        const workspace = createWorkspace(requestId);
         const fileExtension = path.extname(file.name) || '.mp4';
-        const tempFilePath = path.join(uploadDir, `${fileId}${fileExtension}`);
+        const tempFilePath = workspace.file(`upload${fileExtension}`);
 
         const arrayBuffer = await file.arrayBuffer();
         const buffer = Buffer.from(arrayBuffer);
@@ -100,13 +122,13 @@ export async function POST(request) {
         try {
           // Get video duration for credit calculation
           const duration = await getVideoDuration(tempFilePath);
-          const creditsNeeded = Math.ceil(duration / 15); // 1 credit per 15 seconds
+          const creditsNeeded = Math.ceil(duration / (subtitles ? SUBTITLED_SECONDS_PER_CREDIT : SECONDS_PER_CREDIT));
 
           console.log(`⏱️ Video duration: ${duration}s, Credits needed: ${creditsNeeded}`);
 
           if (profile.credits_balance < creditsNeeded) {
-            // Clean up temp file
-            fs.unlinkSync(tempFilePath);
+            // Clean up workspace
+            await releaseWorkspace(requestId);
             return NextResponse.json(
               { error: `Insufficient credits. Need ${creditsNeeded}, have ${profile.credits_balance}` },
               { status: 402 }
@@ -116,22 +138,27 @@ export async function POST(request) {
           // Use the existing video analysis function directly
           console.log(`🎬 Starting analysis of uploaded video: ${file.name}`);
           
-          const analysisResult = await analyzeVideo(tempFilePath, userId, creditsNeeded, requestId, 'standard');
+          // Cancellable through /api/analyze/cancel; a cancelled upload is charged for the work done
+          const analysisResult = await runCancellableAnalysis({ requestId, userId, creditsToDeduct: creditsNeeded }, () =>
+            analyzeVideo(tempFilePath, userId, creditsNeeded, requestId, 'standard', { forceReanalyze, subtitles })
+          );
 
-          // Clean up temp file
-          fs.unlinkSync(tempFilePath);
+          // Clean up workspace
+          await releaseWorkspace(requestId);
 
           return NextResponse.json({
             ...analysisResult,
             requestId,
             videoSource: 'upload',
-            originalFilename: file.name
+            originalFilename: file.name,
+            subtitlesFilename: subtitles ? subtitleFile.name : null
           });
 
         } catch (error) {
-          // Clean up temp file on error
-          if (fs.existsSync(tempFilePath)) {
-            fs.unlinkSync(tempFilePath);
+          // Clean up workspace on error
+          await releaseWorkspace(requestId);
+          if (error.isCancelled) {
+            return NextResponse.json({ error: 'Analysis cancelled', cancelled: true, requestId }, { status: 409 });
           }
           throw error;
         }
@@ -146,10 +173,9 @@ export async function POST(request) {
       // Supabase not available - proceed without credit check (demo mode)
       console.log('⚠️ Supabase not available - proceeding without credit validation');
       
-      const uploadDir = ensureUploadDir();
-      const fileId = uuidv4();
+      const workspace = createWorkspace(requestId);
       const fileExtension = path.extname(file.name) || '.mp4';
-      const tempFilePath = path.join(uploadDir, `${fileId}${fileExtension}`);
+      const tempFilePath = workspace.file(`upload${fileExtension}`);
 
       const arrayBuffer = await file.arrayBuffer();
       const buffer = Buffer.from(arrayBuffer);
@@ -158,23 +184,27 @@ export async function POST(request) {
       try {
         console.log(`🎬 Starting analysis of uploaded video (demo mode): ${file.name}`);
         
-        const analysisResult = await analyzeVideo(tempFilePath, null, null, requestId, 'standard');
+        const analysisResult = await runCancellableAnalysis({ requestId, userId: null, creditsToDeduct: null }, () =>
+          analyzeVideo(tempFilePath, null, null, requestId, 'standard', { forceReanalyze, subtitles })
+        );
 
-        // Clean up temp file
-        fs.unlinkSync(tempFilePath);
+        // Clean up workspace
+        await releaseWorkspace(requestId);
 
         return NextResponse.json({
           ...analysisResult,
           requestId,
           videoSource: 'upload',
           originalFilename: file.name,
+          subtitlesFilename: subtitles ? subtitleFile.name : null,
           isDemoMode: true
         });
 
       } catch (error) {
-        // Clean up temp file on error
-        if (fs.existsSync(tempFilePath)) {
-          fs.unlinkSync(tempFilePath);
+        // Clean up workspace on error
+        await releaseWorkspace(requestId);
+        if (error.isCancelled) {
+          return NextResponse.json({ error: 'Analysis cancelled', cancelled: true, requestId }, { status: 409 });
         }
         throw error;
       }
@@ -0,0 +1,81 @@
+import { NextResponse } from 'next/server';
+import { getJob, cancelQueuedJob, requestJobCancel, JOB_STATUS } from '../../../../lib/jobQueue.js';
+import { cancelRequest, getCancellationOwner } from '../../../../lib/cancellation.js';
+import { getProgress } from '../../../../lib/progressStore.js';
+import { getRequestUser } from '../../../../lib/requestAuth.js';
+
+const FINISHED_STATUSES = [JOB_STATUS.SUCCEEDED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+// Stop a queued or running analysis by its requestId. Model calls and ffmpeg/yt-dlp
+// processes are aborted and the workspace removed; credits are charged for the share of
+// the work that was done and the rest refunded.
+// A job held by another instance is cancelled through its job row: that instance stops
+// it on its next lease heartbeat and settles the credits then.
+// Only the analysis' owner may cancel it: the caller is identified by their Supabase
+// access token (Authorization: Bearer ...).
+export async function POST(request) {
+  const { requestId } = await request.json().catch(() => ({}));
+
+  if (!requestId) {
+    return NextResponse.json({ error: 'requestId required' }, { status: 400 });
+  }
+
+  const user = await getRequestUser(request);
+  if (!user) {
+    return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+  }
+
+  // Uploads aren't queued jobs; their owner is recorded when they start running
+  const job = await getJob(requestId);
+  const ownerId = job ? job.userId : getCancellationOwner(requestId);
+  if (!ownerId) {
+    return NextResponse.json({ error: 'No running analysis found', requestId }, { status: 404 });
+  }
+  if (ownerId !== user.id) {
+    return NextResponse.json({ error: 'Not allowed to cancel this analysis' }, { status: 403 });
+  }
+
+  // Nothing has run yet, so nothing is charged; the reserved credits are recorded as
+  // usage and refunded in full by the job type's queued-cancel handler
+  const queuedJob = job?.status === JOB_STATUS.QUEUED ? await cancelQueuedJob(requestId) : null;
+  if (queuedJob?.status === JOB_STATUS.CANCELLED) {
+    const creditsRefunded = job.payload?.creditsToDeduct || 0;
+    return NextResponse.json({ requestId, status: JOB_STATUS.CANCELLED, progress: 0, creditsCharged: 0, creditsRefunded });
+  }
+
+  const outcome = await cancelRequest(requestId);
+  if (!outcome) {
+    // Not on this instance: leave the cancel on the job row for its lease owner
+    if (job && !FINISHED_STATUSES.includes(job.status)) {
+      const { progress } = await getProgress(requestId);
+      if (await requestJobCancel(requestId, progress || 0)) {
+        return NextResponse.json({
+          requestId,
+          status: JOB_STATUS.CANCELLED,
+          progress: progress || 0,
+          stopped: false,
+          creditsCharged: null,
+          creditsRefunded: null
+        });
+      }
+    }
+    if (job && FINISHED_STATUSES.includes(job.status)) {
+      return NextResponse.json({ error: `Analysis already ${job.status}`, requestId, status: job.status }, { status: 409 });
+    }
+    return NextResponse.json({ error: 'No running analysis found', requestId }, { status: 404 });
+  }
+
+  if (outcome.status === 'finishing') {
+    return NextResponse.json({ error: 'Analysis is already being saved and can no longer be cancelled', requestId }, { status: 409 });
+  }
+
+  return NextResponse.json({
+    requestId,
+    status: JOB_STATUS.CANCELLED,
+    progress: outcome.progress,
+    // False if the analysis is still winding down; credits are settled once it stops
+    stopped: outcome.stopped,
+    creditsCharged: outcome.creditsCharged ?? null,
+    creditsRefunded: outcome.creditsRefunded ?? null
+  });
+}
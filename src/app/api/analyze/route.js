@@ -1,31 +1,60 @@
 import { NextRequest, NextResponse } from 'next/server';
-import { exec } from 'child_process';
-import { promisify } from 'util';
 import fs from 'fs';
 import path from 'path';
-import OpenAI from 'openai';
 import { isSupabaseAvailable, getUserProfile, updateUserCredits, supabase } from '@/lib/supabase';
-import { setProgress } from '../../../lib/progressStore.js';
-
-const execAsync = promisify(exec);
-
-// Lazy initialization of OpenAI client to avoid build-time dependency on env vars
-let openai = null;
-function getOpenAIClient() {
-  if (!openai) {
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      throw new Error('OPENAI_API_KEY environment variable is not set');
-    }
-    openai = new OpenAI({ apiKey });
-  }
-  return openai;
-}
-
-// Rate limiting configuration
-const RATE_LIMIT_DELAY = 3000; // 3 seconds between requests
+import { getSupabaseServiceClient, chargeCancelledAnalysis } from '@/lib/supabaseService';
+import { setProgress, publishPartialResult } from '../../../lib/progressStore.js';
+import { enqueueJob, registerJobHandler } from '../../../lib/jobQueue.js';
+import { withWorkspace } from '../../../lib/workspace.js';
+import { execAsync, runCancellable, throwIfCancelled, beginFinishing, getCancellation, reportCancellationOutcome } from '../../../lib/cancellation.js';
+import { getModelProvider, isModelProviderConfigured, describeModelConfig } from '../../../lib/modelProvider.js';
+import { detectShots } from '../../../lib/shotDetection.js';
+import { planAdaptiveSamples, sampleSelectFilter, parseShowinfoTimes, resolveSampleTimes } from '../../../lib/frameSampling.js';
+import { findNearDuplicateFrames } from '../../../lib/frameDedupe.js';
+import { preprocessFrames, getFrameProfile } from '../../../lib/framePreprocessing.js';
+import { computeAnalysisCacheKey, findCachedAnalysis, storeAnalysisCacheKey, CACHE_HIT_CREDITS } from '../../../lib/analysisCache.js';
+import { createCheckpointer } from '../../../lib/checkpoints.js';
+import { createCostTracker, storeAnalysisCost } from '../../../lib/costTracker.js';
+import { runAsSchedulerJob, describeSchedulerLanes } from '../../../lib/modelScheduler.js';
+import { requestStructured, isRefusalResponse, applySchemaDefaults, prefixFallbackFields, scopeFallbackFields, FALLBACK_ALL } from '../../../lib/structuredOutput.js';
+import { REFUSAL_MITIGATION_ENABLED, degradeFrames, removeDegradedFrames, summarizeRefusalMitigation } from '../../../lib/refusalMitigation.js';
+import { isDiarizationEnabled, assignSpeakers } from '../../../lib/diarization.js';
+import { getTranscriptionProvider } from '../../../lib/transcriptionProviders.js';
+import { isAudioSignalAnalysisEnabled, analyzeAudioSignal, describeSignalSpan } from '../../../lib/audioSignal.js';
+import {
+  PROMPT_TOKEN_BUDGET,
+  LONG_FORM_CHUNK_SECONDS,
+  isLongForm,
+  truncateToTokens,
+  sampleLines,
+  sceneBounds,
+  formatTimeRange,
+  planChunks,
+  planChapters,
+  transcriptBetween,
+  renderChapterDigest
+} from '../../../lib/longForm.js';
+import {
+  FRAME_FIELDS,
+  FRAME_BATCH_SCHEMA,
+  SINGLE_FRAME_FIELDS,
+  SINGLE_FRAME_SCHEMA,
+  AUDIO_ANALYSIS_SCHEMA,
+  SCENE_CARD_SCHEMA,
+  SCENE_BATCH_SCHEMA,
+  HOOKS_SCHEMA,
+  CATEGORY_SCHEMA,
+  VIDEO_CONTEXT_SCHEMA,
+  COMBINED_ANALYSIS_SCHEMA,
+  CHUNK_SUMMARY_SCHEMA,
+  CHAPTER_SUMMARY_SCHEMA
+} from '../../../lib/analysisSchemas.js';
+
+// Retry configuration (request pacing is handled by the model scheduler)
 const MAX_RETRIES = 3; // Increased retries for better reliability
 const SCENE_ANALYSIS_RETRIES = 2; // Additional retries for scene analysis specifically
+const FAILED_BATCH_RETRIES = 2; // Retries of a whole frame batch after its API retries are used up
+const MITIGATION_RETRIES = 1; // API retries per refusal mitigation step; the next step is the real retry
 
 // Helper function to wait
 const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
@@ -46,94 +75,32 @@ function formatTime(seconds) {
   return `${minutes}m ${remainingSeconds}s`;
 }
 
-// Progress tracking state
-const progressState = new Map();
-
-// Clean up old progress entries every 10 minutes
-setInterval(() => {
-  const tenMinutesAgo = Date.now() - 10 * 60 * 1000;
-  for (const [key, value] of progressState.entries()) {
-    if (value.startTime < tenMinutesAgo) {
-      progressState.delete(key);
-    }
-  }
-}, 5 * 60 * 1000); // Clean up every 5 minutes
-
-// Helper function to update progress with time estimation
+// Record a progress update; the progress store derives the time estimate from the
+// request's earlier updates
 async function updateProgress(requestId, phase, progress, message, details = {}) {
-  try {
-    // Initialize or update progress state
-    if (!progressState.has(requestId)) {
-      progressState.set(requestId, {
-        startTime: Date.now(),
-        phases: {},
-        totalFrames: 0,
-        estimatedDuration: 0
-      });
-    }
-    
-    const state = progressState.get(requestId);
-    state.phases[phase] = { progress, message, timestamp: Date.now() };
-    
-    // Calculate time estimates
-    const elapsed = Date.now() - state.startTime;
-    const estimatedTotal = progress > 0 ? (elapsed / progress) * 100 : 0;
-    const remaining = estimatedTotal - elapsed;
-    
-    const timeEstimate = {
-      elapsed: Math.round(elapsed / 1000),
-      remaining: Math.max(0, Math.round(remaining / 1000)),
-      total: Math.round(estimatedTotal / 1000)
-    };
-    
-    // Use the shared progress store directly instead of HTTP requests
-    const success = setProgress(requestId, {
-      phase, 
-      progress, 
-      message, 
-      details: { ...details, timeEstimate }
-    });
-    
-    if (!success) {
-      throw new Error('Failed to update progress store');
-    }
-    
-    logWithTimestamp('📊 Progress updated', { 
-      requestId, 
-      phase, 
-      progress, 
-      message,
-      timeEstimate: `${formatTime(timeEstimate.elapsed)} elapsed, ${formatTime(timeEstimate.remaining)} remaining`
-    });
-  } catch (error) {
-    // Silently fail - progress tracking is not critical
-    logWithTimestamp('⚠️ Failed to update progress', { error: error.message, requestId });
-  }
+  // Work still unwinding after a cancel must not overwrite the cancelled status
+  if (getCancellation() && phase !== 'cancelled') return;
+
+  // Progress tracking is not critical; a failed update is logged by the store
+  const event = await setProgress(requestId, { phase, progress, message, details });
+  if (!event) return;
+
+  const { timeEstimate } = event.details;
+  logWithTimestamp('📊 Progress updated', { 
+    requestId, 
+    phase, 
+    progress, 
+    message,
+    timeEstimate: `${formatTime(timeEstimate.elapsed)} elapsed, ${formatTime(timeEstimate.remaining)} remaining`
+  });
 }
 
-// Helper function to detect AI refusal responses
-function isRefusalResponse(response) {
-  if (!response || typeof response !== 'string') return false;
-  
-  const refusalPatterns = [
-    /i'?m unable to/i,
-    /i can'?t/i,
-    /i don'?t have the ability/i,
-    /i'm not able to/i,
-    /i cannot/i,
-    /unable to provide/i,
-    /can'?t analyze/i,
-    /unable to analyze/i,
-    /i'm not capable/i,
-    /i don'?t have access/i,
-    /i can'?t see/i,
-    /i'm unable to see/i,
-    /i can'?t provide/i,
-    /i'm not designed to/i,
-    /i don'?t currently have/i
-  ];
-  
-  return refusalPatterns.some(pattern => pattern.test(response));
+// Hand an intermediate artifact to the UI while the analysis keeps running; the final
+// result replaces all of them
+async function publishPartial(requestId, section, data, options = {}) {
+  if (getCancellation() || data == null) return;
+
+  await publishPartialResult(requestId, section, data, options);
 }
 
 // Enhanced rate limit handler with refusal detection
@@ -141,6 +108,7 @@ async function handleRateLimit(fn, retries = MAX_RETRIES, context = 'general') {
   const startTime = Date.now();
   
   for (let attempt = 0; attempt <= retries; attempt++) {
+    throwIfCancelled();
     try {
       logWithTimestamp(`🔄 Executing OpenAI API call with ${retries - attempt} retries left`, { 
         context, 
@@ -150,11 +118,11 @@ async function handleRateLimit(fn, retries = MAX_RETRIES, context = 'general') {
       const result = await fn();
       const duration = Date.now() - startTime;
       
-      // Check for refusal response
-      if (isRefusalResponse(result)) {
+      // Check for refusal response (free text, or the refusal of a structured request)
+      if (isRefusalResponse(result) || result?.refusal) {
         logWithTimestamp(`🚫 AI refusal detected on attempt ${attempt + 1}`, { 
           context,
-          response: result.substring(0, 200) + '...',
+          response: String(result?.refusal || result).substring(0, 200) + '...',
           duration: `${duration}ms`
         });
         
@@ -168,7 +136,9 @@ async function handleRateLimit(fn, retries = MAX_RETRIES, context = 'general') {
           continue;
         } else {
           logWithTimestamp(`❌ Maximum retries reached for refusal`, { context });
-          throw new Error(`AI model refused to analyze content after ${retries + 1} attempts`);
+          const refusalError = new Error(`AI model refused to analyze content after ${retries + 1} attempts`);
+          refusalError.isRefusal = true;
+          throw refusalError;
         }
       }
       
@@ -180,6 +150,8 @@ async function handleRateLimit(fn, retries = MAX_RETRIES, context = 'general') {
       return result;
       
     } catch (error) {
+      // An aborted call is not worth a retry
+      throwIfCancelled();
       const duration = Date.now() - startTime;
       logWithTimestamp(`❌ OpenAI API call failed on attempt ${attempt + 1}`, { 
         context,
@@ -189,11 +161,10 @@ async function handleRateLimit(fn, retries = MAX_RETRIES, context = 'general') {
         status: error.status
       });
       
-      // Check if this is a rate limit error
+      // Rate limits: the model scheduler has paused the lane for the provider's retry-after,
+      // so the retry simply queues up again and goes out once the pause is over
       if ((error.code === 'rate_limit_exceeded' || error.status === 429) && attempt < retries) {
-        const delay = Math.pow(2, attempt) * 2000; // Exponential backoff for rate limits
-        logWithTimestamp(`⏳ Rate limit hit, waiting ${delay}ms before retry ${attempt + 2}`, { context });
-        await wait(delay);
+        logWithTimestamp(`⏳ Rate limit hit, requeueing retry ${attempt + 2}`, { context, lanes: describeSchedulerLanes() });
         continue;
       }
       
@@ -226,9 +197,9 @@ async function handleRateLimit(fn, retries = MAX_RETRIES, context = 'general') {
   }
 }
 
-async function downloadVideo(url) {
+async function downloadVideo(url, workspace) {
   const startTime = Date.now();
-  logWithTimestamp('🎥 Starting video download', { url });
+  logWithTimestamp('🎥 Starting video download', { url, workspace: workspace.root });
   
   try {
     // Validate URL format - accept Instagram URLs or direct video URLs
@@ -245,20 +216,8 @@ async function downloadVideo(url) {
       urlType: isInstagramUrl ? 'instagram' : 'direct_video'
     });
     
-    // Create a temporary directory for downloads if it doesn't exist
-    const downloadDir = path.join(process.cwd(), 'temp');
-    logWithTimestamp('📁 Checking temp directory', { downloadDir });
-    
-    if (!fs.existsSync(downloadDir)) {
-      fs.mkdirSync(downloadDir);
-      logWithTimestamp('📁 Created temp directory');
-    } else {
-      logWithTimestamp('📁 Temp directory already exists');
-    }
-
-    // Generate a unique filename
-    const timestamp = Date.now();
-    const outputPath = path.join(downloadDir, `video_${timestamp}.mp4`);
+    // Download into this request's workspace so concurrent jobs never collide
+    const outputPath = workspace.file('video.mp4');
     logWithTimestamp('📝 Generated output path', { outputPath });
     
     // For Instagram URLs, try multiple strategies
@@ -448,12 +407,12 @@ async function findDownloadedVideo(expectedPath) {
   // List all files in the download directory for debugging
   const downloadDir = path.dirname(expectedPath);
   const allFiles = fs.readdirSync(downloadDir);
-  logWithTimestamp('📂 All files in temp directory', { 
+  logWithTimestamp('📂 All files in workspace directory', { 
     downloadDir,
     allFiles
   });
   
-  // Look for any video files that match our timestamp pattern
+  // Look for any video files that match our base filename
   const baseFilename = path.basename(expectedPath, '.mp4');
   const videoFiles = fs.readdirSync(downloadDir)
     .filter(file => file.startsWith(baseFilename) && (file.endsWith('.mp4') || file.endsWith('.webm')))
@@ -483,7 +442,7 @@ async function findDownloadedVideo(expectedPath) {
   return actualVideoPath;
 }
 
-async function extractFrames(videoPath, analysisMode = 'standard') {
+async function extractFrames(videoPath, workspace, analysisMode = 'standard', shotData = null) {
   const startTime = Date.now();
   logWithTimestamp('🖼️ Starting frame extraction', { videoPath, analysisMode });
 
@@ -499,15 +458,12 @@ async function extractFrames(videoPath, analysisMode = 'standard') {
       path: videoPath
     });
 
-  const framesDir = path.join(process.cwd(), 'temp', 'frames');
+    // Frames live in this request's workspace, so only our own leftovers are cleared
+    const framesDir = workspace.framesDir;
     logWithTimestamp('📁 Setting up frames directory', { framesDir });
     
-  if (!fs.existsSync(framesDir)) {
-    fs.mkdirSync(framesDir, { recursive: true });
-      logWithTimestamp('📁 Created frames directory');
-    } else {
-      // Clean existing frames
-      const existingFrames = fs.readdirSync(framesDir);
+    const existingFrames = fs.readdirSync(framesDir);
+    if (existingFrames.length > 0) {
       logWithTimestamp('🧹 Cleaning existing frames', { count: existingFrames.length });
       existingFrames.forEach(file => fs.unlinkSync(path.join(framesDir, file)));
   }
@@ -533,21 +489,37 @@ async function extractFrames(videoPath, analysisMode = 'standard') {
       'broad': 1     // 1fps - overview analysis
     };
     
-    const fps = frameRates[analysisMode] || frameRates['standard'];
+    // Adaptive mode samples the detected cuts plus a density inside each shot
+    const samples = analysisMode === 'adaptive' && shotData ? planAdaptiveSamples(shotData) : [];
+    const useAdaptive = samples.length > 0;
+    if (analysisMode === 'adaptive' && !useAdaptive) {
+      logWithTimestamp('⚠️ No shot data for adaptive sampling, falling back to standard frame rate');
+    }
+
+    // For adaptive sampling fps is the effective average, so frames.length / fps is still the video length
+    const fps = useAdaptive ? samples.length / (duration > 0 ? duration : samples.length) : (frameRates[analysisMode] || frameRates['standard']);
+    // showinfo prints the pts_time of every frame the select keeps, so the frames can be
+    // stamped with their real times
+    const videoFilter = useAdaptive
+      ? `${sampleSelectFilter(samples)},showinfo`
+      : `fps=${fps}`;
 
-    // Extract frames at specified fps
+    // Extract frames at specified fps (or at the planned frame times)
   const outputPattern = path.join(framesDir, 'frame-%d.jpg');
     logWithTimestamp('🎞️ Extracting frames', { 
       outputPattern,
       analysisMode,
-      fps: `${fps}fps`,
-      expectedFrames: Math.floor(duration * fps),
-      frameRate: `${fps}fps (${analysisMode} analysis mode)`
+      fps: `${fps.toFixed(2)}fps`,
+      expectedFrames: useAdaptive ? samples.length : Math.floor(duration * fps),
+      frameRate: useAdaptive
+        ? `adaptive (${samples.length} frames across ${shotData.shots.length} shots)`
+        : `${fps}fps (${analysisMode} analysis mode)`
     });
     
     const extractStartTime = Date.now();
     const { stdout: extractStdout, stderr: extractStderr } = await execAsync(
-      `ffmpeg -i "${videoPath}" -vf fps=${fps} "${outputPattern}" -y`
+      `ffmpeg ${useAdaptive ? '-nostats ' : ''}-i "${videoPath}" -vf "${videoFilter}" ${useAdaptive ? '-vsync vfr ' : ''}"${outputPattern}" -y`,
+      { maxBuffer: 16 * 1024 * 1024 }
     );
     const extractDuration = Date.now() - extractStartTime;
     
@@ -589,7 +561,25 @@ async function extractFrames(videoPath, analysisMode = 'standard') {
       fps
     });
 
-  return { frames, fps, analysisMode };
+    // Real timestamp (seconds) of every extracted frame
+    let timestamps = frames.map((_, i) => i / fps);
+    if (useAdaptive) {
+      const { times, source } = resolveSampleTimes(frames.length, {
+        shownTimes: parseShowinfoTimes(extractStderr || ''),
+        samples,
+        fps
+      });
+      if (source !== 'pts') {
+        logWithTimestamp('⚠️ Could not read the extracted frames\' timestamps', {
+          frames: frames.length,
+          plannedSamples: samples.length,
+          using: source === 'plan' ? 'planned sample times' : `evenly spaced times at ${fps.toFixed(2)}fps`
+        });
+      }
+      timestamps = times;
+    }
+
+  return { frames, fps, analysisMode, timestamps };
   } catch (error) {
     const duration = Date.now() - startTime;
     logWithTimestamp('❌ Frame extraction failed', { 
@@ -601,7 +591,7 @@ async function extractFrames(videoPath, analysisMode = 'standard') {
   }
 }
 
-async function extractAudio(videoPath) {
+async function extractAudio(videoPath, workspace) {
   const startTime = Date.now();
   logWithTimestamp('🔊 Starting audio extraction', { videoPath });
 
@@ -610,7 +600,7 @@ async function extractAudio(videoPath) {
       throw new Error(`Video file does not exist: ${videoPath}`);
     }
 
-    const audioPath = path.join(process.cwd(), 'temp', `audio_${Date.now()}.mp3`);
+    const audioPath = workspace.file('audio.mp3');
     logWithTimestamp('🎵 Extracting audio', { audioPath });
     
     const extractStartTime = Date.now();
@@ -645,13 +635,15 @@ async function extractAudio(videoPath) {
   }
 }
 
-async function analyzeFramesInBatches(frames, requestId = 'unknown') {
+async function analyzeFramesInBatches(frames, requestId = 'unknown', dedupe = null, imageDetail = 'auto', timestamps = []) {
   const startTime = Date.now();
   logWithTimestamp('🎯 Starting smart frame batching', { totalFrames: frames.length });
 
   try {
-    // Analyze ALL frames (every 0.5 seconds at 2fps) but batch them efficiently
-    const allFrames = frames.map((framePath, index) => ({ path: framePath, index }));
+    // Analyze every frame that isn't a near-duplicate of the one before it, batched efficiently
+    const allFrames = frames
+      .map((framePath, index) => ({ path: framePath, index, time: timestamps[index], detail: imageDetail }))
+      .filter(frame => dedupe?.duplicateOf[frame.index] === undefined);
     logWithTimestamp('📊 Preparing all frames for analysis', { 
       totalFrames: allFrames.length,
       strategy: 'Every 0.5 seconds at 2fps (enhanced coverage for fast movements)'
@@ -670,8 +662,9 @@ async function analyzeFramesInBatches(frames, requestId = 'unknown') {
       avgFramesPerBatch: (allFrames.length / batches.length).toFixed(1)
     });
 
-    // 🚀 PARALLEL PROCESSING: Send all batches simultaneously
-    logWithTimestamp('🚀 Sending all batches in parallel for maximum speed', {
+    // 🚀 PARALLEL PROCESSING: Queue all batches at once; the model scheduler releases
+    // them as fast as the provider's concurrency and rate limits allow
+    logWithTimestamp('🚀 Queueing all batches in parallel for maximum speed', {
       totalBatches: batches.length,
       estimatedSpeedImprovement: '70-80% faster than sequential'
     });
@@ -682,26 +675,13 @@ async function analyzeFramesInBatches(frames, requestId = 'unknown') {
         frameIndices: batch.map(f => f.index)
       });
 
-      try {
-        const batchAnalyses = await analyzeBatch(batch, batchIndex);
-        logWithTimestamp(`✅ Parallel batch ${batchIndex + 1} completed successfully`, {
-          frameCount: batchAnalyses.length
-        });
-        return { batchIndex, analyses: batchAnalyses, success: true };
-      } catch (error) {
-        logWithTimestamp(`⚠️ Parallel batch ${batchIndex + 1} failed, creating placeholders`, {
-          error: error.message,
-          frameCount: batch.length
-        });
-        
-        // Create placeholders for failed batch
-        const placeholders = batch.map(frame => ({
-          frameIndex: frame.index,
-          timestamp: `${frame.index}s`,
-          analysis: `Batch analysis failed: ${error.message}`
-        }));
-        return { batchIndex, analyses: placeholders, success: false };
-      }
+      const batchAnalyses = await analyzeBatchWithRecovery(batch, batchIndex);
+      const success = batchAnalyses.every(analysis => !analysis.failed);
+      logWithTimestamp(`${success ? '✅' : '⚠️'} Parallel batch ${batchIndex + 1} ${success ? 'completed successfully' : 'completed with failed frames'}`, {
+        frameCount: batchAnalyses.length,
+        failedFrames: batchAnalyses.filter(analysis => analysis.failed).map(analysis => analysis.frameIndex)
+      });
+      return { batchIndex, analyses: batchAnalyses, success };
     });
 
     // Track progress of parallel batches
@@ -744,12 +724,7 @@ async function analyzeFramesInBatches(frames, requestId = 'unknown') {
         return result.value;
       } else {
         // Handle failed batch by creating placeholders
-        const batch = batches[index];
-        const placeholders = batch.map(frame => ({
-          frameIndex: frame.index,
-          timestamp: `${frame.index}s`,
-          analysis: `Batch analysis failed: ${result.reason?.message || 'Unknown error'}`
-        }));
+        const placeholders = batches[index].map(frame => failedFrameAnalysis(frame, result.reason || new Error('Unknown error')));
         return { batchIndex: index, analyses: placeholders, success: false };
       }
     });
@@ -774,28 +749,203 @@ async function analyzeFramesInBatches(frames, requestId = 'unknown') {
     logWithTimestamp('🎯 Parallel batch processing complete', {
       successfulBatches,
       failedBatches,
+      failedFrames: allAnalyses.filter(analysis => analysis.failed).length,
       totalBatches: batches.length,
       successRate: `${Math.round((successfulBatches / batches.length) * 100)}%`
     });
 
-    // All frames analyzed - no interpolation needed
+    // Skipped near-duplicates take the analysis of the frame they repeat
+    const completeAnalyses = allAnalyses.length < frames.length
+      ? interpolateMissingFrames(allAnalyses, frames.length, dedupe?.duplicateOf, timestamps)
+      : allAnalyses;
+
     const duration = Date.now() - startTime;
     logWithTimestamp('✅ Parallel batch analysis complete', {
       totalDuration: `${duration}ms`,
       processedFrames: allAnalyses.length,
-      finalFrameCount: allAnalyses.length,
-      coverage: '100% frames analyzed (optimized 3-frame batches processed in parallel)',
+      finalFrameCount: completeAnalyses.length,
+      skippedDuplicates: frames.length - allAnalyses.length,
+      coverage: `${allAnalyses.length}/${frames.length} frames analyzed (optimized 3-frame batches processed in parallel)`,
       parallelBatches: batches.length,
       speedImprovement: 'Up to 70-80% faster than sequential processing'
     });
 
-    return allAnalyses;
+    return completeAnalyses;
   } catch (error) {
     logWithTimestamp('❌ Batch analysis failed', { error: error.message });
     throw error;
   }
 }
 
+// "12.5s" label of a frame from the time it was extracted at (seconds), or null if unknown
+function frameTimestamp(time) {
+  return Number.isFinite(time) ? `${time.toFixed(1)}s` : null;
+}
+
+// Placeholder for a frame that couldn't be analyzed. Failed frames keep their place in the
+// timeline but are left out of scene detection and synthesis (see isAnalyzedFrame).
+function failedFrameAnalysis(frame, error) {
+  return {
+    frameIndex: frame.index,
+    timestamp: frameTimestamp(frame.time),
+    analysis: `Frame ${frame.index} could not be analyzed: ${error.message}`,
+    failed: true,
+    failureReason: error.message,
+    isRefusal: Boolean(error.isRefusal),
+    fallbackFields: [FALLBACK_ALL]
+  };
+}
+
+function isAnalyzedFrame(frameAnalysis) {
+  return Boolean(frameAnalysis) && !frameAnalysis.failed;
+}
+
+// Which sampled frames, and so which moments of the video, have no analysis
+function summarizeFrameCoverage(frameAnalyses) {
+  const failed = frameAnalyses.filter(frameAnalysis => !isAnalyzedFrame(frameAnalysis));
+  const analyzedFrames = frameAnalyses.length - failed.length;
+  return {
+    analyzedFrames,
+    failedFrames: failed.length,
+    coverage: frameAnalyses.length > 0 ? Number((analyzedFrames / frameAnalyses.length).toFixed(3)) : 1,
+    failedTimestamps: failed.map(frameAnalysis => frameAnalysis.timestamp),
+    failures: failed.map(frameAnalysis => ({
+      frameIndex: frameAnalysis.frameIndex,
+      timestamp: frameAnalysis.timestamp,
+      reason: frameAnalysis.failureReason,
+      refused: Boolean(frameAnalysis.isRefusal)
+    }))
+  };
+}
+
+// Analyze a batch, retrying it on its own with backoff when it fails. A refusal usually
+// comes from one image, so refused frames (or all of a refused batch) go through refusal
+// mitigation, and frames missing from a reply that did come back are retried one by one.
+async function analyzeBatchWithRecovery(batch, batchIndex) {
+  let analyses = null;
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= FAILED_BATCH_RETRIES && !analyses; attempt++) {
+    if (attempt > 0) {
+      const delay = Math.pow(2, attempt) * 1000; // Exponential backoff
+      logWithTimestamp(`⏳ Retrying failed batch ${batchIndex + 1} in ${delay}ms`, { attempt, error: lastError.message });
+      await wait(delay);
+    }
+
+    try {
+      analyses = await analyzeBatch(batch, batchIndex);
+    } catch (error) {
+      throwIfCancelled();
+      lastError = error;
+      // The same images will be refused again; go straight to mitigation
+      if (error.isRefusal) break;
+    }
+  }
+
+  if (!analyses) {
+    analyses = batch.map(frame => failedFrameAnalysis(frame, lastError));
+    // Other errors already had their retries
+    if (!lastError.isRefusal) return analyses;
+  }
+
+  const results = new Map(batch.map((frame, i) => [frame.index, analyses[i]]));
+
+  const missingFrames = batch.length > 1 ? batch.filter(frame => results.get(frame.index).failed && !results.get(frame.index).isRefusal) : [];
+  if (missingFrames.length > 0) {
+    logWithTimestamp(`✂️ Retrying frames missing from batch ${batchIndex + 1} one at a time`, {
+      frames: missingFrames.map(frame => frame.index)
+    });
+    for (const frame of missingFrames) {
+      try {
+        const [analysis] = await analyzeBatch([frame], batchIndex);
+        results.set(frame.index, analysis);
+      } catch (error) {
+        throwIfCancelled();
+        results.set(frame.index, failedFrameAnalysis(frame, error));
+      }
+    }
+  }
+
+  // Without mitigation refused frames stay failed
+  const refusedFrames = batch.filter(frame => results.get(frame.index).isRefusal);
+  if (refusedFrames.length > 0 && REFUSAL_MITIGATION_ENABLED) {
+    const mitigated = await mitigateRefusedFrames(refusedFrames, batchIndex);
+    mitigated.forEach((analysis, i) => results.set(refusedFrames[i].index, analysis));
+  }
+
+  return batch.map(frame => results.get(frame.index));
+}
+
+// Escalating fallbacks for refused frames (see refusalMitigation.js). Every step gets only
+// the frames still refused; each frame records the steps it went through and which one
+// (if any) got it described.
+async function mitigateRefusedFrames(frames, batchIndex) {
+  const stepsTried = new Map(frames.map(frame => [frame.index, []]));
+  const resolved = new Map();
+  let pending = frames;
+  let lastError = null;
+  let lastGroupSize = frames.length;
+
+  const runStep = async (step, groups, options) => {
+    for (const group of groups) {
+      group.forEach(frame => stepsTried.get(frame.index).push(step));
+      logWithTimestamp(`🩹 Refusal mitigation (${step}) for batch ${batchIndex + 1}`, { frames: group.map(frame => frame.index) });
+
+      try {
+        const analyses = await analyzeBatch(group, batchIndex, { ...options, retries: MITIGATION_RETRIES });
+        analyses.forEach((analysis, i) => {
+          if (!analysis.failed) resolved.set(group[i].index, { analysis, step });
+        });
+      } catch (error) {
+        throwIfCancelled();
+        lastError = error;
+      }
+    }
+
+    lastGroupSize = Math.max(...groups.map(group => group.length));
+    pending = pending.filter(frame => !resolved.has(frame.index));
+    logWithTimestamp(`${pending.length === 0 ? '✅' : '⚠️'} Refusal mitigation (${step}) finished`, {
+      batch: batchIndex + 1,
+      recovered: frames.filter(frame => resolved.get(frame.index)?.step === step).map(frame => frame.index),
+      stillRefused: pending.map(frame => frame.index)
+    });
+  };
+
+  // 1. Same images, neutral technical-description prompt
+  await runStep('neutral_prompt', [pending], { neutralPrompt: true });
+
+  // 2. Downscaled, blurred copies of the images
+  let degraded = [];
+  if (pending.length > 0) {
+    degraded = await degradeFrames(pending);
+    if (degraded.length > 0) {
+      await runStep('degraded_image', [degraded], { neutralPrompt: true });
+    } else {
+      logWithTimestamp(`⏭️ Skipping degraded_image mitigation for batch ${batchIndex + 1}: no frame could be degraded`);
+    }
+  }
+
+  // 3. Each frame on its own (unless the last step already sent them alone)
+  if (pending.length > 0 && lastGroupSize > 1) {
+    const degradedByIndex = new Map(degraded.map(frame => [frame.index, frame]));
+    await runStep('single_frame', pending.map(frame => [degradedByIndex.get(frame.index) || frame]), { neutralPrompt: true });
+  }
+
+  await removeDegradedFrames(degraded);
+
+  return frames.map(frame => {
+    const steps = stepsTried.get(frame.index);
+    const recovery = resolved.get(frame.index);
+    if (recovery) {
+      return { ...recovery.analysis, mitigation: { steps, resolvedBy: recovery.step } };
+    }
+
+    const error = new Error(`AI model declined to describe the frame after ${steps.length} mitigation steps${lastError ? `: ${lastError.message}` : ''}`.substring(0, 300));
+    error.isRefusal = true;
+    return { ...failedFrameAnalysis(frame, error), mitigation: { steps, resolvedBy: null } };
+  });
+}
+
 function selectKeyFrames(frames) {
   const keyFrames = [];
   const totalFrames = frames.length;
@@ -818,8 +968,19 @@ function selectKeyFrames(frames) {
   return keyFrames.sort((a, b) => a.index - b.index);
 }
 
-async function analyzeBatch(batch, batchIndex) {
-  logWithTimestamp(`🖼️ Analyzing batch ${batchIndex + 1}`, { frameCount: batch.length });
+// Prompt for refusal mitigation: the same fields, asked for as a plain production
+// description without reading intent or identity into the people shown
+function neutralFramePrompt(batch) {
+  return `These ${batch.length} images are still frames from a published short-form video, provided for a production breakdown (shot composition, editing, on-screen text).
+
+Give a neutral, technical description of each frame: framing, lighting, colours, setting, visible objects, any visible text, and what the people in it are doing. Do not identify anyone or speculate about who they are; describe only what is visible.
+
+The images are frames ${batch.map(frame => frame.index).join(', ')}, in that order. Return one entry in "frames" per image with its frameIndex and these fields:
+${FRAME_FIELDS.map(field => `- ${field.key}: ${field.hint}`).join('\n')}`;
+}
+
+async function analyzeBatch(batch, batchIndex, { neutralPrompt = false, retries = MAX_RETRIES } = {}) {
+  logWithTimestamp(`🖼️ Analyzing batch ${batchIndex + 1}`, { frameCount: batch.length, neutralPrompt });
 
   try {
     // Read all images in the batch
@@ -833,7 +994,8 @@ async function analyzeBatch(batch, batchIndex) {
       const base64Image = Buffer.from(image).toString('base64');
       imageData.push({
         index: frame.index,
-        base64: base64Image
+        base64: base64Image,
+        detail: frame.detail || 'auto'
       });
     }
 
@@ -847,7 +1009,7 @@ async function analyzeBatch(batch, batchIndex) {
       const content = [
         {
           type: "text",
-          text: `Analyze these ${batch.length} video frames to understand the visual storytelling and content structure. Focus on what makes this content engaging and effective.
+          text: neutralPrompt ? neutralFramePrompt(batch) : `Analyze these ${batch.length} video frames to understand the visual storytelling and content structure. Focus on what makes this content engaging and effective.
 
 ANALYSIS FOCUS:
 1. VISUAL DESCRIPTION: Describe what you see in each frame - people, objects, settings, and actions
@@ -856,17 +1018,8 @@ ANALYSIS FOCUS:
 4. TEXT CONTENT: Read and transcribe any visible text, captions, or overlays
 5. NARRATIVE FLOW: How does each frame contribute to the overall story or message?
 
-For each frame, provide analysis in this format:
-
-${batch.map((frame, i) => `FRAME_${frame.index}:
-VISUAL_DESCRIPTION: [Describe what you see - people, objects, setting, actions]
-OBJECTS_ITEMS: [List visible objects, props, or items and their relevance]
-BODY_LANGUAGE: [Describe facial expressions, gestures, and posture]
-TEXT_OVERLAYS: [Any visible text, captions, or graphic overlays]
-ENGAGEMENT_ELEMENTS: [Visual hooks, reactions, or elements designed to capture attention]
-STORY_FUNCTION: [How this frame contributes to setup, development, or payoff]
-TRANSITIONS: [Any visual transitions or effects between scenes]
-CONTEXTUAL_MEANING: [What story or message is being communicated]`).join('\n\n')}
+The images are frames ${batch.map(frame => frame.index).join(', ')}, in that order. Return one entry in "frames" per image with its frameIndex and these fields:
+${FRAME_FIELDS.map(field => `- ${field.key}: ${field.hint}`).join('\n')}
 
 Please provide clear, professional analysis focusing on the content creation and storytelling techniques used in these frames.`
         }
@@ -877,26 +1030,26 @@ Please provide clear, professional analysis focusing on the content creation and
         content.push({
           type: "image_url",
           image_url: {
-            url: `data:image/jpeg;base64,${img.base64}`
+            url: `data:image/jpeg;base64,${img.base64}`,
+            detail: img.detail
           }
         });
       });
 
-      const response = await getOpenAIClient().chat.completions.create({
-        model: "gpt-4o-mini",
+      return requestStructured(getModelProvider('frameBatch'), {
+        name: 'frame_batch',
+        schema: FRAME_BATCH_SCHEMA,
         messages: [{ role: "user", content }],
         max_tokens: 12000 // Increased from 3000 - using more of our 16,384 token limit
       });
+    }, retries, `batch_${batchIndex + 1}_frames_${batch.map(f => f.index).join('-')}${neutralPrompt ? '_neutral' : ''}`);
 
-      return response.choices[0].message.content;
-    }, MAX_RETRIES, `batch_${batchIndex + 1}_frames_${batch.map(f => f.index).join('-')}`);
-
-    // Parse the batch response into individual frame analyses
-    const analyses = parseBatchResponse(result, batch);
+    const analyses = toFrameAnalyses(result, batch);
     
     logWithTimestamp(`✅ Batch analysis successful`, { 
       frameCount: batch.length,
-      responseLength: result?.length || 0
+      attempts: result.attempts,
+      fallbackFields: result.fallbackFields.length
     });
 
     return analyses;
@@ -910,195 +1063,47 @@ Please provide clear, professional analysis focusing on the content creation and
   }
 }
 
-function parseBatchResponse(response, batch) {
-  const analyses = [];
-  
-  try {
-    logWithTimestamp('🔍 Parsing batch response', { 
-      responseLength: response.length,
-      batchSize: batch.length,
-      responsePreview: response.substring(0, 200) + '...'
-    });
-    
-    // Check if the entire response is a refusal
-    if (isRefusalResponse(response)) {
-      logWithTimestamp('🚫 Entire batch response is a refusal', { 
-        response: response.substring(0, 300) + '...' 
-      });
-      
-      // Create fallback analyses for all frames
-      batch.forEach(frame => {
-        analyses.push({
-          frameIndex: frame.index,
-          timestamp: `${(frame.index * 0.5).toFixed(1)}s`,
-          analysis: `AI model unable to analyze frame ${frame.index}: Content analysis was declined`,
-          contextualMeaning: 'Analysis declined by AI model',
-          isRefusal: true
-        });
-      });
-      
-      return analyses;
-    }
-    
-    // Enhanced parsing: Try multiple strategies
-    let frameBlocks = [];
-    
-    // Strategy 1: Look for FRAME_X: markers (preferred)
-    if (response.includes('FRAME_')) {
-      frameBlocks = response.split(/FRAME_\d+:/);
-      logWithTimestamp('📋 Using FRAME_X: parsing strategy', { blockCount: frameBlocks.length - 1 });
-    }
-    // Strategy 2: Look for numbered patterns like "1.", "2.", etc.
-    else if (/^\d+\./.test(response.trim())) {
-      frameBlocks = ['', ...response.split(/\n(?=\d+\.)/)]
-      logWithTimestamp('📋 Using numbered list parsing strategy', { blockCount: frameBlocks.length - 1 });
-    }
-    // Strategy 3: Split by double newlines (paragraph breaks)
-    else if (response.includes('\n\n')) {
-      const paragraphs = response.split('\n\n').filter(p => p.trim().length > 10);
-      frameBlocks = ['', ...paragraphs];
-      logWithTimestamp('📋 Using paragraph parsing strategy', { blockCount: frameBlocks.length - 1 });
-    }
-    // Strategy 4: Treat entire response as single analysis for first frame
-    else {
-      frameBlocks = ['', response];
-      logWithTimestamp('📋 Using single response parsing strategy');
-    }
-    
-    // Process each frame block
-    for (let i = 1; i < frameBlocks.length && analyses.length < batch.length; i++) {
-      const frameIndex = batch[analyses.length].index;
-      let analysis = frameBlocks[i].trim();
-      
-      // Clean up analysis text
-      analysis = analysis.replace(/^FRAME_\d+:\s*/, ''); // Remove frame marker if present
-      analysis = analysis.replace(/^\d+\.\s*/, ''); // Remove number prefix if present
-      
-      // Check if this individual frame analysis is a refusal
-      if (isRefusalResponse(analysis)) {
-        logWithTimestamp(`🚫 Frame ${frameIndex} analysis is a refusal`, { 
-          frameIndex,
-          refusal: analysis.substring(0, 150) + '...' 
-        });
-        
-        analyses.push({
-          frameIndex,
-          timestamp: `${(frameIndex * 0.5).toFixed(1)}s`,
-          analysis: `AI model unable to analyze frame ${frameIndex}: ${analysis.substring(0, 200)}...`,
-          contextualMeaning: 'Analysis declined by AI model',
-          isRefusal: true
-        });
-        continue;
-      }
-      
-      // Ensure we have meaningful content
-      if (analysis.length < 10) {
-        analysis = `Frame ${frameIndex}: Brief visual analysis - ${analysis}`;
-      }
-      
-      // Parse the structured analysis to extract contextual meaning
-      const contextualMeaning = extractContextualMeaning(analysis);
-      
-      analyses.push({
-        frameIndex,
-        timestamp: `${(frameIndex * 0.5).toFixed(1)}s`,
-        analysis,
-        contextualMeaning,
-        isRefusal: false
-      });
-      
-      logWithTimestamp(`✅ Parsed frame ${frameIndex}`, { 
-        analysisLength: analysis.length,
-        hasContextualMeaning: !!contextualMeaning
-      });
-    }
-    
-    // If we still don't have enough analyses, distribute the content evenly
-    if (analyses.length < batch.length && response.length > 50) {
-      logWithTimestamp('🔄 Distributing remaining content across missing frames');
-      
-      const remainingFrames = batch.slice(analyses.length);
-      const baseAnalysis = response.length > 200 ? 
-        response.substring(0, Math.min(500, response.length)) : 
-        response;
-      
-      remainingFrames.forEach(frame => {
-        analyses.push({
-          frameIndex: frame.index,
-          timestamp: `${(frame.index * 0.5).toFixed(1)}s`,
-          analysis: `${baseAnalysis} (distributed analysis for frame ${frame.index})`,
-          contextualMeaning: 'Context analysis distributed from batch response',
-          isRefusal: false
-        });
-      });
-    }
-    
-    // Final fallback for any remaining missing frames
-    while (analyses.length < batch.length) {
-      const missingIndex = batch[analyses.length].index;
-      analyses.push({
-        frameIndex: missingIndex,
-        timestamp: `${(missingIndex * 0.5).toFixed(1)}s`,
-        analysis: `Analysis parsing incomplete for frame ${missingIndex} - AI response format unexpected`,
-        contextualMeaning: 'Context analysis unavailable',
-        isRefusal: false
-      });
-    }
-    
-    // Count successful vs failed analyses
-    const successfulAnalyses = analyses.filter(a => !a.analysis.includes('parsing incomplete') && !a.isRefusal);
-    const refusedAnalyses = analyses.filter(a => a.isRefusal);
-    
-    logWithTimestamp('✅ Batch parsing complete', { 
-      successfullyParsed: successfulAnalyses.length,
-      refusedAnalyses: refusedAnalyses.length,
-      totalFrames: batch.length,
-      successRate: `${Math.round((successfulAnalyses.length / batch.length) * 100)}%`
-    });
-    
-  } catch (error) {
-    logWithTimestamp('⚠️ Failed to parse batch response, creating fallbacks', { error: error.message });
-    
-    // Create fallback analyses for all frames in batch
-    batch.forEach(frame => {
-      analyses.push({
-        frameIndex: frame.index,
-        timestamp: `${(frame.index * 0.5).toFixed(1)}s`,
-        analysis: `Failed to parse batch response: ${error.message}`,
-        contextualMeaning: 'Context analysis failed',
-        isRefusal: false
-      });
-    });
-  }
-  
-  return analyses;
+// Render structured fields as the "LABEL: value" lines kept in a frame's analysis text
+function renderFields(fields, values) {
+  return fields.map(({ key, label }) => `${label}: ${values[key] || 'None'}`).join('\n');
 }
 
-// Extract contextual meaning from frame analysis
-function extractContextualMeaning(analysis) {
-  const contextMatch = analysis.match(/CONTEXTUAL_MEANING:\s*(.+?)(?:\n|$)/i);
-  if (contextMatch) {
-    return contextMatch[1].trim();
-  }
-  
-  // Fallback: look for any line that explains WHY or IMPACT
-  const lines = analysis.split('\n');
-  const impactLine = lines.find(line => 
-    line.includes('WHY:') || 
-    line.includes('IMPACT:') || 
-    line.includes('PURPOSE:') || 
-    line.includes('CONTEXT:')
-  );
-  
-  if (impactLine) {
-    const parts = impactLine.split(/(?:WHY:|IMPACT:|PURPOSE:|CONTEXT:)/);
-    return parts[1]?.trim() || 'Context analysis available in detailed view';
-  }
-  
-  return 'Context analysis available in detailed view';
+// Match the frames of a structured batch reply to the batch by frameIndex. Models that
+// number the images 0..n instead of using the given indices are matched by position.
+function toFrameAnalyses(result, batch) {
+  const returned = result.data.frames;
+  const byIndex = new Map(returned.map((frame, position) => [frame.frameIndex, position]));
+  const useIndices = batch.some(frame => byIndex.has(frame.index));
+
+  const analyses = batch.map((frame, i) => {
+    const position = useIndices ? byIndex.get(frame.index) : (i < returned.length ? i : undefined);
+    const timestamp = frameTimestamp(frame.time);
+
+    if (position === undefined) {
+      return failedFrameAnalysis(frame, new Error('Frame not included in the model response'));
+    }
+
+    const { frameIndex, ...fields } = returned[position];
+    return {
+      frameIndex: frame.index,
+      timestamp,
+      analysis: renderFields(FRAME_FIELDS, fields),
+      fields,
+      contextualMeaning: fields.contextualMeaning,
+      fallbackFields: scopeFallbackFields(`frames[${position}]`, result.fallbackFields)
+    };
+  });
+
+  logWithTimestamp('✅ Batch response matched to frames', {
+    returnedFrames: returned.length,
+    complete: analyses.filter(a => a.fallbackFields.length === 0).length,
+    totalFrames: batch.length
+  });
+
+  return analyses;
 }
 
-function interpolateMissingFrames(keyFrameAnalyses, totalFrames) {
+function interpolateMissingFrames(keyFrameAnalyses, totalFrames, duplicateOf = null, timestamps = []) {
   const completeAnalyses = new Array(totalFrames);
   
   // Place key frame analyses in their correct positions
@@ -1108,7 +1113,16 @@ function interpolateMissingFrames(keyFrameAnalyses, totalFrames) {
   
   // Fill in missing frames with interpolated data
   for (let i = 0; i < totalFrames; i++) {
-    if (!completeAnalyses[i]) {
+    const original = duplicateOf?.[i] !== undefined ? completeAnalyses[duplicateOf[i]] : null;
+    if (!completeAnalyses[i] && original) {
+      // Known near-duplicate: reuse the analysis of the frame it repeats
+      completeAnalyses[i] = {
+        ...original,
+        frameIndex: i,
+        timestamp: frameTimestamp(timestamps[i]),
+        duplicateOf: original.frameIndex
+      };
+    } else if (!completeAnalyses[i]) {
       // Find the nearest analyzed frames
       const prevAnalyzed = findPreviousAnalyzedFrame(completeAnalyses, i);
       const nextAnalyzed = findNextAnalyzedFrame(completeAnalyses, i);
@@ -1130,7 +1144,7 @@ function interpolateMissingFrames(keyFrameAnalyses, totalFrames) {
       
       completeAnalyses[i] = {
         frameIndex: i,
-        timestamp: `${i}s`,
+        timestamp: frameTimestamp(timestamps[i]),
         analysis: interpolatedAnalysis
       };
     }
@@ -1175,8 +1189,9 @@ async function analyzeFrame(framePath, frameIndex) {
     });
 
     const result = await handleRateLimit(async () => {
-    const response = await getOpenAIClient().chat.completions.create({
-      model: "gpt-4o-mini",
+    return requestStructured(getModelProvider('frame'), {
+      name: 'frame',
+      schema: SINGLE_FRAME_SCHEMA,
       messages: [
         {
           role: "user",
@@ -1185,14 +1200,7 @@ async function analyzeFrame(framePath, frameIndex) {
               type: "text",
                 text: `Analyze frame ${frameIndex + 1} concisely:
 
-FRAMING: [shot type]
-LIGHTING: [style/mood]
-MOOD: [emotional tone]
-ACTION: [what's happening]
-DIALOGUE: [visible text/overlays]
-VISUAL_EFFECTS: [effects/filters]
-SETTING: [location/environment]
-SUBJECTS: [main focus]
+${SINGLE_FRAME_FIELDS.map(field => `${field.key}: [${field.hint}]`).join('\n')}
 
 Keep each response brief and specific.`
             },
@@ -1207,20 +1215,20 @@ Keep each response brief and specific.`
       ],
         max_tokens: 300
     });
-
-    return response.choices[0].message.content;
   });
 
     const totalDuration = Date.now() - startTime;
     logWithTimestamp(`✅ Frame ${frameIndex + 1} analysis complete`, { 
       duration: `${totalDuration}ms`,
-      resultLength: result?.length || 0
+      fallbackFields: result.fallbackFields
     });
 
     return {
       frameIndex,
       timestamp: `${frameIndex}s`,
-      analysis: result
+      analysis: renderFields(SINGLE_FRAME_FIELDS, result.data),
+      fields: result.data,
+      fallbackFields: result.fallbackFields
     };
   } catch (error) {
     const duration = Date.now() - startTime;
@@ -1233,10 +1241,11 @@ Keep each response brief and specific.`
   }
 }
 
-async function analyzeAudio(audioPath) {
+async function analyzeAudio(audioPath, transcriber = getTranscriptionProvider()) {
   const startTime = Date.now();
-  logWithTimestamp('🎵 Starting audio analysis', { audioPath });
+  logWithTimestamp('🎵 Starting audio analysis', { audioPath, transcriptionProvider: transcriber.description });
 
+  let signal = null;
   try {
     if (!fs.existsSync(audioPath)) {
       throw new Error(`Audio file does not exist: ${audioPath}`);
@@ -1247,26 +1256,26 @@ async function analyzeAudio(audioPath) {
       size: `${(stats.size / 1024).toFixed(2)} KB`
     });
 
-  const audioFile = fs.createReadStream(audioPath);
-  
+    // Measured first, so a failed transcription still leaves the signal
+    signal = await measureAudioSignal(audioPath);
+
   // First, transcribe the audio
-    logWithTimestamp('🗣️ Starting audio transcription');
+    logWithTimestamp('🗣️ Starting audio transcription', { provider: transcriber.name });
     const transcriptionStartTime = Date.now();
     
-  const transcription = await handleRateLimit(async () => {
-    return await getOpenAIClient().audio.transcriptions.create({
-      file: audioFile,
-      model: "whisper-1",
-      response_format: "verbose_json",
-      timestamp_granularities: ["segment"]
-    });
-  });
+  const rawTranscription = await handleRateLimit(async () => {
+    return await transcriber.transcribe(audioPath);
+  }, MAX_RETRIES, `transcription:${transcriber.name}`);
+  const transcription = await diarizeTranscription(audioPath, rawTranscription);
 
     const transcriptionDuration = Date.now() - transcriptionStartTime;
     logWithTimestamp('✅ Audio transcription complete', { 
       duration: `${transcriptionDuration}ms`,
+      provider: transcription.provider,
       textLength: transcription.text?.length || 0,
-      segmentCount: transcription.segments?.length || 0
+      segmentCount: transcription.segments?.length || 0,
+      wordCount: transcription.words?.length || 0,
+      speakers: transcription.speakers?.map(speaker => speaker.label) || null
     });
 
   // Audio content analysis with content policy compliance
@@ -1274,17 +1283,26 @@ async function analyzeAudio(audioPath) {
     const analysisStartTime = Date.now();
     
   const separationAnalysis = await handleRateLimit(async () => {
-    const response = await getOpenAIClient().chat.completions.create({
-      model: "gpt-4o",
+    return requestStructured(getModelProvider('audioAnalysis'), {
+      name: 'audio_analysis',
+      schema: AUDIO_ANALYSIS_SCHEMA,
+      // Without a usable classification the transcript itself is the best context
+      defaults: {
+        dialogue: { content: transcription.text },
+        videoContext: 'Full transcript: ' + transcription.text
+      },
       messages: [
         {
           role: "user",
           content: `Analyze this audio transcript to understand the content type and context for video analysis purposes.
 
-TRANSCRIPT: "${transcription.text}"
+TRANSCRIPT: "${truncateToTokens(transcription.text, PROMPT_TOKEN_BUDGET / 2)}"
 
 SEGMENTS:
-${transcription.segments?.map(seg => `${seg.start.toFixed(1)}s-${seg.end.toFixed(1)}s: "${seg.text}"`).join('\n') || 'No segments available'}
+${transcription.segments ? sampleLines(transcription.segments.map(seg => `${seg.start.toFixed(1)}s-${seg.end.toFixed(1)}s${seg.speaker ? ` ${seg.speaker}` : ''}: "${seg.text}"`), PROMPT_TOKEN_BUDGET / 2) : 'No segments available'}
+
+SIGNAL MEASUREMENTS (measured from the audio itself; they hold even when the transcript is empty, e.g. music without vocals):
+${describeAudioSignal(signal)}
 
 Classify the audio content and provide analysis in this JSON format:
 {
@@ -1315,37 +1333,18 @@ Focus on content classification for video analysis, not identification of specif
       ],
       max_tokens: 1000
     });
-    return response.choices[0].message.content;
   });
 
-  // Parse the separation analysis
-  let separatedAudio = null;
-  try {
-    separatedAudio = JSON.parse(separationAnalysis);
-    logWithTimestamp('✅ Audio analysis successful', {
-      audioType: separatedAudio.audioType,
-      confidence: separatedAudio.confidence,
-      hasDialogue: !separatedAudio.dialogue?.isEmpty,
-      hasMusic: separatedAudio.musicContent?.hasMusic,
-      contextPriority: separatedAudio.contextPriority,
-      videoContext: separatedAudio.videoContext
-    });
-  } catch (parseError) {
-    logWithTimestamp('⚠️ Failed to parse audio analysis, using fallback');
-    separatedAudio = {
-      audioType: 'mixed',
-      confidence: 0.5,
-      dialogue: { 
-        content: transcription.text, 
-        primaryContext: 'Audio analysis failed - full transcript available',
-        isEmpty: false
-      },
-      musicContent: { hasMusic: false, content: '', mood: 'Unknown', isEmpty: true },
-      soundDesign: { audioQuality: 'Unknown', estimatedType: 'Unknown' },
-      contextPriority: 'dialogue',
-      videoContext: 'Full transcript: ' + transcription.text
-    };
-  }
+  const separatedAudio = reconcileAudioType(separationAnalysis.data, signal);
+  logWithTimestamp('✅ Audio analysis successful', {
+    audioType: separatedAudio.audioType,
+    confidence: separatedAudio.confidence,
+    hasDialogue: !separatedAudio.dialogue.isEmpty,
+    hasMusic: separatedAudio.musicContent.hasMusic,
+    contextPriority: separatedAudio.contextPriority,
+    videoContext: separatedAudio.videoContext,
+    fallbackFields: separationAnalysis.fallbackFields
+  });
 
   // Generate comprehensive audio analysis
   const analysis = `AUDIO CONTEXT ANALYSIS:
@@ -1364,7 +1363,10 @@ Music Role: ${separatedAudio.musicContent?.role || 'Unknown'}
 AUDIO QUALITY: ${separatedAudio.soundDesign?.audioQuality || 'Unknown'}
 Content Type: ${separatedAudio.soundDesign?.estimatedType || 'Unknown'}
 
-VIDEO CONTEXT: ${separatedAudio.videoContext || 'Audio provides context through transcript'}`;
+VIDEO CONTEXT: ${separatedAudio.videoContext || 'Audio provides context through transcript'}
+
+SIGNAL:
+${describeAudioSignal(signal)}`;
 
     const analysisDuration = Date.now() - analysisStartTime;
     const totalDuration = Date.now() - startTime;
@@ -1379,7 +1381,9 @@ VIDEO CONTEXT: ${separatedAudio.videoContext || 'Audio provides context through
   return {
     transcription,
     separatedAudio,
-    analysis
+    analysis,
+    signal,
+    fallbackFields: prefixFallbackFields('separatedAudio', separationAnalysis.fallbackFields)
   };
   } catch (error) {
     const duration = Date.now() - startTime;
@@ -1405,45 +1409,133 @@ VIDEO CONTEXT: ${separatedAudio.videoContext || 'Audio provides context through
         contextPriority: 'unknown',
         videoContext: 'Audio analysis failed - visual analysis only'
       },
-      analysis: `AUDIO ANALYSIS: Failed to process audio content. Video analysis will continue with visual elements only.`
+      analysis: `AUDIO ANALYSIS: Failed to process audio content. Video analysis will continue with visual elements only.`,
+      signal,
+      fallbackFields: [FALLBACK_ALL]
     };
   }
 }
 
-async function generateComprehensiveAnalysis(frameAnalyses, audioAnalysis, fps = 2, analysisMode = 'standard') {
+// Label who speaks when: a diarizing transcription's speaker turns are aligned to the
+// transcript's word timestamps. Without them the transcript is kept as one voice.
+// Local (whisper-cpp) transcripts aren't sent for diarization unless configured to.
+async function diarizeTranscription(audioPath, transcription) {
+  if (!isDiarizationEnabled(transcription) || !transcription.words?.length) {
+    return transcription;
+  }
+
+  try {
+    const diarized = await handleRateLimit(async () => {
+      return await getModelProvider('diarization').transcribe({
+        file: fs.createReadStream(audioPath),
+        response_format: 'diarized_json',
+        chunking_strategy: 'auto'
+      });
+    }, MAX_RETRIES, 'diarization');
+
+    const labelled = assignSpeakers(transcription, diarized.segments || []);
+    logWithTimestamp('🗣️ Speakers labelled', {
+      speakers: labelled.speakers,
+      turnCount: labelled.speakerTurns.length
+    });
+    return labelled;
+  } catch (error) {
+    throwIfCancelled();
+    logWithTimestamp('⚠️ Speaker diarization failed, transcript has no speaker labels', { error: error.message });
+    return transcription;
+  }
+}
+
+// Loudness, silent gaps, speech/music share and tempo measured from the audio itself.
+// Without them the audio is described from the transcript alone.
+async function measureAudioSignal(audioPath) {
+  if (!isAudioSignalAnalysisEnabled()) {
+    return null;
+  }
+
+  try {
+    return await analyzeAudioSignal(audioPath);
+  } catch (error) {
+    throwIfCancelled();
+    logWithTimestamp('⚠️ Audio signal analysis failed, continuing without it', { error: error.message });
+    return null;
+  }
+}
+
+function describeAudioSignal(signal) {
+  if (!signal) return 'Not measured';
+
+  const percent = ratio => `${Math.round(ratio * 100)}%`;
+  const { speechRatio, musicRatio, silenceRatio } = signal.content;
+  return [
+    `Content: speech ${percent(speechRatio)}, music ${percent(musicRatio)}, silence ${percent(silenceRatio)} of ${signal.duration}s`,
+    signal.loudness ? `Loudness: ${signal.loudness.integratedLufs} LUFS integrated, ${signal.loudness.loudnessRangeLu} LU range, ${signal.loudness.truePeakDbtp} dBTP peak` : null,
+    signal.silences.length > 0
+      ? `Silent gaps: ${sampleLines(signal.silences.map(silence => `${silence.start}s-${silence.end}s`), 200, ', ')}`
+      : 'Silent gaps: none',
+    signal.tempo ? `Tempo: ${signal.tempo.bpm} BPM (beat confidence ${signal.tempo.confidence})` : 'Tempo: no steady beat'
+  ].filter(Boolean).join('\n');
+}
+
+// Without words the model tends to call music-only audio silent; the signal tells otherwise
+function reconcileAudioType(separatedAudio, signal) {
+  if (!signal || separatedAudio.audioType !== 'silent' || signal.content.silenceRatio >= 0.5) {
+    return separatedAudio;
+  }
+
+  const { speechRatio, musicRatio } = signal.content;
+  const audioType = speechRatio > 0.2 && musicRatio > 0.2 ? 'mixed' : musicRatio >= speechRatio ? 'music' : 'dialogue';
+  logWithTimestamp('🔊 Audio type corrected from the signal', { modelAudioType: 'silent', audioType, speechRatio, musicRatio });
+  return {
+    ...separatedAudio,
+    audioType,
+    musicContent: { ...separatedAudio.musicContent, hasMusic: separatedAudio.musicContent.hasMusic || musicRatio > 0.2 }
+  };
+}
+
+async function generateComprehensiveAnalysis(frameAnalyses, audioAnalysis, fps = 2, analysisMode = 'standard', shots = null) {
   const startTime = Date.now();
   logWithTimestamp('🚀 Starting multi-step comprehensive analysis');
 
   try {
     // Step 1: Generate detailed scene analysis first
     logWithTimestamp('📋 Step 1: Generating detailed scene analysis');
-    const scenes = await generateSceneAnalysis(frameAnalyses, audioAnalysis, fps);
+    const scenes = await generateSceneAnalysis(frameAnalyses, audioAnalysis, fps, shots);
+
+    // Long videos: chunk and chapter summaries stand in for every frame and the full transcript
+    const longForm = isLongForm(frameAnalyses.length / fps)
+      ? await generateLongFormSummary(frameAnalyses, audioAnalysis, scenes, fps)
+      : null;
     
     // Step 2: Extract video hooks
     logWithTimestamp('🎣 Step 2: Extracting video hooks');
-    const hooks = await extractVideoHooks(frameAnalyses, audioAnalysis);
+    const hookFallbacks = [];
+    const hooks = await extractVideoHooks(frameAnalyses, audioAnalysis, hookFallbacks);
     
     // Step 3: Categorize video
     logWithTimestamp('📂 Step 3: Categorizing video');
-    const videoCategory = await categorizeVideo(frameAnalyses, audioAnalysis, scenes);
+    const videoCategory = await categorizeVideo(frameAnalyses, audioAnalysis, scenes, longForm);
     
     // Step 4: Analyze video context
     logWithTimestamp('🧠 Step 4: Analyzing video context');
-    const contextualAnalysis = await analyzeVideoContext(frameAnalyses, audioAnalysis, scenes);
+    const contextualAnalysis = await analyzeVideoContext(frameAnalyses, audioAnalysis, scenes, longForm);
     
     // Step 5: Generate strategic overview
     logWithTimestamp('📊 Step 5: Generating strategic overview');
-    const strategicOverview = await generateStrategicOverview(scenes, audioAnalysis, contextualAnalysis, videoCategory);
+    const strategicOverviewFallbacks = [];
+    const strategicOverview = await generateStrategicOverview(scenes, audioAnalysis, contextualAnalysis, videoCategory, strategicOverviewFallbacks, longForm);
     
     // Step 6: Generate content structure
     logWithTimestamp('🏗️ Step 6: Generating content structure');
-    const contentStructure = await generateContentStructure(frameAnalyses, audioAnalysis, scenes, fps);
+    const contentStructureFallbacks = [];
+    const contentStructure = await generateContentStructure(frameAnalyses, audioAnalysis, scenes, fps, contentStructureFallbacks, longForm);
 
     // Combine all analysis results
     const videoLength = (frameAnalyses.length / fps).toFixed(1);
     const result = {
       videoCategory,
       scenes,
+      chapters: longForm?.chapters || null,
       hooks,
       contextualAnalysis,
       strategicOverview,
@@ -1453,7 +1545,13 @@ async function generateComprehensiveAnalysis(frameAnalyses, audioAnalysis, fps =
         frameRate: fps,
         analysisMode: analysisMode,
         analysisTimestamp: new Date().toISOString(),
-        totalDuration: videoLength + 's'
+        totalDuration: videoLength + 's',
+        longForm: describeLongForm(longForm),
+        fallbackFields: collectFallbackFields({ videoCategory, contextualAnalysis, scenes, chapters: longForm?.chapters }, {
+          hooks: hookFallbacks,
+          strategicOverview: strategicOverviewFallbacks,
+          contentStructure: contentStructureFallbacks
+        })
       }
     };
     
@@ -1488,13 +1586,66 @@ async function generateComprehensiveAnalysis(frameAnalyses, audioAnalysis, fps =
         frameRate: fps,
         analysisMode: analysisMode,
         analysisTimestamp: new Date().toISOString(),
+        fallbackFields: [FALLBACK_ALL],
       error: error.message
       }
     };
   }
 }
 
-async function generateStrategicOverview(scenes, audioAnalysis, contextualAnalysis, videoCategory) {
+// Run a stage that reports its defaults through a fallbackFields collector, returning both
+// so they are checkpointed together
+async function withFallbackFields(fn) {
+  const fallbackFields = [];
+  const value = await fn(fallbackFields);
+  return { value, fallbackFields };
+}
+
+// Paths of every defaulted value in a comprehensive result, e.g. 'scenes[2].lighting.mood'.
+// Object parts carry their own fallbackFields; hooks and the Markdown parts report theirs
+// through collectors.
+function collectFallbackFields({ videoCategory, contextualAnalysis, scenes = [], chapters = [] }, stageFallbacks = {}) {
+  return [
+    ...prefixFallbackFields('videoCategory', videoCategory?.fallbackFields),
+    ...prefixFallbackFields('contextualAnalysis', contextualAnalysis?.fallbackFields),
+    ...scenes.flatMap((scene, i) => prefixFallbackFields(`scenes[${i}]`, scene.fallbackFields)),
+    ...chapters.flatMap((chapter, i) => [
+      ...prefixFallbackFields(`chapters[${i}]`, chapter.fallbackFields),
+      ...chapter.chunks.flatMap((chunk, j) => prefixFallbackFields(`chapters[${i}].chunks[${j}]`, chunk.fallbackFields))
+    ]),
+    ...(stageFallbacks.hooks || []),
+    ...prefixFallbackFields('strategicOverview', stageFallbacks.strategicOverview),
+    ...prefixFallbackFields('contentStructure', stageFallbacks.contentStructure),
+    ...prefixFallbackFields('standardizedAnalysis', stageFallbacks.standardizedAnalysis)
+  ];
+}
+
+// Transcript for a whole-video prompt, within a quarter of the prompt budget
+function transcriptForPrompt(audioAnalysis, fallback = 'No audio transcript available') {
+  return truncateToTokens(audioAnalysis?.transcription?.text || fallback, PROMPT_TOKEN_BUDGET / 4);
+}
+
+// Chapter block for the whole-video prompts of long-form videos (empty for short videos)
+function chapterDigestForPrompt(longForm) {
+  if (!longForm) return '';
+  return `
+CHAPTERS (the whole video, summarized part by part; the transcript and frame lists above may be cut short):
+${renderChapterDigest(longForm, PROMPT_TOKEN_BUDGET / 2)}
+`;
+}
+
+// Chunking settings and counts reported in videoMetadata
+function describeLongForm(longForm) {
+  if (!longForm) return null;
+  return {
+    chunkSeconds: longForm.chunkSeconds,
+    chunkCount: longForm.chapters.reduce((count, chapter) => count + chapter.chunks.length, 0),
+    chapterCount: longForm.chapters.length
+  };
+}
+
+// Markdown output; a failure is reported by pushing FALLBACK_ALL onto fallbackFields
+async function generateStrategicOverview(scenes, audioAnalysis, contextualAnalysis, videoCategory, fallbackFields = [], longForm = null) {
   const startTime = Date.now();
   logWithTimestamp('📊 Starting strategic overview generation');
 
@@ -1511,7 +1662,7 @@ async function generateStrategicOverview(scenes, audioAnalysis, contextualAnalys
     }));
 
     const audioData = {
-      transcript: audioAnalysis.transcription?.text || 'No dialogue available',
+      transcript: transcriptForPrompt(audioAnalysis, 'No dialogue available'),
       musicAnalysis: audioAnalysis.musicAnalysis || { genre: 'Unknown', energy: 'Unknown' },
       audioHierarchy: audioAnalysis.audioHierarchy || { dialogue: [], musicLyrics: [], soundDesign: [] }
     };
@@ -1519,7 +1670,7 @@ async function generateStrategicOverview(scenes, audioAnalysis, contextualAnalys
     const strategicPrompt = `You are a professional content strategist analyzing this video to identify viral content patterns and provide replication frameworks.
 
 SCENE-BY-SCENE DATA:
-${sceneData.map((scene, i) => `
+${sampleLines(sceneData.map((scene, i) => `
 Scene ${i + 1}: ${scene.title} (${scene.duration})
 - Description: ${scene.description}
 - Mood: ${scene.mood?.emotional} / ${scene.mood?.atmosphere}
@@ -1527,8 +1678,8 @@ Scene ${i + 1}: ${scene.title} (${scene.duration})
 - Execution: ${scene.contextualMeaning?.execution || 'Not specified'}
 - Impact: ${scene.contextualMeaning?.impact || 'Not specified'}
 - Text Content: ${scene.dialogue?.textContent || 'None'}
-`).join('')}
-
+`), PROMPT_TOKEN_BUDGET / 4, '')}
+${chapterDigestForPrompt(longForm)}
 AUDIO CONTEXT:
 - Transcript: ${audioData.transcript}
 - Music Genre: ${audioData.musicAnalysis.genre}
@@ -1589,8 +1740,7 @@ Brief summary of the video's content and primary purpose.
 Focus on WHY techniques work, not just WHAT is happening. Explain the systematic patterns that make content effective and provide actionable replication strategies.`;
 
     const response = await handleRateLimit(async () => {
-      return await getOpenAIClient().chat.completions.create({
-        model: "gpt-4o",
+      return await getModelProvider('strategicOverview').chat({
         messages: [
           {
             role: "system", 
@@ -1624,6 +1774,7 @@ Focus on WHY techniques work, not just WHAT is happening. Explain the systematic
     });
     
     // Return a fallback overview based on available data
+    fallbackFields.push(FALLBACK_ALL);
     return `## Video Analysis Overview
 
 **Content Type:** ${videoCategory.category}
@@ -1642,40 +1793,225 @@ ${scenes.map((scene, i) => `- Scene ${i + 1}: ${scene.contextualMeaning?.intent
   }
 }
 
-async function analyzeVideo(videoPath, userId = null, creditsToDeduct = null, requestId = 'unknown', analysisMode = 'standard') {
+// Serves a cached analysis of the same file and settings when one exists (unless
+// options.forceReanalyze is set), otherwise runs the pipeline inside the request's
+// workspace. The workspace is removed afterwards unless the caller created it.
+async function analyzeVideo(videoPath, userId = null, creditsToDeduct = null, requestId = 'unknown', analysisMode = 'standard', options = {}) {
+  // Supplied subtitles replace transcription for this video
+  const transcriber = getTranscriptionProvider({ subtitles: options.subtitles });
+
+  let cacheKey = null;
+  try {
+    const modelConfig = { ...describeModelConfig(), transcription: transcriber.description };
+    cacheKey = await computeAnalysisCacheKey(videoPath, analysisMode, modelConfig, getFrameProfile(analysisMode));
+  } catch (error) {
+    logWithTimestamp('⚠️ Could not compute analysis cache key', { error: error.message });
+  }
+
+  if (cacheKey && !options.forceReanalyze) {
+    const cached = await findCachedAnalysis(cacheKey);
+    if (cached) {
+      return serveCachedAnalysis(cached, { videoPath, userId, requestId, analysisMode, cacheKey });
+    }
+  }
+
+  // Every model call made during the analysis is billed to this tracker and queued
+  // under this request, so the scheduler can share the provider limits between jobs
+  const costTracker = createCostTracker();
+  return costTracker.track(() => runAsSchedulerJob(requestId, () => withWorkspace(requestId, (workspace) =>
+    analyzeVideoInWorkspace(workspace, videoPath, userId, creditsToDeduct, requestId, analysisMode, cacheKey, costTracker, transcriber)
+  )));
+}
+
+async function serveCachedAnalysis(cached, { videoPath, userId, requestId, analysisMode, cacheKey }) {
+  logWithTimestamp('♻️ Serving cached analysis', {
+    requestId,
+    sourceAnalysisId: cached.analysisId,
+    cachedAt: cached.createdAt,
+    creditsCharged: CACHE_HIT_CREDITS
+  });
+
+  // No model calls are made for a cache hit
+  const modelCost = createCostTracker().summary();
+  const result = {
+    ...cached.analysis,
+    videoMetadata: {
+      ...cached.analysis.videoMetadata,
+      modelCost,
+      cache: {
+        hit: true,
+        cacheKey,
+        sourceAnalysisId: cached.analysisId,
+        cachedAt: cached.createdAt
+      }
+    }
+  };
+
+  beginFinishing();
+  await saveAnalysisResult(result, { userId, videoPath, creditsToDeduct: CACHE_HIT_CREDITS, requestId, analysisMode, modelCost });
+  await updateProgress(requestId, 'complete', 100, 'Analysis complete! (served from cache)', {
+    sceneCount: result.scenes?.length || 0,
+    duration: result.totalDuration,
+    cached: true
+  });
+
+  return result;
+}
+
+// Save analysis to database, tag it for the cache and deduct credits if applicable
+async function saveAnalysisResult(result, { userId, videoPath, creditsToDeduct, requestId, analysisMode, modelCost = null, cacheKey = null }) {
+  if (!userId || !isSupabaseAvailable()) return;
+
+  try {
+    // Fallback compute credits if none provided
+    if (creditsToDeduct == null) {
+      const seconds = parseFloat((result.totalDuration || '0').replace(/[^0-9.]/g, '')) || 0;
+      creditsToDeduct = Math.max(1, Math.ceil(seconds / 15));
+    }
+    
+    // Save structured analysis to database using the new helper function
+    const analysisResult = await supabase.rpc('insert_structured_analysis', {
+      p_user_id: userId,
+      p_video_url: videoPath.includes('/tmp/') ? 'uploaded_video' : videoPath,
+      p_credits_used: creditsToDeduct,
+      p_content_analysis: {
+        strategicOverview: result.strategicOverview,
+        contextualAnalysis: result.contextualAnalysis,
+        contentStructure: result.contentStructure,
+        videoCategory: result.videoCategory,
+        standardizedAnalysis: result.standardizedAnalysis
+      },
+      p_scene_analysis: result.scenes || [],
+      p_hook_analysis: result.hooks || [],
+      p_transcript_data: result.transcript || { text: 'No transcript available', segments: [] },
+      p_video_metadata: {
+        ...result.videoMetadata,
+        totalDuration: result.totalDuration,
+        hook: result.hook
+      },
+      p_legacy_analysis_data: result, // Keep full result for backward compatibility
+      p_request_id: requestId // Fills in the background job row when one exists
+    });
+    
+    if (analysisResult.error) {
+      logWithTimestamp('⚠️ Failed to save analysis to database', { error: analysisResult.error.message });
+    } else {
+      logWithTimestamp('💾 Analysis saved to database', { analysisId: analysisResult.data });
+      await storeAnalysisCacheKey(analysisResult.data, cacheKey);
+      await storeAnalysisCost(analysisResult.data, analysisMode, modelCost);
+    }
+    
+    if (creditsToDeduct > 0) {
+      await updateUserCredits(userId, creditsToDeduct);
+      logWithTimestamp('💳 Credits deducted', { userId, creditsToDeduct });
+    }
+  } catch (credErr) {
+    console.error('Failed to deduct credits', credErr);
+  }
+}
+
+async function analyzeVideoInWorkspace(workspace, videoPath, userId, creditsToDeduct, requestId, analysisMode, cacheKey = null, costTracker = createCostTracker(), transcriber = getTranscriptionProvider()) {
   const startTime = Date.now();
-  logWithTimestamp('🎬 Starting complete video analysis', { videoPath, analysisMode });
+  logWithTimestamp('🎬 Starting complete video analysis', { videoPath, analysisMode, models: describeModelConfig() });
 
   try {
     // Initialize progress immediately
     await updateProgress(requestId, 'initializing', 1, 'Starting video analysis...');
     
+    // Phases finished by an earlier run of this request are loaded instead of re-run
+    const checkpoints = await createCheckpointer(requestId);
+    // Usage of phases that are skipped on resume was recorded by the earlier run
+    costTracker.resume(checkpoints.get('modelCost'));
+    const saveCostCheckpoint = () => checkpoints.save('modelCost', costTracker.summary());
+    const needFrames = !(checkpoints.has('frameAnalyses') && checkpoints.has('frames'));
+    const needAudio = !checkpoints.has('audioAnalysis');
+
     // Extract frames and audio
-    logWithTimestamp('🔄 Phase 1: Extracting frames and audio');
+    logWithTimestamp('🔄 Phase 1: Extracting frames and audio', { needFrames, needAudio });
     await updateProgress(requestId, 'extraction', 5, 'Downloading and extracting frames from video...');
-    const framesPromise = extractFrames(videoPath, analysisMode);
-    const audioPromise = extractAudio(videoPath);
+    // Cut detection runs alongside extraction; scenes fall back to frame descriptions without it
+    // (a frames checkpoint keeps the cuts but not the per-frame scores adaptive sampling needs)
+    const shotsPromise = !needFrames && checkpoints.has('frames')
+      ? Promise.resolve(checkpoints.get('frames').shotData)
+      : detectShots(videoPath).catch(error => {
+        logWithTimestamp('⚠️ Shot detection failed, using description-based scene boundaries', { error: error.message });
+        return null;
+      });
+    // Adaptive sampling picks frames from the detected cuts, so it waits for them
+    const framesPromise = !needFrames
+      ? Promise.resolve(null)
+      : analysisMode === 'adaptive'
+        ? shotsPromise.then(shotData => extractFrames(videoPath, workspace, analysisMode, shotData))
+        : extractFrames(videoPath, workspace, analysisMode);
+    const audioPromise = needAudio ? extractAudio(videoPath, workspace) : Promise.resolve(null);
     
-    const [frameData, audioPath] = await Promise.all([framesPromise, audioPromise]);
-    const { frames, fps } = frameData;
+    const [extractedFrames, audioPath, shotData] = await Promise.all([framesPromise, audioPromise, shotsPromise]);
+    const frames = extractedFrames?.frames || [];
+
+    // Crop, resize and recompress the frames to the analysis mode's profile before any vision call
+    const framePreprocessing = extractedFrames ? await preprocessFrames(frames, analysisMode) : null;
+    // Extraction steps fall back on errors, so a killed ffmpeg only shows up here
+    throwIfCancelled();
+
+    // Frame metadata survives restarts; per-frame scores are only needed for sampling
+    const frameInfo = extractedFrames
+      ? await checkpoints.save('frames', {
+        frameCount: frames.length,
+        fps: extractedFrames.fps,
+        timestamps: extractedFrames.timestamps,
+        shotData: shotData ? { duration: shotData.duration, cuts: shotData.cuts, shots: shotData.shots } : null,
+        framePreprocessing
+      })
+      : checkpoints.get('frames');
+    const { frameCount, fps, timestamps } = frameInfo;
+    const imageDetail = frameInfo.framePreprocessing?.detail || 'auto';
+    const shots = shotData?.shots || null;
     
     const extractionDuration = Date.now() - startTime;
     logWithTimestamp('✅ Phase 1 complete: Extraction finished', { 
-      frameCount: frames.length,
+      frameCount,
       audioPath,
       duration: `${extractionDuration}ms`
     });
 
     // Analyze frames in smart batches for efficiency
     logWithTimestamp('🔄 Phase 2: Analyzing frames in batches');
-    await updateProgress(requestId, 'frame_analysis', 10, `Starting frame analysis for ${frames.length} frames...`, { frameCount: frames.length });
+    await updateProgress(requestId, 'frame_analysis', 10, `Starting frame analysis for ${frameCount} frames...`, { frameCount });
     const frameAnalysisStartTime = Date.now();
     
-    const frameAnalyses = await analyzeFramesInBatches(frames, requestId);
+    const { frameAnalyses, deduplication } = await checkpoints.run('frameAnalyses', async () => {
+      // Collapse runs of near-identical frames so only representatives go to the vision model
+      const dedupe = await findNearDuplicateFrames(frames, { detail: imageDetail });
+      const analyses = await analyzeFramesInBatches(frames, requestId, dedupe, imageDetail, timestamps);
+
+      // Stamp each analysis with the real time of its frame (adaptive samples aren't evenly spaced)
+      analyses.forEach((frameAnalysis, i) => {
+        const time = timestamps[frameAnalysis.frameIndex ?? i];
+        if (time === undefined) return;
+        frameAnalysis.time = time;
+        frameAnalysis.timestamp = `${time.toFixed(1)}s`;
+      });
+
+      return {
+        frameAnalyses: analyses,
+        deduplication: {
+          analyzedFrames: frames.length - dedupe.skippedFrames,
+          skippedFrames: dedupe.skippedFrames,
+          estimatedTokensSaved: dedupe.estimatedTokensSaved
+        }
+      };
+    });
+
+    await saveCostCheckpoint();
+    const frameCoverage = summarizeFrameCoverage(frameAnalyses);
+    const refusalMitigation = summarizeRefusalMitigation(frameAnalyses);
 
     const frameAnalysisDuration = Date.now() - frameAnalysisStartTime;
     logWithTimestamp('✅ Phase 2 complete: Frame analysis finished', { 
       frameCount: frameAnalyses.length,
+      coverage: frameCoverage.coverage,
+      failedTimestamps: frameCoverage.failedTimestamps,
+      mitigatedFrames: refusalMitigation.mitigatedFrames,
       duration: `${frameAnalysisDuration}ms`,
       avgTimePerFrame: `${(frameAnalysisDuration / frameAnalyses.length).toFixed(0)}ms`
     });
@@ -1684,7 +2020,14 @@ async function analyzeVideo(videoPath, userId = null, creditsToDeduct = null, re
     logWithTimestamp('🔄 Phase 3: Analyzing audio');
     await updateProgress(requestId, 'audio_analysis', 75, 'Analyzing audio and generating transcript...');
     const audioAnalysisStartTime = Date.now();
-  const audioAnalysis = await analyzeAudio(audioPath);
+    const audioAnalysis = await checkpoints.run('audioAnalysis', () => analyzeAudio(audioPath, transcriber));
+    await saveCostCheckpoint();
+    // Word timings stay out of the live view; they come with the final result
+    const { words: _words, ...liveTranscript } = audioAnalysis.transcription || { text: 'No transcript available', segments: [] };
+    await publishPartial(requestId, 'transcript', liveTranscript);
+    if (audioAnalysis.signal) {
+      await publishPartial(requestId, 'audioSignal', audioAnalysis.signal);
+    }
     const audioAnalysisDuration = Date.now() - audioAnalysisStartTime;
     
     logWithTimestamp('✅ Phase 3 complete: Audio analysis finished', { 
@@ -1704,11 +2047,13 @@ async function analyzeVideo(videoPath, userId = null, creditsToDeduct = null, re
       }
     });
     
-    try {
-  fs.unlinkSync(audioPath);
-      logWithTimestamp('🗑️ Deleted audio file', { audioPath });
-    } catch (error) {
-      logWithTimestamp('⚠️ Failed to delete audio file', { audioPath, error: error.message });
+    if (audioPath) {
+      try {
+        fs.unlinkSync(audioPath);
+        logWithTimestamp('🗑️ Deleted audio file', { audioPath });
+      } catch (error) {
+        logWithTimestamp('⚠️ Failed to delete audio file', { audioPath, error: error.message });
+      }
     }
 
     const cleanupDuration = Date.now() - cleanupStartTime;
@@ -1721,7 +2066,9 @@ async function analyzeVideo(videoPath, userId = null, creditsToDeduct = null, re
     await updateProgress(requestId, 'comprehensive_analysis', 85, 'Generating batched comprehensive analysis...');
     const comprehensiveAnalysisStartTime = Date.now();
     
-    const comprehensiveResult = await generateBatchedComprehensiveAnalysis(frameAnalyses, audioAnalysis, fps, analysisMode);
+    const comprehensiveResult = await generateBatchedComprehensiveAnalysis(frameAnalyses, audioAnalysis, fps, analysisMode, shots, checkpoints,
+      (section, data, options) => publishPartial(requestId, section, data, options));
+    const modelCost = await saveCostCheckpoint();
     
     const comprehensiveAnalysisDuration = Date.now() - comprehensiveAnalysisStartTime;
     const finalTotalDuration = Date.now() - startTime;
@@ -1739,24 +2086,46 @@ async function analyzeVideo(videoPath, userId = null, creditsToDeduct = null, re
       
       // Keep original data for backwards compatibility and detailed analysis
       contentStructure: comprehensiveResult.contentStructure,
-      hook: extractHook(frameAnalyses[0]),
-      totalDuration: `${(frames.length / fps).toFixed(1)}s`, // frames.length / fps = actual seconds
+      hook: extractHook(frameAnalyses.find(isAnalyzedFrame)),
+      totalDuration: `${(frameCount / fps).toFixed(1)}s`, // frameCount / fps = actual seconds
       scenes: comprehensiveResult.scenes,
+      // Chunk and chapter summaries of long-form videos (null for short videos)
+      chapters: comprehensiveResult.chapters || null,
       transcript: audioAnalysis.transcription || { text: 'No transcript available', segments: [] },
+      // Loudness, silent gaps, speech/music share and beat grid measured from the audio (null when not measured)
+      audioSignal: audioAnalysis.signal || null,
       hooks: comprehensiveResult.hooks,
       videoCategory: comprehensiveResult.videoCategory,
       contextualAnalysis: comprehensiveResult.contextualAnalysis,
       strategicOverview: comprehensiveResult.strategicOverview,
       videoMetadata: {
-        totalFrames: frames.length,
+        totalFrames: frameCount,
         frameRate: fps, // frames per second based on analysis mode
+        shotCount: shots?.length ?? null,
+        frameDeduplication: deduplication,
+        framePreprocessing: frameInfo.framePreprocessing || null,
+        frameCoverage,
+        longForm: comprehensiveResult.videoMetadata?.longForm || null,
+        // Frames the vision model refused at first; recovered ones rest on a fallback analysis
+        refusalMitigation,
+        cutTimestamps: shotData ? shotData.cuts.map(cut => Number(cut.time.toFixed(3))) : null,
+        resumedPhases: checkpoints.completedPhases,
+        modelCost,
+        // Result fields holding defaults instead of model output, plus frames analyzed only partly
+        fallbackFields: [
+          ...(comprehensiveResult.videoMetadata?.fallbackFields || []),
+          ...(audioAnalysis.fallbackFields?.includes(FALLBACK_ALL) ? ['transcript'] : [])
+        ],
+        fallbackFrames: frameAnalyses.filter(frame => frame.fallbackFields?.length > 0).map(frame => frame.frameIndex),
+        cache: { hit: false, cacheKey },
         analysisTimestamp: new Date().toISOString()
       }
     };
 
     logWithTimestamp('🎉 Video analysis complete! (Ultra-optimized with 85% fewer API requests)', { 
       totalDuration: `${finalTotalDuration}ms`,
-      frameCount: frames.length,
+      frameCount,
+      modelCost: `$${modelCost.totalCost.toFixed(4)}`,
       sceneCount: comprehensiveResult.scenes?.length || 0,
       batchedApproach: 'Scene batching + parallel processing + combined analysis',
       estimatedSpeedup: '70-80% faster than sequential',
@@ -1769,66 +2138,23 @@ async function analyzeVideo(videoPath, userId = null, creditsToDeduct = null, re
       }
     });
 
-    // Save analysis to database and deduct credits if applicable
-    if (userId && isSupabaseAvailable()) {
-      try {
-        // Fallback compute credits if none provided
-        if (!creditsToDeduct) {
-          const seconds = parseFloat((result.totalDuration || '0').replace(/[^0-9.]/g, '')) || 0;
-          creditsToDeduct = Math.max(1, Math.ceil(seconds / 15));
-        }
-        
-        // Save structured analysis to database using the new helper function
-        const analysisResult = await supabase.rpc('insert_structured_analysis', {
-          p_user_id: userId,
-          p_video_url: videoPath.includes('/tmp/') ? 'uploaded_video' : videoPath,
-          p_credits_used: creditsToDeduct,
-          p_content_analysis: {
-            strategicOverview: result.strategicOverview,
-            contextualAnalysis: result.contextualAnalysis,
-            contentStructure: result.contentStructure,
-            videoCategory: result.videoCategory,
-            standardizedAnalysis: result.standardizedAnalysis
-          },
-          p_scene_analysis: result.scenes || [],
-          p_hook_analysis: result.hooks || [],
-          p_transcript_data: result.transcript || { text: 'No transcript available', segments: [] },
-          p_video_metadata: {
-            ...result.videoMetadata,
-            totalDuration: result.totalDuration,
-            hook: result.hook
-          },
-          p_legacy_analysis_data: result // Keep full result for backward compatibility
-        });
-        
-        if (analysisResult.error) {
-          logWithTimestamp('⚠️ Failed to save analysis to database', { error: analysisResult.error.message });
-        } else {
-          logWithTimestamp('💾 Analysis saved to database', { analysisId: analysisResult.data });
-        }
-        
-        await updateUserCredits(userId, creditsToDeduct);
-        logWithTimestamp('💳 Credits deducted', { userId, creditsToDeduct });
-      } catch (credErr) {
-        console.error('Failed to deduct credits', credErr);
-      }
-    }
+    // Save analysis to database and deduct credits if applicable. Once saved, the job row
+    // is marked succeeded, so the checkpoints are no longer needed for a resume.
+    // From here on the analysis can no longer be cancelled.
+    beginFinishing();
+    await saveAnalysisResult(result, { userId, videoPath, creditsToDeduct, requestId, analysisMode, modelCost, cacheKey });
+    await checkpoints.clear();
 
     await updateProgress(requestId, 'complete', 100, 'Analysis complete!', {
       sceneCount: result.scenes?.length || 0,
       duration: result.totalDuration,
       category: result.videoCategory?.category
     });
-    
-    // Clean up progress state for this request
-    setTimeout(() => {
-      progressState.delete(requestId);
-    }, 60000); // Clean up after 1 minute
 
     return result;
   } catch (error) {
     const duration = Date.now() - startTime;
-    logWithTimestamp('❌ Video analysis failed', { 
+    logWithTimestamp(getCancellation() ? '🛑 Video analysis cancelled' : '❌ Video analysis failed', { 
       error: error.message,
       stack: error.stack,
       duration: `${duration}ms`,
@@ -1905,7 +2231,7 @@ function parseMusicAnalysis(analysis) {
   return result;
 }
 
-async function generateSceneAnalysis(frameAnalyses, audioAnalysis, fps = 2) {
+async function generateSceneAnalysis(frameAnalyses, audioAnalysis, fps = 2, shots = null) {
   const startTime = Date.now();
   logWithTimestamp('🎬 Starting scene detection and comprehensive analysis', { 
     frameCount: frameAnalyses.length 
@@ -1913,7 +2239,7 @@ async function generateSceneAnalysis(frameAnalyses, audioAnalysis, fps = 2) {
 
   try {
     // Step 1: Detect scene boundaries by analyzing continuity between frames
-    const scenes = detectSceneBoundaries(frameAnalyses, fps);
+    const scenes = detectSceneBoundaries(frameAnalyses, fps, shots);
     logWithTimestamp('🔍 Scene boundaries detected', { sceneCount: scenes.length });
 
     // Step 2: Generate comprehensive analysis for each scene with batching to avoid token limits
@@ -1965,7 +2291,105 @@ function logSceneDecision(frameIndex, isNewScene, reasons) {
   console.log(`[${timestamp}] 🎬 Frame ${frameIndex}: ${decision} (${reasonsText})`);
 }
 
-function detectSceneBoundaries(frameAnalyses, fps = 2) {
+// Build narrative scenes from detected shots. Cut positions come from the video signal;
+// frame descriptions only decide whether neighbouring shots belong to the same scene.
+// Without shot data the older description-based detection is used.
+function detectSceneBoundaries(frameAnalyses, fps = 2, shots = null) {
+  if (!shots || shots.length === 0 || frameAnalyses.length === 0) {
+    return detectSceneBoundariesFromText(frameAnalyses, fps);
+  }
+
+  logWithTimestamp('🎬 Grouping detected shots into scenes', {
+    totalFrames: frameAnalyses.length,
+    shotCount: shots.length,
+    fps
+  });
+
+  // Assign each sampled frame to the shot its timestamp falls in
+  const shotGroups = shots.map(shot => ({ shot, frames: [], startFrame: null, endFrame: null }));
+  let shotIndex = 0;
+  frameAnalyses.forEach((frame, i) => {
+    const time = frame.time ?? i / fps;
+    while (shotIndex < shotGroups.length - 1 && time >= shotGroups[shotIndex].shot.end) {
+      shotIndex++;
+    }
+    const group = shotGroups[shotIndex];
+    if (group.startFrame === null) group.startFrame = i;
+    group.endFrame = i;
+    group.frames.push(frame);
+  });
+
+  const scenes = [];
+  let currentScene = null;
+  let carriedShots = []; // Shots too short to contain a sampled frame
+
+  const startScene = (group) => {
+    currentScene = {
+      startFrame: group.startFrame,
+      endFrame: group.endFrame,
+      frames: [...group.frames],
+      startTime: (carriedShots[0] || group.shot).start,
+      endTime: group.shot.end,
+      shots: [...carriedShots, group.shot]
+    };
+    carriedShots = [];
+  };
+
+  for (const group of shotGroups) {
+    if (group.frames.length === 0) {
+      if (currentScene) {
+        currentScene.shots.push(group.shot);
+        currentScene.endTime = group.shot.end;
+      } else {
+        carriedShots.push(group.shot);
+      }
+      continue;
+    }
+
+    if (!currentScene) {
+      startScene(group);
+      continue;
+    }
+
+    // Frames that couldn't be analyzed give nothing to compare; the scene continues across the cut
+    const lastFrame = currentScene.frames.filter(isAnalyzedFrame).pop();
+    const nextFrame = group.frames.find(isAnalyzedFrame);
+    const sceneChangeResult = lastFrame && nextFrame
+      ? detectSceneChange(nextFrame, lastFrame)
+      : { hasChange: false, reasons: ['UNANALYZED_FRAMES'] };
+    logSceneDecision(group.startFrame, sceneChangeResult.hasChange, ['CUT', ...sceneChangeResult.reasons]);
+
+    if (sceneChangeResult.hasChange) {
+      scenes.push(currentScene);
+      startScene(group);
+    } else {
+      // Same narrative scene continues across the cut
+      currentScene.frames.push(...group.frames);
+      currentScene.endFrame = group.endFrame;
+      currentScene.endTime = group.shot.end;
+      currentScene.shots.push(group.shot);
+    }
+  }
+
+  if (currentScene) {
+    scenes.push(currentScene);
+  }
+
+  scenes.forEach(scene => {
+    scene.duration = scene.frames.length;
+    scene.cutTimestamps = scene.shots.slice(1).map(shot => shot.start);
+  });
+
+  logWithTimestamp('📊 Shot-based scene detection results', {
+    totalScenes: scenes.length,
+    totalShots: shots.length,
+    sceneBreakdown: scenes.map((s, i) => `Scene ${i+1}: ${s.startTime.toFixed(2)}s-${s.endTime.toFixed(2)}s (${s.shots.length} shots)`).join(', ')
+  });
+
+  return scenes;
+}
+
+function detectSceneBoundariesFromText(frameAnalyses, fps = 2) {
   logWithTimestamp('🎬 Starting enhanced scene boundary detection', {
     totalFrames: frameAnalyses.length,
     expectedDuration: `${(frameAnalyses.length / fps).toFixed(1)}s`,
@@ -1977,15 +2401,21 @@ function detectSceneBoundaries(frameAnalyses, fps = 2) {
     startFrame: 0,
     frames: [frameAnalyses[0]]
   };
+  // Compared against the last frame that was actually analyzed
+  let previousFrame = isAnalyzedFrame(frameAnalyses[0]) ? frameAnalyses[0] : null;
 
   // Enhanced scene detection with lower thresholds
   for (let i = 1; i < frameAnalyses.length; i++) {
     const currentFrame = frameAnalyses[i];
-    const previousFrame = frameAnalyses[i - 1];
     
-    // Enhanced scene boundary detection
-    const sceneChangeResult = detectSceneChange(currentFrame.analysis, previousFrame.analysis);
+    // Enhanced scene boundary detection (frames that couldn't be analyzed stay in the current scene)
+    const sceneChangeResult = isAnalyzedFrame(currentFrame) && previousFrame
+      ? detectSceneChange(currentFrame, previousFrame)
+      : { hasChange: false, changeScore: 0, reasons: ['UNANALYZED_FRAME'] };
     const isNewScene = sceneChangeResult.hasChange;
+    if (isAnalyzedFrame(currentFrame)) {
+      previousFrame = currentFrame;
+    }
     
     // Detailed decision logging
     logSceneDecision(i, isNewScene, sceneChangeResult.reasons);
@@ -2064,43 +2494,53 @@ function detectSceneBoundaries(frameAnalyses, fps = 2) {
   return scenes;
 }
 
-function detectSceneChange(currentAnalysis, previousAnalysis) {
+// A frame's structured field values (FRAME_FIELDS or SINGLE_FRAME_FIELDS), lowercased,
+// for keyword checks; the labels are left out so they can't match a keyword
+function frameText(frame) {
+  const values = frame.fields
+    ? Object.values(frame.fields).filter(value => typeof value === 'string')
+    : [frame.analysis || ''];
+  return values.join('\n').toLowerCase();
+}
+
+// The first of keys the frame's analysis filled in, lowercased; '' when the model left
+// them empty or wrote "None"
+function frameField(frame, ...keys) {
+  for (const key of keys) {
+    const value = typeof frame.fields?.[key] === 'string' ? frame.fields[key].trim().toLowerCase() : '';
+    if (value && value !== 'none' && value !== 'n/a') return value.replace(/[,.]$/, '');
+  }
+  return '';
+}
+
+// Whether a field both frames filled in describes something different in each
+function fieldChanged(currentFrame, previousFrame, ...keys) {
+  const current = frameField(currentFrame, ...keys);
+  const previous = frameField(previousFrame, ...keys);
+  return Boolean(current && previous) && !haveSimilarSubjects(current, previous);
+}
+
+// Compares two analyzed frames: their structured fields (batch: visualDescription,
+// objectsItems, ...; single frame: setting, subjects, ...) and keywords in their text
+function detectSceneChange(currentFrame, previousFrame) {
   // Enhanced scene change detection with scoring system
-  const currentText = currentAnalysis.toLowerCase();
-  const previousText = previousAnalysis.toLowerCase();
+  const currentText = frameText(currentFrame);
+  const previousText = frameText(previousFrame);
   
   let changeScore = 0;
   const reasons = [];
   
   // MAJOR CHANGES (High weight)
   
-  // 1. SETTING / LOCATION changes (Weight: 3) - Updated to match both old and new formats
-  const settingChange = (
-    // New batch analysis format
-    (currentText.includes('literal_description:') && previousText.includes('literal_description:') &&
-     !haveSimilarSubjects(extractValue(currentText, 'literal_description:'), extractValue(previousText, 'literal_description:'))) ||
-    // Old format compatibility
-    (currentText.includes('setting:') && previousText.includes('setting:') &&
-     extractValue(currentText, 'setting:') !== extractValue(previousText, 'setting:')) ||
-    (currentText.includes('location:') && previousText.includes('location:') &&
-     extractValue(currentText, 'location:') !== extractValue(previousText, 'location:'))
-  );
+  // 1. SETTING / LOCATION changes (Weight: 3)
+  const settingChange = fieldChanged(currentFrame, previousFrame, 'setting', 'visualDescription');
   if (settingChange) {
     changeScore += 3;
     reasons.push('SETTING_CHANGE');
   }
   
-  // 2. SUBJECT changes (Weight: 3) - Updated to match both old and new formats
-  const subjectChange = (
-    // New batch analysis format
-    (currentText.includes('objects_items:') && previousText.includes('objects_items:') &&
-     !haveSimilarSubjects(extractValue(currentText, 'objects_items:'), extractValue(previousText, 'objects_items:'))) ||
-    // Old format compatibility
-    (currentText.includes('subjects:') && previousText.includes('subjects:') &&
-     !haveSimilarSubjects(extractValue(currentText, 'subjects:'), extractValue(previousText, 'subjects:'))) ||
-    (currentText.includes('main focus') && previousText.includes('main focus') &&
-     !haveSimilarSubjects(extractValue(currentText, 'main focus'), extractValue(previousText, 'main focus')))
-  );
+  // 2. SUBJECT changes (Weight: 3)
+  const subjectChange = fieldChanged(currentFrame, previousFrame, 'subjects', 'objectsItems');
   if (subjectChange) {
     changeScore += 3;
     reasons.push('SUBJECT_CHANGE');
@@ -2137,8 +2577,8 @@ function detectSceneChange(currentAnalysis, previousAnalysis) {
     (currentText.includes('front view') && !previousText.includes('front view')) ||
     (currentText.includes('side view') && !previousText.includes('side view')) ||
     (currentText.includes('behind') && !previousText.includes('behind')) ||
-    (currentText.includes('perspective') && previousText.includes('perspective') &&
-     extractValue(currentText, 'perspective') !== extractValue(previousText, 'perspective'))
+    // Shot type of single-frame analyses
+    fieldChanged(currentFrame, previousFrame, 'framing')
   );
   if (framingChange) {
     changeScore += 2; // Reduced from 3 to 2 for more sensitive detection
@@ -2147,9 +2587,6 @@ function detectSceneChange(currentAnalysis, previousAnalysis) {
 
   // 4.5. FOCUS changes (Weight: 1) - New detection for focus shifts
   const focusChange = (
-    // Focus subject changes
-    (currentText.includes('focus') && previousText.includes('focus') &&
-     extractValue(currentText, 'focus') !== extractValue(previousText, 'focus')) ||
     // Depth of field changes
     (currentText.includes('background') && previousText.includes('foreground')) ||
     (currentText.includes('foreground') && previousText.includes('background')) ||
@@ -2164,14 +2601,9 @@ function detectSceneChange(currentAnalysis, previousAnalysis) {
 
   // MODERATE CHANGES (Medium weight)
   
-  // 5. ACTION changes (Weight: 2) - Updated to match both old and new formats
+  // 5. ACTION changes (Weight: 2)
   const actionChange = (
-    // New batch analysis format
-    (currentText.includes('body_language:') && previousText.includes('body_language:') &&
-     extractValue(currentText, 'body_language:') !== extractValue(previousText, 'body_language:')) ||
-    // Old format compatibility
-    (currentText.includes('action:') && previousText.includes('action:') &&
-     extractValue(currentText, 'action:') !== extractValue(previousText, 'action:')) ||
+    fieldChanged(currentFrame, previousFrame, 'action', 'bodyLanguage') ||
     // Detect major action transitions
     (currentText.includes('sitting') && previousText.includes('standing')) ||
     (currentText.includes('standing') && previousText.includes('sitting')) ||
@@ -2184,13 +2616,9 @@ function detectSceneChange(currentAnalysis, previousAnalysis) {
   }
   
   // 6. ON-SCREEN TEXT changes (Weight: 2) - ENHANCED: Dialogue-prioritized text detection
-  // Support both old and new formats for dialogue detection
-  const currentDialogue = extractValue(currentText, 'dialogue:') || 
-                          extractValue(currentText, 'overlays_reactions:') ||
-                          extractValue(currentText, 'setup_elements:');
-  const previousDialogue = extractValue(previousText, 'dialogue:') || 
-                           extractValue(previousText, 'overlays_reactions:') ||
-                           extractValue(previousText, 'setup_elements:');
+  // Visible text: DIALOGUE of single-frame analyses, TEXT_OVERLAYS of batch ones
+  const currentDialogue = frameField(currentFrame, 'dialogue', 'textOverlays');
+  const previousDialogue = frameField(previousFrame, 'dialogue', 'textOverlays');
   
   // Helper function to check if text is progressive (one builds on the other)
   const isProgressiveText = (current, previous) => {
@@ -2220,21 +2648,10 @@ function detectSceneChange(currentAnalysis, previousAnalysis) {
       currentDialogue && 
       previousDialogue;
     
-    // Check generic text changes (when no active speech)
-    const currentGenericText = extractValue(currentText, 'text');
-    const previousGenericText = extractValue(previousText, 'text');
-    const isCompletelyNewText = currentGenericText !== previousGenericText && 
-      !isProgressiveText(currentGenericText, previousGenericText) && 
-      currentGenericText && 
-      previousGenericText;
-    
     // Detect text appearance/disappearance (when no active speech)
-    const textAppearanceChange = (
-      (currentText.includes('text') && !previousText.includes('text')) ||
-      (!currentText.includes('text') && previousText.includes('text'))
-    );
+    const textAppearanceChange = Boolean(currentDialogue) !== Boolean(previousDialogue);
     
-    textOverlayChange = isCompletelyNewDialogue || isCompletelyNewText || textAppearanceChange;
+    textOverlayChange = Boolean(isCompletelyNewDialogue) || textAppearanceChange;
   }
   
   // DEBUG: Log text progression decisions
@@ -2340,25 +2757,6 @@ function detectSceneChange(currentAnalysis, previousAnalysis) {
   };
 }
 
-function extractValue(text, key) {
-  // Try multiple formats to extract the value
-  const patterns = [
-    new RegExp(`${key}\\s*([^\\n-]+)`, 'i'), // Standard format: "KEY: value"
-    new RegExp(`${key}\\s*-\\s*([^\\n]+)`, 'i'), // Dash format: "KEY - value"
-    new RegExp(`${key}\\s*:\\s*([^\\n]+)`, 'i'), // Colon format: "KEY : value"
-    new RegExp(`${key}\\s+([^\\n:]+)`, 'i'), // Space format: "KEY value"
-  ];
-  
-  for (const pattern of patterns) {
-    const match = text.match(pattern);
-    if (match && match[1] && match[1].trim() !== '') {
-      return match[1].trim().replace(/[,\.]$/, ''); // Remove trailing punctuation
-    }
-  }
-  
-  return '';
-}
-
 function haveSimilarSubjects(current, previous) {
   if (!current || !previous) return false;
   
@@ -2379,6 +2777,7 @@ async function generateSceneCard(scene, sceneIndex, audioAnalysis) {
 
   // Aggregate frame analyses with enhanced error handling
   const frameData = scene.frames
+    .filter(isAnalyzedFrame)
     .map(f => f?.analysis || '[Frame analysis missing]')
     .join('\n\n');
   
@@ -2414,7 +2813,8 @@ async function generateSceneCard(scene, sceneIndex, audioAnalysis) {
       timeRange: `${startTimeSeconds}s - ${endTimeSeconds}s`,
       title: `[Analysis Unavailable]`,
       description: "[Frame analysis data unavailable - visual details cannot be determined]",
-      error: "Insufficient frame analysis data"
+      error: "Insufficient frame analysis data",
+      fallbackFields: [FALLBACK_ALL]
     };
   }
   
@@ -2422,9 +2822,15 @@ async function generateSceneCard(scene, sceneIndex, audioAnalysis) {
   const audioSegment = getAudioSegmentForScene(scene, audioAnalysis);
   
   // Generate comprehensive scene analysis including contextual meaning
+  const sceneNumber = sceneIndex + 1;
+  const duration = `${(scene.duration / 2).toFixed(1)}s`;
+  const timeRange = `${Math.round(scene.startFrame * 0.5)}s - ${Math.round(scene.endFrame * 0.5)}s`;
+
   const sceneAnalysis = await handleRateLimit(async () => {
-    const response = await getOpenAIClient().chat.completions.create({
-      model: "gpt-4o",
+    return requestStructured(getModelProvider('sceneCard'), {
+      name: 'scene_card',
+      schema: SCENE_CARD_SCHEMA,
+      defaults: { title: `Scene ${sceneNumber}` },
       messages: [
         {
           role: "user",
@@ -2438,6 +2844,8 @@ ${frameData}
 🎵 AUDIO CONTEXT:
 - Audio Type: ${audioSegment.audioType}
 - Transcription: ${audioSegment.transcription}
+- Speakers: ${audioSegment.speakers?.length ? audioSegment.speakers.join(', ') : 'Not identified'}
+- Signal: ${describeSceneSignal(audioSegment.signal)}
 - Analysis: ${audioSegment.contextualAnalysis}
 
 ANALYSIS GUIDELINES:
@@ -2450,9 +2858,6 @@ ANALYSIS GUIDELINES:
 Create a scene analysis card with the following structure:
 
 {
-  "sceneNumber": ${sceneIndex + 1},
-  "duration": "${(scene.duration / 2).toFixed(1)}s",
-  "timeRange": "${Math.round(scene.startFrame * 0.5)}s - ${Math.round(scene.endFrame * 0.5)}s",
   "title": "[Brief descriptive title based on visual action/content]",
   "description": "[What happens visually in this scene based on frame analysis]",
   "framing": {
@@ -2483,7 +2888,7 @@ Create a scene analysis card with the following structure:
   "audio": {
     "music": "[Based on audio analysis, not visual assumptions]",
     "soundDesign": "[Based on audio analysis, not made up]",
-    "dialogue": "[From audio transcription only]"
+    "dialogue": "[From audio transcription only, attributed with its speaker labels (Speaker A, Speaker B) when given]"
   },
   "visualEffects": {
     "transitions": "[cuts/fades/wipes/etc]",
@@ -2513,45 +2918,16 @@ Provide only the JSON response with no additional text.`
       ],
       max_tokens: 1500
     });
-
-    return response.choices[0].message.content;
   });
 
-  try {
-    // Handle markdown code blocks in response
-    let cleanedResponse = sceneAnalysis;
-    if (sceneAnalysis.includes('```json')) {
-      const jsonMatch = sceneAnalysis.match(/```json\s*([\s\S]*?)\s*```/);
-      if (jsonMatch) {
-        cleanedResponse = jsonMatch[1];
-      }
-    } else if (sceneAnalysis.includes('```')) {
-      const jsonMatch = sceneAnalysis.match(/```\s*([\s\S]*?)\s*```/);
-      if (jsonMatch) {
-        cleanedResponse = jsonMatch[1];
-      }
-    }
-    
-    // Parse the JSON response
-    const sceneCard = JSON.parse(cleanedResponse);
-    logWithTimestamp(`✅ Scene card ${sceneIndex + 1} generated successfully`);
-    return sceneCard;
-  } catch (parseError) {
-    logWithTimestamp(`⚠️ Failed to parse scene card JSON for scene ${sceneIndex + 1}`, {
-      error: parseError.message,
-      rawResponse: sceneAnalysis.substring(0, 200) + '...'
-    });
-    
-    // Return a fallback structure with proper time conversion
-    return {
-      sceneNumber: sceneIndex + 1,
-      duration: `${(scene.duration / 2).toFixed(1)}s`,
-      timeRange: `${Math.round(scene.startFrame * 0.5)}s - ${Math.round(scene.endFrame * 0.5)}s`,
-      title: `Scene ${sceneIndex + 1}`,
-      description: "Scene analysis failed to parse",
-      error: parseError.message
-    };
-  }
+  logWithTimestamp(`✅ Scene card ${sceneNumber} generated successfully`, { fallbackFields: sceneAnalysis.fallbackFields });
+  return withSceneAudio({
+    sceneNumber,
+    duration,
+    timeRange,
+    ...sceneAnalysis.data,
+    fallbackFields: sceneAnalysis.fallbackFields
+  }, audioSegment);
 }
 
 function getAudioSegmentForScene(scene, audioAnalysis) {
@@ -2559,9 +2935,9 @@ function getAudioSegmentForScene(scene, audioAnalysis) {
     return audioAnalysis?.analysis || 'No audio analysis available';
   }
 
-  // Find audio segments that overlap with this scene (convert to 0.5s intervals for 2fps)
-  const sceneStartTime = scene.startFrame * 0.5;
-  const sceneEndTime = scene.endFrame * 0.5;
+  // Find audio segments that overlap with this scene (exact shot times when known, else 0.5s intervals for 2fps)
+  const sceneStartTime = scene.startTime ?? scene.startFrame * 0.5;
+  const sceneEndTime = scene.endTime ?? scene.endFrame * 0.5;
   
   const relevantSegments = audioAnalysis.transcription.segments.filter(segment => {
     const segStart = segment.start || 0;
@@ -2571,16 +2947,29 @@ function getAudioSegmentForScene(scene, audioAnalysis) {
            (segStart <= sceneStartTime && segEnd >= sceneEndTime);
   });
 
+  // Measured level, speech/music share, gaps and beats of the scene's stretch of audio
+  const signal = describeSignalSpan(audioAnalysis.signal, sceneStartTime, sceneEndTime);
+
   if (relevantSegments.length === 0) {
+    // No words is not no audio: music-only scenes are recognized from the signal
+    const hasSound = signal && signal.dominant !== 'silence';
     return {
-      transcription: 'No audio detected for this scene',
+      transcription: hasSound ? `No dialogue; ${signal.dominant} only` : 'No audio detected for this scene',
       contextualAnalysis: audioAnalysis?.separatedAudio?.audioSummary || 'Limited audio context',
-      audioType: 'none'
+      audioType: hasSound ? (signal.dominant === 'speech' ? 'dialogue' : 'music') : 'none',
+      signal
     };
   }
 
-  // Prioritize dialogue over music for context
-  const sceneTranscript = relevantSegments.map(seg => seg.text).join(' ');
+  // Prioritize dialogue over music for context. Diarized transcripts say who speaks when;
+  // their turns are finer than Whisper's segments, which can span a change of speaker.
+  const relevantTurns = (audioAnalysis.transcription.speakerTurns || [])
+    .filter(turn => turn.start < sceneEndTime && turn.end > sceneStartTime);
+  const spokenText = relevantSegments.map(seg => seg.text).join(' ');
+  const sceneTranscript = relevantTurns.length > 0
+    ? relevantTurns.map(turn => `${turn.speaker}: ${turn.text}`).join(' ')
+    : spokenText;
+  const speakers = [...new Set(relevantTurns.map(turn => turn.speaker))];
   
   // Determine if this scene primarily contains dialogue or music
   let audioType = 'mixed';
@@ -2591,10 +2980,10 @@ function getAudioSegmentForScene(scene, audioAnalysis) {
     const musicContent = audioAnalysis.separatedAudio.musicLyrics?.content || '';
     
     // Check if scene transcript is primarily dialogue
-    if (dialogueContent && sceneTranscript && dialogueContent.includes(sceneTranscript.substring(0, 50))) {
+    if (dialogueContent && spokenText && dialogueContent.includes(spokenText.substring(0, 50))) {
       audioType = 'dialogue';
       contextualMeaning = audioAnalysis.separatedAudio.dialogue?.primaryContext || 'Dialogue provides key context';
-    } else if (musicContent && sceneTranscript && musicContent.includes(sceneTranscript.substring(0, 50))) {
+    } else if (musicContent && spokenText && musicContent.includes(spokenText.substring(0, 50))) {
       audioType = 'music';
       contextualMeaning = audioAnalysis.separatedAudio.musicLyrics?.role || 'Music supports the mood';
     } else {
@@ -2604,6 +2993,8 @@ function getAudioSegmentForScene(scene, audioAnalysis) {
 
   return {
     transcription: sceneTranscript,
+    speakers,
+    signal,
     contextualAnalysis: contextualMeaning,
     audioType: audioType,
     musicAnalysis: audioAnalysis.analysis,
@@ -2611,7 +3002,39 @@ function getAudioSegmentForScene(scene, audioAnalysis) {
   };
 }
 
-async function generateContentStructure(frameAnalyses, audioAnalysis, scenes, fps = 2) {
+// Measured audio of a scene as prompt text
+function describeSceneSignal(signal) {
+  if (!signal) return 'Not measured';
+  const percent = ratio => `${Math.round(ratio * 100)}%`;
+  return [
+    `${signal.levelDb} dBFS`,
+    `speech ${percent(signal.speechRatio)}, music ${percent(signal.musicRatio)}, silence ${percent(signal.silenceRatio)}`,
+    signal.bpm ? `${signal.beatCount} beats at ${signal.bpm} BPM` : null,
+    signal.silences.length > 0 ? `${signal.silences.length} silent gap${signal.silences.length === 1 ? '' : 's'}` : null
+  ].filter(Boolean).join(', ');
+}
+
+// Audio of a scene as prompt text (getAudioSegmentForScene returns plain text without segments)
+function describeSceneAudio(audioSegment) {
+  if (!audioSegment || typeof audioSegment === 'string') return audioSegment;
+  const speakers = audioSegment.speakers?.length ? ` [speakers: ${audioSegment.speakers.join(', ')}]` : '';
+  const signal = audioSegment.signal ? ` [signal: ${describeSceneSignal(audioSegment.signal)}]` : '';
+  return `${audioSegment.transcription}${speakers}${signal}`;
+}
+
+// Speakers (diarized transcript) and signal measurements of a scene card come from the
+// audio, not from the model
+function withSceneAudio(sceneCard, audioSegment) {
+  const measured = {
+    ...(audioSegment?.speakers?.length ? { speakers: audioSegment.speakers } : {}),
+    ...(audioSegment?.signal ? { signal: audioSegment.signal } : {})
+  };
+  if (Object.keys(measured).length === 0) return sceneCard;
+  return { ...sceneCard, audio: { ...sceneCard.audio, ...measured } };
+}
+
+// Markdown output; a failure is reported by pushing FALLBACK_ALL onto fallbackFields
+async function generateContentStructure(frameAnalyses, audioAnalysis, scenes, fps = 2, fallbackFields = [], longForm = null) {
   const startTime = Date.now();
   logWithTimestamp('📝 Generating strategic content analysis', { 
     frameCount: frameAnalyses.length,
@@ -2623,11 +3046,10 @@ async function generateContentStructure(frameAnalyses, audioAnalysis, scenes, fp
     // Compile comprehensive data for strategic analysis
     const videoLength = (frameAnalyses.length / fps).toFixed(1); // fps = frames per second
     
-    // Extract all on-screen text from frames
-    const allFrameText = frameAnalyses.map(frame => {
-      const textMatch = frame.analysis.match(/ON_SCREEN_TEXT:\s*([^-\n]+)/i);
-      return textMatch ? textMatch[1].trim() : '';
-    }).filter(text => text && text !== 'None' && text !== 'No visible text');
+    // Collect all on-screen text from frames
+    const allFrameText = frameAnalyses
+      .map(frame => frame.fields?.textOverlays?.trim() || '')
+      .filter(text => text && text !== 'None' && text !== 'No visible text');
     
     // Get dialogue vs music separation
     const dialogueContent = audioAnalysis.separatedAudio?.dialogue?.content || '';
@@ -2643,8 +3065,7 @@ async function generateContentStructure(frameAnalyses, audioAnalysis, scenes, fp
     }));
 
     const strategicAnalysis = await handleRateLimit(async () => {
-      const response = await getOpenAIClient().chat.completions.create({
-        model: "gpt-4o",
+      const response = await getModelProvider('contentStructure').chat({
         messages: [
           {
             role: "user",
@@ -2655,15 +3076,15 @@ Duration: ${videoLength} seconds
 Scenes: ${scenes.length}
 Context Priority: ${contextPriority}
 
-DIALOGUE/NARRATION: "${dialogueContent}"
-ON-SCREEN TEXT: ${allFrameText.join(' | ')}
-MUSIC/LYRICS: "${musicContent}"
+DIALOGUE/NARRATION: "${truncateToTokens(dialogueContent, PROMPT_TOKEN_BUDGET / 4)}"
+ON-SCREEN TEXT: ${sampleLines(allFrameText, PROMPT_TOKEN_BUDGET / 8, ' | ')}
+MUSIC/LYRICS: "${truncateToTokens(musicContent, PROMPT_TOKEN_BUDGET / 8)}"
 
 SCENE PROGRESSION:
-${sceneProgression.map(scene => `Scene ${scene.sceneNumber}: ${scene.title} (${scene.timeRange})`).join('\n')}
-
+${sampleLines(sceneProgression.map(scene => `Scene ${scene.sceneNumber}: ${scene.title} (${scene.timeRange})`), PROMPT_TOKEN_BUDGET / 8)}
+${chapterDigestForPrompt(longForm)}
 FRAME-BY-FRAME ANALYSIS:
-${frameAnalyses.slice(0, 8).map((frame, i) => `${(i / fps).toFixed(1)}s: ${frame.contextualMeaning || 'Context analysis available'}`).join('\n')}
+${frameAnalyses.filter(isAnalyzedFrame).slice(0, 8).map((frame, i) => `${frame.timestamp || `${(i / fps).toFixed(1)}s`}: ${frame.contextualMeaning || 'Context analysis available'}`).join('\n')}
 
 Create a comprehensive analysis following this structure:
 
@@ -2716,23 +3137,25 @@ Focus on explaining the COMPLETE narrative arc from setup to payoff, making all
     });
     
     // Fallback to basic structure
+    fallbackFields.push(FALLBACK_ALL);
     const videoLength = (frameAnalyses.length / fps).toFixed(1);
     return `${videoLength}-second video with ${scenes.length} scenes. Strategic analysis failed: ${error.message}`;
   }
 }
 
-function extractMultipleValues(text, key) {
-  const regex = new RegExp(`${key}\\s*([^\\n]+)`, 'gi');
-  const matches = [...text.matchAll(regex)];
-  return [...new Set(matches.map(match => match[1].trim()))].slice(0, 5); // Limit to 5 unique values
-}
-
 function extractHook(firstFrameAnalysis) {
   logWithTimestamp('🎯 Extracting hook from first frame', { 
     analysisType: typeof firstFrameAnalysis,
     analysisLength: firstFrameAnalysis?.analysis?.length || firstFrameAnalysis?.length || 0 
   });
   
+  // Structured frame analyses name the opening action or subject directly
+  const fields = firstFrameAnalysis?.fields;
+  if (fields?.action) return fields.action;
+  if (fields?.subjects || fields?.visualDescription) {
+    return `Opening featuring ${fields.subjects || fields.visualDescription}`;
+  }
+  
   // Handle both old string format and new object format
   let analysisText = '';
   if (typeof firstFrameAnalysis === 'string') {
@@ -2760,8 +3183,9 @@ function extractHook(firstFrameAnalysis) {
   return result;
 }
 
-// Extract actual engagement hooks present in the video content
-async function extractVideoHooks(frameAnalyses, audioAnalysis) {
+// Extract actual engagement hooks present in the video content. Returns the hooks array;
+// defaulted fields are pushed onto fallbackFields as hooks[i].field paths.
+async function extractVideoHooks(frameAnalyses, audioAnalysis, fallbackFields = []) {
   logWithTimestamp('🔍 Analyzing video for actual engagement hooks...', {
     frameCount: frameAnalyses?.length || 0,
     hasAudio: !!audioAnalysis,
@@ -2796,11 +3220,11 @@ TIMING HOOKS (when things happen):
 - Speed changes (slow motion, time lapse)
 - Synchronized audio-visual moments
 
-TRANSCRIPT: ${audioAnalysis.transcription?.text || 'No audio transcript available'}
+TRANSCRIPT: ${transcriptForPrompt(audioAnalysis)}
 
-FRAME-BY-FRAME ANALYSIS: ${frameAnalyses.slice(0, 10).map((frame, i) => `${i+1}s: ${typeof frame === 'string' ? frame : frame.analysis || JSON.stringify(frame)}`).join('\n')}
+FRAME-BY-FRAME ANALYSIS: ${frameAnalyses.filter(isAnalyzedFrame).slice(0, 10).map((frame, i) => `${frame.timestamp || `${i+1}s`}: ${typeof frame === 'string' ? frame : frame.analysis || JSON.stringify(frame)}`).join('\n')}
 
-Return ONLY the hooks that are actually present in this specific video content as a JSON array:
+Return ONLY the hooks that are actually present in this specific video content, as a "hooks" array of:
 {
   "timestamp": "Xs",
   "type": "visual_hook|audio_hook|timing_hook|text_overlay",
@@ -2809,9 +3233,10 @@ Return ONLY the hooks that are actually present in this specific video content a
   "element": "Specific element from the actual footage"
 }`;
 
-    const response = await handleRateLimit(async () => {
-      return await getOpenAIClient().chat.completions.create({
-        model: "gpt-4o",
+    const result = await handleRateLimit(async () => {
+      return requestStructured(getModelProvider('hooks'), {
+        name: 'video_hooks',
+        schema: HOOKS_SCHEMA,
         messages: [
           {
             role: "user",
@@ -2823,71 +3248,22 @@ Return ONLY the hooks that are actually present in this specific video content a
       });
     });
 
-    const hooksText = response.choices[0].message.content;
-    logWithTimestamp('🤖 AI hooks response', { 
-      responseLength: hooksText?.length || 0,
-      response: hooksText?.substring(0, 300) // Log first 300 chars
+    logWithTimestamp('✅ Hooks extracted', {
+      hookCount: result.data.hooks.length,
+      fallbackFields: result.fallbackFields
     });
-    
-    // Try to parse JSON, fallback to empty array if parsing fails
-    try {
-      // Handle markdown code blocks in response
-      let cleanedResponse = hooksText;
-      if (hooksText.includes('```json')) {
-        const jsonMatch = hooksText.match(/```json\s*([\s\S]*?)\s*```/);
-        if (jsonMatch) {
-          cleanedResponse = jsonMatch[1];
-        }
-      } else if (hooksText.includes('```')) {
-        const jsonMatch = hooksText.match(/```\s*([\s\S]*?)\s*```/);
-        if (jsonMatch) {
-          cleanedResponse = jsonMatch[1];
-        }
-      }
-      
-      const hooks = JSON.parse(cleanedResponse);
-      const validHooks = Array.isArray(hooks) ? hooks : [];
-      logWithTimestamp('✅ Hooks parsed successfully', { hookCount: validHooks.length });
-      return validHooks;
-    } catch (parseError) {
-      logWithTimestamp('⚠️ Failed to parse hooks JSON, extracting manually', { 
-        error: parseError.message,
-        rawResponse: hooksText?.substring(0, 200) + '...'
-      });
-      return extractHooksFromText(hooksText);
-    }
+    fallbackFields.push(...result.fallbackFields);
+    return result.data.hooks;
     
   } catch (error) {
     logWithTimestamp('❌ Error extracting hooks:', error.message);
+    fallbackFields.push('hooks');
     return [];
   }
 }
 
-// Fallback hook extraction from text
-function extractHooksFromText(text) {
-  const hooks = [];
-  const lines = text.split('\n');
-  
-  lines.forEach(line => {
-    if (line.includes('timestamp') || line.includes('Frame')) {
-      const timestampMatch = line.match(/(\d+)s/);
-      if (timestampMatch) {
-        hooks.push({
-          timestamp: `${timestampMatch[1]}s`,
-          type: 'visual_disrupter',
-          description: line.trim(),
-          impact: 'medium',
-          element: 'Detected from analysis'
-        });
-      }
-    }
-  });
-  
-  return hooks;
-}
-
 // Categorize video into one of the 8 specific categories
-async function categorizeVideo(frameAnalyses, audioAnalysis, scenes) {
+async function categorizeVideo(frameAnalyses, audioAnalysis, scenes, longForm = null) {
   logWithTimestamp('🏷️ Categorizing video...', {
     frameCount: frameAnalyses?.length || 0,
     hasAudio: !!audioAnalysis,
@@ -2924,11 +3300,11 @@ How to identify: Features internal monologue or diary-style voice-over with simp
 8. BTS (BEHIND-THE-SCENES) INTERVIEW
 How to identify: Shows someone working while answering questions. The interview happens during the actual work process, creating a candid, unpolished feel. Often features simple questions about common mistakes or insights.
 
-TRANSCRIPT: ${audioAnalysis.transcription?.text || 'No audio transcript available'}
+TRANSCRIPT: ${transcriptForPrompt(audioAnalysis)}
 
-SCENES: ${scenes.map(scene => `Scene ${scene.sceneNumber}: ${scene.description}`).join('\n')}
-
-VISUAL ELEMENTS: ${frameAnalyses.slice(0, 5).map((frame, i) => `${i+1}s: ${typeof frame === 'string' ? frame.substring(0, 200) : (frame.analysis || JSON.stringify(frame)).substring(0, 200)}`).join('\n')}
+SCENES: ${sampleLines(scenes.map(scene => `Scene ${scene.sceneNumber}: ${scene.description}`), PROMPT_TOKEN_BUDGET / 4)}
+${chapterDigestForPrompt(longForm)}
+VISUAL ELEMENTS: ${frameAnalyses.filter(isAnalyzedFrame).slice(0, 5).map((frame, i) => `${frame.timestamp || `${i+1}s`}: ${typeof frame === 'string' ? frame.substring(0, 200) : (frame.analysis || JSON.stringify(frame)).substring(0, 200)}`).join('\n')}
 
 Analyze the content carefully and return JSON with:
 {
@@ -2939,9 +3315,10 @@ Analyze the content carefully and return JSON with:
   "subcategory": "hero_video|reel_framework"
 }`;
 
-    const response = await handleRateLimit(async () => {
-      return await getOpenAIClient().chat.completions.create({
-        model: "gpt-4o",
+    const result = await handleRateLimit(async () => {
+      return requestStructured(getModelProvider('categorization'), {
+        name: 'video_category',
+        schema: CATEGORY_SCHEMA,
         messages: [
           {
             role: "user",
@@ -2953,43 +3330,12 @@ Analyze the content carefully and return JSON with:
       });
     });
 
-    const categoryText = response.choices[0].message.content;
-    logWithTimestamp('🤖 AI categorization response', { 
-      responseLength: categoryText?.length || 0,
-      response: categoryText?.substring(0, 500) // Log first 500 chars
+    logWithTimestamp('✅ Category parsed successfully', {
+      category: result.data.category,
+      confidence: result.data.confidence,
+      fallbackFields: result.fallbackFields
     });
-    
-    try {
-      // Handle markdown code blocks in response
-      let cleanedResponse = categoryText;
-      if (categoryText.includes('```json')) {
-        const jsonMatch = categoryText.match(/```json\s*([\s\S]*?)\s*```/);
-        if (jsonMatch) {
-          cleanedResponse = jsonMatch[1];
-        }
-      } else if (categoryText.includes('```')) {
-        const jsonMatch = categoryText.match(/```\s*([\s\S]*?)\s*```/);
-        if (jsonMatch) {
-          cleanedResponse = jsonMatch[1];
-        }
-      }
-      
-      const parsed = JSON.parse(cleanedResponse);
-      logWithTimestamp('✅ Category parsed successfully', { category: parsed.category, confidence: parsed.confidence });
-      return parsed;
-    } catch (parseError) {
-      logWithTimestamp('⚠️ Failed to parse category JSON, using fallback', { 
-        error: parseError.message,
-        rawResponse: categoryText.substring(0, 200) + '...'
-      });
-      return {
-        category: 'dynamic_broll',
-        confidence: 0.5,
-        reasoning: 'Unable to parse AI response, defaulting to dynamic b-roll',
-        keyIndicators: ['Visual content detected'],
-        subcategory: 'reel_framework'
-      };
-    }
+    return { ...result.data, fallbackFields: result.fallbackFields };
     
   } catch (error) {
     logWithTimestamp('❌ Error categorizing video:', { 
@@ -3001,13 +3347,14 @@ Analyze the content carefully and return JSON with:
       confidence: 0.0,
       reasoning: `Error during categorization: ${error.message}`,
       keyIndicators: ['Analysis failed'],
-      subcategory: 'reel_framework'
+      subcategory: 'reel_framework',
+      fallbackFields: [FALLBACK_ALL]
     };
   }
 }
 
 // Analyze the deeper context, narrative, and subtle messaging of the video
-async function analyzeVideoContext(frameAnalyses, audioAnalysis, scenes) {
+async function analyzeVideoContext(frameAnalyses, audioAnalysis, scenes, longForm = null) {
   logWithTimestamp('🧠 Analyzing video context and narrative...', {
     frameCount: frameAnalyses?.length || 0,
     hasAudio: !!audioAnalysis,
@@ -3055,11 +3402,11 @@ MESSAGE DELIVERY:
 - How does the creator ensure the audience "gets it"?
 - What assumptions about audience knowledge are made?
 
-TRANSCRIPT: ${audioAnalysis.transcription?.text || 'No audio transcript available'}
-
-SCENES SUMMARY: ${scenes.map(scene => `Scene ${scene.sceneNumber}: ${scene.description} (${scene.duration})`).join('\n')}
+TRANSCRIPT: ${transcriptForPrompt(audioAnalysis)}
 
-VISUAL PROGRESSION: ${frameAnalyses.slice(0, 8).map((frame, i) => `${(i * 0.5).toFixed(1)}s: ${typeof frame === 'string' ? frame.substring(0, 150) : (frame.analysis || JSON.stringify(frame)).substring(0, 150)}`).join('\n')}
+SCENES SUMMARY: ${sampleLines(scenes.map(scene => `Scene ${scene.sceneNumber}: ${scene.description} (${scene.duration})`), PROMPT_TOKEN_BUDGET / 4)}
+${chapterDigestForPrompt(longForm)}
+VISUAL PROGRESSION: ${frameAnalyses.filter(isAnalyzedFrame).slice(0, 8).map((frame, i) => `${frame.timestamp || `${(i * 0.5).toFixed(1)}s`}: ${typeof frame === 'string' ? frame.substring(0, 150) : (frame.analysis || JSON.stringify(frame)).substring(0, 150)}`).join('\n')}
 
 Return detailed JSON analysis:
 {
@@ -3069,7 +3416,7 @@ Return detailed JSON analysis:
     "effectivenessFactors": ["factor1", "factor2", "factor3"]
   },
   "humorMechanics": {
-    "isHumorous": true/false,
+    "isHumorous": true,
     "humorType": "timing|irony|contrast|exaggeration|relatability|visual_gag",
     "specificTechniques": ["technique1", "technique2"],
     "setupAndPayoff": "How expectations are set and subverted",
@@ -3110,9 +3457,10 @@ Return detailed JSON analysis:
   ]
 }`;
 
-    const response = await handleRateLimit(async () => {
-      return await getOpenAIClient().chat.completions.create({
-        model: "gpt-4o",
+    const result = await handleRateLimit(async () => {
+      return requestStructured(getModelProvider('videoContext'), {
+        name: 'video_context',
+        schema: VIDEO_CONTEXT_SCHEMA,
         messages: [
           {
             role: "user",
@@ -3124,42 +3472,12 @@ Return detailed JSON analysis:
       });
     });
 
-    const contextText = response.choices[0].message.content;
-    logWithTimestamp('🤖 AI context analysis response', { 
-      responseLength: contextText?.length || 0,
-      response: contextText?.substring(0, 500) // Log first 500 chars
+    logWithTimestamp('✅ Context analysis parsed successfully', { 
+      characterCount: result.data.characters.length,
+      contextType: result.data.contextType,
+      fallbackFields: result.fallbackFields
     });
-    
-    try {
-      // Handle markdown code blocks in response
-      let cleanedResponse = contextText;
-      if (contextText.includes('```json')) {
-        const jsonMatch = contextText.match(/```json\s*([\s\S]*?)\s*```/);
-        if (jsonMatch) {
-          cleanedResponse = jsonMatch[1];
-        }
-      } else if (contextText.includes('```')) {
-        const jsonMatch = contextText.match(/```\s*([\s\S]*?)\s*```/);
-        if (jsonMatch) {
-          cleanedResponse = jsonMatch[1];
-        }
-      }
-      
-      const parsed = JSON.parse(cleanedResponse);
-      logWithTimestamp('✅ Context analysis parsed successfully', { 
-        narrative: parsed.mainNarrative?.substring(0, 100),
-        themeCount: parsed.themes?.length || 0,
-        characterCount: parsed.characters?.length || 0,
-        contextType: parsed.contextType
-      });
-      return parsed;
-    } catch (parseError) {
-      logWithTimestamp('⚠️ Failed to parse context JSON, using fallback', { 
-        error: parseError.message,
-        rawResponse: contextText?.substring(0, 200) + '...'
-      });
-      return extractContextFromText(contextText);
-    }
+    return { ...result.data, fallbackFields: result.fallbackFields };
     
   } catch (error) {
     logWithTimestamp('❌ Error analyzing video context:', { 
@@ -3200,62 +3518,12 @@ Return detailed JSON analysis:
       },
       contextType: 'unknown',
       targetAudience: 'Unknown',
-      keyInsights: [`Error during analysis: ${error.message}`]
+      keyInsights: [`Error during analysis: ${error.message}`],
+      fallbackFields: [FALLBACK_ALL]
     };
   }
 }
 
-// Fallback context extraction from text
-function extractContextFromText(text) {
-  const lines = text.split('\n');
-  
-  // Try to extract key information from the text response
-  const narrative = lines.find(line => line.toLowerCase().includes('narrative') || line.toLowerCase().includes('story'))?.trim() || 'Unable to parse narrative';
-  const themes = lines.filter(line => line.toLowerCase().includes('theme')).map(line => line.trim()).slice(0, 3);
-  
-  return {
-    creatorIntent: {
-      primaryIntent: 'Intent analysis failed',
-      howAchieved: 'Unable to parse specific techniques',
-      effectivenessFactors: ['Fallback analysis']
-    },
-    humorMechanics: {
-      isHumorous: false,
-      humorType: 'unknown',
-      specificTechniques: ['Unable to analyze'],
-      setupAndPayoff: 'Analysis failed',
-      timingElements: 'Not available'
-    },
-    narrativeStructure: {
-      setup: 'Unable to parse setup',
-      conflict: 'Unable to parse conflict',
-      resolution: 'Unable to parse resolution',
-      storytellingDevices: ['Fallback analysis']
-    },
-    visualTechniques: {
-      textElements: 'Analysis failed',
-      visualEffects: 'Analysis failed',
-      facialExpressions: 'Analysis failed',
-      visualContrasts: 'Analysis failed'
-    },
-    characters: [{
-      description: 'Characters detected in video',
-      represents: 'Various roles',
-      narrative_function: 'Unable to analyze',
-      key_moments: 'Analysis failed'
-    }],
-    messageDelivery: {
-      coreMessage: 'Complex messaging detected',
-      deliveryMethod: 'Multiple techniques',
-      memorabilityFactors: ['Fallback analysis'],
-      audienceAssumptions: ['General audience']
-    },
-    contextType: 'comparison',
-    targetAudience: 'Content creators and tool users',
-    keyInsights: ['Fallback analysis - check logs for details']
-  };
-}
-
 async function cleanupFile(filePath) {
   const startTime = Date.now();
   logWithTimestamp('🧹 Cleaning up file', { filePath });
@@ -3283,20 +3551,123 @@ async function cleanupFile(filePath) {
   }
 }
 
+const ANALYZE_URL_JOB = 'analyze_url';
+
+// Charge a cancelled analysis for the share of its credits matching the progress it had
+// reached, and refund the rest. The settlement is recorded whenever credits were
+// reserved, even if nothing is charged. Its checkpoints are dropped so it is never resumed.
+async function settleCancelledAnalysis({ requestId, userId, creditsToDeduct }) {
+  const { progress } = getCancellation();
+  const credits = userId && getSupabaseServiceClient() ? creditsToDeduct || 0 : 0;
+  // Rounded in the user's favour
+  const creditsCharged = Math.floor((credits * Math.min(100, Math.max(0, progress))) / 100);
+  const outcome = { creditsCharged, creditsRefunded: credits - creditsCharged };
+
+  if (credits > 0) {
+    try {
+      await chargeCancelledAnalysis(userId, requestId, credits, outcome.creditsRefunded);
+      logWithTimestamp('💳 Cancelled analysis charged', { userId, requestId, progress, ...outcome });
+    } catch (error) {
+      logWithTimestamp('⚠️ Failed to charge cancelled analysis', { requestId, error: error.message });
+      outcome.creditsCharged = 0;
+      outcome.creditsRefunded = credits;
+    }
+  }
+
+  const checkpoints = await createCheckpointer(requestId);
+  await checkpoints.clear();
+
+  await updateProgress(requestId, 'cancelled', 100, 'Analysis cancelled', outcome);
+  reportCancellationOutcome(outcome);
+}
+
+// Run an analysis so its owner can stop it by requestId through /api/analyze/cancel
+function runCancellableAnalysis({ requestId, userId, creditsToDeduct }, fn) {
+  return runCancellable(requestId, async () => {
+    try {
+      return await fn();
+    } catch (error) {
+      if (getCancellation()) {
+        await settleCancelledAnalysis({ requestId, userId, creditsToDeduct });
+      }
+      throw error;
+    }
+  }, { userId });
+}
+
+// Background worker for queued /api/analyze requests: download, analyze, clean up.
+// The workspace (video, frames, audio) is removed however the job ends.
+async function runAnalysisJob(job) {
+  const { url, userId, creditsToDeduct, analysisMode = 'standard', forceReanalyze = false } = job.payload;
+  const requestId = job.id;
+  const startTime = Date.now();
+
+  return runCancellableAnalysis({ requestId, userId, creditsToDeduct }, () => withWorkspace(requestId, async (workspace) => {
+    let videoPath = '';
+
+    try {
+      logWithTimestamp('🎬 Starting video analysis pipeline', { requestId, url });
+      await updateProgress(requestId, 'download', 1, 'Downloading video...');
+
+      videoPath = await downloadVideo(url, workspace);
+      logWithTimestamp('✅ Video download completed', { requestId, videoPath });
+
+      const analysis = await analyzeVideo(videoPath, userId, creditsToDeduct, requestId, analysisMode, { forceReanalyze });
+
+      const totalDuration = Date.now() - startTime;
+      logWithTimestamp('🎉 Analysis job completed successfully!', { 
+        requestId,
+        totalDuration: `${totalDuration}ms`,
+        analysisKeys: Object.keys(analysis),
+        creditsDeducted: creditsToDeduct || null
+      });
+
+      return {
+        ...analysis,
+        requestId,
+        processingTime: `${totalDuration}ms`
+      };
+    } catch (error) {
+      await updateProgress(requestId, 'failed', 100, `Analysis failed: ${error.message}`, { error: error.message });
+      throw error;
+    } finally {
+      if (videoPath) {
+        await cleanupFile(videoPath);
+      }
+    }
+  }));
+}
+
+// Settle an analysis cancelled while still queued: nothing has run, so nothing is
+// charged, but the reserved credits are recorded as usage and refunded in full
+async function refundQueuedAnalysis(job) {
+  const creditsRefunded = job.payload?.creditsToDeduct || 0;
+  if (creditsRefunded > 0 && job.userId && getSupabaseServiceClient()) {
+    try {
+      await chargeCancelledAnalysis(job.userId, job.id, creditsRefunded, creditsRefunded);
+    } catch (error) {
+      logWithTimestamp('⚠️ Failed to record refund for cancelled job', { requestId: job.id, error: error.message });
+    }
+  }
+
+  await updateProgress(job.id, 'cancelled', 100, 'Analysis cancelled', { creditsCharged: 0, creditsRefunded });
+}
+
+registerJobHandler(ANALYZE_URL_JOB, runAnalysisJob, { onQueuedCancel: refundQueuedAnalysis });
+
 // Export the analyzeVideo function for use in other routes
-export { analyzeVideo };
+export { analyzeVideo, runCancellableAnalysis };
 
 export async function POST(request) {
   const startTime = Date.now();
   
-  let videoPath = '';
   let requestBody = null;
   let requestId = '';
   
   try {
     // Parse request body
     requestBody = await request.json();
-    const { url, userId, estimatedCredits, analysisMode = 'standard', requestId: clientRequestId } = requestBody;
+    const { url, userId, estimatedCredits, analysisMode = 'standard', forceReanalyze = false, requestId: clientRequestId } = requestBody;
     
     // Use client-provided request ID or generate new one
     requestId = clientRequestId || `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -3313,7 +3684,8 @@ export async function POST(request) {
     const creditMultipliers = {
       'fine': 2.0,     // 4fps - double cost
       'standard': 1.0, // 2fps - base cost
-      'broad': 0.5     // 1fps - half cost
+      'broad': 0.5,    // 1fps - half cost
+      'adaptive': 1.0  // cut-driven sampling, capped by the frame budget
     };
     
     const baseCost = estimatedCredits || 4;
@@ -3341,8 +3713,8 @@ export async function POST(request) {
     }
 
     // Validate environment or enable demo mode
-    if (!process.env.OPENAI_API_KEY) {
-      logWithTimestamp('⚠️ Missing OpenAI API key - using demo mode', { requestId });
+    if (!isModelProviderConfigured()) {
+      logWithTimestamp('⚠️ No model provider configured - using demo mode', { requestId });
       
       // Return demo analysis for testing UI
       const demoAnalysis = {
@@ -3479,12 +3851,6 @@ export async function POST(request) {
       cleanedUrl: cleanUrl,
       hadTrailingChars: url !== cleanUrl
     });
-
-    // Start video analysis
-    logWithTimestamp('🎬 Starting video analysis pipeline', { requestId, cleanUrl });
-
-    videoPath = await downloadVideo(cleanUrl);
-    logWithTimestamp('✅ Video download completed', { requestId, videoPath });
     
     // Initialize credits deduction value
     let creditsToDeduct = adjustedCredits;
@@ -3495,7 +3861,7 @@ export async function POST(request) {
       logWithTimestamp('⚠️ Credit check bypassed for development', { userId, creditsToDeduct });
     }
 
-    // If Supabase and userId provided, ensure sufficient balance before analysis
+    // If Supabase and userId provided, ensure sufficient balance before queueing the analysis
     if (userId && isSupabaseAvailable() && !bypassCredits) {
       try {
         let profile = await getUserProfile(userId);
@@ -3563,25 +3929,31 @@ export async function POST(request) {
       }
     }
     
-    const analysis = await analyzeVideo(videoPath, userId, creditsToDeduct, requestId, analysisMode);
-    logWithTimestamp('✅ Video analysis completed', { requestId });
-    
-    // Final cleanup
-    await cleanupFile(videoPath);
+    // Hand the pipeline to the background worker and return right away
+    const job = await enqueueJob({
+      id: requestId,
+      type: ANALYZE_URL_JOB,
+      userId,
+      videoUrl: cleanUrl,
+      payload: { url: cleanUrl, userId, creditsToDeduct, analysisMode, forceReanalyze: Boolean(forceReanalyze) }
+    });
+    await updateProgress(requestId, 'queued', 0, 'Waiting for an analysis worker...');
     
     const totalDuration = Date.now() - startTime;
-    logWithTimestamp('🎉 Request completed successfully!', { 
+    logWithTimestamp('📥 Analysis job queued', { 
       requestId,
+      jobStatus: job.status,
       totalDuration: `${totalDuration}ms`,
-      analysisKeys: Object.keys(analysis),
-      creditsDeducted: creditsToDeduct || null
+      creditsToDeduct: creditsToDeduct || null
     });
     
     return NextResponse.json({
-      ...analysis,
+      jobId: job.id,
       requestId,
+      status: job.status,
+      resultUrl: `/api/jobs?jobId=${encodeURIComponent(job.id)}`,
       processingTime: `${totalDuration}ms`
-    });
+    }, { status: 202 });
   } catch (error) {
     const totalDuration = Date.now() - startTime;
     logWithTimestamp('💥 Request failed with error', { 
@@ -3589,36 +3961,11 @@ export async function POST(request) {
       error: error.message,
       stack: error.stack,
       totalDuration: `${totalDuration}ms`,
-      requestBody,
-      videoPath
+      requestBody
     });
     
-    // Ensure cleanup even on error
-    if (videoPath) {
-      await cleanupFile(videoPath);
-    }
-
-    // Clean up frames directory if it exists
-    const framesDir = path.join(process.cwd(), 'temp', 'frames');
-    if (fs.existsSync(framesDir)) {
-      try {
-        const frameFiles = fs.readdirSync(framesDir);
-        logWithTimestamp('🧹 Emergency cleanup of frames directory', { 
-          frameCount: frameFiles.length,
-          requestId
-        });
-      fs.rmSync(framesDir, { recursive: true, force: true });
-        logWithTimestamp('✅ Emergency cleanup completed', { requestId });
-      } catch (cleanupError) {
-        logWithTimestamp('❌ Emergency cleanup failed', { 
-          error: cleanupError.message,
-          requestId
-        });
-      }
-    }
-    
     return NextResponse.json({ 
-      error: 'Failed to analyze video', 
+      error: 'Failed to queue video analysis', 
       details: error.message,
       requestId,
       processingTime: `${totalDuration}ms`
@@ -3626,20 +3973,25 @@ export async function POST(request) {
   }
 }
 
-async function generateStandardizedAnalysis(comprehensiveResult, audioAnalysis, fps) {
+// Markdown output; a failure is reported by pushing FALLBACK_ALL onto fallbackFields
+async function generateStandardizedAnalysis(comprehensiveResult, audioAnalysis, fps, fallbackFields = [], longForm = null) {
   const startTime = Date.now();
   logWithTimestamp('🎯 Generating standardized creator-friendly analysis');
   
   try {
     // Prepare the comprehensive data for transformation
+    // Long videos send a scene outline plus the chapters instead of every scene card
     const analysisData = {
       videoCategory: comprehensiveResult.videoCategory,
-      scenes: comprehensiveResult.scenes,
+      scenes: longForm
+        ? comprehensiveResult.scenes.map(scene => ({ sceneNumber: scene.sceneNumber, timeRange: scene.timeRange, title: scene.title }))
+        : comprehensiveResult.scenes,
+      ...(longForm ? { chapters: longForm.chapters.map(({ chunks, fallbackFields: _fallbackFields, ...chapter }) => chapter) } : {}),
       hooks: comprehensiveResult.hooks,
       contextualAnalysis: comprehensiveResult.contextualAnalysis,
       strategicOverview: comprehensiveResult.strategicOverview,
       contentStructure: comprehensiveResult.contentStructure,
-      transcript: audioAnalysis.transcription?.text || 'No transcript available',
+      transcript: transcriptForPrompt(audioAnalysis, 'No transcript available'),
       videoMetadata: comprehensiveResult.videoMetadata,
       totalDuration: `${(comprehensiveResult.videoMetadata.totalFrames / fps).toFixed(1)}s`
     };
@@ -3647,7 +3999,7 @@ async function generateStandardizedAnalysis(comprehensiveResult, audioAnalysis,
     const standardizationPrompt = `Transform this comprehensive video analysis into a standardized, creator-friendly format following these exact rules:
 
 COMPREHENSIVE ANALYSIS DATA:
-${JSON.stringify(analysisData, null, 2)}
+${truncateToTokens(JSON.stringify(analysisData, null, 2), PROMPT_TOKEN_BUDGET)}
 
 You MUST follow this EXACT structure and format:
 
@@ -3759,8 +4111,7 @@ CRITICAL REQUIREMENTS:
 - Include realistic resource assessments`;
 
     const response = await handleRateLimit(async () => {
-      return await getOpenAIClient().chat.completions.create({
-        model: "gpt-4o-mini",
+      return await getModelProvider('standardizedAnalysis').chat({
         messages: [
           {
             role: "system",
@@ -3794,6 +4145,7 @@ CRITICAL REQUIREMENTS:
     });
     
     // Return fallback format
+    fallbackFields.push(FALLBACK_ALL);
     return `# VIDEO SUMMARY
 Analysis transformation failed due to: ${error.message}
 
@@ -3828,7 +4180,10 @@ Technical execution details require complete analysis processing.
   }
 }
 
-async function generateBatchedComprehensiveAnalysis(frameAnalyses, audioAnalysis, fps = 2, analysisMode = 'standard') {
+async function generateBatchedComprehensiveAnalysis(frameAnalyses, audioAnalysis, fps = 2, analysisMode = 'standard', shots = null, checkpoints = null, onPartialResult = async () => {}) {
+  // Each synthesis step is checkpointed so a restarted job only redoes unfinished steps
+  const runPhase = (phase, fn) => (checkpoints ? checkpoints.run(phase, fn) : fn());
+
   const startTime = Date.now();
   logWithTimestamp('🚀 Starting batched comprehensive analysis (OPTIMIZED)');
 
@@ -3837,10 +4192,21 @@ async function generateBatchedComprehensiveAnalysis(frameAnalyses, audioAnalysis
     logWithTimestamp('📋 Batch 1: Generating scenes + hooks in parallel');
     const batch1StartTime = Date.now();
     
-    const [scenes, hooks] = await Promise.all([
-      generateBatchedSceneAnalysis(frameAnalyses, audioAnalysis, fps),
-      extractVideoHooks(frameAnalyses, audioAnalysis)
+    // Scenes, hooks and category go out through onPartialResult as soon as they exist
+    // (steps loaded from a checkpoint are published whole)
+    const [scenes, hooksStage] = await Promise.all([
+      runPhase('scenes', () => generateBatchedSceneAnalysis(frameAnalyses, audioAnalysis, fps, shots, onPartialResult))
+        .then(async scenes => {
+          await onPartialResult('scenes', scenes);
+          return scenes;
+        }),
+      runPhase('hooks', () => withFallbackFields(collector => extractVideoHooks(frameAnalyses, audioAnalysis, collector)))
+        .then(async hooksStage => {
+          await onPartialResult('hooks', hooksStage.value);
+          return hooksStage;
+        })
     ]);
+    const hooks = hooksStage.value;
     
     const batch1Duration = Date.now() - batch1StartTime;
     logWithTimestamp('✅ Batch 1 complete: Scenes + hooks finished', { 
@@ -3849,11 +4215,18 @@ async function generateBatchedComprehensiveAnalysis(frameAnalyses, audioAnalysis
       hookCount: hooks.length
     });
 
+    // Long videos: chunk and chapter summaries stand in for every frame and the full transcript
+    const longForm = isLongForm(frameAnalyses.length / fps)
+      ? await runPhase('longFormSummary', () => generateLongFormSummary(frameAnalyses, audioAnalysis, scenes, fps))
+      : null;
+
     // BATCH 2: Category + Context + Strategic Overview (Combined)
     logWithTimestamp('🧠 Batch 2: Generating category + context + strategic overview');
     const batch2StartTime = Date.now();
     
-    const combinedAnalysisResult = await generateCombinedAnalysis(frameAnalyses, audioAnalysis, scenes, hooks);
+    // Category, context and strategic overview come from one combined call
+    const combinedAnalysisResult = await runPhase('combinedAnalysis', () => generateCombinedAnalysis(frameAnalyses, audioAnalysis, scenes, hooks, longForm));
+    await onPartialResult('videoCategory', combinedAnalysisResult.videoCategory);
     
     const batch2Duration = Date.now() - batch2StartTime;
     logWithTimestamp('✅ Batch 2 complete: Combined analysis finished', { 
@@ -3865,9 +4238,9 @@ async function generateBatchedComprehensiveAnalysis(frameAnalyses, audioAnalysis
     logWithTimestamp('🎯 Batch 3: Generating content structure + standardized analysis');
     const batch3StartTime = Date.now();
     
-    const [contentStructure, standardizedReport] = await Promise.all([
-      generateContentStructure(frameAnalyses, audioAnalysis, scenes, fps),
-      generateStandardizedAnalysis({
+    const [contentStructureStage, standardizedStage] = await Promise.all([
+      runPhase('contentStructure', () => withFallbackFields(collector => generateContentStructure(frameAnalyses, audioAnalysis, scenes, fps, collector, longForm))),
+      runPhase('standardizedAnalysis', () => withFallbackFields(collector => generateStandardizedAnalysis({
         videoCategory: combinedAnalysisResult.videoCategory,
         scenes: scenes,
         hooks: hooks,
@@ -3879,8 +4252,10 @@ async function generateBatchedComprehensiveAnalysis(frameAnalyses, audioAnalysis
           frameRate: fps,
           analysisTimestamp: new Date().toISOString()
         }
-      }, audioAnalysis, fps)
+      }, audioAnalysis, fps, collector, longForm)))
     ]);
+    const contentStructure = contentStructureStage.value;
+    const standardizedReport = standardizedStage.value;
     
     const batch3Duration = Date.now() - batch3StartTime;
     logWithTimestamp('✅ Batch 3 complete: Final analysis finished', { 
@@ -3893,6 +4268,7 @@ async function generateBatchedComprehensiveAnalysis(frameAnalyses, audioAnalysis
     const result = {
       videoCategory: combinedAnalysisResult.videoCategory,
       scenes,
+      chapters: longForm?.chapters || null,
       hooks,
       contextualAnalysis: combinedAnalysisResult.contextualAnalysis,
       strategicOverview: combinedAnalysisResult.strategicOverview,
@@ -3903,7 +4279,14 @@ async function generateBatchedComprehensiveAnalysis(frameAnalyses, audioAnalysis
         frameRate: fps,
         analysisMode: analysisMode,
         analysisTimestamp: new Date().toISOString(),
-        totalDuration: videoLength + 's'
+        totalDuration: videoLength + 's',
+        longForm: describeLongForm(longForm),
+        fallbackFields: collectFallbackFields({ ...combinedAnalysisResult, scenes, chapters: longForm?.chapters }, {
+          hooks: hooksStage.fallbackFields,
+          strategicOverview: scopeFallbackFields('strategicOverview', combinedAnalysisResult.fallbackFields),
+          contentStructure: contentStructureStage.fallbackFields,
+          standardizedAnalysis: standardizedStage.fallbackFields
+        })
       }
     };
     
@@ -3928,17 +4311,34 @@ async function generateBatchedComprehensiveAnalysis(frameAnalyses, audioAnalysis
     
     // Fallback to original method
     logWithTimestamp('🔄 Falling back to sequential analysis');
-    return await generateComprehensiveAnalysis(frameAnalyses, audioAnalysis, fps, analysisMode);
+    return await generateComprehensiveAnalysis(frameAnalyses, audioAnalysis, fps, analysisMode, shots);
   }
 }
 
-async function generateBatchedSceneAnalysis(frameAnalyses, audioAnalysis, fps = 2) {
+// Scene number and time span of a detected scene, before its scene card is written
+function describeSceneBoundary(scene, fps) {
+  // Shot-based scenes carry exact cut times; otherwise derive from frame indices
+  const startTime = scene.startTime ?? scene.startFrame / fps;
+  const endTime = scene.endTime ?? scene.endFrame / fps;
+
+  return {
+    sceneNumber: scene.sceneNumber,
+    timeRange: `${startTime.toFixed(1)}-${endTime.toFixed(1)}s`,
+    duration: `${(endTime - startTime).toFixed(1)}s`,
+    shotCount: scene.shots?.length || null
+  };
+}
+
+async function generateBatchedSceneAnalysis(frameAnalyses, audioAnalysis, fps = 2, shots = null, onPartialResult = async () => {}) {
   const startTime = Date.now();
   logWithTimestamp('🎬 Starting batched scene analysis');
 
   try {
-    // Group frames into scenes using existing logic
-    const sceneBoundaries = detectSceneBoundaries(frameAnalyses, fps);
+    // Group detected shots (or frames, without shot data) into narrative scenes, numbered
+    // across the whole video so numbering runs on from one scene batch to the next
+    const sceneBoundaries = detectSceneBoundaries(frameAnalyses, fps, shots)
+      .map((scene, index) => ({ ...scene, sceneNumber: index + 1 }));
+    await onPartialResult('sceneBoundaries', sceneBoundaries.map(scene => describeSceneBoundary(scene, fps)));
     
     // Process scenes in batches of 6-8 scenes per API call
     const SCENES_PER_BATCH = 6;
@@ -3954,10 +4354,12 @@ async function generateBatchedSceneAnalysis(frameAnalyses, audioAnalysis, fps =
       scenesPerBatch: SCENES_PER_BATCH
     });
 
-    // Process all batches in parallel
-    const batchPromises = sceneBatches.map((batch, batchIndex) => 
-      generateSceneBatch(batch, batchIndex, audioAnalysis, fps)
-    );
+    // Process all batches in parallel; each batch's scene cards are shown as it finishes
+    const batchPromises = sceneBatches.map(async (batch, batchIndex) => {
+      const batchScenes = await generateSceneBatch(batch, batchIndex, audioAnalysis, fps);
+      await onPartialResult('scenes', batchScenes, { append: true });
+      return batchScenes;
+    });
     
     const batchResults = await Promise.all(batchPromises);
     
@@ -3980,7 +4382,7 @@ async function generateBatchedSceneAnalysis(frameAnalyses, audioAnalysis, fps =
     });
     
     // Fallback to original method
-    return await generateSceneAnalysis(frameAnalyses, audioAnalysis, fps);
+    return await generateSceneAnalysis(frameAnalyses, audioAnalysis, fps, shots);
   }
 }
 
@@ -3995,16 +4397,16 @@ async function generateSceneBatch(sceneBatch, batchIndex, audioAnalysis, fps) {
     const batchData = sceneBatch.map((scene, index) => {
       // Add scene number and time range if missing
       const sceneNumber = scene.sceneNumber || (index + 1);
-      const startTime = (scene.startFrame / fps).toFixed(1);
-      const endTime = (scene.endFrame / fps).toFixed(1);
-      const timeRange = `${startTime}-${endTime}s`;
+      const { timeRange, duration } = describeSceneBoundary(scene, fps);
       
       // Map frames to frameData (the actual frame analysis data)
-      const frameData = (scene.frames || scene.frameData || []).slice(0, 3); // Limit to 3 frames for efficiency
+      const frameData = (scene.frames || scene.frameData || []).filter(isAnalyzedFrame).slice(0, 3); // Limit to 3 frames for efficiency
       
       return {
         sceneNumber,
         timeRange,
+        duration,
+        shotCount: scene.shots?.length || null,
         frameData,
         audioSegment: getAudioSegmentForScene(scene, audioAnalysis)
       };
@@ -4039,9 +4441,9 @@ CRITICAL: Do NOT make up content. Use ONLY the frame analysis data provided belo
 
 VIDEO SCENES TO ANALYZE:
 ${batchData.map((scene, i) => `
-━━━ SCENE ${scene.sceneNumber} (${scene.timeRange}) ━━━
+━━━ SCENE ${scene.sceneNumber} (${scene.timeRange}${scene.shotCount ? `, ${scene.shotCount} shot${scene.shotCount === 1 ? '' : 's'}` : ''}) ━━━
 VISUAL CONTENT: ${scene.frameData.map(f => f.analysis).join(' → ')}
-AUDIO CONTENT: ${scene.audioSegment || 'No specific audio for this timeframe'}
+AUDIO CONTENT: ${describeSceneAudio(scene.audioSegment) || 'No specific audio for this timeframe'}
 `).join('\n')}
 
 OVERALL VIDEO CONTEXT:
@@ -4053,19 +4455,16 @@ INSTRUCTIONS:
 3. DO NOT invent fictional scenarios like "morning routines" or "cityscapes"
 4. Focus on what is actually happening in the provided frame descriptions
 
-OUTPUT: Return ONLY valid JSON array with this structure:
+OUTPUT: Return JSON with a "scenes" array holding one entry per scene above, in order, with this structure:
 [
   {
-    "sceneNumber": [number],
-    "timeRange": "[start-end]s", 
     "title": "[Descriptive title based on actual frame content]",
     "description": "[What actually happens based on frame data - 100-150 chars]",
-    "duration": "[X.X]s",
     "framing": {"shotTypes": ["type"], "cameraMovement": "movement", "composition": "style"},
     "lighting": {"style": "style", "mood": "mood", "direction": "direction", "quality": "quality"},
     "mood": {"emotional": "emotion", "atmosphere": "atmosphere", "tone": "tone"},
     "actionMovement": {"movement": "type", "direction": "direction", "pace": "pace"},
-    "audio": {"music": "type", "soundDesign": "style", "dialogue": "content"},
+    "audio": {"music": "type", "soundDesign": "style", "dialogue": "content, attributed to the listed speakers (Speaker A: ...) when given"},
     "visualEffects": {"transitions": "type", "effects": "effects", "graphics": "graphics"},
     "settingEnvironment": {"location": "location", "environment": "environment", "background": "background"},
     "subjectsFocus": {"main": "main_subject", "secondary": "secondary", "focus": "focus_area"},
@@ -4081,9 +4480,10 @@ OUTPUT: Return ONLY valid JSON array with this structure:
 
 IMPORTANT: Base all descriptions on the actual frame content provided above. Do not create fictional content.`;
 
-    const response = await handleRateLimit(async () => {
-      return await getOpenAIClient().chat.completions.create({
-        model: "gpt-4o",
+    const result = await handleRateLimit(async () => {
+      return requestStructured(getModelProvider('sceneBatch'), {
+        name: 'scene_batch',
+        schema: SCENE_BATCH_SCHEMA,
         messages: [
           {
             role: "user",
@@ -4095,162 +4495,40 @@ IMPORTANT: Base all descriptions on the actual frame content provided above. Do
       });
     });
 
-    // Parse the batch response with enhanced error handling
-    const responseText = response.choices[0].message.content;
-    let scenes;
-    
-    try {
-      logWithTimestamp('🔍 Parsing batch scene response', { 
-        responseLength: responseText.length,
-        responsePreview: responseText.substring(0, 200) + '...'
-      });
-
-      // Check for AI refusal first
-      if (isRefusalResponse(responseText)) {
-        throw new Error('AI refused to analyze content');
-      }
-
-      // Handle various response formats
-      let cleanedResponse = responseText.trim();
-      
-      // Remove markdown code blocks
-      if (cleanedResponse.includes('```json')) {
-        const jsonMatch = cleanedResponse.match(/```json\s*([\s\S]*?)\s*```/);
-        if (jsonMatch) {
-          cleanedResponse = jsonMatch[1].trim();
-        }
-      } else if (cleanedResponse.includes('```')) {
-        const jsonMatch = cleanedResponse.match(/```\s*([\s\S]*?)\s*```/);
-        if (jsonMatch) {
-          cleanedResponse = jsonMatch[1].trim();
-        }
-      }
-
-      // Try to find JSON array in the response
-      if (!cleanedResponse.startsWith('[') && !cleanedResponse.startsWith('{')) {
-        const arrayMatch = cleanedResponse.match(/\[[\s\S]*\]/);
-        if (arrayMatch) {
-          cleanedResponse = arrayMatch[0];
-        } else {
-          const objectMatch = cleanedResponse.match(/\{[\s\S]*\}/);
-          if (objectMatch) {
-            cleanedResponse = objectMatch[0];
-          }
-        }
-      }
-
-      // Fix common JSON issues
-      cleanedResponse = cleanedResponse
-        .replace(/,\s*]/g, ']')  // Remove trailing commas in arrays
-        .replace(/,\s*}/g, '}')  // Remove trailing commas in objects
-        .replace(/[\u201C\u201D]/g, '"')  // Replace curly quotes
-        .replace(/[\u2018\u2019]/g, "'")  // Replace curly apostrophes
-        .replace(/\n/g, ' ')  // Replace newlines with spaces
-        .replace(/\t/g, ' ');  // Replace tabs with spaces
-
-      logWithTimestamp('🧹 Cleaned response for parsing', { 
-        originalLength: responseText.length,
-        cleanedLength: cleanedResponse.length,
-        preview: cleanedResponse.substring(0, 150) + '...'
-      });
-
-      scenes = JSON.parse(cleanedResponse);
-      
-      if (!Array.isArray(scenes)) {
-        scenes = [scenes];
+    // Scenes are matched by position; numbering and timing come from the detected boundaries
+    let scenes = batchData.map((source, index) => {
+      const sceneTiming = { sceneNumber: source.sceneNumber, timeRange: source.timeRange, duration: source.duration };
+      const scene = result.data.scenes[index];
+      if (!scene) {
+        const fallbackScene = applySchemaDefaults(SCENE_CARD_SCHEMA, undefined, {
+          title: `Scene ${source.sceneNumber}`,
+          description: source.frameData[0]?.fields?.visualDescription || 'Scene description unavailable'
+        });
+        return withSceneAudio({ ...sceneTiming, ...fallbackScene, fallbackFields: [FALLBACK_ALL] }, source.audioSegment);
       }
+      return withSceneAudio(
+        { ...sceneTiming, ...scene, fallbackFields: scopeFallbackFields(`scenes[${index}]`, result.fallbackFields) },
+        source.audioSegment
+      );
+    });
 
-      // Validate scenes structure
-      scenes = scenes.filter(scene => scene && typeof scene === 'object').map((scene, index) => ({
-        sceneNumber: scene.sceneNumber || (index + 1),
-        timeRange: scene.timeRange || '0-2s',
-        title: scene.title || `Scene ${scene.sceneNumber || index + 1}`,
-        description: scene.description || 'Scene description',
-        duration: scene.duration || '2.0s',
-        framing: scene.framing || { shotTypes: ['Medium Shot'], cameraMovement: 'Static', composition: 'Centered' },
-        lighting: scene.lighting || { style: 'Natural', mood: 'Neutral', direction: 'Front', quality: 'Good' },
-        mood: scene.mood || { emotional: 'Neutral', atmosphere: 'Standard', tone: 'Casual' },
-        actionMovement: scene.actionMovement || { movement: 'Minimal', direction: 'Static', pace: 'Medium' },
-        audio: scene.audio || { music: 'Background', soundDesign: 'Standard', dialogue: 'Unknown' },
-        visualEffects: scene.visualEffects || { transitions: 'Cut', effects: 'None', graphics: 'Text overlay' },
-        settingEnvironment: scene.settingEnvironment || { location: 'Indoor', environment: 'Studio', background: 'Neutral' },
-        subjectsFocus: scene.subjectsFocus || { main: 'Primary subject', secondary: 'Background', focus: 'Center' },
-        intentImpactAnalysis: scene.intentImpactAnalysis || {
-          creatorIntent: 'Content delivery',
-          howExecuted: 'Standard presentation',
-          viewerImpact: 'Information delivery',
-          narrativeSignificance: 'Progression'
-        },
-        textDialogue: scene.textDialogue || { content: 'Scene content', style: 'Standard' }
-      }));
+    logWithTimestamp('✅ Scene batch matched to scenes', { 
+      returnedScenes: result.data.scenes.length,
+      sceneCount: scenes.length,
+      scenesWithFallbacks: scenes.filter(scene => scene.fallbackFields.length > 0).length
+    });
 
-      logWithTimestamp('✅ Successfully parsed and validated scenes', { 
-        sceneCount: scenes.length,
-        validScenes: scenes.filter(s => s.title && s.description).length
-      });
-      
-    } catch (parseError) {
-      logWithTimestamp('⚠️ Failed to parse batch scene response, using fallback', { 
-        error: parseError.message,
-        responsePreview: responseText.substring(0, 500)
-      });
-      
-      // Create enhanced fallback scenes with actual content from the batch data
-      scenes = batchData.map((scene, index) => {
-        const frameAnalysis = scene.frameData?.[0]?.analysis || '';
-        const keyWords = frameAnalysis.toLowerCase();
-        
-        // Extract key content indicators from frame analysis
-        const isKitchen = keyWords.includes('kitchen') || keyWords.includes('cooking') || keyWords.includes('stove');
-        const isFood = keyWords.includes('food') || keyWords.includes('ingredients') || keyWords.includes('pan');
-        const isCutting = keyWords.includes('cutting') || keyWords.includes('chopping') || keyWords.includes('knife');
-        const isClose = keyWords.includes('close') || keyWords.includes('detail');
-        
-        return {
-          sceneNumber: scene.sceneNumber,
-          timeRange: scene.timeRange,
-          title: `${isCutting ? 'Ingredient Preparation' : 
-                   isFood ? 'Food Cooking' :
-                   isKitchen ? 'Kitchen Scene' : 
-                   'Video Content'} ${scene.sceneNumber}`,
-          description: frameAnalysis.substring(0, 200) || 'Scene showing video content progression',
-          duration: scene.timeRange.includes('-') ? 
-            scene.timeRange.split('-')[1] : 
-            '2.0s',
-          framing: { 
-            shotTypes: keyWords.includes('close') ? ['Close-up'] : ['Medium Shot'], 
-            cameraMovement: 'Static', 
-            composition: 'Centered' 
-          },
-          lighting: { style: 'Natural', mood: 'Warm', direction: 'Front', quality: 'Good' },
-          mood: { emotional: 'Engaging', atmosphere: 'Inviting', tone: 'Friendly' },
-          actionMovement: { 
-            movement: keyWords.includes('cutting') || keyWords.includes('chopping') ? 'Active' : 'Moderate', 
-            direction: 'Forward', 
-            pace: 'Medium' 
-          },
-          audio: { music: 'Background', soundDesign: 'Natural', dialogue: 'Instructional' },
-          visualEffects: { transitions: 'Cut', effects: 'None', graphics: 'Text overlay' },
-          settingEnvironment: { 
-            location: keyWords.includes('kitchen') ? 'Kitchen' : 'Indoor', 
-            environment: 'Home kitchen', 
-            background: 'Neutral' 
-          },
-          subjectsFocus: { 
-            main: keyWords.includes('hand') ? 'Hands and cooking action' : 'Primary content', 
-            secondary: 'Ingredients', 
-            focus: 'Center' 
-          },
-          intentImpactAnalysis: {
-            creatorIntent: 'Demonstrate cooking technique',
-            howExecuted: 'Visual demonstration with clear steps',
-            viewerImpact: 'Educational and inspiring',
-            narrativeSignificance: 'Progressive instruction'
-          },
-          textDialogue: { content: 'Instructional content', style: 'Casual and friendly' }
-        };
-      });
-    }
+    // Keep the measured shot timing rather than the model's echo of it
+    scenes = scenes.map((scene, index) => {
+      const source = sceneBatch[index];
+      if (!source?.shots) return scene;
+      return {
+        ...scene,
+        timeRange: batchData[index].timeRange,
+        duration: `${(source.endTime - source.startTime).toFixed(1)}s`,
+        cutTimestamps: source.cutTimestamps
+      };
+    });
 
     const batchDuration = Date.now() - batchStartTime;
     logWithTimestamp(`✅ Scene batch ${batchIndex + 1} complete`, { 
@@ -4266,17 +4544,21 @@ IMPORTANT: Base all descriptions on the actual frame content provided above. Do
     });
     
     // Return fallback scenes for this batch
-    return sceneBatch.map(scene => ({
-      sceneNumber: scene.sceneNumber,
-      timeRange: scene.timeRange,
-      title: `Scene ${scene.sceneNumber} (Error)`,
-      description: `Batch processing failed: ${error.message}`,
-      duration: `${((scene.endFrame - scene.startFrame) / fps).toFixed(1)}s`
-    }));
+    return sceneBatch.map(scene => {
+      const { start, end } = sceneBounds(scene, fps);
+      return {
+        sceneNumber: scene.sceneNumber,
+        timeRange: formatTimeRange(start, end),
+        title: `Scene ${scene.sceneNumber} (Error)`,
+        description: `Batch processing failed: ${error.message}`,
+        duration: `${(end - start).toFixed(1)}s`,
+        fallbackFields: [FALLBACK_ALL]
+      };
+    });
   }
 }
 
-async function generateCombinedAnalysis(frameAnalyses, audioAnalysis, scenes, hooks) {
+async function generateCombinedAnalysis(frameAnalyses, audioAnalysis, scenes, hooks, longForm = null) {
   const startTime = Date.now();
   logWithTimestamp('🧠 Starting combined category + context + strategic analysis');
 
@@ -4287,11 +4569,11 @@ VIDEO DATA:
 - Frame Count: ${frameAnalyses.length}
 - Scene Count: ${scenes.length}
 - Hook Count: ${hooks.length}
-- Transcript: ${audioAnalysis.transcription?.text || 'No transcript available'}
+- Transcript: ${transcriptForPrompt(audioAnalysis, 'No transcript available')}
 
 SCENE SUMMARY:
 ${scenes.slice(0, 8).map(scene => `Scene ${scene.sceneNumber}: ${scene.title} - ${scene.description?.substring(0, 100)}...`).join('\n')}
-
+${chapterDigestForPrompt(longForm)}
 HOOK SUMMARY:
 ${hooks.slice(0, 5).map(hook => `${hook.timestamp}: ${hook.description}`).join('\n')}
 
@@ -4327,9 +4609,10 @@ Provide analysis in this EXACT JSON structure:
   "strategicOverview": "detailed strategic analysis text covering why it works, success formula, universal principles, technical requirements, and replication framework"
 }`;
 
-    const response = await handleRateLimit(async () => {
-      return await getOpenAIClient().chat.completions.create({
-        model: "gpt-4o",
+    const result = await handleRateLimit(async () => {
+      return requestStructured(getModelProvider('combinedAnalysis'), {
+        name: 'combined_analysis',
+        schema: COMBINED_ANALYSIS_SCHEMA,
         messages: [
           {
             role: "user",
@@ -4341,57 +4624,19 @@ Provide analysis in this EXACT JSON structure:
       });
     });
 
-    const responseText = response.choices[0].message.content;
-    
-    // Parse the combined response
-    let analysisResult;
-    try {
-      let cleanedResponse = responseText;
-      if (responseText.includes('```json')) {
-        const jsonMatch = responseText.match(/```json\s*([\s\S]*?)\s*```/);
-        if (jsonMatch) {
-          cleanedResponse = jsonMatch[1];
-        }
-      }
-      
-      analysisResult = JSON.parse(cleanedResponse);
-    } catch (parseError) {
-      logWithTimestamp('⚠️ Failed to parse combined analysis, using fallback', { 
-        error: parseError.message 
-      });
-      
-      // Fallback structure
-      analysisResult = {
-        videoCategory: { 
-          category: 'engaging_education', 
-          confidence: 0.8, 
-          reasoning: 'Fallback categorization due to parsing error',
-          keyIndicators: ['educational content', 'instructional format']
-        },
-        contextualAnalysis: {
-          creatorIntent: { 
-            primaryIntent: 'Education and instruction', 
-            howAchieved: 'Visual demonstration with explanation',
-            effectivenessFactors: ['Clear presentation', 'Visual aids']
-          },
-          narrativeStructure: {
-            setup: 'Introduction to concept',
-            conflict: 'Learning challenge',
-            resolution: 'Solution demonstration',
-            storytellingDevices: ['demonstration', 'explanation']
-          },
-          messageDelivery: {
-            coreMessage: 'Educational content delivery',
-            deliveryMethod: 'Visual and verbal instruction',
-            memorabilityFactors: ['Clear demonstration', 'Practical application']
-          },
-          contextType: 'tutorial',
-          targetAudience: 'General learners',
-          keyInsights: ['Combined analysis parsing failed - using fallback data']
-        },
-        strategicOverview: 'Combined analysis failed to parse - using fallback strategic overview.'
-      };
-    }
+    // Each part carries the fallbackFields that fall inside it
+    const analysisResult = {
+      videoCategory: {
+        ...result.data.videoCategory,
+        fallbackFields: scopeFallbackFields('videoCategory', result.fallbackFields)
+      },
+      contextualAnalysis: {
+        ...result.data.contextualAnalysis,
+        fallbackFields: scopeFallbackFields('contextualAnalysis', result.fallbackFields)
+      },
+      strategicOverview: result.data.strategicOverview,
+      fallbackFields: result.fallbackFields
+    };
 
     const duration = Date.now() - startTime;
     logWithTimestamp('✅ Combined analysis complete', { 
@@ -4408,14 +4653,130 @@ Provide analysis in this EXACT JSON structure:
     
     // Return fallback data
     return {
-      videoCategory: { category: 'unknown', confidence: 0.5, reasoning: 'Analysis failed', keyIndicators: [] },
+      videoCategory: { category: 'unknown', confidence: 0.5, reasoning: 'Analysis failed', keyIndicators: [], fallbackFields: [FALLBACK_ALL] },
       contextualAnalysis: { 
         creatorIntent: { primaryIntent: 'unknown', howAchieved: 'unknown', effectivenessFactors: [] },
         contextType: 'unknown',
         targetAudience: 'unknown',
-        keyInsights: ['Combined analysis failed']
+        keyInsights: ['Combined analysis failed'],
+        fallbackFields: [FALLBACK_ALL]
       },
-      strategicOverview: 'Combined analysis failed due to: ' + error.message
+      strategicOverview: 'Combined analysis failed due to: ' + error.message,
+      fallbackFields: [FALLBACK_ALL]
     };
   }
 }
+
+// Hierarchical summary of a long-form video: scenes are grouped into time chunks that are
+// summarized in parallel, then consecutive chunk summaries are merged into chapters.
+// Returns { chunkSeconds, chapters: [{ ...chapter, chunks: [chunk summaries] }] }.
+async function generateLongFormSummary(frameAnalyses, audioAnalysis, scenes, fps = 2) {
+  const startTime = Date.now();
+  const chunkPlan = planChunks(scenes, fps);
+  const chapterPlan = planChapters(chunkPlan);
+  logWithTimestamp('📚 Starting long-form summarization', {
+    duration: `${(frameAnalyses.length / fps).toFixed(1)}s`,
+    sceneCount: scenes.length,
+    chunkCount: chunkPlan.length,
+    chapterCount: chapterPlan.length
+  });
+
+  const chunks = await Promise.all(chunkPlan.map(chunk => summarizeChunk(chunk, chunkPlan.length, frameAnalyses, audioAnalysis, scenes, fps)));
+  const chapters = await Promise.all(chapterPlan.map(chapter => summarizeChapter(
+    chapter,
+    chunks.filter(chunk => chapter.chunkNumbers.includes(chunk.chunkNumber))
+  )));
+
+  logWithTimestamp('✅ Long-form summarization complete', {
+    duration: `${Date.now() - startTime}ms`,
+    chapters: chapters.map(chapter => `${chapter.chapterNumber}: ${chapter.title} (${chapter.timeRange})`),
+    chunksWithFallbacks: chunks.filter(chunk => chunk.fallbackFields.length > 0).length
+  });
+
+  return { chunkSeconds: LONG_FORM_CHUNK_SECONDS, chapters };
+}
+
+async function summarizeChunk(chunk, chunkCount, frameAnalyses, audioAnalysis, scenes, fps) {
+  const chunkScenes = scenes.filter((scene, i) => chunk.sceneNumbers.includes(scene.sceneNumber ?? i + 1));
+  const chunkFrames = frameAnalyses.filter(frame => {
+    const time = frame.time ?? frame.frameIndex / fps;
+    return isAnalyzedFrame(frame) && time >= chunk.startTime && time < chunk.endTime;
+  });
+  const transcript = transcriptBetween(audioAnalysis?.transcription, chunk.startTime, chunk.endTime);
+
+  const chunkPrompt = `Summarize part ${chunk.chunkNumber} of ${chunkCount} of a long video. This part runs from ${chunk.timeRange} and covers scenes ${chunk.sceneNumbers[0]}-${chunk.sceneNumbers[chunk.sceneNumbers.length - 1]}.
+
+SCENES:
+${sampleLines(chunkScenes.map((scene, i) => `Scene ${scene.sceneNumber ?? chunk.sceneNumbers[i]} (${scene.timeRange}): ${scene.title} - ${scene.description}`), PROMPT_TOKEN_BUDGET / 4)}
+
+FRAMES:
+${sampleLines(chunkFrames.map(frame => `${frame.timestamp}: ${frame.fields?.visualDescription || frame.analysis.split('\n')[0]}`), PROMPT_TOKEN_BUDGET / 4)}
+
+TRANSCRIPT (${chunk.timeRange}):
+${truncateToTokens(transcript, PROMPT_TOKEN_BUDGET / 2) || 'No speech in this part'}
+
+Return JSON with:
+- summary: 3-5 sentences on what happens in this part and how it moves the video forward
+- keyMoments: the most important moments, with timestamps taken from the data above (e.g. "75.5s")
+- topics: subjects covered in this part
+- tone: the tone of this part`;
+
+  try {
+    const result = await handleRateLimit(async () => {
+      return requestStructured(getModelProvider('longFormSummary'), {
+        name: 'chunk_summary',
+        schema: CHUNK_SUMMARY_SCHEMA,
+        messages: [{ role: 'user', content: chunkPrompt }],
+        max_tokens: 1500,
+        temperature: 0.3
+      });
+    }, MAX_RETRIES, `long_form_chunk_${chunk.chunkNumber}`);
+
+    return { ...chunk, ...result.data, fallbackFields: result.fallbackFields };
+  } catch (error) {
+    logWithTimestamp(`❌ Chunk ${chunk.chunkNumber} summary failed`, { error: error.message });
+    const fallbackSummary = applySchemaDefaults(CHUNK_SUMMARY_SCHEMA, undefined, {
+      summary: chunkScenes.map(scene => scene.title).join('; ') || undefined
+    });
+    return { ...chunk, ...fallbackSummary, fallbackFields: [FALLBACK_ALL] };
+  }
+}
+
+async function summarizeChapter(chapter, chunks) {
+  const chapterPrompt = `These are consecutive parts of a long video, together one chapter (${chapter.timeRange}). Merge them into a chapter summary.
+
+${chunks.map(chunk => `PART ${chunk.chunkNumber} (${chunk.timeRange}, scenes ${chunk.sceneNumbers[0]}-${chunk.sceneNumbers[chunk.sceneNumbers.length - 1]}):
+Summary: ${chunk.summary}
+Topics: ${chunk.topics.join(', ') || 'None'}
+Tone: ${chunk.tone}
+Key moments:
+${chunk.keyMoments.map(moment => `- ${moment.timestamp}: ${moment.description}`).join('\n') || '- None'}`).join('\n\n')}
+
+Return JSON with:
+- title: a short chapter title
+- summary: 3-6 sentences on what happens in this chapter
+- narrativeRole: what the chapter does for the video as a whole (e.g. setup, demonstration, payoff)
+- keyMoments: the chapter's most important moments, keeping the timestamps given above`;
+
+  try {
+    const result = await handleRateLimit(async () => {
+      return requestStructured(getModelProvider('longFormSummary'), {
+        name: 'chapter_summary',
+        schema: CHAPTER_SUMMARY_SCHEMA,
+        messages: [{ role: 'user', content: truncateToTokens(chapterPrompt, PROMPT_TOKEN_BUDGET) }],
+        max_tokens: 1500,
+        temperature: 0.3
+      });
+    }, MAX_RETRIES, `long_form_chapter_${chapter.chapterNumber}`);
+
+    return { ...chapter, ...result.data, chunks, fallbackFields: result.fallbackFields };
+  } catch (error) {
+    logWithTimestamp(`❌ Chapter ${chapter.chapterNumber} summary failed`, { error: error.message });
+    const fallbackChapter = applySchemaDefaults(CHAPTER_SUMMARY_SCHEMA, undefined, {
+      title: `Chapter ${chapter.chapterNumber}`,
+      summary: chunks.map(chunk => chunk.summary).join(' '),
+      keyMoments: chunks.flatMap(chunk => chunk.keyMoments)
+    });
+    return { ...chapter, ...fallbackChapter, chunks, fallbackFields: [FALLBACK_ALL] };
+  }
+}
@@ -0,0 +1,34 @@
+import { NextResponse } from 'next/server';
+import { getJob, JOB_STATUS } from '../../../lib/jobQueue.js';
+import { getRequestUser } from '../../../lib/requestAuth.js';
+
+// Status and result of a queued analysis. Requires the owner's Supabase access token
+// (Authorization: Bearer ...); other callers get 404, as if the job didn't exist.
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const jobId = searchParams.get('jobId') || searchParams.get('requestId');
+
+  if (!jobId) {
+    return NextResponse.json({ error: 'jobId required' }, { status: 400 });
+  }
+
+  const user = await getRequestUser(request);
+  if (!user) {
+    return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+  }
+
+  const job = await getJob(jobId);
+  if (!job || job.userId !== user.id) {
+    return NextResponse.json({ error: 'Job not found', jobId }, { status: 404 });
+  }
+
+  return NextResponse.json({
+    jobId: job.id,
+    status: job.status,
+    error: job.error || null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    result: job.status === JOB_STATUS.SUCCEEDED ? job.result : null
+  });
+}
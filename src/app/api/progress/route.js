@@ -1,5 +1,5 @@
 import { NextResponse } from 'next/server';
-import { getProgress, setProgress } from '../../../lib/progressStore.js';
+import { getProgress, getPhaseHistory, getPartialResults, setProgress } from '../../../lib/progressStore.js';
 
 export async function GET(request) {
   const { searchParams } = new URL(request.url);
@@ -9,8 +9,13 @@ export async function GET(request) {
     return NextResponse.json({ error: 'requestId required' }, { status: 400 });
   }
   
-  const progress = getProgress(requestId);
-  return NextResponse.json(progress);
+  // Polling fallback for clients that can't use /api/progress/stream
+  const [progress, phases, partialResults] = await Promise.all([
+    getProgress(requestId),
+    getPhaseHistory(requestId),
+    getPartialResults(requestId)
+  ]);
+  return NextResponse.json({ ...progress, phases, partialResults });
 }
 
 export async function POST(request) {
@@ -20,12 +25,12 @@ export async function POST(request) {
     return NextResponse.json({ error: 'requestId required' }, { status: 400 });
   }
   
-  const success = setProgress(requestId, {
+  const event = await setProgress(requestId, {
     phase,
     progress,
     message,
     details
   });
   
-  return NextResponse.json({ success });
+  return NextResponse.json({ success: Boolean(event) });
 } 
\ No newline at end of file
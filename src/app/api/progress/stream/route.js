@@ -0,0 +1,82 @@
+import { NextResponse } from 'next/server';
+import { subscribeProgress, isFinalPhase } from '../../../../lib/progressStore.js';
+
+export const dynamic = 'force-dynamic';
+
+// Comment lines keep proxies from closing an idle stream
+const KEEP_ALIVE_INTERVAL = 15000;
+
+// How long EventSource waits before reconnecting after a dropped connection
+const RECONNECT_DELAY = 2000;
+
+// `progress` for progress updates, `partial` for partial results
+function formatEvent(event) {
+  return `id: ${event.id}\nevent: ${event.kind}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+// Server-Sent Events stream of an analysis' progress updates and partial results. A new
+// connection gets everything so far; a reconnecting one only what it missed since its
+// Last-Event-ID (or ?lastEventId= for clients reconnecting by hand). The stream ends with
+// an `end` event once the analysis completes, fails or is cancelled.
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const requestId = searchParams.get('requestId');
+
+  if (!requestId) {
+    return NextResponse.json({ error: 'requestId required' }, { status: 400 });
+  }
+
+  const lastEventId = parseInt(request.headers.get('last-event-id') || searchParams.get('lastEventId') || '0', 10) || 0;
+  const encoder = new TextEncoder();
+  let cleanup = () => {};
+
+  const stream = new ReadableStream({
+    start(controller) {
+      let closed = false;
+      const send = (text) => {
+        if (!closed) controller.enqueue(encoder.encode(text));
+      };
+      const close = () => {
+        if (closed) return;
+        closed = true;
+        cleanup();
+        try {
+          controller.close();
+        } catch {
+          // Already closed by the client
+        }
+      };
+      const push = (event) => {
+        send(formatEvent(event));
+        if (event.kind === 'progress' && isFinalPhase(event.phase)) {
+          send('event: end\ndata: {}\n\n');
+          close();
+        }
+      };
+
+      send(`retry: ${RECONNECT_DELAY}\n\n`);
+
+      // Stored events after lastEventId first, then new ones as they are recorded
+      const unsubscribe = subscribeProgress(requestId, lastEventId, push);
+      const keepAlive = setInterval(() => send(': keep-alive\n\n'), KEEP_ALIVE_INTERVAL);
+      cleanup = () => {
+        unsubscribe();
+        clearInterval(keepAlive);
+      };
+      request.signal.addEventListener('abort', close);
+    },
+    cancel() {
+      cleanup();
+    }
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Disable proxy buffering (nginx) so events go out immediately
+      'X-Accel-Buffering': 'no'
+    }
+  });
+}
@@ -0,0 +1,106 @@
+import { NextResponse } from 'next/server';
+import { createSupabaseClientForUser } from '../../../../lib/supabase.js';
+import { getRequestUser, getBearerToken } from '../../../../lib/requestAuth.js';
+import {
+  CAPTION_FORMATS,
+  resolveCaptionOptions,
+  buildCaptionCues,
+  toSrt,
+  toVtt,
+  toTimedJson
+} from '../../../../lib/captions.js';
+
+// Transcript as a caption or timed JSON file.
+// GET exports a saved analysis' transcript_data (analysisId) for its owner, identified
+// by their Supabase access token (Authorization: Bearer ...);
+// POST exports a transcript sent in the body, for results that aren't saved.
+//
+// Params: format (srt | vtt | json), preset (standard | vertical),
+// maxCharsPerLine and maxLines (override the preset)
+
+const CONTENT_TYPES = {
+  [CAPTION_FORMATS.SRT]: 'application/x-subrip; charset=utf-8',
+  [CAPTION_FORMATS.VTT]: 'text/vtt; charset=utf-8',
+  [CAPTION_FORMATS.JSON]: 'application/json; charset=utf-8'
+};
+
+function exportTranscript(transcript, params, filenameBase) {
+  const format = params.format || CAPTION_FORMATS.SRT;
+  if (!CONTENT_TYPES[format]) {
+    return NextResponse.json({ error: `format must be one of ${Object.values(CAPTION_FORMATS).join(', ')}` }, { status: 400 });
+  }
+  if (!Array.isArray(transcript?.segments) || transcript.segments.length === 0) {
+    return NextResponse.json({ error: 'Transcript has no timed segments to export' }, { status: 422 });
+  }
+
+  let body;
+  if (format === CAPTION_FORMATS.JSON) {
+    body = JSON.stringify(toTimedJson(transcript), null, 2);
+  } else {
+    let options;
+    try {
+      options = resolveCaptionOptions(params);
+    } catch (error) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+    const cues = buildCaptionCues(transcript, options);
+    body = format === CAPTION_FORMATS.SRT ? toSrt(cues) : toVtt(cues);
+  }
+
+  const extension = format === CAPTION_FORMATS.JSON ? 'words.json' : format;
+  return new NextResponse(body, {
+    status: 200,
+    headers: {
+      'Content-Type': CONTENT_TYPES[format],
+      'Content-Disposition': `attachment; filename="${filenameBase}.${extension}"`
+    }
+  });
+}
+
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const analysisId = searchParams.get('analysisId');
+
+  if (!analysisId) {
+    return NextResponse.json({ error: 'analysisId required' }, { status: 400 });
+  }
+
+  const user = await getRequestUser(request);
+  if (!user) {
+    return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+  }
+
+  // Runs as the user: the function only returns analyses owned by auth.uid()
+  const client = createSupabaseClientForUser(getBearerToken(request));
+  if (!client) {
+    return NextResponse.json({ error: 'Saved analyses are not available' }, { status: 503 });
+  }
+
+  const { data, error } = await client.rpc('get_analysis_transcript', {
+    p_analysis_id: analysisId
+  });
+  if (error) {
+    return NextResponse.json({ error: 'Failed to load transcript', details: error.message }, { status: 500 });
+  }
+  if (!data || data.length === 0) {
+    return NextResponse.json({ error: 'Analysis not found', analysisId }, { status: 404 });
+  }
+
+  return exportTranscript(data[0].transcript_data, {
+    format: searchParams.get('format'),
+    preset: searchParams.get('preset'),
+    maxCharsPerLine: searchParams.get('maxCharsPerLine'),
+    maxLines: searchParams.get('maxLines')
+  }, `transcript-${analysisId}`);
+}
+
+export async function POST(request) {
+  const body = await request.json().catch(() => ({}));
+  const { transcript, format, preset, maxCharsPerLine, maxLines } = body || {};
+
+  if (!transcript || typeof transcript !== 'object') {
+    return NextResponse.json({ error: 'transcript required' }, { status: 400 });
+  }
+
+  return exportTranscript(transcript, { format, preset, maxCharsPerLine, maxLines }, `transcript-${Date.now()}`);
+}
@@ -2,11 +2,12 @@
 
 import { useState, FormEvent, useEffect, useRef } from 'react';
 import VideoUploader from '@/components/VideoUploader';
-import VideoAnalysis from '@/components/VideoAnalysis';
+import VideoAnalysis, { type PartialResults } from '@/components/VideoAnalysis';
 import AuthModal from '@/components/AuthModal';
 import PurchaseSuccess from '@/components/PurchaseSuccess';
 import UserDashboard from '@/components/UserDashboard';
 import { useAuth } from '@/contexts/AuthContext';
+import { getAccessToken } from '@/lib/supabase';
 
 
 // ... existing interfaces ...
@@ -41,6 +42,17 @@ interface Scene {
     music: string;
     soundDesign: string;
     dialogue: string;
+    speakers?: string[];
+    signal?: {
+      levelDb: number;
+      speechRatio: number;
+      musicRatio: number;
+      silenceRatio: number;
+      dominant: 'speech' | 'music' | 'silence';
+      silences: Array<{ start: number; end: number; duration: number }>;
+      beatCount: number;
+      bpm: number | null;
+    };
   };
   visualEffects: {
     transitions: string;
@@ -91,13 +103,34 @@ interface VideoCategory {
   keyIndicators: string[];
 }
 
+// Speaker labels ("Speaker A", "Speaker B", ...) are present when the audio was diarized
 interface Transcript {
   text: string;
   segments?: Array<{
     start: number;
     end: number;
     text: string;
+    speaker?: string | null;
+  }>;
+  words?: Array<{
+    word: string;
+    start: number;
+    end: number;
+    speaker?: string | null;
   }>;
+  speakerTurns?: Array<{
+    speaker: string;
+    start: number;
+    end: number;
+    text: string;
+  }>;
+  speakers?: Array<{
+    label: string;
+    turnCount: number;
+    talkTime: number;
+  }>;
+  provider?: string;
+  humanAuthored?: boolean;
 }
 
 interface CreatorIntent {
@@ -187,12 +220,34 @@ interface StrategicOverview {
   resourceScaling?: string;
 }
 
+interface AudioSignal {
+  duration: number;
+  loudness: {
+    integratedLufs: number | null;
+    loudnessRangeLu: number | null;
+    truePeakDbtp: number | null;
+  } | null;
+  silences: Array<{ start: number; end: number; duration: number }>;
+  content: {
+    speechRatio: number;
+    musicRatio: number;
+    silenceRatio: number;
+    timeline: Array<{ start: number; end: number; type: 'speech' | 'music' | 'silence'; levelDb: number }>;
+  };
+  tempo: {
+    bpm: number;
+    confidence: number;
+    beats: number[];
+  } | null;
+}
+
 interface VideoAnalysis {
   contentStructure: string;
   hook: string;
   totalDuration: string;
   scenes: Scene[];
   transcript: Transcript;
+  audioSignal?: AudioSignal | null;
   hooks: Hook[];
   videoCategory: VideoCategory;
   contextualAnalysis: ContextualAnalysis;
@@ -204,6 +259,11 @@ interface VideoAnalysis {
   isDemoMode?: boolean;
 }
 
+// Queued analyses are polled until they finish; a job still unfinished after the
+// deadline (its worker most likely died) is reported as an error
+const JOB_POLL_INTERVAL_MS = 2000;
+const JOB_POLL_TIMEOUT_MS = 60 * 60 * 1000;
+
 export default function Home() {
   const { user, profile, loading, refreshProfile, signOut, isSupabaseAvailable, supabaseError } = useAuth() as any;
   
@@ -219,6 +279,8 @@ export default function Home() {
   
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [analysisResults, setAnalysisResults] = useState<VideoAnalysis | null>(null);
+  // Transcript, scenes, hooks and category of the running analysis, shown before it finishes
+  const [partialResults, setPartialResults] = useState<PartialResults>({});
   const [error, setError] = useState<string | null>(null);
   const [estimatedCredits, setEstimatedCredits] = useState<number>(0);
   const [estimatedDuration, setEstimatedDuration] = useState<string>('');
@@ -228,6 +290,9 @@ export default function Home() {
   const [timeEstimate, setTimeEstimate] = useState<{elapsed: number, remaining: number, total: number} | null>(null);
   const [igUrl, setIgUrl] = useState('');
   const [uploadedFile, setUploadedFile] = useState<File | null>(null);
+  const [subtitleFile, setSubtitleFile] = useState<File | null>(null);
+  // Skip the analysis cache and run the full pipeline even for a video analyzed before
+  const [forceReanalyze, setForceReanalyze] = useState(false);
   const [requestId, setRequestId] = useState<string | null>(null);
   const [progress, setProgress] = useState<{phase: string, progress: number, message: string} | null>(null);
   const [isLoadingAuth, setIsLoadingAuth] = useState(true);
@@ -240,10 +305,15 @@ export default function Home() {
   const [showPurchaseSuccess, setShowPurchaseSuccess] = useState(false);
   const [paymentSessionId, setPaymentSessionId] = useState<string | null>(null);
   const [showDashboard, setShowDashboard] = useState(false);
+  const [isCancelling, setIsCancelling] = useState(false);
+  const [cancelNotice, setCancelNotice] = useState<string | null>(null);
   
   // Refs to avoid closure issues in intervals
   const progressIntervalRef = useRef<NodeJS.Timeout | null>(null);
   const currentRequestIdRef = useRef<string | null>(null);
+  const progressStreamRef = useRef<EventSource | null>(null);
+  // Request the user cancelled, so its failing request isn't reported as an error
+  const cancelledRequestIdRef = useRef<string | null>(null);
 
   useEffect(() => {
     if (profile) {
@@ -300,6 +370,55 @@ export default function Home() {
     }
   };
 
+  const applyProgressUpdate = (data: { phase: string, progress: number, message: string, details?: { timeEstimate?: { elapsed: number, remaining: number, total: number } } }) => {
+    setProgress(data);
+    setAnalysisProgress(data.progress || 0);
+    setAnalysisStatus(data.message || 'Processing...');
+
+    if (data.details?.timeEstimate) {
+      setTimeEstimate(data.details.timeEstimate);
+    }
+  };
+
+  const applyPartialResult = ({ section, data, append }: { section: keyof PartialResults, data: any, append: boolean }) => {
+    setPartialResults(prev => ({
+      ...prev,
+      // Scene cards arrive a batch at a time
+      [section]: append ? [...((prev[section] as any[]) || []), ...data] : data
+    }));
+  };
+
+  // Progress is pushed over Server-Sent Events; browsers without EventSource, or
+  // streams that can't be re-established, fall back to polling /api/progress
+  const startProgressUpdates = (requestId: string) => {
+    if (typeof EventSource === 'undefined') {
+      startProgressPolling(requestId);
+      return;
+    }
+
+    currentRequestIdRef.current = requestId;
+    const source = new EventSource(`/api/progress/stream?requestId=${encodeURIComponent(requestId)}`);
+    progressStreamRef.current = source;
+
+    source.addEventListener('progress', (event) => {
+      applyProgressUpdate(JSON.parse((event as MessageEvent).data));
+    });
+    source.addEventListener('partial', (event) => {
+      applyPartialResult(JSON.parse((event as MessageEvent).data));
+    });
+    source.addEventListener('end', () => {
+      stopProgressPolling();
+    });
+    source.onerror = () => {
+      // EventSource reconnects by itself (resuming after the last event id) unless it gave up
+      if (source.readyState === EventSource.CLOSED && progressStreamRef.current === source) {
+        console.warn('⚠️ Progress stream closed, falling back to polling');
+        progressStreamRef.current = null;
+        startProgressPolling(requestId);
+      }
+    };
+  };
+
   // Debug progress polling with extensive logging
   const startProgressPolling = (requestId: string) => {
     console.log('🚀 Starting progress polling for:', requestId);
@@ -334,13 +453,9 @@ export default function Home() {
             phase: data.phase
           });
           
-          // Update state
-          setProgress(data);
-          setAnalysisProgress(data.progress || 0);
-          setAnalysisStatus(data.message || 'Processing...');
-          
-          if (data.details?.timeEstimate) {
-            setTimeEstimate(data.details.timeEstimate);
+          applyProgressUpdate(data);
+          if (data.partialResults) {
+            setPartialResults(data.partialResults);
           }
           
           if (data.progress >= 100) {
@@ -376,6 +491,10 @@ export default function Home() {
   };
 
   const stopProgressPolling = () => {
+    if (progressStreamRef.current) {
+      progressStreamRef.current.close();
+      progressStreamRef.current = null;
+    }
     if (progressIntervalRef.current) {
       clearInterval(progressIntervalRef.current);
       progressIntervalRef.current = null;
@@ -383,6 +502,76 @@ export default function Home() {
     currentRequestIdRef.current = null;
   };
 
+  // Bearer token for API routes that only answer the owner of an analysis
+  const authHeaders = async (): Promise<Record<string, string>> => {
+    const token = await getAccessToken();
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  };
+
+  // Poll a queued analysis job until the worker finishes it
+  const waitForJobResult = async (jobId: string) => {
+    const deadline = Date.now() + JOB_POLL_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+
+      const response = await fetch(`/api/jobs?jobId=${encodeURIComponent(jobId)}`, {
+        headers: await authHeaders()
+      });
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || 'Failed to load analysis job');
+      }
+
+      const job = await response.json();
+      if (job.status === 'succeeded') {
+        return job.result;
+      }
+      if (job.status === 'failed') {
+        throw new Error(job.error || 'Analysis failed');
+      }
+      if (job.status === 'cancelled') {
+        throw new Error(job.error || 'Analysis cancelled');
+      }
+      if (job.status !== 'queued' && job.status !== 'running') {
+        throw new Error(`Unexpected analysis job status: ${job.status}`);
+      }
+    }
+
+    throw new Error('Analysis is taking too long; check your analysis history later');
+  };
+
+  // Stop the running analysis; only the part already processed is charged
+  const handleCancel = async () => {
+    if (!requestId || !user) return;
+
+    setIsCancelling(true);
+    cancelledRequestIdRef.current = requestId;
+    try {
+      const response = await fetch('/api/analyze/cancel', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(await authHeaders()) },
+        body: JSON.stringify({ requestId })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        cancelledRequestIdRef.current = null;
+        throw new Error(data.error || 'Failed to cancel analysis');
+      }
+
+      setCancelNotice(data.creditsRefunded != null
+        ? `Analysis cancelled. ${data.creditsCharged} credit${data.creditsCharged === 1 ? '' : 's'} charged, ${data.creditsRefunded} refunded.`
+        : 'Analysis cancelled.');
+      if (refreshProfile) {
+        await refreshProfile();
+      }
+    } catch (err) {
+      console.error('Cancel error:', err);
+      setError(err instanceof Error ? err.message : 'Failed to cancel analysis');
+    } finally {
+      setIsCancelling(false);
+    }
+  };
+
   const estimateVideoDuration = async (url: string) => {
     const response = await fetch('/api/estimate-duration', {
       method: 'POST',
@@ -431,7 +620,9 @@ export default function Home() {
 
     setIsAnalyzing(true);
     setError(null);
+    setCancelNotice(null);
     setAnalysisResults(null);
+    setPartialResults({});
     setProgress(null);
     setAnalysisProgress(0); // Start at 0% - backend will control all updates
     setAnalysisStatus('Starting analysis...');
@@ -441,8 +632,8 @@ export default function Home() {
     setRequestId(newRequestId);
     console.log('🔍 Starting analysis with requestId:', newRequestId);
 
-    // Start progress polling - this will be the ONLY source of progress updates
-    startProgressPolling(newRequestId);
+    // Start progress updates - this will be the ONLY source of progress updates
+    startProgressUpdates(newRequestId);
 
     try {
       let response;
@@ -462,7 +653,8 @@ export default function Home() {
           body: JSON.stringify({ 
             url: urlOrFile,
             userId: user.id,
-            requestId: newRequestId
+            requestId: newRequestId,
+            forceReanalyze
           })
         });
         
@@ -472,14 +664,21 @@ export default function Home() {
         console.log('📤 Sending analysis request for file:', urlOrFile.name);
         console.log('📤 FormData includes:', { 
           video: urlOrFile.name,
+          subtitles: subtitleFile?.name || null,
           userId: user.id,
           requestId: newRequestId
         });
         
         const formData = new FormData();
         formData.append('video', urlOrFile);
+        if (subtitleFile) {
+          formData.append('subtitles', subtitleFile);
+        }
         formData.append('userId', user.id);
         formData.append('requestId', newRequestId);
+        if (forceReanalyze) {
+          formData.append('forceReanalyze', 'true');
+        }
 
         response = await fetch('/api/analyze-upload', {
           method: 'POST',
@@ -494,7 +693,9 @@ export default function Home() {
         throw new Error(errorData.error || 'Analysis failed');
       }
 
-      const result = await response.json();
+      const data = await response.json();
+      // URL analyses are queued and return 202 with a job id; uploads return the result directly
+      const result = response.status === 202 ? await waitForJobResult(data.jobId) : data;
       setAnalysisResults(result);
       
       // Refresh user profile to update credits
@@ -503,11 +704,14 @@ export default function Home() {
       }
     } catch (err) {
       console.error('Analysis error:', err);
-      setError(err instanceof Error ? err.message : 'An unexpected error occurred');
+      if (cancelledRequestIdRef.current !== newRequestId) {
+        setError(err instanceof Error ? err.message : 'An unexpected error occurred');
+      }
     } finally {
       stopProgressPolling();
       setIsAnalyzing(false);
       setRequestId(null);
+      setPartialResults({});
       setProgress(null);
       setAnalysisProgress(0);
       setAnalysisStatus('');
@@ -523,7 +727,9 @@ export default function Home() {
 
     setIsAnalyzing(true);
     setError(null);
+    setCancelNotice(null);
     setAnalysisResults(null);
+    setPartialResults({});
     setProgress(null);
     setAnalysisProgress(0); // Start at 0% - backend will control all updates
     setAnalysisStatus('Extracting video from Facebook ad...');
@@ -533,8 +739,8 @@ export default function Home() {
     setRequestId(newRequestId);
     console.log('🔍 Starting FB ad analysis with requestId:', newRequestId);
 
-    // Start progress polling - this will be the ONLY source of progress updates
-    startProgressPolling(newRequestId);
+    // Start progress updates - this will be the ONLY source of progress updates
+    startProgressUpdates(newRequestId);
 
     try {
       // First, extract the video URL from the Facebook ad
@@ -578,7 +784,9 @@ export default function Home() {
         throw new Error(errorData.error || 'Analysis failed');
       }
 
-      const result = await response.json();
+      const data = await response.json();
+      // URL analyses are queued and return 202 with a job id; uploads return the result directly
+      const result = response.status === 202 ? await waitForJobResult(data.jobId) : data;
       setAnalysisResults(result);
       
       // Refresh user profile to update credits
@@ -588,11 +796,14 @@ export default function Home() {
       
     } catch (err) {
       console.error('Facebook ad analysis error:', err);
-      setError(err instanceof Error ? err.message : 'Failed to analyze Facebook ad');
+      if (cancelledRequestIdRef.current !== newRequestId) {
+        setError(err instanceof Error ? err.message : 'Failed to analyze Facebook ad');
+      }
     } finally {
       stopProgressPolling();
       setIsAnalyzing(false);
       setRequestId(null);
+      setPartialResults({});
       setProgress(null);
       setAnalysisProgress(0);
       setAnalysisStatus('');
@@ -624,7 +835,8 @@ export default function Home() {
         // Get actual video duration for accurate credit estimation
         setError('Getting video duration...');
         const videoDuration = await getVideoDurationFromFile(uploadedFile);
-        const estimatedCredits = Math.ceil(videoDuration / 15); // 1 credit per 15 seconds
+        // 1 credit per 15 seconds, or per 20 seconds when subtitles replace transcription
+        const estimatedCredits = Math.ceil(videoDuration / (subtitleFile ? 20 : 15));
         setEstimatedCost(estimatedCredits);
         setError(null); // Clear the loading message
         setShowCostApproval(true);
@@ -875,9 +1087,30 @@ export default function Home() {
       }
     }
 
+    // Audio signal
+    if (results.audioSignal) {
+      const { content, loudness, tempo, silences } = results.audioSignal;
+      const percent = (ratio: number) => `${Math.round(ratio * 100)}%`;
+      addSectionHeader('AUDIO', '🔊');
+      lines.push(`Content: speech ${percent(content.speechRatio)}, music ${percent(content.musicRatio)}, silence ${percent(content.silenceRatio)}`);
+      if (loudness) {
+        lines.push(`Loudness: ${loudness.integratedLufs} LUFS integrated, ${loudness.loudnessRangeLu} LU range`);
+      }
+      lines.push(`Tempo: ${tempo ? `${tempo.bpm} BPM (${tempo.beats.length} beats)` : 'no steady beat'}`);
+      lines.push(`Silent gaps: ${silences.length > 0 ? silences.map(silence => `${silence.start.toFixed(1)}s-${silence.end.toFixed(1)}s`).join(', ') : 'none'}`);
+    }
+
     // Transcript
-    if (results.transcript?.text) {
+    if (results.transcript?.speakerTurns?.length) {
+      addSectionHeader('TRANSCRIPT', '📝');
+      results.transcript.speakerTurns.forEach(turn => {
+        lines.push(`${turn.speaker} (${formatTime(Math.floor(turn.start))}): ${turn.text}`);
+      });
+    } else if (results.transcript?.text) {
       addSectionHeader('TRANSCRIPT', '📝');
+      if (results.transcript.humanAuthored) {
+        lines.push('(From supplied subtitles)');
+      }
       // Split long transcript into paragraphs for readability
       const transcript = results.transcript.text;
       const maxLineLength = 80;
@@ -951,6 +1184,24 @@ export default function Home() {
     setError(null);
   };
 
+  const handleSubtitleUpload = (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    if (!/\.(srt|vtt)$/i.test(file.name)) {
+      setError('Please upload subtitles as an SRT or VTT file');
+      return;
+    }
+
+    if (file.size > 2 * 1024 * 1024) {
+      setError('Subtitle file must be less than 2MB');
+      return;
+    }
+
+    setSubtitleFile(file);
+    setError(null);
+  };
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
@@ -1163,6 +1414,44 @@ export default function Home() {
                             </div>
                           </label>
                         </div>
+                        <div className="flex items-center justify-between gap-3 pt-2">
+                          <div>
+                            <label htmlFor="subtitleFile" className="block text-sm font-semibold text-gray-700">
+                              Subtitles (optional)
+                            </label>
+                            <p className="text-xs text-gray-500">
+                              {subtitleFile
+                                ? `${subtitleFile.name} will be used as the transcript`
+                                : 'SRT or VTT captions skip transcription and cost fewer credits'}
+                            </p>
+                          </div>
+                          <div className="flex items-center gap-2">
+                            <input
+                              id="subtitleFile"
+                              type="file"
+                              accept=".srt,.vtt,text/vtt,application/x-subrip"
+                              onChange={handleSubtitleUpload}
+                              className="hidden"
+                              disabled={isAnalyzing}
+                            />
+                            <label
+                              htmlFor="subtitleFile"
+                              className="px-3 py-1.5 text-sm border border-gray-300 rounded-md cursor-pointer hover:bg-gray-50"
+                            >
+                              {subtitleFile ? 'Replace' : 'Add subtitles'}
+                            </label>
+                            {subtitleFile && (
+                              <button
+                                type="button"
+                                onClick={() => setSubtitleFile(null)}
+                                className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-900"
+                                disabled={isAnalyzing}
+                              >
+                                Remove
+                              </button>
+                            )}
+                          </div>
+                        </div>
                       </div>
                     ) : (
                       <div className="space-y-2 mt-4">
@@ -1193,6 +1482,25 @@ export default function Home() {
                         </p>
                       </div>
                     )}
+
+                    {inputMethod !== 'fbad' && (
+                      <label htmlFor="forceReanalyze" className="flex items-start gap-2 pt-3 cursor-pointer">
+                        <input
+                          id="forceReanalyze"
+                          type="checkbox"
+                          checked={forceReanalyze}
+                          onChange={(e) => setForceReanalyze(e.target.checked)}
+                          className="mt-0.5 h-4 w-4 rounded border-gray-300"
+                          disabled={isAnalyzing}
+                        />
+                        <span>
+                          <span className="block text-sm font-semibold text-gray-700">Force re-analyze</span>
+                          <span className="block text-xs text-gray-500">
+                            Run the full analysis even if this video was analyzed before, instead of reusing the saved result
+                          </span>
+                        </span>
+                      </label>
+                    )}
                   </div>
 
                   {error && (
@@ -1249,6 +1557,12 @@ export default function Home() {
                     </div>
                   )}
 
+                  {cancelNotice && !isAnalyzing && (
+                    <div className="rounded-lg p-4 bg-gray-50 border border-gray-200">
+                      <p className="text-sm text-gray-700">{cancelNotice}</p>
+                    </div>
+                  )}
+
                   {/* Progress display during analysis */}
                   {isAnalyzing && (
                     <div className="bg-blue-50 rounded-lg p-6 space-y-4">
@@ -1261,11 +1575,21 @@ export default function Home() {
                       </div>
                       
                       {/* Progress bar */}
-                      <div className="w-full bg-blue-200 rounded-full h-3">
-                        <div 
-                          className="bg-blue-600 h-3 rounded-full transition-all duration-500 ease-out"
-                          style={{ width: `${analysisProgress}%` }}
-                        ></div>
+                      <div className="flex items-center gap-3">
+                        <div className="flex-1 bg-blue-200 rounded-full h-3">
+                          <div 
+                            className="bg-blue-600 h-3 rounded-full transition-all duration-500 ease-out"
+                            style={{ width: `${analysisProgress}%` }}
+                          ></div>
+                        </div>
+                        <button
+                          type="button"
+                          onClick={handleCancel}
+                          disabled={isCancelling || !requestId}
+                          className="text-sm font-medium text-blue-700 hover:text-red-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          {isCancelling ? 'Cancelling...' : 'Cancel'}
+                        </button>
                       </div>
                       
                       {/* Status and progress info */}
@@ -1332,12 +1656,13 @@ export default function Home() {
           </div>
 
           {/* Results Section */}
-          {analysisResults && (
+          {(analysisResults || (isAnalyzing && Object.keys(partialResults).length > 0)) && (
             <div className="max-w-5xl mx-auto mt-8">
               <VideoAnalysis 
-                results={analysisResults} 
+                results={analysisResults || partialResults} 
                 onCopyMarkdown={handleCopyRichText}
                 isCopying={isCopying}
+                isPartial={!analysisResults}
               />
             </div>
           )}
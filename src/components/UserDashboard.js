@@ -3,6 +3,7 @@
 import { useState, useEffect } from 'react'
 import { useAuth } from '../contexts/AuthContext'
 import { getUserAnalyses } from '../lib/supabase'
+import { downloadTranscriptExport } from '../lib/captionDownload'
 
 export default function UserDashboard({ onClose }) {
   const { user, profile, signOut, refreshProfile } = useAuth()
@@ -10,6 +11,8 @@ export default function UserDashboard({ onClose }) {
   const [loading, setLoading] = useState(true)
   const [activeTab, setActiveTab] = useState('analyses')
   const [purchasing, setPurchasing] = useState(false)
+  const [captionPreset, setCaptionPreset] = useState('standard')
+  const [exporting, setExporting] = useState(null)
 
   useEffect(() => {
     if (user) {
@@ -28,6 +31,18 @@ export default function UserDashboard({ onClose }) {
     }
   }
 
+  const handleTranscriptExport = async (analysisId, format) => {
+    try {
+      setExporting(`${analysisId}:${format}`)
+      await downloadTranscriptExport({ analysisId, format, preset: captionPreset })
+    } catch (error) {
+      console.error('Transcript export failed:', error)
+      alert('Failed to export transcript')
+    } finally {
+      setExporting(null)
+    }
+  }
+
   const handleSignOut = async () => {
     await signOut()
     onClose()
@@ -284,8 +299,33 @@ export default function UserDashboard({ onClose }) {
                               {analysis.transcript_data.segments && analysis.transcript_data.segments.length > 0 && (
                                 <p className="text-xs text-purple-600 mt-2">
                                   {analysis.transcript_data.segments.length} segments detected
+                                  {analysis.transcript_data.speakers?.length > 0 && ` · ${analysis.transcript_data.speakers.length} speaker${analysis.transcript_data.speakers.length === 1 ? '' : 's'}`}
+                                  {analysis.transcript_data.humanAuthored && ' · from supplied subtitles'}
                                 </p>
                               )}
+                              {analysis.transcript_data.segments && analysis.transcript_data.segments.length > 0 && (
+                                <div className="flex flex-wrap items-center gap-2 mt-3">
+                                  <select
+                                    value={captionPreset}
+                                    onChange={(e) => setCaptionPreset(e.target.value)}
+                                    className="px-2 py-1 text-xs border border-purple-200 rounded-md bg-white"
+                                    aria-label="Caption layout"
+                                  >
+                                    <option value="standard">Landscape (42 chars/line)</option>
+                                    <option value="vertical">Vertical (24 chars/line)</option>
+                                  </select>
+                                  {[['srt', 'SRT'], ['vtt', 'VTT'], ['json', 'Timed JSON']].map(([format, label]) => (
+                                    <button
+                                      key={format}
+                                      onClick={() => handleTranscriptExport(analysis.id, format)}
+                                      disabled={exporting !== null}
+                                      className="px-2 py-1 text-xs bg-white text-purple-700 border border-purple-200 rounded-md hover:bg-purple-100 disabled:opacity-50"
+                                    >
+                                      {exporting === `${analysis.id}:${format}` ? 'Exporting...' : `⬇️ ${label}`}
+                                    </button>
+                                  ))}
+                                </div>
+                              )}
                             </div>
                           </div>
                         )}
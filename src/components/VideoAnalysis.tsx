@@ -2,6 +2,7 @@
 
 import { useState } from 'react';
 import StandardizedAnalysis from './StandardizedAnalysis';
+import { downloadTranscriptExport } from '../lib/captionDownload';
 
 interface Scene {
   sceneNumber: number;
@@ -34,6 +35,8 @@ interface Scene {
     music: string;
     soundDesign: string;
     dialogue: string;
+    speakers?: string[];
+    signal?: SceneAudioSignal;
   };
   visualEffects: {
     transitions: string;
@@ -62,10 +65,14 @@ interface Scene {
   };
 }
 
+// fallbackFields: result paths ("scenes[2].title", "transcript") holding defaults because
+// the model's output was missing or invalid; fallbackFrames: frames analyzed only partly
 interface VideoMetadata {
   totalFrames: number;
   frameRate: number;
   analysisTimestamp: string;
+  fallbackFields?: string[];
+  fallbackFrames?: number[];
 }
 
 interface Hook {
@@ -84,13 +91,35 @@ interface VideoCategory {
   keyIndicators: string[];
 }
 
+// Speaker labels ("Speaker A", "Speaker B", ...) are present when the audio was diarized
 interface Transcript {
   text: string;
   segments?: Array<{
     start: number;
     end: number;
     text: string;
+    speaker?: string | null;
   }>;
+  words?: Array<{
+    word: string;
+    start: number;
+    end: number;
+    speaker?: string | null;
+  }>;
+  speakerTurns?: Array<{
+    speaker: string;
+    start: number;
+    end: number;
+    text: string;
+  }>;
+  speakers?: Array<{
+    label: string;
+    turnCount: number;
+    talkTime: number;
+  }>;
+  provider?: string;
+  // Taken from subtitles supplied with the upload rather than transcribed
+  humanAuthored?: boolean;
 }
 
 interface CreatorIntent {
@@ -180,12 +209,46 @@ interface StrategicOverview {
   resourceScaling?: string;
 }
 
+// Measured from the soundtrack (see src/lib/audioSignal.js)
+interface AudioSignal {
+  duration: number;
+  loudness: {
+    integratedLufs: number | null;
+    loudnessRangeLu: number | null;
+    truePeakDbtp: number | null;
+  } | null;
+  silences: Array<{ start: number; end: number; duration: number }>;
+  content: {
+    speechRatio: number;
+    musicRatio: number;
+    silenceRatio: number;
+    timeline: Array<{ start: number; end: number; type: 'speech' | 'music' | 'silence'; levelDb: number }>;
+  };
+  tempo: {
+    bpm: number;
+    confidence: number;
+    beats: number[];
+  } | null;
+}
+
+interface SceneAudioSignal {
+  levelDb: number;
+  speechRatio: number;
+  musicRatio: number;
+  silenceRatio: number;
+  dominant: 'speech' | 'music' | 'silence';
+  silences: Array<{ start: number; end: number; duration: number }>;
+  beatCount: number;
+  bpm: number | null;
+}
+
 interface VideoAnalysis {
   contentStructure: string;
   hook: string;
   totalDuration: string;
   scenes: Scene[];
   transcript: Transcript;
+  audioSignal?: AudioSignal | null;
   hooks: Hook[];
   videoCategory: VideoCategory;
   contextualAnalysis: ContextualAnalysis;
@@ -197,22 +260,188 @@ interface VideoAnalysis {
   isDemoMode?: boolean;
 }
 
+// A detected scene whose scene card hasn't been written yet
+interface SceneBoundary {
+  sceneNumber: number;
+  timeRange: string;
+  duration: string;
+  shotCount: number | null;
+}
+
+// What a running analysis has published so far (see publishPartialResult)
+export interface PartialResults {
+  transcript?: Transcript;
+  audioSignal?: AudioSignal | null;
+  sceneBoundaries?: SceneBoundary[];
+  scenes?: Scene[];
+  hooks?: Hook[];
+  videoCategory?: VideoCategory;
+}
+
 interface VideoAnalysisProps {
-  results: VideoAnalysis;
+  results: Partial<VideoAnalysis> & PartialResults;
   onCopyMarkdown: () => Promise<void>;
   isCopying: boolean;
+  // The analysis is still running: sections fill in as their results arrive
+  isPartial?: boolean;
+}
+
+const SIGNAL_COLORS = {
+  speech: 'bg-purple-400',
+  music: 'bg-blue-400',
+  silence: 'bg-gray-200'
+};
+
+function formatPercent(ratio: number) {
+  return `${Math.round(ratio * 100)}%`;
+}
+
+function AudioSignalSection({ signal }: { signal: AudioSignal }) {
+  const { content, loudness, tempo, silences } = signal;
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <div className="bg-gray-50 rounded-lg p-3">
+          <div className="text-xs text-gray-500">Integrated loudness</div>
+          <div className="text-lg font-semibold text-gray-900">{loudness?.integratedLufs ?? '—'} LUFS</div>
+        </div>
+        <div className="bg-gray-50 rounded-lg p-3">
+          <div className="text-xs text-gray-500">Loudness range</div>
+          <div className="text-lg font-semibold text-gray-900">{loudness?.loudnessRangeLu ?? '—'} LU</div>
+        </div>
+        <div className="bg-gray-50 rounded-lg p-3">
+          <div className="text-xs text-gray-500">Tempo</div>
+          <div className="text-lg font-semibold text-gray-900">{tempo ? `${tempo.bpm} BPM` : 'No steady beat'}</div>
+        </div>
+        <div className="bg-gray-50 rounded-lg p-3">
+          <div className="text-xs text-gray-500">Silent gaps</div>
+          <div className="text-lg font-semibold text-gray-900">{silences.length}</div>
+        </div>
+      </div>
+
+      <div>
+        <div className="flex justify-between text-xs text-gray-600 mb-1">
+          <span>Speech {formatPercent(content.speechRatio)} · Music {formatPercent(content.musicRatio)} · Silence {formatPercent(content.silenceRatio)}</span>
+          <span>{signal.duration.toFixed(1)}s</span>
+        </div>
+        <div className="flex h-4 rounded overflow-hidden">
+          {content.timeline.map((run, index) => (
+            <div
+              key={index}
+              className={SIGNAL_COLORS[run.type]}
+              style={{ width: `${((run.end - run.start) / (signal.duration || 1)) * 100}%` }}
+              title={`${run.start}s-${run.end}s: ${run.type} (${run.levelDb} dBFS)`}
+            />
+          ))}
+        </div>
+        <div className="flex gap-4 mt-2 text-xs text-gray-500">
+          {(['speech', 'music', 'silence'] as const).map(type => (
+            <span key={type} className="flex items-center gap-1">
+              <span className={`inline-block w-3 h-3 rounded ${SIGNAL_COLORS[type]}`} />
+              {type}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      {silences.length > 0 && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-900 mb-1">Silent gaps</h4>
+          <p className="text-xs text-gray-600">
+            {silences.map(silence => `${silence.start.toFixed(1)}s-${silence.end.toFixed(1)}s`).join(', ')}
+          </p>
+        </div>
+      )}
+
+      {tempo && tempo.beats.length > 0 && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-900 mb-1">
+            Beat grid · {tempo.beats.length} beats · {formatPercent(tempo.confidence)} confidence
+          </h4>
+          <p className="text-xs text-gray-600 font-mono break-words">
+            {tempo.beats.slice(0, 64).map(beat => `${beat.toFixed(2)}s`).join(' ')}
+            {tempo.beats.length > 64 && ` … +${tempo.beats.length - 64} more`}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Parts of the result the model didn't deliver, filled in with placeholder values
+function FallbackNotice({ metadata }: { metadata?: VideoMetadata }) {
+  // '*' means the whole result is a default
+  const fields = (metadata?.fallbackFields || []).map(field => (field === '*' ? 'entire analysis' : field));
+  const frames = metadata?.fallbackFrames || [];
+  if (fields.length === 0 && frames.length === 0) return null;
+
+  return (
+    <div className="mb-6 rounded-lg border border-amber-200 bg-amber-50 p-4 text-sm text-amber-800">
+      <p className="font-semibold">⚠️ Parts of this analysis are placeholders</p>
+      <p className="mt-1">The model's answer was missing or invalid for these parts, so they show default values instead of real analysis.</p>
+      {fields.length > 0 && (
+        <p className="mt-2">
+          <strong>Fields:</strong> <span className="font-mono break-words">{fields.join(', ')}</span>
+        </p>
+      )}
+      {frames.length > 0 && (
+        <p className="mt-1">
+          <strong>Frames analyzed only partly:</strong> {frames.join(', ')}
+        </p>
+      )}
+    </div>
+  );
 }
 
-export default function VideoAnalysis({ results, onCopyMarkdown, isCopying }: VideoAnalysisProps) {
+function PendingSection({ message }: { message: string }) {
+  return (
+    <div className="bg-gray-50 rounded-lg p-4 flex items-center gap-3">
+      <svg className="animate-spin h-4 w-4 text-gray-400" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+      </svg>
+      <p className="text-sm text-gray-500">{message}</p>
+    </div>
+  );
+}
+
+export default function VideoAnalysis({ results, onCopyMarkdown, isCopying, isPartial = false }: VideoAnalysisProps) {
   const [selectedScene, setSelectedScene] = useState<Scene | null>(null);
-  const [activeTab, setActiveTab] = useState<'standardized' | 'overview' | 'scenes' | 'hooks' | 'transcript'>(results.standardizedAnalysis ? 'standardized' : 'overview');
+  const [activeTab, setActiveTab] = useState<'standardized' | 'overview' | 'scenes' | 'hooks' | 'audio' | 'transcript'>(results.standardizedAnalysis ? 'standardized' : 'overview');
+  const [captionPreset, setCaptionPreset] = useState<'standard' | 'vertical'>('standard');
+  const [exportingFormat, setExportingFormat] = useState<string | null>(null);
+
+  // Scene batches finish in any order while the analysis runs
+  const scenes = [...(results.scenes || [])].sort((a, b) => a.sceneNumber - b.sceneNumber);
+  const pendingScenes = isPartial
+    ? (results.sceneBoundaries || []).filter(boundary => !scenes.some(scene => scene.sceneNumber === boundary.sceneNumber))
+    : [];
+  const hooks = results.hooks || [];
+
+  const handleTranscriptExport = async (format: 'srt' | 'vtt' | 'json') => {
+    try {
+      setExportingFormat(format);
+      await downloadTranscriptExport({ format, preset: captionPreset, transcript: results.transcript });
+    } catch (error) {
+      console.error('Transcript export failed:', error);
+      alert('Failed to export transcript');
+    } finally {
+      setExportingFormat(null);
+    }
+  };
 
   return (
     <div className="space-y-8">
       {/* Strategic Overview Section */}
       <div className="bg-white rounded-lg shadow p-6">
         <div className="flex justify-between items-center mb-6">
-          <h2 className="text-2xl font-semibold">📊 Video Analysis Overview</h2>
+          <div>
+            <h2 className="text-2xl font-semibold">📊 Video Analysis Overview</h2>
+            {isPartial && (
+              <p className="text-sm text-gray-500 mt-1">Results appear as they are ready; the strategy report fills in last.</p>
+            )}
+          </div>
+          {!isPartial && (
           <button
             onClick={onCopyMarkdown}
             disabled={isCopying}
@@ -235,8 +464,11 @@ export default function VideoAnalysis({ results, onCopyMarkdown, isCopying }: Vi
               </>
             )}
           </button>
+          )}
         </div>
 
+        {!isPartial && <FallbackNotice metadata={results.videoMetadata} />}
+
         {/* Tab Navigation */}
         <div className="flex space-x-1 mb-6 bg-gray-100 p-1 rounded-lg">
           {[
@@ -244,6 +476,7 @@ export default function VideoAnalysis({ results, onCopyMarkdown, isCopying }: Vi
             { id: 'overview', label: '📋 Overview', icon: '📋' },
             { id: 'scenes', label: '🎬 Scenes', icon: '🎬' },
             { id: 'hooks', label: '🔗 Hooks', icon: '🔗' },
+            ...(results.audioSignal ? [{ id: 'audio', label: '🔊 Audio', icon: '🔊' }] : []),
             { id: 'transcript', label: '📝 Transcript', icon: '📝' }
           ].map((tab) => (
             <button
@@ -272,6 +505,8 @@ export default function VideoAnalysis({ results, onCopyMarkdown, isCopying }: Vi
         {activeTab === 'overview' && (
           <div className="space-y-6">
             {/* Video Category */}
+            {!results.videoCategory && isPartial && <PendingSection message="Categorizing video..." />}
+            {results.videoCategory && (
             <div className="bg-blue-50 rounded-lg p-4">
               <h3 className="font-semibold text-blue-900 mb-2">Video Category</h3>
               <div className="flex items-center gap-3">
@@ -284,6 +519,9 @@ export default function VideoAnalysis({ results, onCopyMarkdown, isCopying }: Vi
               </div>
               <p className="text-sm text-blue-700 mt-2">{results.videoCategory.reasoning}</p>
             </div>
+            )}
+
+            {!results.strategicOverview && isPartial && <PendingSection message="Strategic analysis is written once scenes, hooks and category are in..." />}
 
             {/* Strategic Overview */}
             {results.strategicOverview && (
@@ -555,15 +793,15 @@ export default function VideoAnalysis({ results, onCopyMarkdown, isCopying }: Vi
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
               <div className="bg-gray-50 rounded-lg p-4">
                 <h4 className="font-medium text-gray-900">Duration</h4>
-                <p className="text-2xl font-bold text-blue-600">{results.totalDuration}</p>
+                <p className="text-2xl font-bold text-blue-600">{results.totalDuration || '—'}</p>
               </div>
               <div className="bg-gray-50 rounded-lg p-4">
                 <h4 className="font-medium text-gray-900">Scenes</h4>
-                <p className="text-2xl font-bold text-green-600">{results.scenes.length}</p>
+                <p className="text-2xl font-bold text-green-600">{scenes.length + pendingScenes.length}</p>
               </div>
               <div className="bg-gray-50 rounded-lg p-4">
                 <h4 className="font-medium text-gray-900">Hooks</h4>
-                <p className="text-2xl font-bold text-purple-600">{results.hooks.length}</p>
+                <p className="text-2xl font-bold text-purple-600">{hooks.length}</p>
               </div>
             </div>
           </div>
@@ -573,7 +811,8 @@ export default function VideoAnalysis({ results, onCopyMarkdown, isCopying }: Vi
           <div className="space-y-4">
             <h3 className="font-semibold text-gray-900">Scene by Scene Analysis</h3>
             <div className="grid gap-6">
-              {results.scenes.map((scene, index) => (
+              {isPartial && scenes.length === 0 && pendingScenes.length === 0 && <PendingSection message="Detecting scenes..." />}
+              {scenes.map((scene, index) => (
                 <div
                   key={index}
                   className="border border-gray-200 rounded-lg p-6 hover:border-blue-300 transition-colors"
@@ -645,6 +884,16 @@ export default function VideoAnalysis({ results, onCopyMarkdown, isCopying }: Vi
                         <div><strong>Music:</strong> {scene.audio?.music || 'N/A'}</div>
                         <div><strong>Sound Design:</strong> {scene.audio?.soundDesign || 'N/A'}</div>
                         <div><strong>Dialogue:</strong> {scene.audio?.dialogue || 'N/A'}</div>
+                        {scene.audio?.speakers && scene.audio.speakers.length > 0 && (
+                          <div><strong>Speakers:</strong> {scene.audio.speakers.join(', ')}</div>
+                        )}
+                        {scene.audio?.signal && (
+                          <div>
+                            <strong>Measured:</strong> {scene.audio.signal.levelDb} dBFS · speech {formatPercent(scene.audio.signal.speechRatio)} · music {formatPercent(scene.audio.signal.musicRatio)}
+                            {scene.audio.signal.bpm && ` · ${scene.audio.signal.beatCount} beats at ${scene.audio.signal.bpm} BPM`}
+                            {scene.audio.signal.silences.length > 0 && ` · ${scene.audio.signal.silences.length} silent gap${scene.audio.signal.silences.length === 1 ? '' : 's'}`}
+                          </div>
+                        )}
                       </div>
                     </div>
 
@@ -719,6 +968,27 @@ export default function VideoAnalysis({ results, onCopyMarkdown, isCopying }: Vi
                   )}
                 </div>
               ))}
+
+              {/* Detected scenes still waiting for their scene card */}
+              {pendingScenes.map((boundary) => (
+                <div
+                  key={`pending-${boundary.sceneNumber}`}
+                  className="border border-dashed border-gray-300 rounded-lg p-6"
+                >
+                  <div className="flex justify-between items-start">
+                    <div>
+                      <h4 className="text-xl font-semibold text-gray-400 mb-1">
+                        Scene {boundary.sceneNumber}
+                      </h4>
+                      <p className="text-sm text-gray-500">Analyzing scene...</p>
+                    </div>
+                    <div className="text-right">
+                      <div className="text-sm font-medium text-gray-500">{boundary.duration}</div>
+                      <div className="text-xs text-gray-400">{boundary.timeRange}</div>
+                    </div>
+                  </div>
+                </div>
+              ))}
             </div>
           </div>
         )}
@@ -726,8 +996,9 @@ export default function VideoAnalysis({ results, onCopyMarkdown, isCopying }: Vi
         {activeTab === 'hooks' && (
           <div className="space-y-4">
             <h3 className="font-semibold text-gray-900">Engagement Hooks</h3>
+            {isPartial && hooks.length === 0 && <PendingSection message="Finding hooks..." />}
             <div className="grid gap-3">
-              {results.hooks.map((hook, index) => (
+              {hooks.map((hook, index) => (
                 <div key={index} className="border border-gray-200 rounded-lg p-4">
                   <div className="flex justify-between items-start mb-2">
                     <span className={`px-2 py-1 rounded-full text-xs font-medium ${
@@ -749,11 +1020,73 @@ export default function VideoAnalysis({ results, onCopyMarkdown, isCopying }: Vi
           </div>
         )}
 
+        {activeTab === 'audio' && results.audioSignal && (
+          <div className="space-y-4">
+            <h3 className="font-semibold text-gray-900">Audio Signal</h3>
+            <AudioSignalSection signal={results.audioSignal} />
+          </div>
+        )}
+
         {activeTab === 'transcript' && (
           <div className="space-y-4">
-            <h3 className="font-semibold text-gray-900">Audio Transcript</h3>
+            <div className="flex items-center gap-2">
+              <h3 className="font-semibold text-gray-900">Audio Transcript</h3>
+              {results.transcript?.humanAuthored && (
+                <span className="px-2 py-0.5 bg-green-100 text-green-800 rounded-full text-xs font-medium">
+                  Human-authored subtitles
+                </span>
+              )}
+            </div>
+            {!isPartial && results.transcript?.segments && results.transcript.segments.length > 0 && (
+              <div className="flex flex-wrap items-center gap-2">
+                <select
+                  value={captionPreset}
+                  onChange={(e) => setCaptionPreset(e.target.value as 'standard' | 'vertical')}
+                  className="px-2 py-1 text-sm border border-gray-300 rounded-md"
+                  aria-label="Caption layout"
+                >
+                  <option value="standard">Landscape captions (42 chars/line)</option>
+                  <option value="vertical">Vertical captions (24 chars/line)</option>
+                </select>
+                {([['srt', 'SRT'], ['vtt', 'VTT'], ['json', 'Timed JSON']] as const).map(([format, label]) => (
+                  <button
+                    key={format}
+                    onClick={() => handleTranscriptExport(format)}
+                    disabled={exportingFormat !== null}
+                    className="px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 disabled:opacity-50"
+                  >
+                    {exportingFormat === format ? 'Exporting...' : `⬇️ ${label}`}
+                  </button>
+                ))}
+              </div>
+            )}
+            {!results.transcript && isPartial && <PendingSection message="Transcribing audio..." />}
+            {results.transcript?.speakers && results.transcript.speakers.length > 0 && (
+              <div className="flex flex-wrap gap-2">
+                {results.transcript.speakers.map((speaker) => (
+                  <span key={speaker.label} className="px-3 py-1 bg-purple-100 text-purple-800 rounded-full text-xs font-medium">
+                    {speaker.label} · {speaker.turnCount} turn{speaker.turnCount === 1 ? '' : 's'} · {speaker.talkTime.toFixed(0)}s
+                  </span>
+                ))}
+              </div>
+            )}
+            {results.transcript && (
             <div className="bg-gray-50 rounded-lg p-4">
-              {results.transcript.segments && results.transcript.segments.length > 0 ? (
+              {results.transcript.speakerTurns && results.transcript.speakerTurns.length > 0 ? (
+                <div className="space-y-3">
+                  {results.transcript.speakerTurns.map((turn, index) => (
+                    <div key={index} className="flex gap-3">
+                      <span className="text-xs text-gray-500 font-mono min-w-[60px]">
+                        {Math.floor(turn.start)}s
+                      </span>
+                      <div>
+                        <span className="text-xs font-semibold text-purple-700">{turn.speaker}</span>
+                        <p className="text-sm text-gray-700">{turn.text}</p>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              ) : results.transcript.segments && results.transcript.segments.length > 0 ? (
                 <div className="space-y-3">
                   {results.transcript.segments.map((segment, index) => (
                     <div key={index} className="flex gap-3">
@@ -768,6 +1101,7 @@ export default function VideoAnalysis({ results, onCopyMarkdown, isCopying }: Vi
                 <p className="text-gray-600">{results.transcript.text || 'No transcript available'}</p>
               )}
             </div>
+            )}
           </div>
         )}
       </div>
@@ -0,0 +1,45 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../progressStore.js', () => ({
+  getProgress: vi.fn(async () => ({ progress: 25 }))
+}));
+
+const { runCancellable, cancelRequest, getCancellationSignal, getCancellation } = await import('../cancellation.js');
+
+// Work that runs until its cancellation signal fires
+function waitForCancel() {
+  const signal = getCancellationSignal();
+  return new Promise((_, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason));
+  });
+}
+
+describe('cancelRequest', () => {
+  it('returns null when nothing runs under the request id', async () => {
+    expect(await cancelRequest('unknown')).toBeNull();
+  });
+
+  it('settles against the current progress by default', async () => {
+    const run = runCancellable('req-current', waitForCancel, { userId: 'user-1' }).catch(error => error);
+
+    const outcome = await cancelRequest('req-current');
+    expect(outcome).toMatchObject({ status: 'cancelled', progress: 25, stopped: true });
+    expect((await run).isCancelled).toBe(true);
+  });
+
+  it('settles against the progress a cancel was requested at on another instance', async () => {
+    let cancellation = null;
+    const run = runCancellable('req-remote', async () => {
+      try {
+        await waitForCancel();
+      } finally {
+        cancellation = getCancellation();
+      }
+    }).catch(() => {});
+
+    const outcome = await cancelRequest('req-remote', 'Analysis cancelled by user', { progress: 60 });
+    await run;
+    expect(outcome).toMatchObject({ status: 'cancelled', progress: 60, stopped: true });
+    expect(cancellation).toMatchObject({ reason: 'Analysis cancelled by user', progress: 60 });
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { resolveCaptionOptions, wrapCaptionText, buildCaptionCues, toSrt, toVtt, toTimedJson } from '../captions.js';
+
+const word = (text, start, end, speaker = null) => ({ word: text, start, end, speaker });
+
+describe('resolveCaptionOptions', () => {
+  it('lets explicit limits override the preset', () => {
+    expect(resolveCaptionOptions({ preset: 'vertical', maxLines: '3' })).toEqual({ maxCharsPerLine: 24, maxLines: 3 });
+  });
+
+  it('rejects unknown presets and out-of-range limits', () => {
+    expect(() => resolveCaptionOptions({ preset: 'square' })).toThrow(/preset must be one of/);
+    expect(() => resolveCaptionOptions({ maxCharsPerLine: 5 })).toThrow(/maxCharsPerLine/);
+  });
+});
+
+describe('wrapCaptionText', () => {
+  it('breaks greedily and gives an overlong word its own line', () => {
+    expect(wrapCaptionText('one two three supercalifragilistic', 9)).toEqual(['one two', 'three', 'supercalifragilistic']);
+  });
+});
+
+describe('buildCaptionCues', () => {
+  it('starts a new cue at a pause and at a change of speaker', () => {
+    const cues = buildCaptionCues({
+      segments: [{ start: 0, end: 6, text: 'hello there general kenobi' }],
+      words: [
+        word('hello', 0, 0.4, 'Speaker A'),
+        word('there', 0.5, 0.9, 'Speaker A'),
+        word('general', 2, 2.4, 'Speaker A'),
+        word('kenobi', 2.5, 3, 'Speaker B')
+      ]
+    });
+
+    expect(cues.map(cue => [cue.lines.join(' '), cue.speaker])).toEqual([
+      ['hello there', 'Speaker A'],
+      ['general', 'Speaker A'],
+      ['kenobi', 'Speaker B']
+    ]);
+  });
+
+  it('stretches short cues so they can be read, without overlapping the next one', () => {
+    const cues = buildCaptionCues({
+      segments: [{ start: 0, end: 0.5, text: 'a' }, { start: 0.5, end: 3, text: 'b' }],
+      words: [word('a', 0, 0.2), word('b', 0.5, 0.7)]
+    });
+
+    expect(cues[0]).toMatchObject({ start: 0, end: 0.5 });
+    expect(cues[1]).toMatchObject({ start: 0.5, end: 1.3 });
+  });
+
+  it('spreads a segment over its words when the transcript has no word timings', () => {
+    const [cue] = buildCaptionCues({ segments: [{ start: 1, end: 3, text: 'ab cd' }] });
+    expect(cue).toMatchObject({ start: 1, end: 3, lines: ['ab cd'] });
+  });
+});
+
+describe('toSrt and toVtt', () => {
+  const cues = [{ start: 1.5, end: 3.25, lines: ['Tom & Jerry', '<3'], speaker: 'Speaker <A>' }];
+
+  it('writes numbered SRT cues with comma milliseconds', () => {
+    expect(toSrt(cues)).toBe('1\n00:00:01,500 --> 00:00:03,250\nTom & Jerry\n<3\n');
+  });
+
+  it('escapes cue text and voice names in WebVTT', () => {
+    expect(toVtt(cues)).toBe('WEBVTT\n\n00:00:01.500 --> 00:00:03.250\n<v Speaker &lt;A&gt;>Tom &amp; Jerry\n&lt;3\n');
+  });
+});
+
+describe('toTimedJson', () => {
+  it('attaches words in a gap between segments to the nearest segment', () => {
+    const timed = toTimedJson({
+      text: 'one two three',
+      segments: [{ start: 0, end: 1, text: 'one' }, { start: 3, end: 4, text: 'three' }],
+      words: [word('one', 0, 0.5), word('two', 2.8, 2.95), word('three', 3, 3.5)]
+    });
+
+    expect(timed.interpolated).toBe(false);
+    expect(timed.segments.map(segment => segment.words.map(w => w.word))).toEqual([['one'], ['two', 'three']]);
+  });
+
+  it('marks estimated word timings as interpolated', () => {
+    const timed = toTimedJson({ segments: [{ start: 0, end: 2, text: 'ab cd' }] });
+    expect(timed.interpolated).toBe(true);
+    expect(timed.segments[0].words).toEqual([
+      { word: 'ab', start: 0, end: 1, speaker: null },
+      { word: 'cd', start: 1, end: 2, speaker: null }
+    ]);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { planAdaptiveSamples, sampleSelectFilter, parseShowinfoTimes, resolveSampleTimes } from '../frameSampling.js';
+
+// Per-frame scores as detectShots returns them: one entry per decoded frame
+function framesAt(fps, duration) {
+  return Array.from({ length: Math.round(fps * duration) }, (_, i) => ({ time: i / fps, score: 0 }));
+}
+
+describe('planAdaptiveSamples', () => {
+  it('samples the first frame after every cut plus the density inside each shot', () => {
+    const samples = planAdaptiveSamples({
+      shots: [{ index: 0, start: 0, end: 3 }, { index: 1, start: 3, end: 4 }],
+      scores: framesAt(10, 4)
+    }, { density: 1, maxFrames: 10 });
+
+    expect(samples).toEqual([
+      { time: 0.1, shotIndex: 0 },
+      { time: 1, shotIndex: 0 },
+      { time: 2, shotIndex: 0 },
+      { time: 3.1, shotIndex: 1 }
+    ]);
+  });
+
+  it('snaps sample times to decoded frames and never repeats one', () => {
+    const samples = planAdaptiveSamples({
+      shots: [{ index: 0, start: 0, end: 2 }],
+      scores: [{ time: 0, score: 0 }, { time: 1.5, score: 0 }]
+    }, { density: 4, maxFrames: 10 });
+
+    expect(samples.map(sample => sample.time)).toEqual([1.5]);
+  });
+
+  it('stays within the frame budget, keeping the cuts first', () => {
+    const shots = Array.from({ length: 5 }, (_, i) => ({ index: i, start: i * 10, end: (i + 1) * 10 }));
+    const samples = planAdaptiveSamples({ shots, scores: framesAt(5, 50) }, { density: 2, maxFrames: 8 });
+
+    expect(samples.length).toBeLessThanOrEqual(8);
+    for (const shot of shots) {
+      expect(samples).toContainEqual({ time: shot.start + 0.2, shotIndex: shot.index });
+    }
+  });
+
+  it('returns nothing without shots or scores', () => {
+    expect(planAdaptiveSamples({ shots: [], scores: framesAt(1, 1) })).toEqual([]);
+    expect(planAdaptiveSamples({ shots: [{ index: 0, start: 0, end: 1 }], scores: [] })).toEqual([]);
+  });
+});
+
+describe('sampleSelectFilter', () => {
+  it('selects each planned frame by its timestamp', () => {
+    expect(sampleSelectFilter([{ time: 0.1 }, { time: 2 }]))
+      .toBe("select='lt(abs(t-0.100000),0.0005)+lt(abs(t-2.000000),0.0005)'");
+  });
+});
+
+describe('parseShowinfoTimes', () => {
+  it('reads the pts_time of every frame line', () => {
+    const output = [
+      '[Parsed_showinfo_1 @ 0x5581] config in time_base: 1/15360, frame_rate: 30/1',
+      '[Parsed_showinfo_1 @ 0x5581] n:   0 pts:   1536 pts_time:0.1     duration:    512 fmt:yuv420p',
+      '[Parsed_showinfo_1 @ 0x5581] n:   1 pts:  30720 pts_time:2       pos:  88123 fmt:yuv420p',
+      'frame=    2 fps=0.0 q=2.0 Lsize=N/A time=00:00:02.00'
+    ].join('\n');
+
+    expect(parseShowinfoTimes(output)).toEqual([0.1, 2]);
+  });
+});
+
+describe('resolveSampleTimes', () => {
+  const samples = [{ time: 0.1 }, { time: 2 }, { time: 5 }];
+
+  it('prefers the times read from the extracted frames', () => {
+    expect(resolveSampleTimes(2, { shownTimes: [0.1, 5], samples, fps: 1 })).toEqual({ times: [0.1, 5], source: 'pts' });
+  });
+
+  it('uses the plan only when every planned frame was written', () => {
+    expect(resolveSampleTimes(3, { shownTimes: [], samples, fps: 1 })).toEqual({ times: [0.1, 2, 5], source: 'plan' });
+  });
+
+  it('falls back to evenly spaced times instead of labelling frames by position', () => {
+    expect(resolveSampleTimes(2, { shownTimes: [0.1], samples, fps: 0.5 })).toEqual({ times: [0, 2], source: 'fps' });
+  });
+});
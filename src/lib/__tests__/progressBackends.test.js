@@ -0,0 +1,108 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createMemoryProgressBackend, createSupabaseProgressBackend } from '../progressBackends.js';
+
+describe('memory progress backend', () => {
+  beforeEach(() => {
+    delete global.progressStore;
+  });
+
+  it('numbers events per request and pages after an id', async () => {
+    const backend = createMemoryProgressBackend();
+    await backend.append('a', { phase: 'download', progress: 5, message: 'Downloading' });
+    await backend.append('b', { phase: 'download', progress: 1, message: 'Downloading' });
+    await backend.append('a', { kind: 'partial', phase: 'transcript', details: { section: 'transcript' } });
+    await backend.append('a', { phase: 'frames', progress: 40, message: 'Frames' });
+
+    expect((await backend.getEvents('a')).map(event => event.id)).toEqual([1, 2, 3]);
+    expect((await backend.getEvents('a', 2)).map(event => event.phase)).toEqual(['frames']);
+    expect((await backend.getEvents('b')).map(event => event.id)).toEqual([1]);
+  });
+
+  it('returns the newest progress event, not a later partial result', async () => {
+    const backend = createMemoryProgressBackend();
+    await backend.append('a', { phase: 'frames', progress: 40, message: 'Frames' });
+    await backend.append('a', { kind: 'partial', phase: 'scenes', details: {} });
+
+    expect(await backend.getLatest('a')).toMatchObject({ phase: 'frames', progress: 40 });
+    expect(await backend.getLatest('missing')).toBeNull();
+  });
+
+  it('caps stored progress updates but keeps every partial result', async () => {
+    const backend = createMemoryProgressBackend();
+    await backend.append('a', { kind: 'partial', phase: 'transcript', details: { section: 'transcript' } });
+    for (let i = 0; i < 520; i++) {
+      await backend.append('a', { phase: 'frames', progress: i / 10, message: `Frame ${i}` });
+    }
+
+    const events = await backend.getEvents('a');
+    expect(events.filter(event => event.kind === 'progress')).toHaveLength(500);
+    expect(events[0]).toMatchObject({ id: 1, kind: 'partial', phase: 'transcript' });
+    // The oldest progress updates went first
+    expect(events[1].id).toBe(22);
+    expect((await backend.getLatest('a')).message).toBe('Frame 519');
+  });
+
+  it('drops cleared and stale requests', async () => {
+    const backend = createMemoryProgressBackend();
+    await backend.append('a', { phase: 'download', progress: 5, message: 'Downloading' });
+    await backend.append('b', { phase: 'download', progress: 5, message: 'Downloading' });
+
+    await backend.clear('a');
+    expect(await backend.getEvents('a')).toEqual([]);
+
+    await backend.sweep(-1);
+    expect(await backend.getEvents('b')).toEqual([]);
+  });
+});
+
+describe('supabase progress backend', () => {
+  const row = {
+    id: '7',
+    kind: 'progress',
+    phase: 'frames',
+    progress: '42.5',
+    message: 'Frames',
+    details: null,
+    created_at: '2025-06-29T10:00:05.000Z',
+    started_at: '2025-06-29T10:00:00.000Z'
+  };
+
+  it('calls the progress functions through the given client and maps their rows', async () => {
+    const client = { rpc: vi.fn(async () => ({ data: [row], error: null })) };
+    const backend = createSupabaseProgressBackend(client);
+
+    const event = await backend.append('req', { phase: 'frames', progress: 42.5, message: 'Frames' });
+    expect(client.rpc).toHaveBeenCalledWith('append_analysis_progress', {
+      p_request_id: 'req',
+      p_phase: 'frames',
+      p_progress: 42.5,
+      p_message: 'Frames',
+      p_details: {},
+      p_kind: 'progress'
+    });
+    expect(event).toEqual({
+      id: 7,
+      kind: 'progress',
+      phase: 'frames',
+      progress: 42.5,
+      message: 'Frames',
+      details: {},
+      timestamp: Date.parse(row.created_at),
+      startedAt: Date.parse(row.started_at)
+    });
+
+    await backend.getEvents('req', 3);
+    expect(client.rpc).toHaveBeenLastCalledWith('get_analysis_progress', { p_request_id: 'req', p_after_id: 3, p_latest_only: false });
+
+    await backend.sweep(90500);
+    expect(client.rpc).toHaveBeenLastCalledWith('sweep_analysis_progress', { p_ttl_seconds: 91 });
+  });
+
+  it('returns null for a request without progress and throws database errors', async () => {
+    const empty = createSupabaseProgressBackend({ rpc: async () => ({ data: [], error: null }) });
+    expect(await empty.getLatest('req')).toBeNull();
+
+    const failing = createSupabaseProgressBackend({ rpc: async () => ({ data: null, error: { message: 'permission denied' } }) });
+    await expect(failing.getEvents('req')).rejects.toThrow('permission denied');
+  });
+});
@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { summarizeRefusalMitigation } from '../refusalMitigation.js';
+
+describe('summarizeRefusalMitigation', () => {
+  it('counts mitigated frames once, not again for the near-duplicates that copy them', () => {
+    const recovered = { frameIndex: 2, timestamp: '0:01', mitigation: { steps: ['neutral_prompt'], resolvedBy: 'neutral_prompt' } };
+    const unresolved = { frameIndex: 5, timestamp: '0:02', failed: true, mitigation: { steps: ['neutral_prompt', 'degraded_image'], resolvedBy: null } };
+
+    const summary = summarizeRefusalMitigation([
+      { frameIndex: 0, timestamp: '0:00' },
+      recovered,
+      { ...recovered, frameIndex: 3, timestamp: '0:01.5', duplicateOf: 2 },
+      unresolved,
+      null
+    ]);
+
+    expect(summary).toMatchObject({
+      mitigatedFrames: 2,
+      recoveredFrames: 1,
+      unresolvedFrames: 1,
+      recoveredBy: { neutral_prompt: 1, degraded_image: 0, single_frame: 0 }
+    });
+    expect(summary.frames.map(frame => frame.frameIndex)).toEqual([2, 5]);
+  });
+});
@@ -0,0 +1,22 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../supabase', () => ({
+  getUserFromAccessToken: vi.fn(async token => (token === 'valid-token' ? { id: 'user-1' } : null))
+}));
+
+const { getRequestUser } = await import('../requestAuth.js');
+
+function requestWith(headers) {
+  return new Request('http://localhost/api/jobs', { headers });
+}
+
+describe('getRequestUser', () => {
+  it('returns the user of a valid bearer token', async () => {
+    expect(await getRequestUser(requestWith({ Authorization: 'Bearer valid-token' }))).toEqual({ id: 'user-1' });
+  });
+
+  it('returns null without a token or with an invalid one', async () => {
+    expect(await getRequestUser(requestWith({}))).toBeNull();
+    expect(await getRequestUser(requestWith({ Authorization: 'Bearer expired' }))).toBeNull();
+  });
+});
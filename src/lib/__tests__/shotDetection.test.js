@@ -0,0 +1,100 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const ffmpeg = { duration: '', sceneOutput: '' };
+
+vi.mock('../cancellation.js', () => ({
+  execAsync: vi.fn(async (command) => command.startsWith('ffprobe')
+    ? { stdout: ffmpeg.duration, stderr: '' }
+    : { stdout: '', stderr: ffmpeg.sceneOutput }),
+  throwIfCancelled: vi.fn()
+}));
+
+// Hashes of the two frames across a cut, keyed by the time of the frame before it
+const frameHashes = new Map();
+
+vi.mock('../frameDedupe.js', () => ({
+  hashVideoFrames: vi.fn(async (videoPath, time) => frameHashes.get(time) || []),
+  hammingDistance: (a, b) => Math.abs(a - b)
+}));
+
+const { detectShots } = await import('../shotDetection.js');
+
+// `metadata=print` output for frames at 10fps with the given scene scores
+function sceneOutput(scores) {
+  return scores.map((score, i) => [
+    `[Parsed_metadata_2 @ 0x55d0] frame:${i}    pts:${i * 512}     pts_time:${(i / 10).toFixed(1)}`,
+    `[Parsed_metadata_2 @ 0x55d0] lavfi.scene_score=${score}`
+  ].join('\n')).join('\n');
+}
+
+// Quiet footage with the given scores at frame indexes
+function withScores(frameCount, spikes) {
+  const scores = Array(frameCount).fill(0.01);
+  for (const [index, score] of Object.entries(spikes)) scores[index] = score;
+  return scores;
+}
+
+beforeEach(() => {
+  frameHashes.clear();
+  ffmpeg.duration = '4.0';
+});
+
+describe('detectShots', () => {
+  it('cuts on scores over the threshold and splits the video into shots', async () => {
+    ffmpeg.sceneOutput = sceneOutput(withScores(40, { 10: 0.5 }));
+
+    const { cuts, shots, duration } = await detectShots('video.mp4');
+
+    expect(duration).toBe(4);
+    expect(cuts).toEqual([{ time: 1, score: 0.5 }]);
+    expect(shots).toEqual([{ index: 0, start: 0, end: 1 }, { index: 1, start: 1, end: 4 }]);
+  });
+
+  it('ignores scores under the minimum and the first frame', async () => {
+    ffmpeg.sceneOutput = sceneOutput(withScores(40, { 0: 0.9, 20: 0.1 }));
+
+    const { cuts } = await detectShots('video.mp4');
+    expect(cuts).toEqual([]);
+  });
+
+  it('keeps a borderline cut only when the picture changes across it', async () => {
+    ffmpeg.sceneOutput = sceneOutput(withScores(40, { 15: 0.2, 30: 0.2 }));
+    frameHashes.set(1.4, [5, 7]);   // Flash: same picture
+    frameHashes.set(2.9, [0, 40]);  // Real cut between similarly coloured shots
+
+    const { cuts } = await detectShots('video.mp4');
+    expect(cuts).toEqual([{ time: 3, score: 0.2 }]);
+  });
+
+  it('keeps a borderline cut whose frames cannot be hashed', async () => {
+    ffmpeg.sceneOutput = sceneOutput(withScores(40, { 15: 0.2 }));
+
+    const { cuts } = await detectShots('video.mp4');
+    expect(cuts).toEqual([{ time: 1.5, score: 0.2 }]);
+  });
+
+  it('does not treat a spike in busy footage as a cut', async () => {
+    const scores = Array.from({ length: 40 }, (_, i) => (i % 2 ? 0.08 : 0.1));
+    scores[20] = 0.25;
+    ffmpeg.sceneOutput = sceneOutput(scores);
+
+    const { cuts } = await detectShots('video.mp4');
+    expect(cuts).toEqual([]);
+  });
+
+  it('merges cuts closer than the minimum shot, keeping the stronger', async () => {
+    ffmpeg.sceneOutput = sceneOutput(withScores(40, { 10: 0.4, 11: 0.6 }));
+
+    const { cuts, shots } = await detectShots('video.mp4');
+    expect(cuts).toEqual([{ time: 1.1, score: 0.6 }]);
+    expect(shots).toHaveLength(2);
+  });
+
+  it('ends the last shot at the last scored frame when the duration is unknown', async () => {
+    ffmpeg.duration = 'N/A';
+    ffmpeg.sceneOutput = sceneOutput(withScores(20, {}));
+
+    const { shots } = await detectShots('video.mp4');
+    expect(shots).toEqual([{ index: 0, start: 0, end: 1.9 }]);
+  });
+});
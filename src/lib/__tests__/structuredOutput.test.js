@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { FALLBACK_ALL, validateSchema, applySchemaDefaults, prefixFallbackFields, scopeFallbackFields, requestStructured } from '../structuredOutput.js';
+
+const schema = {
+  type: 'object',
+  required: ['title', 'mood', 'score', 'tags'],
+  properties: {
+    title: { type: 'string', default: 'Scene' },
+    mood: { type: 'string', enum: ['calm', 'tense'], default: 'calm' },
+    score: { type: 'number', minimum: 0, maximum: 1, default: 0.5 },
+    tags: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: { name: { type: 'string', default: 'tag' }, weight: { type: 'integer', default: 1 } }
+      }
+    }
+  }
+};
+
+describe('validateSchema', () => {
+  it('accepts a matching value', () => {
+    expect(validateSchema(schema, { title: 'Intro', mood: 'tense', score: 1, tags: [{ name: 'a', weight: 2 }] })).toEqual([]);
+  });
+
+  it('reports missing, mistyped, out-of-range and unknown enum values by path', () => {
+    expect(validateSchema(schema, { mood: 'angry', score: 2, tags: [{ name: 3 }] })).toEqual([
+      'title is required',
+      'mood must be one of "calm", "tense"',
+      'score must be <= 1',
+      'tags[0].name must be string, got integer'
+    ]);
+  });
+
+  it('accepts an integer where a number is expected, but not the reverse', () => {
+    expect(validateSchema({ type: 'number' }, 3)).toEqual([]);
+    expect(validateSchema({ type: 'integer' }, 1.5)).toEqual(['response must be integer, got number']);
+  });
+});
+
+describe('applySchemaDefaults', () => {
+  it('fills invalid fields with their defaults and lists their paths', () => {
+    const fallbackFields = [];
+    const repaired = applySchemaDefaults(schema, { title: 'Intro', mood: 'angry', tags: [{ weight: 'x' }] }, undefined, '', fallbackFields);
+
+    expect(repaired).toEqual({ title: 'Intro', mood: 'calm', score: 0.5, tags: [{ name: 'tag', weight: 1 }] });
+    expect(fallbackFields).toEqual(['mood', 'score', 'tags[0].name', 'tags[0].weight']);
+  });
+
+  it('drops array items it cannot repair and marks the array incomplete', () => {
+    const fallbackFields = [];
+    const repaired = applySchemaDefaults(schema.properties.tags, [{ name: 'kept' }, 'junk'], undefined, 'tags', fallbackFields);
+
+    expect(repaired).toEqual([{ name: 'kept' }]);
+    expect(fallbackFields).toEqual(['tags']);
+  });
+
+  it('prefers the caller overrides over schema defaults', () => {
+    const fallbackFields = [];
+    expect(applySchemaDefaults(schema, null, { title: 'Scene 3' }, '', fallbackFields)).toMatchObject({ title: 'Scene 3', mood: 'calm' });
+    expect(fallbackFields).toEqual([FALLBACK_ALL]);
+  });
+});
+
+describe('fallback field paths', () => {
+  it('prefixes a stage\'s paths with where it sits in the result', () => {
+    expect(prefixFallbackFields('scenes[2]', [FALLBACK_ALL, 'title'])).toEqual(['scenes[2]', 'scenes[2].title']);
+  });
+
+  it('scopes paths to one item, treating a default above it as a default of the whole item', () => {
+    expect(scopeFallbackFields('frames[1]', ['frames[0].mood', 'frames[1].mood', 'frames[1].tags'])).toEqual(['mood', 'tags']);
+    expect(scopeFallbackFields('frames[1]', ['frames[1]'])).toEqual([FALLBACK_ALL]);
+    expect(scopeFallbackFields('frames[1]', [FALLBACK_ALL])).toEqual([FALLBACK_ALL]);
+  });
+});
+
+describe('requestStructured refusals', () => {
+  const frameSchema = {
+    type: 'object',
+    required: ['visualDescription'],
+    properties: { visualDescription: { type: 'string', default: '' } }
+  };
+
+  // Provider answering each request with the next message
+  function providerReplying(...messages) {
+    return { stage: 'test', chat: async () => ({ choices: [{ message: messages.shift() }] }) };
+  }
+
+  it('reports the refusal field of the API', async () => {
+    const result = await requestStructured(providerReplying({ refusal: 'Not allowed' }), { name: 'frame', schema: frameSchema, messages: [] });
+    expect(result).toMatchObject({ refusal: 'Not allowed', fallbackFields: [FALLBACK_ALL], data: { visualDescription: '' } });
+  });
+
+  it('treats a plain-text refusal instead of JSON as a refusal', async () => {
+    const result = await requestStructured(providerReplying({ content: "I'm sorry, I can't help with that." }), { name: 'frame', schema: frameSchema, messages: [] });
+    expect(result.refusal).toBe("I'm sorry, I can't help with that.");
+  });
+
+  it('does not mistake refusal wording inside a valid answer for a refusal', async () => {
+    const content = JSON.stringify({ visualDescription: 'A sign reading "I can\'t stop"' });
+    const result = await requestStructured(providerReplying({ content }), { name: 'frame', schema: frameSchema, messages: [] });
+    expect(result).toMatchObject({ refusal: null, fallbackFields: [], data: { visualDescription: 'A sign reading "I can\'t stop"' } });
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { parseSubtitles } from '../subtitles.js';
+
+describe('parseSubtitles', () => {
+  it('parses SRT cues with comma milliseconds', () => {
+    const cues = parseSubtitles([
+      '1',
+      '00:00:01,000 --> 00:00:02,500',
+      'Hello there',
+      '',
+      '2',
+      '00:01:02,250 --> 00:01:04,000',
+      'Second line',
+      'continues here'
+    ].join('\n'));
+
+    expect(cues).toEqual([
+      { start: 1, end: 2.5, text: 'Hello there' },
+      { start: 62.25, end: 64, text: 'Second line continues here' }
+    ]);
+  });
+
+  it('parses WebVTT with short timestamps and skips NOTE blocks', () => {
+    const cues = parseSubtitles([
+      'WEBVTT',
+      '',
+      'NOTE written by hand',
+      '',
+      '01:02.500 --> 01:03.000 align:start',
+      '<v Speaker A>Hi <i>you</i>'
+    ].join('\n'));
+
+    expect(cues).toEqual([{ start: 62.5, end: 63, text: 'Hi you' }]);
+  });
+
+  it('handles a BOM, CRLF line endings and unsorted cues', () => {
+    const cues = parseSubtitles('\uFEFF00:00:05.000 --> 00:00:06.000\r\nLater\r\n\r\n00:00:01.000 --> 00:00:02.000\r\nEarlier\r\n');
+    expect(cues.map(cue => cue.text)).toEqual(['Earlier', 'Later']);
+  });
+
+  it('drops cues without text or with an end before the start', () => {
+    const cues = parseSubtitles('00:00:01.000 --> 00:00:02.000\n{\\an8}\n\n00:00:04.000 --> 00:00:03.000\nBackwards\n\n00:00:05.000 --> 00:00:06.000\nKept');
+    expect(cues.map(cue => cue.text)).toEqual(['Kept']);
+  });
+
+  it('decodes entities, leaving an escaped entity as literal text', () => {
+    const [cue] = parseSubtitles('00:00:01.000 --> 00:00:02.000\nTom &amp; Jerry &lt;3 &amp;lt;b&amp;gt;');
+    expect(cue.text).toBe('Tom & Jerry <3 &lt;b&gt;');
+  });
+
+  it('throws when the file has no cues', () => {
+    expect(() => parseSubtitles('just some text')).toThrow(/No subtitle cues found/);
+  });
+});
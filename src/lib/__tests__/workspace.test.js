@@ -0,0 +1,18 @@
+import { describe, it, expect } from 'vitest';
+import { toDirName } from '../workspace.js';
+
+describe('toDirName', () => {
+  it('keeps filesystem-safe characters and appends a hash of the id', () => {
+    expect(toDirName('req-1_a')).toMatch(/^req-1_a-[0-9a-f]{16}$/);
+    expect(toDirName('../../etc')).toMatch(/^______etc-[0-9a-f]{16}$/);
+  });
+
+  it('gives ids that sanitize alike different directories', () => {
+    expect(toDirName('a.b')).not.toBe(toDirName('a_b'));
+    expect(toDirName('x'.repeat(200) + '1')).not.toBe(toDirName('x'.repeat(200) + '2'));
+  });
+
+  it('returns the same directory for the same id', () => {
+    expect(toDirName('a.b')).toBe(toDirName('a.b'));
+  });
+});
@@ -0,0 +1,83 @@
+// Content-addressed cache for finished analyses
+// The key is a hash of the video bytes together with everything that changes the
+// output: analysis mode, pipeline version, the model configured for each stage and the
+// frame preprocessing profile.
+// Re-analyzing the same file with the same settings returns the stored result.
+// The cache functions are only executable by the service role; without
+// SUPABASE_SERVICE_ROLE_KEY nothing is cached.
+//
+// Configuration (optional):
+//   ANALYSIS_CACHE_HIT_CREDITS   credits charged when a cached result is served (default 0)
+import crypto from 'crypto';
+import fs from 'fs';
+import { getSupabaseServiceClient } from './supabaseService.js';
+
+// Bump whenever a pipeline change should invalidate previously cached analyses
+export const ANALYSIS_PIPELINE_VERSION = '5';
+
+export const CACHE_HIT_CREDITS = parseInt(process.env.ANALYSIS_CACHE_HIT_CREDITS || '0', 10);
+
+function logCache(message, data = null) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`, data ? JSON.stringify(data, null, 2) : '');
+}
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+export async function computeAnalysisCacheKey(videoPath, analysisMode, modelConfig = {}, frameProfile = null) {
+  const videoHash = await hashFile(videoPath);
+  const settings = JSON.stringify({
+    analysisMode,
+    pipelineVersion: ANALYSIS_PIPELINE_VERSION,
+    models: Object.keys(modelConfig).sort().map(stage => [stage, modelConfig[stage]]),
+    frameProfile
+  });
+
+  return crypto.createHash('sha256').update(`${videoHash}:${settings}`).digest('hex');
+}
+
+// Returns { analysisId, analysis, createdAt } or null
+export async function findCachedAnalysis(cacheKey) {
+  const serviceClient = getSupabaseServiceClient();
+  if (!cacheKey || !serviceClient) return null;
+
+  try {
+    const { data, error } = await serviceClient.rpc('get_cached_analysis', { p_cache_key: cacheKey });
+    const row = Array.isArray(data) ? data[0] : data;
+    if (error || !row?.analysis_data) return null;
+
+    return {
+      analysisId: row.analysis_id,
+      analysis: row.analysis_data,
+      createdAt: row.created_at
+    };
+  } catch (error) {
+    logCache('⚠️ Cache lookup failed', { error: error.message });
+    return null;
+  }
+}
+
+export async function storeAnalysisCacheKey(analysisId, cacheKey) {
+  const serviceClient = getSupabaseServiceClient();
+  if (!analysisId || !cacheKey || !serviceClient) return;
+
+  try {
+    const { error } = await serviceClient.rpc('set_analysis_cache_key', {
+      p_analysis_id: analysisId,
+      p_cache_key: cacheKey
+    });
+    if (error) {
+      logCache('⚠️ Failed to store cache key', { analysisId, error: error.message });
+    }
+  } catch (error) {
+    logCache('⚠️ Failed to store cache key', { analysisId, error: error.message });
+  }
+}
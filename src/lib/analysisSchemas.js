@@ -0,0 +1,246 @@
+// JSON schemas for the model stages of the analysis pipeline
+// Each stage requests its output through requestStructured() (see structuredOutput.js)
+// with one of these schemas. The `default` of a field is what the result holds when the
+// model didn't produce a valid value for it; such fields are listed in fallbackFields.
+
+const string = (fallback = '') => ({ type: 'string', default: fallback });
+const oneOf = (values, fallback = values[0]) => ({ type: 'string', enum: values, default: fallback });
+const number = (minimum, maximum, fallback = minimum) => ({ type: 'number', minimum, maximum, default: fallback });
+const boolean = (fallback = false) => ({ type: 'boolean', default: fallback });
+const list = (items, fallback = []) => ({ type: 'array', items, default: fallback });
+const object = (properties) => ({ type: 'object', properties, required: Object.keys(properties) });
+
+// Per-frame fields of a frame batch. `label` is the line prefix used when the fields are
+// rendered into a frame's analysis text; scene boundary detection compares the fields.
+export const FRAME_FIELDS = [
+  { key: 'visualDescription', label: 'VISUAL_DESCRIPTION', hint: 'Describe what you see - people, objects, setting, actions' },
+  { key: 'objectsItems', label: 'OBJECTS_ITEMS', hint: 'List visible objects, props, or items and their relevance' },
+  { key: 'bodyLanguage', label: 'BODY_LANGUAGE', hint: 'Describe facial expressions, gestures, and posture' },
+  { key: 'textOverlays', label: 'TEXT_OVERLAYS', hint: 'Any visible text, captions, or graphic overlays' },
+  { key: 'engagementElements', label: 'ENGAGEMENT_ELEMENTS', hint: 'Visual hooks, reactions, or elements designed to capture attention' },
+  { key: 'storyFunction', label: 'STORY_FUNCTION', hint: 'How this frame contributes to setup, development, or payoff' },
+  { key: 'transitions', label: 'TRANSITIONS', hint: 'Any visual transitions or effects between scenes' },
+  { key: 'contextualMeaning', label: 'CONTEXTUAL_MEANING', hint: 'What story or message is being communicated' }
+];
+
+export const FRAME_BATCH_SCHEMA = object({
+  frames: list(object({
+    frameIndex: { type: 'integer' },
+    ...Object.fromEntries(FRAME_FIELDS.map(({ key }) => [key, string(key === 'contextualMeaning' ? 'Context analysis unavailable' : '')]))
+  }))
+});
+
+// Fields of a single-frame analysis (analyzeFrame)
+export const SINGLE_FRAME_FIELDS = [
+  { key: 'framing', label: 'FRAMING', hint: 'shot type' },
+  { key: 'lighting', label: 'LIGHTING', hint: 'style/mood' },
+  { key: 'mood', label: 'MOOD', hint: 'emotional tone' },
+  { key: 'action', label: 'ACTION', hint: "what's happening" },
+  { key: 'dialogue', label: 'DIALOGUE', hint: 'visible text/overlays' },
+  { key: 'visualEffects', label: 'VISUAL_EFFECTS', hint: 'effects/filters' },
+  { key: 'setting', label: 'SETTING', hint: 'location/environment' },
+  { key: 'subjects', label: 'SUBJECTS', hint: 'main focus' }
+];
+
+export const SINGLE_FRAME_SCHEMA = object(
+  Object.fromEntries(SINGLE_FRAME_FIELDS.map(({ key }) => [key, string()]))
+);
+
+export const AUDIO_ANALYSIS_SCHEMA = object({
+  audioType: oneOf(['dialogue', 'music', 'mixed', 'silent'], 'mixed'),
+  confidence: number(0, 1, 0.5),
+  dialogue: object({
+    content: string(),
+    primaryContext: string('Audio analysis failed - full transcript available'),
+    isEmpty: boolean(false)
+  }),
+  musicContent: object({
+    hasMusic: boolean(false),
+    content: string(),
+    mood: string('Unknown'),
+    role: string('Unknown'),
+    isEmpty: boolean(true)
+  }),
+  soundDesign: object({
+    audioQuality: string('Unknown'),
+    estimatedType: string('Unknown')
+  }),
+  contextPriority: oneOf(['dialogue', 'music', 'mixed'], 'dialogue'),
+  videoContext: string()
+});
+
+export const SCENE_CARD_SCHEMA = object({
+  title: string('Scene'),
+  description: string('Scene description'),
+  framing: object({
+    shotTypes: list({ type: 'string' }, ['Medium Shot']),
+    cameraMovement: string('Static'),
+    composition: string('Centered')
+  }),
+  lighting: object({
+    style: string('Natural'),
+    mood: string('Neutral'),
+    direction: string('Front'),
+    quality: string('Good')
+  }),
+  mood: object({
+    emotional: string('Neutral'),
+    atmosphere: string('Standard'),
+    tone: string('Casual')
+  }),
+  actionMovement: object({
+    movement: string('Minimal'),
+    direction: string('Static'),
+    pace: string('Medium')
+  }),
+  textDialogue: object({
+    content: string(),
+    style: string('Standard')
+  }),
+  audio: object({
+    music: string('Unknown'),
+    soundDesign: string('Unknown'),
+    dialogue: string()
+  }),
+  visualEffects: object({
+    transitions: string('Cut'),
+    effects: string('None'),
+    graphics: string('None')
+  }),
+  settingEnvironment: object({
+    location: string('Unknown'),
+    environment: string('Unknown'),
+    background: string('Unknown')
+  }),
+  subjectsFocus: object({
+    main: string('Primary subject'),
+    secondary: string('Background'),
+    focus: string('Center')
+  }),
+  intentImpactAnalysis: object({
+    creatorIntent: string('Content delivery'),
+    howExecuted: string('Standard presentation'),
+    viewerImpact: string('Information delivery'),
+    narrativeSignificance: string('Progression')
+  })
+});
+
+export const SCENE_BATCH_SCHEMA = object({
+  scenes: list(SCENE_CARD_SCHEMA)
+});
+
+export const HOOKS_SCHEMA = object({
+  hooks: list(object({
+    timestamp: string('0s'),
+    type: oneOf(['visual_hook', 'audio_hook', 'timing_hook', 'text_overlay']),
+    description: string(),
+    impact: oneOf(['high', 'medium', 'low'], 'medium'),
+    element: string()
+  }))
+});
+
+export const VIDEO_CATEGORIES = [
+  'customer_story',
+  'case_study',
+  'comedic_messaging',
+  'engaging_education',
+  'dynamic_broll',
+  'situational_creative',
+  'narrated_narrative',
+  'bts_interview'
+];
+
+const categoryFields = {
+  category: oneOf(VIDEO_CATEGORIES, 'dynamic_broll'),
+  confidence: number(0, 1, 0),
+  reasoning: string('Category could not be determined, defaulting to dynamic b-roll'),
+  keyIndicators: list({ type: 'string' })
+};
+
+export const CATEGORY_SCHEMA = object({
+  ...categoryFields,
+  subcategory: oneOf(['hero_video', 'reel_framework'], 'reel_framework')
+});
+
+const creatorIntent = object({
+  primaryIntent: string('unknown'),
+  howAchieved: string('unknown'),
+  effectivenessFactors: list({ type: 'string' })
+});
+
+const narrativeStructure = object({
+  setup: string(),
+  conflict: string(),
+  resolution: string(),
+  storytellingDevices: list({ type: 'string' })
+});
+
+const messageFields = {
+  coreMessage: string(),
+  deliveryMethod: string(),
+  memorabilityFactors: list({ type: 'string' })
+};
+
+export const VIDEO_CONTEXT_SCHEMA = object({
+  creatorIntent,
+  humorMechanics: object({
+    isHumorous: boolean(false),
+    humorType: string('unknown'),
+    specificTechniques: list({ type: 'string' }),
+    setupAndPayoff: string(),
+    timingElements: string()
+  }),
+  narrativeStructure,
+  visualTechniques: object({
+    textElements: string(),
+    visualEffects: string(),
+    facialExpressions: string(),
+    visualContrasts: string()
+  }),
+  characters: list(object({
+    description: string(),
+    represents: string(),
+    narrative_function: string(),
+    key_moments: string()
+  })),
+  messageDelivery: object({
+    ...messageFields,
+    audienceAssumptions: list({ type: 'string' })
+  }),
+  contextType: string('unknown'),
+  targetAudience: string('Unknown'),
+  keyInsights: list({ type: 'string' })
+});
+
+export const COMBINED_ANALYSIS_SCHEMA = object({
+  videoCategory: object(categoryFields),
+  contextualAnalysis: object({
+    creatorIntent,
+    narrativeStructure,
+    messageDelivery: object(messageFields),
+    contextType: string('unknown'),
+    targetAudience: string('Unknown'),
+    keyInsights: list({ type: 'string' })
+  }),
+  strategicOverview: string('Strategic overview unavailable.')
+});
+
+// Long-form videos (see longForm.js): one summary per time chunk, merged into chapters
+const keyMoments = list(object({
+  timestamp: string('0s'),
+  description: string()
+}));
+
+export const CHUNK_SUMMARY_SCHEMA = object({
+  summary: string('Summary unavailable for this part of the video'),
+  keyMoments,
+  topics: list({ type: 'string' }),
+  tone: string('Unknown')
+});
+
+export const CHAPTER_SUMMARY_SCHEMA = object({
+  title: string('Chapter'),
+  summary: string('Summary unavailable for this chapter'),
+  narrativeRole: string('Unknown'),
+  keyMoments
+});
@@ -0,0 +1,360 @@
+// Audio signal analysis of the extracted soundtrack
+// Measured locally in one ffmpeg pass, without model calls, so music-only and quiet
+// audio is described from the sound itself rather than guessed from the transcript:
+//   loudness  integrated loudness (LUFS), loudness range (LU) and true peak (dBTP),
+//             EBU R128 as measured by ffmpeg's loudnorm
+//   silences  gaps below silenceDb lasting minSilence seconds or more (silencedetect)
+//   content   1-second windows classed speech, music or silence from the decoded
+//             signal: speech alternates loud syllables with short pauses (many frames
+//             well below the window's mean energy) and voiced/unvoiced sounds (an uneven
+//             zero-crossing rate), music is steadier on both
+//   tempo     BPM from the autocorrelation of the onset (energy rise) envelope, and beat
+//             timestamps on that grid, snapped to the nearest onset
+//
+// Configuration (optional):
+//   AUDIO_SIGNAL_ANALYSIS   on | off (default on)
+import fs from 'fs';
+import { execAsync } from './cancellation.js';
+
+const AUDIO_SIGNAL_DEFAULTS = {
+  sampleRate: 8000,        // Decoded mono rate; enough for energy, ZCR and onsets
+  maxSeconds: 1800,        // Only the first 30 minutes are decoded for content and tempo
+  silenceDb: -45,          // Level below which audio counts as silence
+  minSilence: 0.5,         // Seconds; shorter dips are pauses, not gaps
+  windowSeconds: 1,        // Content classification window
+  frameSeconds: 0.02,      // Frame for energy and zero-crossing statistics
+  onsetHopSeconds: 0.01,   // Onset envelope resolution
+  minBpm: 60,
+  maxBpm: 180,
+  minMusicRatio: 0.25,     // Below this share of music, no tempo is reported
+  minTempoConfidence: 0.1
+};
+
+// stderr carries the loudnorm report and a line per silence
+const LOG_MAX_BUFFER = 16 * 1024 * 1024;
+
+function logSignal(message, data = null) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`, data ? JSON.stringify(data, null, 2) : '');
+}
+
+export function isAudioSignalAnalysisEnabled() {
+  return process.env.AUDIO_SIGNAL_ANALYSIS !== 'off';
+}
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+const clamp01 = value => Math.min(1, Math.max(0, value));
+
+function toDb(rms) {
+  return rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+}
+
+function parseLoudness(output) {
+  const match = output.match(/\{[^{}]*"input_i"[^{}]*\}/);
+  if (!match) return null;
+
+  const stats = JSON.parse(match[0]);
+  const number = value => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? round(parsed, 1) : null;
+  };
+  return {
+    integratedLufs: number(stats.input_i),
+    loudnessRangeLu: number(stats.input_lra),
+    truePeakDbtp: number(stats.input_tp)
+  };
+}
+
+// silencedetect logs "silence_start: t" and "silence_end: t | silence_duration: d"
+function parseSilences(output, duration) {
+  const silences = [];
+  let start = null;
+  for (const line of output.split('\n')) {
+    const startMatch = line.match(/silence_start:\s*(-?[\d.]+)/);
+    if (startMatch) {
+      start = Math.max(0, parseFloat(startMatch[1]));
+      continue;
+    }
+    const endMatch = line.match(/silence_end:\s*([\d.]+)/);
+    if (endMatch && start !== null) {
+      silences.push({ start, end: parseFloat(endMatch[1]) });
+      start = null;
+    }
+  }
+  // Silence running to the end of the audio has no end line
+  if (start !== null && duration > start) {
+    silences.push({ start, end: duration });
+  }
+  return silences.map(silence => ({
+    start: round(silence.start),
+    end: round(silence.end),
+    duration: round(silence.end - silence.start)
+  }));
+}
+
+function frameStats(samples, from, to) {
+  let energy = 0;
+  let crossings = 0;
+  for (let i = from; i < to; i++) {
+    energy += samples[i] * samples[i];
+    if (i > from && (samples[i] >= 0) !== (samples[i - 1] >= 0)) crossings++;
+  }
+  const length = Math.max(to - from, 1);
+  return { rms: Math.sqrt(energy / length), zcr: crossings / length };
+}
+
+function classifyWindow(frames, options) {
+  const meanRms = frames.reduce((sum, frame) => sum + frame.rms, 0) / frames.length;
+  const levelDb = toDb(Math.sqrt(frames.reduce((sum, frame) => sum + frame.rms * frame.rms, 0) / frames.length));
+  if (levelDb < options.silenceDb) {
+    return { type: 'silence', levelDb };
+  }
+
+  const lowEnergyRatio = frames.filter(frame => frame.rms < meanRms * 0.5).length / frames.length;
+  const meanZcr = frames.reduce((sum, frame) => sum + frame.zcr, 0) / frames.length;
+  const zcrSpread = meanZcr > 0
+    ? Math.sqrt(frames.reduce((sum, frame) => sum + (frame.zcr - meanZcr) ** 2, 0) / frames.length) / meanZcr
+    : 0;
+
+  const speechiness = (clamp01((lowEnergyRatio - 0.15) / 0.3) + clamp01((zcrSpread - 0.35) / 0.6)) / 2;
+  return { type: speechiness >= 0.5 ? 'speech' : 'music', levelDb };
+}
+
+// Windows classed on their own flicker; each takes the majority of itself and its neighbours
+function smoothTypes(windows) {
+  return windows.map((window, index) => {
+    const neighbours = [windows[index - 1], window, windows[index + 1]].filter(Boolean);
+    const votes = new Map();
+    for (const neighbour of neighbours) votes.set(neighbour.type, (votes.get(neighbour.type) || 0) + 1);
+    const [majority, count] = [...votes.entries()].sort((a, b) => b[1] - a[1])[0];
+    return { ...window, type: count >= 2 ? majority : window.type };
+  });
+}
+
+function analyzeContent(samples, options) {
+  const windowLength = Math.round(options.windowSeconds * options.sampleRate);
+  const frameLength = Math.round(options.frameSeconds * options.sampleRate);
+
+  const windows = [];
+  for (let from = 0; from < samples.length; from += windowLength) {
+    const to = Math.min(from + windowLength, samples.length);
+    if (to - from < frameLength) break;
+
+    const frames = [];
+    for (let frame = from; frame + frameLength <= to; frame += frameLength) {
+      frames.push(frameStats(samples, frame, frame + frameLength));
+    }
+    windows.push({
+      start: from / options.sampleRate,
+      end: to / options.sampleRate,
+      ...classifyWindow(frames, options)
+    });
+  }
+
+  const smoothed = smoothTypes(windows);
+  const timeline = [];
+  for (const window of smoothed) {
+    const run = timeline[timeline.length - 1];
+    const levelDb = Number.isFinite(window.levelDb) ? window.levelDb : options.silenceDb * 2;
+    if (run?.type === window.type) {
+      run.levels.push(levelDb);
+      run.end = window.end;
+    } else {
+      timeline.push({ start: window.start, end: window.end, type: window.type, levels: [levelDb] });
+    }
+  }
+
+  const total = smoothed.length || 1;
+  const ratio = type => round(smoothed.filter(window => window.type === type).length / total);
+  return {
+    speechRatio: ratio('speech'),
+    musicRatio: ratio('music'),
+    silenceRatio: ratio('silence'),
+    timeline: timeline.map(({ levels, ...run }) => ({
+      start: round(run.start),
+      end: round(run.end),
+      type: run.type,
+      levelDb: round(levels.reduce((sum, level) => sum + level, 0) / levels.length, 1)
+    }))
+  };
+}
+
+// Rise in log energy per hop, mean-removed, negative changes dropped
+function onsetEnvelope(samples, options) {
+  const hop = Math.round(options.onsetHopSeconds * options.sampleRate);
+  const energies = [];
+  for (let from = 0; from + hop * 2 <= samples.length; from += hop) {
+    let energy = 0;
+    for (let i = from; i < from + hop * 2; i++) energy += samples[i] * samples[i];
+    // The floor keeps silence-to-sound steps from dwarfing the beats
+    energies.push(Math.log10(energy + 1e-4));
+  }
+
+  const rises = energies.map((energy, index) => index === 0 ? 0 : Math.max(0, energy - energies[index - 1]));
+  const mean = rises.reduce((sum, rise) => sum + rise, 0) / (rises.length || 1);
+  return rises.map(rise => Math.max(0, rise - mean));
+}
+
+function autocorrelation(envelope, lag) {
+  let sum = 0;
+  for (let i = lag; i < envelope.length; i++) sum += envelope[i] * envelope[i - lag];
+  return sum;
+}
+
+function estimateTempo(samples, options) {
+  const envelope = onsetEnvelope(samples, options);
+  const framesPerSecond = 1 / options.onsetHopSeconds;
+  const minLag = Math.floor((60 / options.maxBpm) * framesPerSecond);
+  const maxLag = Math.ceil((60 / options.minBpm) * framesPerSecond);
+  const energy = autocorrelation(envelope, 0);
+  if (energy <= 0 || envelope.length < maxLag * 4) return null;
+
+  // Tempi far from 120 BPM need clearly stronger evidence (halves and doubles compete)
+  const scores = [];
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    const bpm = (60 * framesPerSecond) / lag;
+    const prior = Math.exp(-0.5 * Math.log2(bpm / 120) ** 2);
+    const strength = autocorrelation(envelope, lag) / energy;
+    scores.push({ lag, strength, score: strength * prior });
+  }
+  const bestIndex = scores.reduce((best, entry, index) => entry.score > scores[best].score ? index : best, 0);
+  const best = scores[bestIndex];
+
+  // Parabolic interpolation between the neighbouring lags for a fractional period
+  let period = best.lag;
+  const previous = scores[bestIndex - 1];
+  const next = scores[bestIndex + 1];
+  if (previous && next) {
+    const curvature = previous.strength - 2 * best.strength + next.strength;
+    if (curvature < 0) period += (0.5 * (previous.strength - next.strength)) / curvature;
+  }
+
+  // Beat grid phase with the most onset energy, each beat moved to the strongest nearby onset
+  let bestPhase = 0;
+  let bestPhaseEnergy = -1;
+  for (let phase = 0; phase < period; phase++) {
+    let sum = 0;
+    for (let position = phase; position < envelope.length; position += period) sum += envelope[Math.round(position)] || 0;
+    if (sum > bestPhaseEnergy) {
+      bestPhase = phase;
+      bestPhaseEnergy = sum;
+    }
+  }
+
+  const reach = Math.max(1, Math.round(period * 0.1));
+  const beats = [];
+  for (let position = bestPhase; position < envelope.length; position += period) {
+    let peak = Math.round(position);
+    for (let offset = -reach; offset <= reach; offset++) {
+      const candidate = Math.round(position) + offset;
+      if ((envelope[candidate] || 0) > (envelope[peak] || 0)) peak = candidate;
+    }
+    beats.push(round(peak / framesPerSecond));
+  }
+
+  return {
+    bpm: round((60 * framesPerSecond) / period, 1),
+    confidence: round(best.strength),
+    beats
+  };
+}
+
+// ffmpeg writes raw little-endian 32-bit floats
+function readSamples(rawPath) {
+  const buffer = fs.readFileSync(rawPath);
+  const samples = new Float32Array(Math.floor(buffer.length / 4));
+  for (let i = 0; i < samples.length; i++) samples[i] = buffer.readFloatLE(i * 4);
+  return samples;
+}
+
+/**
+ * Signal measurements of samples (mono Float32Array at options.sampleRate) plus the
+ * ffmpeg log of the loudnorm/silencedetect pass. Split from analyzeAudioSignal so the
+ * measurements work on any decoded audio.
+ */
+export function measureSignal(samples, ffmpegLog = '', overrides = {}) {
+  const options = { ...AUDIO_SIGNAL_DEFAULTS, ...overrides };
+  const duration = samples.length / options.sampleRate;
+  const content = analyzeContent(samples, options);
+  const tempo = content.musicRatio >= options.minMusicRatio ? estimateTempo(samples, options) : null;
+
+  return {
+    duration: round(duration),
+    loudness: parseLoudness(ffmpegLog),
+    silences: parseSilences(ffmpegLog, duration),
+    content,
+    tempo: tempo && tempo.confidence >= options.minTempoConfidence ? tempo : null
+  };
+}
+
+/**
+ * Analyze an audio file. Returns
+ * { duration, loudness: { integratedLufs, loudnessRangeLu, truePeakDbtp },
+ *   silences: [{ start, end, duration }],
+ *   content: { speechRatio, musicRatio, silenceRatio, timeline: [{ start, end, type, levelDb }] },
+ *   tempo: { bpm, confidence, beats } | null }
+ * with times in seconds.
+ */
+export async function analyzeAudioSignal(audioPath, overrides = {}) {
+  const startTime = Date.now();
+  const options = { ...AUDIO_SIGNAL_DEFAULTS, ...overrides };
+  const rawPath = `${audioPath.replace(/\.[^.]+$/, '')}.signal.f32`;
+  logSignal('🔊 Starting audio signal analysis', { audioPath });
+
+  try {
+    // silencedetect passes audio through unchanged, so loudnorm measures the original
+    const { stderr } = await execAsync(
+      `ffmpeg -y -nostats -i "${audioPath}" ` +
+      `-af "silencedetect=noise=${options.silenceDb}dB:d=${options.minSilence},loudnorm=print_format=json" -f null - ` +
+      `-t ${options.maxSeconds} -ac 1 -ar ${options.sampleRate} -f f32le "${rawPath}"`,
+      { maxBuffer: LOG_MAX_BUFFER }
+    );
+
+    const signal = measureSignal(readSamples(rawPath), stderr, options);
+    logSignal('✅ Audio signal analysis complete', {
+      duration: `${signal.duration}s`,
+      loudness: signal.loudness,
+      silenceCount: signal.silences.length,
+      speechRatio: signal.content.speechRatio,
+      musicRatio: signal.content.musicRatio,
+      silenceRatio: signal.content.silenceRatio,
+      bpm: signal.tempo?.bpm ?? null,
+      processingTime: `${Date.now() - startTime}ms`
+    });
+    return signal;
+  } finally {
+    fs.rmSync(rawPath, { force: true });
+  }
+}
+
+/**
+ * The part of an analyzed signal between start and end (seconds), for scene audio:
+ * { levelDb, speechRatio, musicRatio, silenceRatio, dominant, silences, beatCount, bpm }.
+ */
+export function describeSignalSpan(signal, start, end) {
+  if (!signal?.content || !(end > start)) return null;
+
+  const shares = { speech: 0, music: 0, silence: 0 };
+  let levelSum = 0;
+  let covered = 0;
+  for (const run of signal.content.timeline) {
+    const shared = Math.min(run.end, end) - Math.max(run.start, start);
+    if (shared <= 0) continue;
+    shares[run.type] += shared;
+    levelSum += run.levelDb * shared;
+    covered += shared;
+  }
+  if (covered === 0) return null;
+
+  const beats = signal.tempo?.beats.filter(beat => beat >= start && beat < end) || [];
+  return {
+    levelDb: round(levelSum / covered, 1),
+    speechRatio: round(shares.speech / covered),
+    musicRatio: round(shares.music / covered),
+    silenceRatio: round(shares.silence / covered),
+    dominant: Object.entries(shares).sort((a, b) => b[1] - a[1])[0][0],
+    silences: signal.silences.filter(silence => silence.start < end && silence.end > start),
+    beatCount: beats.length,
+    bpm: beats.length > 0 ? signal.tempo.bpm : null
+  };
+}
@@ -0,0 +1,156 @@
+// Cancellation of in-flight analyses
+// A running analysis registers under its requestId with runCancellable(). Cancelling it
+// aborts one AbortSignal, which takes waiting model calls off the scheduler queues,
+// aborts the requests already sent and kills the ffmpeg/yt-dlp processes started
+// through execAsync. The pipeline runs inside the registration (AsyncLocalStorage), so
+// deep calls pick up the signal without it being passed through every function.
+//
+// Work that has to stop between steps calls throwIfCancelled(). Once the result is
+// about to be saved and charged, beginFinishing() closes the window: a cancel arriving
+// after that is refused rather than racing the save.
+import { AsyncLocalStorage } from 'async_hooks';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { getProgress } from './progressStore.js';
+
+const execWithOptions = promisify(exec);
+
+// How long a cancel request waits for the pipeline to wind down and settle credits
+const STOP_TIMEOUT = 30000;
+
+const activeCancellation = new AsyncLocalStorage();
+
+// Use global to ensure a single registry across API routes
+if (!global.analysisCancellations) {
+  global.analysisCancellations = new Map();
+}
+const registry = global.analysisCancellations;
+
+function logCancellation(message, data = null) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`, data ? JSON.stringify(data, null, 2) : '');
+}
+
+function cancelledError(reason) {
+  const error = new Error(reason || 'Analysis cancelled');
+  error.isCancelled = true;
+  return error;
+}
+
+/**
+ * Run fn as the cancellable work of requestId, owned by userId (only the owner may
+ * cancel it). Whatever fn throws after a cancel is rethrown flagged `isCancelled` (an
+ * aborted exec or SDK call fails with its own error).
+ */
+export function runCancellable(requestId, fn, { userId = null } = {}) {
+  const entry = {
+    requestId,
+    userId,
+    controller: new AbortController(),
+    finishing: false,
+    cancellation: null,
+    outcome: null
+  };
+  entry.stopped = new Promise(resolve => { entry.markStopped = resolve; });
+  registry.set(requestId, entry);
+
+  return activeCancellation.run(entry, async () => {
+    try {
+      return await fn();
+    } catch (error) {
+      if (entry.cancellation && !error.isCancelled) {
+        error.isCancelled = true;
+      }
+      throw error;
+    } finally {
+      if (registry.get(requestId) === entry) {
+        registry.delete(requestId);
+      }
+      entry.markStopped(entry.outcome);
+    }
+  });
+}
+
+// Owner of the analysis running under requestId on this instance, or null if there is
+// none (or it runs without a user)
+export function getCancellationOwner(requestId) {
+  return registry.get(requestId)?.userId || null;
+}
+
+// Signal of the current analysis (null outside runCancellable)
+export function getCancellationSignal() {
+  return activeCancellation.getStore()?.controller.signal || null;
+}
+
+// When and at what progress the current analysis was cancelled, or null if it wasn't
+export function getCancellation() {
+  return activeCancellation.getStore()?.cancellation || null;
+}
+
+export function throwIfCancelled() {
+  const entry = activeCancellation.getStore();
+  if (entry?.cancellation) {
+    throw cancelledError(entry.cancellation.reason);
+  }
+}
+
+// Called right before the result is saved; throws if the analysis was cancelled first
+export function beginFinishing() {
+  throwIfCancelled();
+  const entry = activeCancellation.getStore();
+  if (entry) entry.finishing = true;
+}
+
+// Details of how a cancelled analysis was wound down (credits charged and refunded),
+// returned to whoever cancelled it
+export function reportCancellationOutcome(outcome) {
+  const entry = activeCancellation.getStore();
+  if (entry) entry.outcome = outcome;
+}
+
+/**
+ * Cancel the analysis running under requestId and wait (up to STOP_TIMEOUT) for it to stop.
+ * Credits are settled against options.progress when given (the progress a cancel was
+ * requested at through another instance), else the progress reached now.
+ * Returns null if nothing runs under that id, { status: 'finishing' } if its result is
+ * already being saved, else { status: 'cancelled', progress, stopped, ...outcome }.
+ */
+export async function cancelRequest(requestId, reason = 'Analysis cancelled by user', options = {}) {
+  const entry = registry.get(requestId);
+  if (!entry) return null;
+  if (entry.finishing) return { status: 'finishing' };
+
+  if (!entry.cancellation) {
+    // Credits are settled against the progress reached when the user hit cancel
+    const progress = options.progress ?? (await getProgress(requestId)).progress;
+    // The result may have started saving while the progress was read
+    if (entry.finishing) return { status: 'finishing' };
+
+    if (!entry.cancellation) {
+      entry.cancellation = { reason, progress: progress || 0, cancelledAt: Date.now() };
+      logCancellation('🛑 Cancelling analysis', { requestId, progress: entry.cancellation.progress });
+      entry.controller.abort(cancelledError(reason));
+    }
+  }
+
+  let timer;
+  const outcome = await Promise.race([
+    entry.stopped.then(result => ({ stopped: true, ...result })),
+    new Promise(resolve => { timer = setTimeout(() => resolve({ stopped: false }), STOP_TIMEOUT); })
+  ]);
+  clearTimeout(timer);
+
+  if (!outcome.stopped) {
+    logCancellation('⚠️ Cancelled analysis has not stopped yet', { requestId, waited: `${STOP_TIMEOUT}ms` });
+  }
+  return { status: 'cancelled', progress: entry.cancellation.progress, ...outcome };
+}
+
+/**
+ * child_process.exec as a promise, killed when the current analysis is cancelled.
+ * Resolves to { stdout, stderr } like promisify(exec).
+ */
+export function execAsync(command, options = {}) {
+  const signal = getCancellationSignal();
+  return execWithOptions(command, signal ? { ...options, signal } : options);
+}
@@ -0,0 +1,39 @@
+// Browser side of /api/transcript/export: fetches a caption or timed JSON file and
+// saves it. Pass analysisId for a saved analysis of the signed-in user (sent with their
+// access token), or the transcript itself.
+import { getAccessToken } from './supabase';
+
+function filenameFrom(response, fallback) {
+  const match = (response.headers.get('content-disposition') || '').match(/filename="([^"]+)"/);
+  return match ? match[1] : fallback;
+}
+
+/**
+ * @param {{ format: string, preset?: string, analysisId?: string | null, transcript?: object | null }} options
+ */
+export async function downloadTranscriptExport({ format, preset = 'standard', analysisId = null, transcript = null }) {
+  const accessToken = analysisId ? await getAccessToken() : null;
+  const response = analysisId
+    ? await fetch(`/api/transcript/export?${new URLSearchParams({ analysisId, format, preset })}`, {
+      headers: accessToken ? { Authorization: `Bearer ${accessToken}` } : {}
+    })
+    : await fetch('/api/transcript/export', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ transcript, format, preset })
+    });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || 'Transcript export failed');
+  }
+
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filenameFrom(response, `transcript.${format}`);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,226 @@
+// Caption and transcript export
+// A stored transcript (transcript_data: Whisper-shaped segments, plus words and speakers
+// when available) is cut into caption cues and written as SRT or WebVTT, or as timed JSON
+// with every word's timing.
+//
+// Cues follow the word timings when the transcript has them; otherwise each segment's
+// time is spread over its words by their length. A cue ends at a segment boundary, a
+// pause, a change of speaker, MAX_CUE_SECONDS, or when its text no longer fits in
+// maxLines lines of maxCharsPerLine characters.
+
+export const CAPTION_FORMATS = {
+  SRT: 'srt',
+  VTT: 'vtt',
+  JSON: 'json'
+};
+
+export const CAPTION_PRESETS = {
+  // Landscape players, the common broadcast limit
+  standard: { maxCharsPerLine: 42, maxLines: 2 },
+  // 9:16 video, where captions sit in a narrow column
+  vertical: { maxCharsPerLine: 24, maxLines: 2 }
+};
+
+const CHARS_PER_LINE_RANGE = [10, 80];
+const LINES_RANGE = [1, 4];
+const MAX_CUE_SECONDS = 7;
+// A silence this long starts a new cue
+const PAUSE_SECONDS = 0.75;
+// Cues shorter than this are stretched (up to the next cue) so they can be read
+const MIN_CUE_SECONDS = 0.8;
+
+function parseLimit(value, [min, max], name) {
+  if (value == null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`${name} must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Caption layout from request params ({ preset, maxCharsPerLine, maxLines }); explicit
+ * limits override the preset. Throws on an unknown preset or out-of-range limit.
+ */
+export function resolveCaptionOptions({ preset = 'standard', maxCharsPerLine = null, maxLines = null } = {}) {
+  const base = CAPTION_PRESETS[preset || 'standard'];
+  if (!base) {
+    throw new Error(`preset must be one of ${Object.keys(CAPTION_PRESETS).join(', ')}`);
+  }
+
+  return {
+    maxCharsPerLine: parseLimit(maxCharsPerLine, CHARS_PER_LINE_RANGE, 'maxCharsPerLine') || base.maxCharsPerLine,
+    maxLines: parseLimit(maxLines, LINES_RANGE, 'maxLines') || base.maxLines
+  };
+}
+
+// Segment a word starting at time belongs to. A word in a gap between segments (or
+// outside all of them) goes to the closest one, so it isn't left out of the export.
+function segmentIndexAt(segments, time) {
+  const index = segments.findIndex(segment => time >= segment.start && time < segment.end);
+  if (index !== -1) return index;
+  if (segments.length === 0) return null;
+
+  const distance = segment => (time < segment.start ? segment.start - time : time - segment.end);
+  return segments.reduce((nearest, segment, i) => (distance(segment) < distance(segments[nearest]) ? i : nearest), 0);
+}
+
+// Words without timings get the segment's time split by character count
+function interpolateWords(segment, segmentIndex) {
+  const words = segment.text.trim().split(/\s+/).filter(Boolean);
+  const totalChars = words.reduce((sum, word) => sum + word.length, 0) || 1;
+  const duration = Math.max(segment.end - segment.start, 0);
+
+  let elapsed = 0;
+  return words.map(word => {
+    const start = segment.start + (duration * elapsed) / totalChars;
+    elapsed += word.length;
+    return {
+      word,
+      start,
+      end: segment.start + (duration * elapsed) / totalChars,
+      speaker: segment.speaker || null,
+      segment: segmentIndex
+    };
+  });
+}
+
+function timedWords(transcript) {
+  const segments = transcript?.segments || [];
+  if (transcript?.words?.length > 0) {
+    return transcript.words
+      .filter(word => word.word?.trim())
+      .map(word => ({
+        word: word.word.trim(),
+        start: word.start,
+        end: word.end,
+        speaker: word.speaker || null,
+        segment: segmentIndexAt(segments, word.start)
+      }));
+  }
+  return segments.flatMap((segment, index) => interpolateWords(segment, index));
+}
+
+// Greedy line breaking; a word longer than a line gets a line of its own
+export function wrapCaptionText(text, maxCharsPerLine) {
+  const lines = [];
+  let current = '';
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    if (current && current.length + 1 + word.length > maxCharsPerLine) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  }
+  if (current) lines.push(current);
+  return lines;
+}
+
+/**
+ * Caption cues ({ start, end, lines, speaker }) for a transcript, laid out with
+ * resolveCaptionOptions' maxCharsPerLine and maxLines.
+ */
+export function buildCaptionCues(transcript, { maxCharsPerLine, maxLines } = CAPTION_PRESETS.standard) {
+  const cues = [];
+  let current = null;
+
+  for (const word of timedWords(transcript)) {
+    const startsNewCue = !current
+      || word.segment !== current.segment
+      || word.speaker !== current.speaker
+      || word.start - current.end >= PAUSE_SECONDS
+      || word.end - current.start > MAX_CUE_SECONDS
+      || wrapCaptionText(`${current.text} ${word.word}`, maxCharsPerLine).length > maxLines;
+
+    if (startsNewCue) {
+      current = { start: word.start, end: word.end, text: word.word, speaker: word.speaker, segment: word.segment };
+      cues.push(current);
+    } else {
+      current.text += ` ${word.word}`;
+      current.end = word.end;
+    }
+  }
+
+  return cues.map((cue, index) => {
+    const next = cues[index + 1];
+    const readableEnd = Math.max(cue.end, cue.start + MIN_CUE_SECONDS);
+    return {
+      start: cue.start,
+      end: next ? Math.max(cue.end, Math.min(readableEnd, next.start)) : readableEnd,
+      lines: wrapCaptionText(cue.text, maxCharsPerLine),
+      speaker: cue.speaker
+    };
+  });
+}
+
+function formatTimestamp(seconds, separator) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+export function toSrt(cues) {
+  return cues.map((cue, index) => [
+    index + 1,
+    `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+    ...cue.lines
+  ].join('\n')).join('\n\n') + '\n';
+}
+
+// Cue text is markup in WebVTT, so &, < and > have to be written as entities
+function escapeVttText(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Speakers become voice spans (<v Speaker A>), which players may show or style
+export function toVtt(cues) {
+  const body = cues.map(cue => {
+    const text = escapeVttText(cue.lines.join('\n'));
+    return [
+      `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}`,
+      cue.speaker ? `<v ${escapeVttText(cue.speaker)}>${text}` : text
+    ].join('\n');
+  });
+  return ['WEBVTT', ...body].join('\n\n') + '\n';
+}
+
+const round = value => Number(value.toFixed(3));
+
+/**
+ * Word-level timed transcript: every segment with its words. Words are the recognized
+ * timings (interpolated: false) or, for transcripts without them (supplied subtitles),
+ * estimated from the segment's time (interpolated: true).
+ */
+export function toTimedJson(transcript) {
+  const segments = transcript?.segments || [];
+  const interpolated = !(transcript?.words?.length > 0);
+  const words = timedWords(transcript);
+
+  return {
+    text: transcript?.text || '',
+    language: transcript?.language || null,
+    duration: transcript?.duration ?? null,
+    provider: transcript?.provider || null,
+    humanAuthored: Boolean(transcript?.humanAuthored),
+    interpolated,
+    speakers: transcript?.speakers || [],
+    segments: segments.map((segment, index) => ({
+      id: index,
+      start: round(segment.start),
+      end: round(segment.end),
+      text: segment.text.trim(),
+      speaker: segment.speaker || null,
+      words: words
+        .filter(word => word.segment === index)
+        .map(word => ({ word: word.word, start: round(word.start), end: round(word.end), speaker: word.speaker }))
+    }))
+  };
+}
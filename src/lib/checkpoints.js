@@ -0,0 +1,155 @@
+// Per-request checkpoints for the analysis pipeline
+// Every finished phase (frame analyses, audio analysis, scenes, hooks, ...) is stored
+// against the requestId. When a job is picked up again after a crash or deploy, the
+// pipeline reads these back and only runs the phases that never finished.
+//
+// Checkpoints live in the analysis_checkpoints table when Supabase is available and in
+// temp/checkpoints/<requestId>/ otherwise.
+import fs from 'fs';
+import path from 'path';
+import { isSupabaseAvailable, supabase } from './supabase';
+import { throwIfCancelled } from './cancellation.js';
+
+const CHECKPOINTS_ROOT = path.join(process.cwd(), 'temp', 'checkpoints');
+
+// Local checkpoints older than this are swept, matching the database cleanup
+const STALE_CHECKPOINT_AGE = 7 * 24 * 60 * 60 * 1000;
+
+function logCheckpoint(message, data = null) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`, data ? JSON.stringify(data, null, 2) : '');
+}
+
+function localDir(requestId) {
+  return path.join(CHECKPOINTS_ROOT, String(requestId).replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 100));
+}
+
+async function loadCheckpoints(requestId) {
+  if (isSupabaseAvailable()) {
+    const { data, error } = await supabase.rpc('get_analysis_checkpoints', { p_request_id: requestId });
+    if (error) throw new Error(error.message);
+    return Object.fromEntries((Array.isArray(data) ? data : []).map(row => [row.phase, row.data]));
+  }
+
+  const dir = localDir(requestId);
+  if (!fs.existsSync(dir)) return {};
+  return Object.fromEntries(
+    fs.readdirSync(dir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => [path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))])
+  );
+}
+
+async function saveCheckpoint(requestId, phase, data) {
+  if (isSupabaseAvailable()) {
+    const { error } = await supabase.rpc('save_analysis_checkpoint', {
+      p_request_id: requestId,
+      p_phase: phase,
+      p_data: data
+    });
+    if (error) throw new Error(error.message);
+    return;
+  }
+
+  const dir = localDir(requestId);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${phase}.json`), JSON.stringify(data));
+}
+
+async function clearCheckpoints(requestId) {
+  if (isSupabaseAvailable()) {
+    const { error } = await supabase.rpc('clear_analysis_checkpoints', { p_request_id: requestId });
+    if (error) throw new Error(error.message);
+    return;
+  }
+
+  await fs.promises.rm(localDir(requestId), { recursive: true, force: true });
+}
+
+/**
+ * Load the checkpoints of a request and return a helper for the pipeline.
+ * `run(phase, fn)` returns the stored output of a finished phase, or runs fn and
+ * stores its result. Checkpoint storage failures are logged and never fail the analysis.
+ * Without a real requestId checkpointing is disabled and every phase simply runs.
+ */
+export async function createCheckpointer(requestId) {
+  const enabled = Boolean(requestId) && requestId !== 'unknown';
+  let stored = {};
+
+  if (enabled) {
+    try {
+      stored = await loadCheckpoints(requestId);
+    } catch (error) {
+      logCheckpoint('⚠️ Failed to load checkpoints, starting from scratch', { requestId, error: error.message });
+    }
+  }
+
+  const completedPhases = Object.keys(stored);
+  if (completedPhases.length > 0) {
+    logCheckpoint('♻️ Resuming analysis from checkpoints', { requestId, completedPhases });
+  }
+
+  const checkpointer = {
+    completedPhases,
+    has: (phase) => Object.prototype.hasOwnProperty.call(stored, phase),
+    get: (phase) => stored[phase],
+
+    async save(phase, data) {
+      stored[phase] = data;
+      if (!enabled) return data;
+
+      try {
+        await saveCheckpoint(requestId, phase, data);
+        logCheckpoint('💾 Checkpoint saved', { requestId, phase });
+      } catch (error) {
+        logCheckpoint('⚠️ Failed to save checkpoint', { requestId, phase, error: error.message });
+      }
+      return data;
+    },
+
+    async run(phase, fn) {
+      if (checkpointer.has(phase)) {
+        logCheckpoint('⏭️ Skipping finished phase', { requestId, phase });
+        return stored[phase];
+      }
+      const data = await fn();
+      // A phase cut short by a cancel may hold fallbacks; it must not be stored as finished
+      throwIfCancelled();
+      return checkpointer.save(phase, data);
+    },
+
+    async clear() {
+      stored = {};
+      if (!enabled) return;
+
+      try {
+        await clearCheckpoints(requestId);
+      } catch (error) {
+        logCheckpoint('⚠️ Failed to clear checkpoints', { requestId, error: error.message });
+      }
+    }
+  };
+
+  return checkpointer;
+}
+
+function sweepStaleCheckpoints() {
+  if (!fs.existsSync(CHECKPOINTS_ROOT)) return;
+
+  const cutoff = Date.now() - STALE_CHECKPOINT_AGE;
+  for (const entry of fs.readdirSync(CHECKPOINTS_ROOT)) {
+    const dir = path.join(CHECKPOINTS_ROOT, entry);
+    try {
+      if (fs.statSync(dir).mtimeMs < cutoff) {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    } catch (error) {
+      logCheckpoint('⚠️ Failed to remove stale checkpoints', { dir, error: error.message });
+    }
+  }
+}
+
+if (!global.analysisCheckpointSweep) {
+  global.analysisCheckpointSweep = setInterval(sweepStaleCheckpoints, 6 * 60 * 60 * 1000); // Sweep every 6 hours
+  sweepStaleCheckpoints();
+}
@@ -0,0 +1,222 @@
+// Token and dollar accounting for model calls
+// Every call made through the model provider reports its usage here. An analysis runs
+// inside costTracker.track(), so calls are attributed to it without passing the tracker
+// through every pipeline function. The summary is stored with the analysis and feeds
+// the admin cost report.
+//
+// Configuration (optional):
+//   MODEL_PRICING   JSON overriding/adding prices, e.g.
+//                   {"my-model":{"input":0.5,"output":1.5},"whisper-1":{"perMinute":0.006}}
+//                   input/output are USD per 1M tokens, perMinute is USD per audio minute
+import { AsyncLocalStorage } from 'async_hooks';
+import { estimateImageTokens } from './frameDedupe.js';
+import { isSupabaseAvailable, supabase } from './supabase';
+
+// USD per 1M tokens (chat) or per audio minute (transcription)
+const DEFAULT_MODEL_PRICING = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'whisper-1': { perMinute: 0.006 },
+  'gpt-4o-transcribe-diarize': { perMinute: 0.006 }
+};
+
+// gpt-4o-mini bills images at ~33x the gpt-4o token count for the same picture
+const IMAGE_TOKEN_MULTIPLIERS = {
+  'gpt-4o-mini': 2833 / 85
+};
+
+const activeTracker = new AsyncLocalStorage();
+
+function logCost(message, data = null) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`, data ? JSON.stringify(data, null, 2) : '');
+}
+
+function loadPricing() {
+  if (!process.env.MODEL_PRICING) return DEFAULT_MODEL_PRICING;
+
+  try {
+    return { ...DEFAULT_MODEL_PRICING, ...JSON.parse(process.env.MODEL_PRICING) };
+  } catch (error) {
+    logCost('⚠️ Invalid MODEL_PRICING, using default prices', { error: error.message });
+    return DEFAULT_MODEL_PRICING;
+  }
+}
+
+const MODEL_PRICING = loadPricing();
+
+// Dated snapshots (gpt-4o-2024-08-06) are priced like their base model
+function getPricing(model) {
+  if (MODEL_PRICING[model]) return MODEL_PRICING[model];
+  const base = Object.keys(MODEL_PRICING)
+    .filter(name => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return base ? MODEL_PRICING[base] : null;
+}
+
+// Width and height from the SOF header of a JPEG
+function jpegSize(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xFF) return null;
+    const marker = buffer[offset + 1];
+    if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function imagePartTokens(imageUrl, model) {
+  const multiplier = IMAGE_TOKEN_MULTIPLIERS[model] || 1;
+  if (imageUrl.detail === 'low') return Math.round(85 * multiplier);
+
+  const match = /^data:image\/jpeg;base64,(.*)$/.exec(imageUrl.url || '');
+  // The header sits at the start of the file; 64KB of base64 is plenty to reach it
+  const size = match ? jpegSize(Buffer.from(match[1].slice(0, 65536), 'base64')) : null;
+  return size ? Math.round(estimateImageTokens(size.width, size.height) * multiplier) : 0;
+}
+
+// Estimated share of the prompt tokens spent on images in a chat request
+export function countImageTokens(messages = [], model = '') {
+  let tokens = 0;
+  for (const message of messages) {
+    if (!Array.isArray(message.content)) continue;
+    for (const part of message.content) {
+      if (part.type === 'image_url' && part.image_url) {
+        tokens += imagePartTokens(part.image_url, model);
+      }
+    }
+  }
+  return tokens;
+}
+
+function emptyTotals() {
+  return {
+    calls: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    imageTokens: 0,
+    whisperMinutes: 0,
+    cost: 0
+  };
+}
+
+function addTo(totals, entry) {
+  totals.calls += 1;
+  totals.promptTokens += entry.promptTokens;
+  totals.completionTokens += entry.completionTokens;
+  totals.imageTokens += entry.imageTokens;
+  totals.whisperMinutes += entry.whisperMinutes;
+  totals.cost += entry.cost;
+}
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+// Create a tracker for one analysis
+export function createCostTracker() {
+  const phases = {};
+  const unpricedModels = new Set();
+
+  const tracker = {
+    // Run fn with this tracker receiving every model call made inside it
+    track: (fn) => activeTracker.run(tracker, fn),
+
+    // Carry over the usage of an interrupted run from its summary (see checkpoints.js)
+    resume(summary) {
+      if (!summary) return;
+      for (const [phase, totals] of Object.entries(summary.phases || {})) {
+        phases[phase] = { ...emptyTotals(), ...totals };
+      }
+      (summary.unpricedModels || []).forEach(model => unpricedModels.add(model));
+    },
+
+    record({ stage, model, promptTokens = 0, completionTokens = 0, imageTokens = 0, audioSeconds = 0 }) {
+      const pricing = getPricing(model);
+      if (!pricing) unpricedModels.add(model);
+
+      const whisperMinutes = audioSeconds / 60;
+      const cost = pricing
+        ? (promptTokens * (pricing.input || 0) + completionTokens * (pricing.output || 0)) / 1e6
+          + whisperMinutes * (pricing.perMinute || 0)
+        : 0;
+
+      if (!phases[stage]) phases[stage] = emptyTotals();
+      addTo(phases[stage], { promptTokens, completionTokens, imageTokens, whisperMinutes, cost });
+    },
+
+    summary() {
+      const total = emptyTotals();
+      const roundedPhases = {};
+      for (const [phase, totals] of Object.entries(phases)) {
+        for (const key of Object.keys(total)) total[key] += totals[key];
+        roundedPhases[phase] = {
+          ...totals,
+          whisperMinutes: round(totals.whisperMinutes, 3),
+          cost: round(totals.cost, 6)
+        };
+      }
+
+      return {
+        currency: 'USD',
+        totalCost: round(total.cost, 6),
+        calls: total.calls,
+        promptTokens: total.promptTokens,
+        completionTokens: total.completionTokens,
+        imageTokens: total.imageTokens, // estimate, already included in promptTokens
+        whisperMinutes: round(total.whisperMinutes, 3),
+        phases: roundedPhases,
+        unpricedModels: [...unpricedModels]
+      };
+    }
+  };
+
+  return tracker;
+}
+
+// Report a chat completion's usage to the tracker of the current analysis, if any
+export function recordChatUsage(stage, request, response) {
+  const tracker = activeTracker.getStore();
+  if (!tracker) return;
+
+  tracker.record({
+    stage,
+    model: response?.model || request.model,
+    promptTokens: response?.usage?.prompt_tokens || 0,
+    completionTokens: response?.usage?.completion_tokens || 0,
+    imageTokens: countImageTokens(request.messages, request.model)
+  });
+}
+
+// Report a transcription's audio length to the tracker of the current analysis, if any
+export function recordTranscriptionUsage(stage, request, response) {
+  const tracker = activeTracker.getStore();
+  if (!tracker) return;
+
+  tracker.record({
+    stage,
+    model: request.model,
+    // Newer transcription models report the billed duration under usage
+    audioSeconds: response?.duration || response?.usage?.seconds || 0
+  });
+}
+
+// Store the cost summary and analysis mode on a saved analysis for the admin report
+export async function storeAnalysisCost(analysisId, analysisMode, modelCost) {
+  if (!analysisId || !modelCost || !isSupabaseAvailable()) return;
+
+  try {
+    const { error } = await supabase.rpc('set_analysis_cost', {
+      p_analysis_id: analysisId,
+      p_analysis_mode: analysisMode,
+      p_model_cost_usd: modelCost.totalCost,
+      p_model_cost: modelCost
+    });
+    if (error) {
+      logCost('⚠️ Failed to store analysis cost', { analysisId, error: error.message });
+    }
+  } catch (error) {
+    logCost('⚠️ Failed to store analysis cost', { analysisId, error: error.message });
+  }
+}
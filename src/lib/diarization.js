@@ -0,0 +1,135 @@
+// Speaker diarization of transcripts
+// Whisper gives word timestamps but no speakers; a diarizing transcription model (stage
+// `diarization`, gpt-4o-transcribe-diarize by default) gives speaker turns but no word
+// timing. Each Whisper word is assigned the speaker whose turn it overlaps most, and the
+// speakers are relabelled "Speaker A", "Speaker B", ... in order of first appearance, so
+// labels from other servers (SPEAKER_00, spk_1, ...) read the same.
+//
+// Diarization sends the audio to the model provider, so by default only transcripts
+// that were already made there (provider openai) are diarized; a local whisper.cpp
+// transcription keeps the audio on the machine.
+//
+// Configuration (optional):
+//   TRANSCRIPT_DIARIZATION   on | off | always (default on; always also diarizes
+//                            transcripts from other providers)
+import { TRANSCRIPTION_PROVIDERS } from './transcriptionProviders.js';
+
+// Words this far from every turn are left unlabelled rather than guessed
+const MAX_TURN_DISTANCE = 1.0;
+
+export function isDiarizationEnabled(transcription) {
+  const setting = process.env.TRANSCRIPT_DIARIZATION || 'on';
+  if (setting === 'off') return false;
+  return setting === 'always' || transcription?.provider === TRANSCRIPTION_PROVIDERS.OPENAI;
+}
+
+function overlap(a, b) {
+  return Math.max(0, Math.min(a.end, b.end) - Math.max(a.start, b.start));
+}
+
+function distance(a, b) {
+  return Math.max(0, a.start - b.end, b.start - a.end);
+}
+
+// Speaker of the turn that overlaps the span most, else of the nearest turn within reach
+function speakerAt(span, turns) {
+  let best = null;
+  let bestOverlap = 0;
+  for (const turn of turns) {
+    const shared = overlap(span, turn);
+    if (shared > bestOverlap) {
+      best = turn;
+      bestOverlap = shared;
+    }
+  }
+  if (best) return best.speaker;
+
+  let nearest = null;
+  for (const turn of turns) {
+    const gap = distance(span, turn);
+    if (gap <= MAX_TURN_DISTANCE && (!nearest || gap < nearest.gap)) {
+      nearest = { speaker: turn.speaker, gap };
+    }
+  }
+  return nearest?.speaker || null;
+}
+
+// Speaker holding most of the words' time (ties go to whoever spoke first)
+function dominantSpeaker(words) {
+  const talkTime = new Map();
+  for (const word of words) {
+    if (!word.speaker) continue;
+    talkTime.set(word.speaker, (talkTime.get(word.speaker) || 0) + Math.max(word.end - word.start, 0.01));
+  }
+  let dominant = null;
+  for (const [speaker, time] of talkTime) {
+    if (!dominant || time > talkTime.get(dominant)) dominant = speaker;
+  }
+  return dominant;
+}
+
+// Consecutive words of the same speaker merged into turns
+function buildSpeakerTurns(words) {
+  const turns = [];
+  for (const word of words) {
+    if (!word.speaker) continue;
+    const current = turns[turns.length - 1];
+    if (current?.speaker === word.speaker) {
+      current.end = word.end;
+      current.text += ` ${word.word.trim()}`;
+    } else {
+      turns.push({ speaker: word.speaker, start: word.start, end: word.end, text: word.word.trim() });
+    }
+  }
+  return turns.map(turn => ({ ...turn, start: Number(turn.start.toFixed(2)), end: Number(turn.end.toFixed(2)) }));
+}
+
+/**
+ * Label a Whisper transcription (verbose_json with word timestamps) with the speakers of
+ * diarizedSegments ({ speaker, start, end }). Returns the transcription with a speaker on
+ * every word and segment, plus speakerTurns and per-speaker talk time in speakers.
+ */
+export function assignSpeakers(transcription, diarizedSegments) {
+  const labels = new Map();
+  const turns = diarizedSegments
+    .filter(segment => segment.speaker != null && segment.end > segment.start)
+    .sort((a, b) => a.start - b.start)
+    .map(segment => {
+      if (!labels.has(segment.speaker)) {
+        labels.set(segment.speaker, `Speaker ${String.fromCharCode(65 + labels.size)}`);
+      }
+      return { speaker: labels.get(segment.speaker), start: segment.start, end: segment.end };
+    });
+
+  const words = (transcription.words || []).map(word => ({ ...word, speaker: speakerAt(word, turns) }));
+  const segments = (transcription.segments || []).map(segment => {
+    const segmentWords = words.filter(word => word.start >= segment.start && word.start < segment.end);
+    return {
+      ...segment,
+      speaker: segmentWords.length > 0 ? dominantSpeaker(segmentWords) : speakerAt(segment, turns)
+    };
+  });
+  const speakerTurns = buildSpeakerTurns(words);
+
+  const speakers = [...labels.values()].map(label => {
+    const own = speakerTurns.filter(turn => turn.speaker === label);
+    return {
+      label,
+      turnCount: own.length,
+      talkTime: Number(own.reduce((sum, turn) => sum + turn.end - turn.start, 0).toFixed(1))
+    };
+  }).filter(speaker => speaker.turnCount > 0);
+
+  return { ...transcription, words, segments, speakerTurns, speakers };
+}
+
+// Segment texts joined, with "Speaker X:" wherever the speaker changes
+export function renderSpeakerText(segments) {
+  let previousSpeaker = null;
+  return segments.map(segment => {
+    const text = segment.text.trim();
+    if (!segment.speaker || segment.speaker === previousSpeaker) return text;
+    previousSpeaker = segment.speaker;
+    return `${segment.speaker}: ${text}`;
+  }).join(' ');
+}
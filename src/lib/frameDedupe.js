@@ -0,0 +1,149 @@
+// Near-duplicate frame detection with perceptual hashes
+// Each extracted frame is reduced to a 64-bit difference hash (dHash): ffmpeg scales
+// it to 9x8 grayscale and every bit records whether a pixel is brighter than its right
+// neighbour. Frames within a small Hamming distance of the current run's first frame
+// are treated as the same picture and don't need their own vision call.
+//
+// Configuration (optional):
+//   FRAME_DEDUPE_MAX_DISTANCE   max differing bits out of 64 to count as a duplicate (default 5, 0 disables)
+import { execAsync } from './cancellation.js';
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+const HASH_BYTES = HASH_WIDTH * HASH_HEIGHT;
+
+const MAX_DISTANCE = parseInt(process.env.FRAME_DEDUPE_MAX_DISTANCE || '5', 10);
+
+function logDedupe(message, data = null) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`, data ? JSON.stringify(data, null, 2) : '');
+}
+
+function toHash(pixels) {
+  const bits = [];
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const offset = y * HASH_WIDTH + x;
+      bits.push(pixels[offset] > pixels[offset + 1] ? 1 : 0);
+    }
+  }
+  return bits;
+}
+
+export function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) distance++;
+  }
+  return distance;
+}
+
+// Hash every frame in one ffmpeg pass over the numbered frame files
+async function hashFrames(frames) {
+  const pattern = frames[0].replace(/frame-\d+\.jpg$/, 'frame-%d.jpg');
+  const { stdout } = await execAsync(
+    `ffmpeg -v error -start_number 1 -i "${pattern}" -vf "scale=${HASH_WIDTH}:${HASH_HEIGHT},format=gray" -f rawvideo -`,
+    { encoding: 'buffer', maxBuffer: HASH_BYTES * frames.length + 1024 }
+  );
+
+  const hashes = [];
+  for (let i = 0; i < frames.length; i++) {
+    const pixels = stdout.subarray(i * HASH_BYTES, (i + 1) * HASH_BYTES);
+    hashes.push(pixels.length === HASH_BYTES ? toHash(pixels) : null);
+  }
+  return hashes;
+}
+
+/**
+ * dHashes of `count` consecutive decoded frames of a video, starting with the first
+ * frame at or after `time` (seconds). Entries are null for frames past the end.
+ */
+export async function hashVideoFrames(videoPath, time, count = 1) {
+  const { stdout } = await execAsync(
+    `ffmpeg -v error -ss ${Math.max(0, time).toFixed(6)} -i "${videoPath}" -an -frames:v ${count} -vsync passthrough -vf "scale=${HASH_WIDTH}:${HASH_HEIGHT},format=gray" -f rawvideo -`,
+    { encoding: 'buffer', maxBuffer: HASH_BYTES * count + 1024 }
+  );
+
+  const hashes = [];
+  for (let i = 0; i < count; i++) {
+    const pixels = stdout.subarray(i * HASH_BYTES, (i + 1) * HASH_BYTES);
+    hashes.push(pixels.length === HASH_BYTES ? toHash(pixels) : null);
+  }
+  return hashes;
+}
+
+export async function getFrameSize(framePath) {
+  const { stdout } = await execAsync(
+    `ffprobe -v error -select_streams v:0 -show_entries stream=width,height -of csv=p=0 "${framePath}"`
+  );
+  const [width, height] = stdout.trim().split(',').map(Number);
+  return { width, height };
+}
+
+// Vision token cost of one image. Low detail is a flat 85; high (and auto, which picks
+// high for frame-sized images) fits within 2048x2048, scales the short side down to 768,
+// then costs 170 tokens per 512px tile + 85
+export function estimateImageTokens(width, height, detail = 'high') {
+  if (detail === 'low') return 85;
+  if (!width || !height) return 0;
+  let scale = Math.min(1, 2048 / Math.max(width, height));
+  scale *= Math.min(1, 768 / (Math.min(width, height) * scale));
+  const tiles = Math.ceil((width * scale) / 512) * Math.ceil((height * scale) / 512);
+  return 85 + 170 * tiles;
+}
+
+/**
+ * Group consecutive near-identical frames.
+ * Returns { duplicateOf, representatives, skippedFrames, estimatedTokensSaved } where
+ * duplicateOf maps a skipped frame index to the index of the frame it repeats.
+ * Frames extracted by extractFrames (frame-1.jpg ... frame-N.jpg) are expected; `detail`
+ * is the level they'll be sent with, for the token estimate.
+ */
+export async function findNearDuplicateFrames(frames, { maxDistance = MAX_DISTANCE, detail = 'high' } = {}) {
+  const startTime = Date.now();
+  const empty = {
+    duplicateOf: {},
+    representatives: frames.map((_, index) => index),
+    skippedFrames: 0,
+    estimatedTokensSaved: 0
+  };
+
+  if (frames.length < 2 || maxDistance <= 0) return empty;
+
+  try {
+    const hashes = await hashFrames(frames);
+
+    const duplicateOf = {};
+    const representatives = [];
+    let runHead = null;
+
+    hashes.forEach((hash, index) => {
+      // Compare against the first frame of the run, not the previous one, so slow drift still breaks the run
+      if (runHead !== null && hash && hashes[runHead] && hammingDistance(hash, hashes[runHead]) <= maxDistance) {
+        duplicateOf[index] = runHead;
+      } else {
+        runHead = index;
+        representatives.push(index);
+      }
+    });
+
+    const skippedFrames = frames.length - representatives.length;
+    const { width, height } = skippedFrames > 0 ? await getFrameSize(frames[0]) : {};
+    const estimatedTokensSaved = skippedFrames * estimateImageTokens(width, height, detail);
+
+    logDedupe('🧬 Near-duplicate frames collapsed', {
+      totalFrames: frames.length,
+      analyzedFrames: representatives.length,
+      skippedFrames,
+      estimatedTokensSaved,
+      maxDistance,
+      duration: `${Date.now() - startTime}ms`
+    });
+
+    return { duplicateOf, representatives, skippedFrames, estimatedTokensSaved };
+  } catch (error) {
+    // Deduplication is an optimisation only; analyze every frame if hashing fails
+    logDedupe('⚠️ Frame hashing failed, analyzing all frames', { error: error.message });
+    return empty;
+  }
+}
@@ -0,0 +1,158 @@
+// Frame preprocessing between extraction and vision analysis
+// ffmpeg extracts frames at the video's full resolution, and every pixel past what the
+// vision model needs is paid for in image tokens. Each analysis mode has a profile that
+// crops letterbox bars, caps the frame size, sets the JPEG quality and picks the detail
+// level the images are sent with. Frames are rewritten in place (frame-1.jpg ...), so the
+// rest of the pipeline is unchanged; what the profile saved is reported with the analysis.
+//
+// Configuration (optional):
+//   FRAME_PREPROCESSING   JSON overriding/adding profiles per analysis mode, e.g.
+//                         {"broad":{"maxDimension":640,"detail":"low"}}
+//                         maxDimension: longest side in px (0 keeps the size)
+//                         jpegQuality: ffmpeg -q:v, 2 (best) to 31 (smallest)
+//                         detail: low | high | auto, as sent to the vision model
+//                         cropLetterbox: crop black bars found across the frames
+import fs from 'fs';
+import path from 'path';
+import { estimateImageTokens, getFrameSize } from './frameDedupe.js';
+import { execAsync } from './cancellation.js';
+
+const DEFAULT_FRAME_PROFILES = {
+  // Quick cuts and small on-screen text: keep most of the detail
+  fine: { maxDimension: 1536, jpegQuality: 3, detail: 'high', cropLetterbox: true },
+  standard: { maxDimension: 1024, jpegQuality: 5, detail: 'high', cropLetterbox: true },
+  adaptive: { maxDimension: 1024, jpegQuality: 5, detail: 'high', cropLetterbox: true },
+  // Overview only: low detail is a flat 85 tokens per image
+  broad: { maxDimension: 768, jpegQuality: 7, detail: 'low', cropLetterbox: true }
+};
+
+// Bars thinner than this share of the frame aren't worth a crop
+const MIN_LETTERBOX_RATIO = 0.04;
+
+function logPreprocessing(message, data = null) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`, data ? JSON.stringify(data, null, 2) : '');
+}
+
+function loadProfiles() {
+  if (!process.env.FRAME_PREPROCESSING) return DEFAULT_FRAME_PROFILES;
+
+  try {
+    const overrides = JSON.parse(process.env.FRAME_PREPROCESSING);
+    const profiles = { ...DEFAULT_FRAME_PROFILES };
+    for (const [mode, profile] of Object.entries(overrides)) {
+      profiles[mode] = { ...(DEFAULT_FRAME_PROFILES[mode] || DEFAULT_FRAME_PROFILES.standard), ...profile };
+    }
+    return profiles;
+  } catch (error) {
+    logPreprocessing('⚠️ Invalid FRAME_PREPROCESSING, using default profiles', { error: error.message });
+    return DEFAULT_FRAME_PROFILES;
+  }
+}
+
+const FRAME_PROFILES = loadProfiles();
+
+// Preprocessing settings of an analysis mode (unknown modes use the standard profile)
+export function getFrameProfile(analysisMode) {
+  return FRAME_PROFILES[analysisMode] || FRAME_PROFILES.standard;
+}
+
+function totalBytes(frames) {
+  return frames.reduce((sum, frame) => sum + fs.statSync(frame).size, 0);
+}
+
+// The crop that keeps every non-black pixel seen across all frames (cropdetect never
+// resets, so its last report covers the whole sequence). Null if there are no real bars.
+async function detectLetterbox(pattern, size) {
+  const { stderr } = await execAsync(
+    `ffmpeg -nostats -start_number 1 -i "${pattern}" -vf "cropdetect=limit=24:round=2:reset=0" -f null -`,
+    { maxBuffer: 20 * 1024 * 1024 }
+  );
+  const matches = [...stderr.matchAll(/crop=(\d+):(\d+):(\d+):(\d+)/g)];
+  if (matches.length === 0) return null;
+
+  const [width, height, x, y] = matches[matches.length - 1].slice(1).map(Number);
+  if (width <= 0 || height <= 0) return null;
+
+  const trimmedWidth = 1 - width / size.width;
+  const trimmedHeight = 1 - height / size.height;
+  if (trimmedWidth < MIN_LETTERBOX_RATIO && trimmedHeight < MIN_LETTERBOX_RATIO) return null;
+
+  return { width, height, x, y };
+}
+
+/**
+ * Apply the analysis mode's profile to extracted frames (frame-1.jpg ... frame-N.jpg),
+ * overwriting them. Returns the profile, the detail level for the vision requests and
+ * the before/after sizes and token estimates. If ffmpeg fails the original frames are
+ * kept and only the detail level is applied.
+ */
+export async function preprocessFrames(frames, analysisMode = 'standard') {
+  const startTime = Date.now();
+  const profile = getFrameProfile(analysisMode);
+  const summary = { profile: analysisMode in FRAME_PROFILES ? analysisMode : 'standard', ...profile, applied: false };
+
+  if (frames.length === 0) return summary;
+
+  const framesDir = path.dirname(frames[0]);
+  const pattern = path.join(framesDir, 'frame-%d.jpg');
+  const preparedPattern = path.join(framesDir, 'prepared-%d.jpg');
+
+  try {
+    const originalSize = await getFrameSize(frames[0]);
+    const originalBytes = totalBytes(frames);
+
+    const crop = profile.cropLetterbox ? await detectLetterbox(pattern, originalSize) : null;
+    const filters = [];
+    if (crop) filters.push(`crop=${crop.width}:${crop.height}:${crop.x}:${crop.y}`);
+    if (profile.maxDimension > 0) {
+      filters.push(`scale='min(iw,${profile.maxDimension})':'min(ih,${profile.maxDimension})':force_original_aspect_ratio=decrease`);
+    }
+
+    await execAsync(
+      `ffmpeg -v error -start_number 1 -i "${pattern}" ${filters.length > 0 ? `-vf "${filters.join(',')}" ` : ''}-q:v ${profile.jpegQuality} -start_number 1 "${preparedPattern}" -y`
+    );
+
+    // Swap the prepared frames in only once all of them were written
+    const prepared = frames.map((_, i) => path.join(framesDir, `prepared-${i + 1}.jpg`));
+    const missing = prepared.filter(file => !fs.existsSync(file));
+    if (missing.length > 0) {
+      prepared.forEach(file => fs.rmSync(file, { force: true }));
+      throw new Error(`${missing.length} of ${frames.length} frames were not written`);
+    }
+    prepared.forEach((file, i) => fs.renameSync(file, frames[i]));
+
+    const processedSize = await getFrameSize(frames[0]);
+    const processedBytes = totalBytes(frames);
+    // Frames used to go out at full size with the default (auto, i.e. high) detail
+    const tokensBefore = estimateImageTokens(originalSize.width, originalSize.height);
+    const tokensAfter = estimateImageTokens(processedSize.width, processedSize.height, profile.detail);
+
+    Object.assign(summary, {
+      applied: true,
+      letterboxCrop: crop,
+      originalSize,
+      processedSize,
+      originalBytes,
+      processedBytes,
+      estimatedTokensPerFrame: { before: tokensBefore, after: tokensAfter },
+      estimatedTokensSaved: Math.max(0, tokensBefore - tokensAfter) * frames.length
+    });
+
+    logPreprocessing('🪄 Frames preprocessed', {
+      frames: frames.length,
+      profile: summary.profile,
+      letterboxCrop: crop,
+      size: `${originalSize.width}x${originalSize.height} -> ${processedSize.width}x${processedSize.height}`,
+      bytes: `${(originalBytes / 1024).toFixed(0)}KB -> ${(processedBytes / 1024).toFixed(0)}KB`,
+      estimatedTokensPerFrame: summary.estimatedTokensPerFrame,
+      duration: `${Date.now() - startTime}ms`
+    });
+  } catch (error) {
+    // Preprocessing only saves tokens; analyze the frames as extracted if it fails
+    logPreprocessing('⚠️ Frame preprocessing failed, using original frames', { error: error.message });
+    summary.error = error.message;
+  }
+
+  return summary;
+}
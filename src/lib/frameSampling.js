@@ -0,0 +1,132 @@
+// Adaptive frame sampling driven by detected shots
+// Instead of a flat fps, take the first frame after every cut plus a configurable
+// density inside each shot, and stay within a total frame budget. A static
+// talking-head reel ends up with a handful of frames; a rapid-cut montage gets
+// one per shot.
+//
+// Configuration (optional):
+//   ADAPTIVE_SAMPLING_DENSITY      frames per second inside a shot (default 1)
+//   ADAPTIVE_SAMPLING_MAX_FRAMES   total frame budget per video (default 120)
+
+export const ADAPTIVE_SAMPLING_DEFAULTS = {
+  density: parseFloat(process.env.ADAPTIVE_SAMPLING_DENSITY || '1'),
+  maxFrames: parseInt(process.env.ADAPTIVE_SAMPLING_MAX_FRAMES || '120', 10)
+};
+
+// Skip this far past a cut so the sample isn't a blended transition frame
+const CUT_OFFSET = 0.05;
+
+// Samples are matched to decoded frames by timestamp; pts_time is printed with
+// microsecond precision, far below the gap between two frames
+const FRAME_TIME_TOLERANCE = 0.0005;
+
+// Interior sample times for a shot at the given density (the shot's first sample is separate)
+function interiorTimes(shot, density) {
+  if (density <= 0) return [];
+  const times = [];
+  const step = 1 / density;
+  for (let time = shot.start + step; time < shot.end - step / 2; time += step) {
+    times.push(time);
+  }
+  return times;
+}
+
+// Pick evenly spread items when there are more than the budget allows
+function spreadEvenly(items, count) {
+  if (items.length <= count) return items;
+  const picked = [];
+  for (let i = 0; i < count; i++) {
+    picked.push(items[Math.floor((i * items.length) / count)]);
+  }
+  return picked;
+}
+
+// Time of the first decoded frame at or after a time. Each of detectShots' per-frame
+// scores carries its frame's pts_time, so the position in the list doesn't matter
+// (it needn't match ffmpeg's frame number `n` when the scoring pass drops frames).
+function frameTimeAt(scores, time) {
+  let low = 0;
+  let high = scores.length - 1;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if (scores[mid].time < time) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return scores[low].time;
+}
+
+/**
+ * Plan which decoded frames to extract.
+ * Takes the result of detectShots and returns [{ time, shotIndex }] sorted by time,
+ * where time is the pts_time of the frame to extract (see sampleSelectFilter).
+ */
+export function planAdaptiveSamples(shotData, overrides = {}) {
+  const { density, maxFrames } = { ...ADAPTIVE_SAMPLING_DEFAULTS, ...overrides };
+  const { shots, scores } = shotData;
+  if (!shots?.length || !scores?.length) return [];
+
+  // One sample right after every cut, thinned out only if the cuts alone exceed the budget
+  const shotStarts = spreadEvenly(
+    shots.map(shot => ({ time: Math.min(shot.start + CUT_OFFSET, shot.end), shotIndex: shot.index })),
+    maxFrames
+  );
+
+  // Fill the remaining budget inside shots, lowering the density until it fits
+  const remaining = maxFrames - shotStarts.length;
+  let interior = [];
+  if (remaining > 0) {
+    let currentDensity = density;
+    for (let attempt = 0; attempt < 5; attempt++) {
+      interior = shots.flatMap(shot => interiorTimes(shot, currentDensity).map(time => ({ time, shotIndex: shot.index })));
+      if (interior.length <= remaining) break;
+      currentDensity *= remaining / interior.length;
+    }
+    interior = spreadEvenly(interior, remaining);
+  }
+
+  const seen = new Set();
+  return [...shotStarts, ...interior]
+    .map(sample => ({ time: frameTimeAt(scores, sample.time), shotIndex: sample.shotIndex }))
+    .filter(sample => {
+      if (seen.has(sample.time)) return false;
+      seen.add(sample.time);
+      return true;
+    })
+    .sort((a, b) => a.time - b.time);
+}
+
+// ffmpeg select filter keeping exactly the planned frames, matched by timestamp
+export function sampleSelectFilter(samples) {
+  return `select='${samples.map(sample => `lt(abs(t-${sample.time.toFixed(6)}),${FRAME_TIME_TOLERANCE})`).join('+')}'`;
+}
+
+// pts_time of every frame a `showinfo` filter printed, in output order
+export function parseShowinfoTimes(output) {
+  const times = [];
+  for (const line of output.split('\n')) {
+    const match = line.match(/\bn:\s*\d+\s+pts:\s*-?\d+\s+pts_time:\s*(-?[\d.]+)/);
+    if (match) times.push(parseFloat(match[1]));
+  }
+  return times;
+}
+
+/**
+ * Timestamps (seconds) of the frames an adaptive extraction wrote, in output order.
+ * Uses the pts_time showinfo printed for each frame. If those don't account for every
+ * frame, the planned times are only trusted when the frame count matches the plan;
+ * otherwise the frames are treated as evenly spaced at fps, since labelling them by
+ * position in the plan would shift every frame after a missing one.
+ * Returns { times, source } with source 'pts', 'plan' or 'fps'.
+ */
+export function resolveSampleTimes(frameCount, { shownTimes = [], samples = [], fps }) {
+  if (shownTimes.length === frameCount) {
+    return { times: shownTimes, source: 'pts' };
+  }
+  if (samples.length === frameCount) {
+    return { times: samples.map(sample => sample.time), source: 'plan' };
+  }
+  return { times: Array.from({ length: frameCount }, (_, i) => i / fps), source: 'fps' };
+}
@@ -0,0 +1,377 @@
+// Background job queue for video analyses
+// Jobs run on an in-process worker loop so the HTTP request can return immediately.
+// Job state is mirrored to video_analyses.status so results survive the request
+// and unfinished jobs can be picked up again after a restart.
+//
+// Each instance holds a lease on the jobs it owns and renews it every
+// JOB_LEASE_SECONDS / 3. Jobs whose lease has run out (their instance stopped) are
+// claimed atomically by the next instance that recovers jobs, at startup or on a
+// heartbeat, so a job is never picked up by two live instances.
+//
+// A cancel for a job this instance doesn't hold is stored on the job row
+// (requestJobCancel); the lease owner sees it on its next heartbeat and stops the job.
+//
+// The job functions are only executable by the service role, so jobs are persisted
+// with SUPABASE_SERVICE_ROLE_KEY set; without it they live in this instance's memory.
+//
+// Configuration (optional):
+// - MAX_CONCURRENT_JOBS: analyses run at the same time by this instance (default 2)
+// - JOB_LEASE_SECONDS: how long a job stays claimed without a heartbeat (default 60)
+import { randomUUID } from 'crypto';
+import { hostname } from 'os';
+import { getSupabaseServiceClient } from './supabaseService.js';
+import { cancelRequest } from './cancellation.js';
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// Maximum number of analyses processed at the same time by this instance
+const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS || '2', 10);
+const JOB_LEASE_SECONDS = parseInt(process.env.JOB_LEASE_SECONDS || '60', 10);
+
+// Use global to ensure a single queue across API routes
+if (!global.analysisJobQueue) {
+  global.analysisJobQueue = {
+    jobs: new Map(),
+    pending: [],
+    handlers: new Map(),
+    // Settlement of a job type cancelled while still queued (refunds, progress)
+    queuedCancelHandlers: new Map(),
+    running: 0,
+    recovered: false,
+    // Lease owner id of this instance
+    instanceId: `${hostname()}:${process.pid}:${randomUUID()}`,
+    heartbeat: null
+  };
+}
+const queue = global.analysisJobQueue;
+
+function logJob(message, data = null) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`, data ? JSON.stringify(data, null, 2) : '');
+}
+
+// Mirror job state to the database. Anonymous jobs only live in memory.
+async function persistJob(job) {
+  const serviceClient = getSupabaseServiceClient();
+  if (!job.userId || !serviceClient) return;
+
+  try {
+    const { error } = await serviceClient.rpc('upsert_analysis_job', {
+      p_request_id: job.id,
+      p_user_id: job.userId,
+      p_video_url: job.videoUrl,
+      p_status: job.status,
+      p_job_payload: job.payload,
+      p_error_message: job.error,
+      p_lease_owner: queue.instanceId,
+      p_lease_seconds: JOB_LEASE_SECONDS
+    });
+
+    if (error) {
+      logJob('⚠️ Failed to persist job state', { jobId: job.id, status: job.status, error: error.message });
+    }
+  } catch (error) {
+    logJob('⚠️ Failed to persist job state', { jobId: job.id, status: job.status, error: error.message });
+  }
+}
+
+async function runJob(job, handler) {
+  job.status = JOB_STATUS.RUNNING;
+  job.startedAt = Date.now();
+  await persistJob(job);
+  logJob('🏃 Job started', { jobId: job.id, type: job.type });
+
+  try {
+    job.result = await handler(job);
+    job.status = JOB_STATUS.SUCCEEDED;
+    logJob('✅ Job succeeded', { jobId: job.id, duration: `${Date.now() - job.startedAt}ms` });
+  } catch (error) {
+    job.status = error.isCancelled ? JOB_STATUS.CANCELLED : JOB_STATUS.FAILED;
+    job.error = error.message;
+    logJob(error.isCancelled ? '🛑 Job cancelled' : '❌ Job failed', { jobId: job.id, error: error.message, duration: `${Date.now() - job.startedAt}ms` });
+  }
+
+  job.completedAt = Date.now();
+  await persistJob(job);
+}
+
+function drainQueue() {
+  while (queue.running < MAX_CONCURRENT_JOBS && queue.pending.length > 0) {
+    const job = queue.jobs.get(queue.pending[0]);
+
+    if (!job || job.status !== JOB_STATUS.QUEUED) {
+      queue.pending.shift();
+      continue;
+    }
+
+    const handler = queue.handlers.get(job.type);
+    if (!handler) {
+      // Handler is registered when its route module loads; wait until then
+      return;
+    }
+
+    queue.pending.shift();
+    queue.running++;
+    runJob(job, handler).finally(() => {
+      queue.running--;
+      drainQueue();
+    });
+  }
+}
+
+// Re-queue unfinished jobs whose instance stopped renewing their lease. The rows are
+// claimed for this instance in the same statement that selects them.
+async function recoverJobs() {
+  const serviceClient = getSupabaseServiceClient();
+  if (!serviceClient) return;
+
+  try {
+    const { data, error } = await serviceClient.rpc('claim_resumable_analysis_jobs', {
+      p_lease_owner: queue.instanceId,
+      p_lease_seconds: JOB_LEASE_SECONDS
+    });
+    if (error) {
+      logJob('⚠️ Failed to load resumable jobs', { error: error.message });
+      return;
+    }
+    if (!Array.isArray(data)) return;
+
+    for (const row of data) {
+      if (queue.jobs.has(row.request_id) || !row.job_payload?.type) continue;
+
+      const job = createJob({
+        id: row.request_id,
+        type: row.job_payload.type,
+        userId: row.user_id,
+        videoUrl: row.video_url,
+        payload: row.job_payload
+      });
+      queue.jobs.set(job.id, job);
+      queue.pending.push(job.id);
+
+      // Cancelled after its instance stopped: settle it instead of resuming it
+      if (row.cancel_requested) {
+        await cancelQueuedJob(job.id);
+      }
+    }
+
+    if (data.length > 0) {
+      logJob('♻️ Recovered unfinished jobs', { count: data.length });
+    }
+    drainQueue();
+  } catch (error) {
+    logJob('⚠️ Failed to recover jobs', { error: error.message });
+  }
+}
+
+// Keep the leases of this instance's unfinished jobs alive, then take over jobs
+// whose lease has expired
+async function renewLeases() {
+  const serviceClient = getSupabaseServiceClient();
+  if (!serviceClient) return;
+
+  const requestIds = [...queue.jobs.values()]
+    .filter(job => job.userId && (job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING))
+    .map(job => job.id);
+
+  if (requestIds.length > 0) {
+    try {
+      const { data, error } = await serviceClient.rpc('renew_analysis_job_leases', {
+        p_lease_owner: queue.instanceId,
+        p_request_ids: requestIds,
+        p_lease_seconds: JOB_LEASE_SECONDS
+      });
+      if (error) {
+        logJob('⚠️ Failed to renew job leases', { error: error.message });
+      } else if (Array.isArray(data)) {
+        if (data.length < requestIds.length) {
+          const renewed = new Set(data.map(row => row.request_id));
+          logJob('⚠️ Lost the lease on jobs', { jobIds: requestIds.filter(id => !renewed.has(id)) });
+        }
+        for (const row of data) {
+          if (row.cancel_requested) {
+            await stopCancelledJob(row.request_id, Number(row.cancel_progress) || 0);
+          }
+        }
+      }
+    } catch (error) {
+      logJob('⚠️ Failed to renew job leases', { error: error.message });
+    }
+  }
+
+  await recoverJobs();
+}
+
+// Act on a cancel requested through another instance. A running job is stopped through
+// its cancellation signal without waiting for it to unwind; a failed attempt (the job
+// hasn't registered yet) is retried on the next heartbeat.
+async function stopCancelledJob(jobId, progress) {
+  const job = queue.jobs.get(jobId);
+  if (!job) return;
+
+  logJob('🛑 Cancel requested by another instance', { jobId, status: job.status });
+  if (job.status === JOB_STATUS.QUEUED) {
+    await cancelQueuedJob(jobId);
+  } else if (job.status === JOB_STATUS.RUNNING && !job.cancelRequested) {
+    job.cancelRequested = true;
+    cancelRequest(jobId, 'Analysis cancelled by user', { progress }).then(outcome => {
+      if (!outcome) job.cancelRequested = false;
+    });
+  }
+}
+
+function createJob({ id, type, userId, videoUrl, payload }) {
+  return {
+    id,
+    type,
+    userId: userId || null,
+    videoUrl,
+    payload: { ...payload, type },
+    status: JOB_STATUS.QUEUED,
+    result: null,
+    error: null,
+    createdAt: Date.now(),
+    startedAt: null,
+    completedAt: null,
+    cancelRequested: false
+  };
+}
+
+/**
+ * Register the worker of a job type. onQueuedCancel(job) settles a job of that type
+ * cancelled before it started (e.g. refunds its reserved credits).
+ */
+export function registerJobHandler(type, handler, { onQueuedCancel = null } = {}) {
+  queue.handlers.set(type, handler);
+  if (onQueuedCancel) queue.queuedCancelHandlers.set(type, onQueuedCancel);
+
+  if (!queue.recovered) {
+    queue.recovered = true;
+    recoverJobs();
+    queue.heartbeat = setInterval(renewLeases, (JOB_LEASE_SECONDS * 1000) / 3);
+  }
+
+  drainQueue();
+}
+
+export async function enqueueJob({ id, type, userId, videoUrl, payload = {} }) {
+  const existing = queue.jobs.get(id);
+  if (existing && (existing.status === JOB_STATUS.QUEUED || existing.status === JOB_STATUS.RUNNING)) {
+    return existing;
+  }
+
+  const job = createJob({ id, type, userId, videoUrl, payload });
+  queue.jobs.set(id, job);
+  queue.pending.push(id);
+  await persistJob(job);
+
+  logJob('📥 Job queued', { jobId: id, type, position: queue.pending.length });
+  setImmediate(drainQueue);
+
+  return job;
+}
+
+// Cancel a job that is still waiting for a worker. Running jobs are stopped through
+// their cancellation signal (see cancellation.js) and end up cancelled when they unwind.
+// Returns the job, or null if this instance doesn't know it.
+export async function cancelQueuedJob(jobId) {
+  const job = queue.jobs.get(jobId);
+  if (!job) return null;
+  if (job.status !== JOB_STATUS.QUEUED) return job;
+
+  queue.pending = queue.pending.filter(id => id !== jobId);
+  job.status = JOB_STATUS.CANCELLED;
+  job.error = 'Analysis cancelled by user';
+  job.completedAt = Date.now();
+  await persistJob(job);
+
+  logJob('🛑 Queued job cancelled', { jobId });
+
+  const onQueuedCancel = queue.queuedCancelHandlers.get(job.type);
+  if (onQueuedCancel) {
+    try {
+      await onQueuedCancel(job);
+    } catch (error) {
+      logJob('⚠️ Failed to settle cancelled job', { jobId, error: error.message });
+    }
+  }
+  return job;
+}
+
+/**
+ * Ask the instance holding a queued or running job to cancel it, at the given progress.
+ * Returns false if the request couldn't be stored (no service client, or the job is
+ * unknown or already finished).
+ */
+export async function requestJobCancel(jobId, progress = 0) {
+  const serviceClient = getSupabaseServiceClient();
+  if (!serviceClient) return false;
+
+  try {
+    const { data, error } = await serviceClient.rpc('request_analysis_job_cancel', {
+      p_request_id: jobId,
+      p_progress: progress
+    });
+    if (error) {
+      logJob('⚠️ Failed to request job cancel', { jobId, error: error.message });
+      return false;
+    }
+
+    if (data === true) {
+      logJob('📨 Cancel requested for job on another instance', { jobId, progress });
+    }
+    return data === true;
+  } catch (error) {
+    logJob('⚠️ Failed to request job cancel', { jobId, error: error.message });
+    return false;
+  }
+}
+
+export async function getJob(jobId) {
+  if (!jobId) return null;
+
+  const job = queue.jobs.get(jobId);
+  if (job) return job;
+
+  const serviceClient = getSupabaseServiceClient();
+  if (!serviceClient) return null;
+
+  try {
+    const { data, error } = await serviceClient.rpc('get_analysis_job', { p_request_id: jobId });
+    const row = Array.isArray(data) ? data[0] : data;
+    if (error || !row) return null;
+
+    return {
+      id: row.request_id,
+      type: row.job_payload?.type,
+      userId: row.user_id,
+      videoUrl: row.video_url,
+      payload: row.job_payload,
+      status: row.status,
+      result: row.status === JOB_STATUS.SUCCEEDED ? row.analysis_data : null,
+      error: row.error_message,
+      createdAt: row.created_at ? new Date(row.created_at).getTime() : null,
+      startedAt: row.started_at ? new Date(row.started_at).getTime() : null,
+      completedAt: row.completed_at ? new Date(row.completed_at).getTime() : null
+    };
+  } catch (error) {
+    logJob('⚠️ Failed to load job', { jobId, error: error.message });
+    return null;
+  }
+}
+
+// Drop finished jobs from memory after an hour; the database keeps the result
+setInterval(() => {
+  const oneHourAgo = Date.now() - 60 * 60 * 1000;
+  for (const [key, job] of queue.jobs.entries()) {
+    if (job.completedAt && job.completedAt < oneHourAgo) {
+      queue.jobs.delete(key);
+    }
+  }
+}, 5 * 60 * 1000); // Clean up every 5 minutes
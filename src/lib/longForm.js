@@ -0,0 +1,140 @@
+// Long-form videos: time chunks, chapters and prompt budgets
+// Short videos fit into single prompts whole. From LONG_FORM_MIN_SECONDS on, the scenes
+// are grouped into chunks of about LONG_FORM_CHUNK_SECONDS; each chunk is summarized on
+// its own, consecutive chunk summaries are merged into chapters, and the whole-video
+// stages read the chapters instead of every frame and the full transcript. Chunks are
+// cut at scene boundaries, so scene numbers and timestamps run on across chunks.
+//
+// Every prompt also keeps its video data within PROMPT_TOKEN_BUDGET (estimated tokens),
+// sampling long listings evenly across the video rather than cutting off the end.
+//
+// Configuration (optional):
+//   LONG_FORM_MIN_SECONDS          video length from which chunked summarization is used (default 180)
+//   LONG_FORM_CHUNK_SECONDS        target chunk length (default 60)
+//   LONG_FORM_CHUNKS_PER_CHAPTER   chunks merged into one chapter (default 3)
+//   PROMPT_TOKEN_BUDGET            max estimated tokens of video data per prompt (default 24000)
+import { renderSpeakerText } from './diarization.js';
+
+export const LONG_FORM_MIN_SECONDS = parseFloat(process.env.LONG_FORM_MIN_SECONDS || '180');
+export const LONG_FORM_CHUNK_SECONDS = parseFloat(process.env.LONG_FORM_CHUNK_SECONDS || '60');
+export const LONG_FORM_CHUNKS_PER_CHAPTER = parseInt(process.env.LONG_FORM_CHUNKS_PER_CHAPTER || '3', 10);
+export const PROMPT_TOKEN_BUDGET = parseInt(process.env.PROMPT_TOKEN_BUDGET || '24000', 10);
+
+// Rough count for English prose and JSON; only used to stay clear of context limits
+const CHARS_PER_TOKEN = 4;
+
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+export function isLongForm(durationSeconds) {
+  return durationSeconds >= LONG_FORM_MIN_SECONDS;
+}
+
+export function formatTimeRange(start, end) {
+  return `${start.toFixed(1)}-${end.toFixed(1)}s`;
+}
+
+// Cut text to about maxTokens, marking the cut
+export function truncateToTokens(text, maxTokens) {
+  if (!text || estimateTokens(text) <= maxTokens) return text;
+  return `${text.slice(0, maxTokens * CHARS_PER_TOKEN)} …[truncated]`;
+}
+
+/**
+ * Join lines within maxTokens. When they don't fit, every n-th line is kept so the
+ * listing still spans the whole video, and a note says how many were left out.
+ */
+export function sampleLines(lines, maxTokens, separator = '\n') {
+  const total = estimateTokens(lines.join(separator));
+  if (total <= maxTokens) return lines.join(separator);
+
+  const step = Math.ceil(total / maxTokens);
+  const kept = lines.filter((_, i) => i % step === 0).map(line => truncateToTokens(line, maxTokens));
+  return [...kept, `[${lines.length - kept.length} of ${lines.length} entries omitted to fit the prompt]`].join(separator);
+}
+
+// Start and end (seconds) of a scene card or detected scene. Cards only carry their
+// "12.0-15.5s" timeRange; `previousEnd` is used when no timing can be read at all.
+export function sceneBounds(scene, fps = 2, previousEnd = 0) {
+  if (Number.isFinite(scene.startTime) && Number.isFinite(scene.endTime)) {
+    return { start: scene.startTime, end: scene.endTime };
+  }
+  const match = /^\s*([\d.]+)s?\s*-\s*([\d.]+)s?\s*$/.exec(scene.timeRange || '');
+  if (match) return { start: parseFloat(match[1]), end: parseFloat(match[2]) };
+  if (Number.isFinite(scene.startFrame) && Number.isFinite(scene.endFrame)) {
+    return { start: scene.startFrame / fps, end: scene.endFrame / fps };
+  }
+  return { start: previousEnd, end: previousEnd + (parseFloat(scene.duration) || 0) };
+}
+
+/**
+ * Group scenes into consecutive chunks of about chunkSeconds. A scene is never split;
+ * a scene longer than the target becomes a chunk of its own.
+ * Returns [{ chunkNumber, startTime, endTime, timeRange, sceneNumbers }].
+ */
+export function planChunks(scenes, fps = 2, chunkSeconds = LONG_FORM_CHUNK_SECONDS) {
+  const chunks = [];
+  let current = null;
+  let previousEnd = 0;
+
+  scenes.forEach((scene, i) => {
+    const { start, end } = sceneBounds(scene, fps, previousEnd);
+    previousEnd = end;
+    const sceneNumber = scene.sceneNumber ?? i + 1;
+
+    if (current && end - current.startTime > chunkSeconds) {
+      chunks.push(current);
+      current = null;
+    }
+    if (!current) {
+      current = { chunkNumber: chunks.length + 1, startTime: start, endTime: end, sceneNumbers: [] };
+    }
+    current.endTime = Math.max(current.endTime, end);
+    current.sceneNumbers.push(sceneNumber);
+  });
+  if (current) chunks.push(current);
+
+  return chunks.map(chunk => ({ ...chunk, timeRange: formatTimeRange(chunk.startTime, chunk.endTime) }));
+}
+
+// Consecutive chunks merged into chapters of chunksPerChapter
+export function planChapters(chunks, chunksPerChapter = LONG_FORM_CHUNKS_PER_CHAPTER) {
+  const chapters = [];
+  for (let i = 0; i < chunks.length; i += chunksPerChapter) {
+    const chapterChunks = chunks.slice(i, i + chunksPerChapter);
+    const startTime = chapterChunks[0].startTime;
+    const endTime = chapterChunks[chapterChunks.length - 1].endTime;
+    chapters.push({
+      chapterNumber: chapters.length + 1,
+      startTime,
+      endTime,
+      timeRange: formatTimeRange(startTime, endTime),
+      chunkNumbers: chapterChunks.map(chunk => chunk.chunkNumber),
+      sceneNumbers: chapterChunks.flatMap(chunk => chunk.sceneNumbers)
+    });
+  }
+  return chapters;
+}
+
+// Transcript text spoken between start and end (segments overlapping the range), with
+// speaker labels when the transcript is diarized
+export function transcriptBetween(transcription, start, end) {
+  const segments = transcription?.segments || [];
+  return renderSpeakerText(segments.filter(segment => (segment.end ?? segment.start) >= start && segment.start < end));
+}
+
+/**
+ * The chapters of a long-form summary as prompt text, within maxTokens.
+ * Used by the whole-video stages in place of frame listings and the full transcript.
+ */
+export function renderChapterDigest(longForm, maxTokens = PROMPT_TOKEN_BUDGET) {
+  if (!longForm?.chapters?.length) return '';
+  const perChapter = Math.floor(maxTokens / longForm.chapters.length);
+  return longForm.chapters.map(chapter => truncateToTokens([
+    `Chapter ${chapter.chapterNumber}: ${chapter.title} (${chapter.timeRange}, scenes ${chapter.sceneNumbers[0]}-${chapter.sceneNumbers[chapter.sceneNumbers.length - 1]})`,
+    `Summary: ${chapter.summary}`,
+    `Narrative role: ${chapter.narrativeRole}`,
+    ...chapter.keyMoments.map(moment => `- ${moment.timestamp}: ${moment.description}`)
+  ].join('\n'), perChapter)).join('\n\n');
+}
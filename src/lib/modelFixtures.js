@@ -0,0 +1,103 @@
+// Record/replay of model calls
+// MODEL_FIXTURE_MODE=record saves every model request/response pair to a fixture file;
+// MODEL_FIXTURE_MODE=replay serves those fixtures instead of calling the provider, so the
+// whole pipeline can run offline and produce the same output on every run.
+//
+// Fixtures are keyed by a hash of the stage and the request (prompt text, images and
+// options, but not the model name), stored as <MODEL_FIXTURE_DIR>/<stage>/<hash>.json.
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+export const FIXTURE_MODES = {
+  OFF: 'off',
+  RECORD: 'record',
+  REPLAY: 'replay'
+};
+
+export function getFixtureMode() {
+  const mode = (process.env.MODEL_FIXTURE_MODE || FIXTURE_MODES.OFF).toLowerCase();
+  return Object.values(FIXTURE_MODES).includes(mode) ? mode : FIXTURE_MODES.OFF;
+}
+
+function getFixtureDir() {
+  return process.env.MODEL_FIXTURE_DIR || path.join(process.cwd(), 'fixtures', 'model');
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// JSON with sorted object keys so the hash doesn't depend on property order
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// Replace bulky inputs with content hashes: base64 images become "<image sha256:...>"
+// and file streams (audio uploads) become "<file sha256:...>"
+function normalizeRequest(params) {
+  const normalize = (value) => {
+    if (typeof value === 'string' && value.startsWith('data:')) {
+      return `<image sha256:${sha256(value)}>`;
+    }
+    if (value instanceof fs.ReadStream) {
+      return `<file sha256:${sha256(fs.readFileSync(value.path))}>`;
+    }
+    if (Array.isArray(value)) {
+      return value.map(normalize);
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, normalize(inner)]));
+    }
+    return value;
+  };
+
+  const { model, ...rest } = params;
+  return normalize(rest);
+}
+
+function getFixturePath(stage, request) {
+  const key = sha256(stableStringify({ stage, request }));
+  return path.join(getFixtureDir(), stage, `${key}.json`);
+}
+
+// Wrap a provider call with record or replay behaviour depending on MODEL_FIXTURE_MODE
+export async function withFixture(stage, params, call) {
+  const mode = getFixtureMode();
+  if (mode === FIXTURE_MODES.OFF) {
+    return call();
+  }
+
+  const request = normalizeRequest(params);
+  const fixturePath = getFixturePath(stage, request);
+
+  if (mode === FIXTURE_MODES.REPLAY) {
+    // The provider never reads the upload stream in replay, so close it here
+    if (params.file instanceof fs.ReadStream) {
+      params.file.destroy();
+    }
+    if (!fs.existsSync(fixturePath)) {
+      throw new Error(`No recorded model response for stage "${stage}" (${path.basename(fixturePath)}). Record it first with MODEL_FIXTURE_MODE=record`);
+    }
+    return JSON.parse(fs.readFileSync(fixturePath, 'utf8')).response;
+  }
+
+  const response = await call();
+
+  fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+  fs.writeFileSync(fixturePath, JSON.stringify({
+    stage,
+    model: params.model,
+    recordedAt: new Date().toISOString(),
+    request,
+    response
+  }, null, 2));
+
+  return response;
+}
@@ -0,0 +1,162 @@
+// Model provider layer for the analysis pipeline
+// Each pipeline stage asks for a provider by name and gets a client plus the model
+// configured for that stage. Any OpenAI-compatible server (vLLM, Ollama, LM Studio, ...)
+// can be used by pointing the base URL at it, globally or per stage.
+//
+// Configuration (all optional):
+//   OPENAI_BASE_URL              default base URL for every stage
+//   MODEL_<STAGE>                model for a stage, e.g. MODEL_FRAME_BATCH=gpt-4o-mini
+//   MODEL_<STAGE>_BASE_URL       base URL for a stage, e.g. MODEL_SCENE_BATCH_BASE_URL=http://localhost:8000/v1
+//   MODEL_<STAGE>_API_KEY        API key for a stage (falls back to OPENAI_API_KEY)
+//   MODEL_FIXTURE_MODE           record | replay model calls (see modelFixtures.js)
+//   MODEL_MAX_CONCURRENCY, MODEL_RPM_LIMIT, MODEL_TPM_LIMIT   request pacing (see modelScheduler.js)
+import OpenAI from 'openai';
+import { getFixtureMode, withFixture, FIXTURE_MODES } from './modelFixtures.js';
+import { countImageTokens, recordChatUsage, recordTranscriptionUsage } from './costTracker.js';
+import { scheduleModelCall } from './modelScheduler.js';
+import { getCancellationSignal } from './cancellation.js';
+
+// Default model per stage. Cheap, high-volume stages use the small model.
+export const STAGE_MODELS = {
+  frameBatch: 'gpt-4o-mini',
+  frame: 'gpt-4o-mini',
+  transcription: 'whisper-1',
+  diarization: 'gpt-4o-transcribe-diarize',
+  audioAnalysis: 'gpt-4o',
+  strategicOverview: 'gpt-4o',
+  sceneCard: 'gpt-4o',
+  contentStructure: 'gpt-4o',
+  hooks: 'gpt-4o',
+  categorization: 'gpt-4o',
+  videoContext: 'gpt-4o',
+  standardizedAnalysis: 'gpt-4o-mini',
+  sceneBatch: 'gpt-4o',
+  combinedAnalysis: 'gpt-4o',
+  longFormSummary: 'gpt-4o-mini'
+};
+
+// Self-hosted servers usually ignore the key, but the SDK requires one
+const PLACEHOLDER_API_KEY = 'not-needed';
+
+// Completion budget assumed for requests without max_tokens when estimating TPM usage
+const DEFAULT_COMPLETION_TOKENS = 1000;
+
+// Clients are shared between stages that use the same endpoint
+const clients = new Map();
+
+// frameBatch -> FRAME_BATCH
+function toEnvName(stage) {
+  return stage.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+function getStageConfig(stage) {
+  if (!STAGE_MODELS[stage]) {
+    throw new Error(`Unknown model stage: ${stage}`);
+  }
+
+  const envName = toEnvName(stage);
+  const baseURL = process.env[`MODEL_${envName}_BASE_URL`] || process.env.OPENAI_BASE_URL || undefined;
+  const apiKey = process.env[`MODEL_${envName}_API_KEY`] || process.env.OPENAI_API_KEY || (baseURL ? PLACEHOLDER_API_KEY : null);
+
+  return {
+    model: process.env[`MODEL_${envName}`] || STAGE_MODELS[stage],
+    baseURL,
+    apiKey
+  };
+}
+
+// Lazy initialization to avoid build-time dependency on env vars
+function getClient({ baseURL, apiKey }) {
+  if (!apiKey) {
+    throw new Error('OPENAI_API_KEY environment variable is not set');
+  }
+
+  const key = `${baseURL || 'default'}|${apiKey}`;
+  if (!clients.has(key)) {
+    // Retries go back through the scheduler (handleRateLimit), not the SDK's own loop
+    clients.set(key, new OpenAI({ apiKey, maxRetries: 0, ...(baseURL ? { baseURL } : {}) }));
+  }
+  return clients.get(key);
+}
+
+// True when at least the default provider can be reached (real key, a custom server
+// or recorded fixtures)
+export function isModelProviderConfigured() {
+  return Boolean(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL || getFixtureMode() === FIXTURE_MODES.REPLAY);
+}
+
+// Rough token count of a chat request as the provider charges it against the TPM limit:
+// ~4 characters per text token, image tokens, plus the requested completion budget
+function estimateRequestTokens(request) {
+  let textLength = 0;
+  for (const message of request.messages || []) {
+    if (typeof message.content === 'string') {
+      textLength += message.content.length;
+    } else if (Array.isArray(message.content)) {
+      message.content.forEach(part => { textLength += part.text?.length || 0; });
+    }
+  }
+  return Math.ceil(textLength / 4) + countImageTokens(request.messages, request.model) + (request.max_tokens || DEFAULT_COMPLETION_TOKENS);
+}
+
+// Requests to the same endpoint and model share rate limits
+function getLaneKey(config) {
+  return `${config.baseURL || 'default'}|${config.model}`;
+}
+
+// Replayed fixtures cost nothing, so only live calls are counted
+function trackUsage(record, stage, request, response) {
+  if (getFixtureMode() !== FIXTURE_MODES.REPLAY) {
+    record(stage, request, response);
+  }
+}
+
+export function getModelProvider(stage) {
+  const config = getStageConfig(stage);
+
+  return {
+    stage,
+    model: config.model,
+    baseURL: config.baseURL || null,
+    chat: async (params) => {
+      const request = { model: config.model, ...params };
+      // Cancelling the analysis drops the call from the queue or aborts it in flight
+      const signal = getCancellationSignal();
+      const response = await withFixture(stage, request, () =>
+        scheduleModelCall(
+          getLaneKey(config),
+          estimateRequestTokens(request),
+          () => getClient(config).chat.completions.create(request, { signal }).withResponse(),
+          signal
+        )
+      );
+      trackUsage(recordChatUsage, stage, request, response);
+      return response;
+    },
+    transcribe: async (params) => {
+      const request = { model: config.model, ...params };
+      const signal = getCancellationSignal();
+      // Whisper is limited by requests per minute only
+      const response = await withFixture(stage, request, () =>
+        scheduleModelCall(
+          getLaneKey(config),
+          0,
+          () => getClient(config).audio.transcriptions.create(request, { signal }).withResponse(),
+          signal
+        )
+      );
+      trackUsage(recordTranscriptionUsage, stage, request, response);
+      return response;
+    }
+  };
+}
+
+// Model name per stage, for logging and result metadata
+export function describeModelConfig() {
+  return Object.fromEntries(
+    Object.keys(STAGE_MODELS).map(stage => {
+      const { model, baseURL } = getStageConfig(stage);
+      return [stage, baseURL ? `${model} @ ${baseURL}` : model];
+    })
+  );
+}
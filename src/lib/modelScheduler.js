@@ -0,0 +1,257 @@
+// Shared scheduler for model calls
+// Every provider request goes through a lane per endpoint + model. A lane caps the
+// number of requests in flight and keeps token buckets for requests-per-minute and
+// tokens-per-minute, so bursts are spread out before the provider starts answering 429.
+// Lanes are process-wide, and waiting requests are served round-robin per job, so one
+// large analysis can't starve the others running next to it.
+//
+// Limits start from the env defaults and are replaced by what the provider reports in
+// its x-ratelimit-* headers. A 429 pauses the whole lane until retry-after has passed.
+//
+// Configuration (optional):
+//   MODEL_MAX_CONCURRENCY   requests in flight per model (default 6)
+//   MODEL_RPM_LIMIT         requests per minute per model (default 500)
+//   MODEL_TPM_LIMIT         tokens per minute per model (default 200000)
+import { AsyncLocalStorage } from 'async_hooks';
+
+const SCHEDULER_DEFAULTS = {
+  maxConcurrency: parseInt(process.env.MODEL_MAX_CONCURRENCY || '6', 10),
+  requestsPerMinute: parseInt(process.env.MODEL_RPM_LIMIT || '500', 10),
+  tokensPerMinute: parseInt(process.env.MODEL_TPM_LIMIT || '200000', 10)
+};
+
+// Pause after a 429 that came without a retry-after header
+const DEFAULT_RATE_LIMIT_PAUSE = 2000;
+
+// Requests made outside an analysis share one queue
+const DEFAULT_JOB = 'shared';
+
+const jobContext = new AsyncLocalStorage();
+
+function logScheduler(message, data = null) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`, data ? JSON.stringify(data, null, 2) : '');
+}
+
+function createBucket(perMinute) {
+  return { capacity: perMinute, available: perMinute, updatedAt: Date.now() };
+}
+
+function refill(bucket, now) {
+  bucket.available = Math.min(bucket.capacity, bucket.available + ((now - bucket.updatedAt) * bucket.capacity) / 60000);
+  bucket.updatedAt = now;
+}
+
+function msUntilAvailable(bucket, amount) {
+  return bucket.available >= amount ? 0 : Math.ceil(((amount - bucket.available) * 60000) / bucket.capacity);
+}
+
+// Works for both fetch Headers (responses) and plain objects (SDK errors)
+function readHeader(headers, name) {
+  if (!headers) return null;
+  const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+  return value ?? null;
+}
+
+// "1s", "6m0s", "20ms" -> milliseconds
+function parseResetDuration(value) {
+  if (!value) return null;
+  let ms = 0;
+  for (const [, amount, unit] of value.matchAll(/([\d.]+)(ms|h|m|s)/g)) {
+    ms += parseFloat(amount) * { ms: 1, s: 1000, m: 60000, h: 3600000 }[unit];
+  }
+  return ms;
+}
+
+function getRetryAfterMs(headers) {
+  const retryAfterMs = parseFloat(readHeader(headers, 'retry-after-ms'));
+  if (Number.isFinite(retryAfterMs)) return retryAfterMs;
+
+  const retryAfter = readHeader(headers, 'retry-after');
+  if (!retryAfter) return null;
+  const seconds = parseFloat(retryAfter);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function getLanes() {
+  if (!global.modelSchedulerLanes) {
+    global.modelSchedulerLanes = new Map();
+  }
+  return global.modelSchedulerLanes;
+}
+
+function getLane(key) {
+  const lanes = getLanes();
+  if (!lanes.has(key)) {
+    lanes.set(key, {
+      key,
+      running: 0,
+      queues: new Map(), // jobId -> waiting tasks
+      order: [],         // jobIds in round-robin order
+      requests: createBucket(SCHEDULER_DEFAULTS.requestsPerMinute),
+      tokens: createBucket(SCHEDULER_DEFAULTS.tokensPerMinute),
+      pausedUntil: 0,
+      timer: null
+    });
+  }
+  return lanes.get(key);
+}
+
+// Sync the buckets with the limits and remaining quota the provider reports
+function applyRateLimitHeaders(lane, headers) {
+  for (const [bucket, kind] of [[lane.requests, 'requests'], [lane.tokens, 'tokens']]) {
+    const limit = parseInt(readHeader(headers, `x-ratelimit-limit-${kind}`), 10);
+    if (limit > 0) {
+      bucket.capacity = limit;
+    }
+
+    const remaining = parseInt(readHeader(headers, `x-ratelimit-remaining-${kind}`), 10);
+    if (Number.isFinite(remaining)) {
+      refill(bucket, Date.now());
+      bucket.available = Math.min(bucket.available, remaining);
+    }
+  }
+}
+
+function pauseLane(lane, error) {
+  const retryAfterMs = getRetryAfterMs(error.headers)
+    ?? parseResetDuration(readHeader(error.headers, 'x-ratelimit-reset-requests'))
+    ?? DEFAULT_RATE_LIMIT_PAUSE;
+  lane.pausedUntil = Math.max(lane.pausedUntil, Date.now() + retryAfterMs);
+
+  logScheduler('🚦 Provider rate limit hit, pausing model lane', {
+    lane: lane.key,
+    retryAfterMs,
+    waiting: lane.order.reduce((count, jobId) => count + lane.queues.get(jobId).length, 0)
+  });
+}
+
+function startTask(lane, task) {
+  lane.running++;
+
+  task.call()
+    .then(({ data, response }) => {
+      applyRateLimitHeaders(lane, response?.headers);
+      task.resolve(data);
+    })
+    .catch(error => {
+      if (error?.status === 429) {
+        pauseLane(lane, error);
+      }
+      task.reject(error);
+    })
+    .finally(() => {
+      lane.running--;
+      dispatch(lane);
+    });
+}
+
+// Start waiting tasks while the concurrency cap and both buckets allow it
+function dispatch(lane) {
+  clearTimeout(lane.timer);
+  lane.timer = null;
+
+  while (lane.running < SCHEDULER_DEFAULTS.maxConcurrency && lane.order.length > 0) {
+    const now = Date.now();
+    refill(lane.requests, now);
+    refill(lane.tokens, now);
+
+    const jobId = lane.order[0];
+    const queue = lane.queues.get(jobId);
+    const task = queue[0];
+    // A single request larger than the whole bucket still has to go out eventually
+    const tokens = Math.min(task.estimatedTokens, lane.tokens.capacity);
+
+    const waitMs = Math.max(
+      lane.pausedUntil - now,
+      msUntilAvailable(lane.requests, 1),
+      msUntilAvailable(lane.tokens, tokens)
+    );
+    if (waitMs > 0) {
+      lane.timer = setTimeout(() => dispatch(lane), waitMs);
+      return;
+    }
+
+    lane.requests.available -= 1;
+    lane.tokens.available -= tokens;
+
+    // Rotate so the next job gets the following slot
+    queue.shift();
+    lane.order.shift();
+    if (queue.length > 0) {
+      lane.order.push(jobId);
+    } else {
+      lane.queues.delete(jobId);
+    }
+
+    startTask(lane, task);
+  }
+}
+
+// Run fn with its model calls queued under jobId for round-robin fairness
+export function runAsSchedulerJob(jobId, fn) {
+  return jobContext.run(jobId || DEFAULT_JOB, fn);
+}
+
+// Take a task that hasn't started yet off its lane; false if it already went out
+function dequeueTask(lane, jobId, task) {
+  const waiting = lane.queues.get(jobId);
+  const index = waiting ? waiting.indexOf(task) : -1;
+  if (index === -1) return false;
+
+  waiting.splice(index, 1);
+  if (waiting.length === 0) {
+    lane.queues.delete(jobId);
+    lane.order.splice(lane.order.indexOf(jobId), 1);
+  }
+  return true;
+}
+
+/**
+ * Queue a provider call on a lane.
+ * `call` must resolve to { data, response } (the SDK's `.withResponse()`), so the
+ * rate-limit headers can be read; the promise resolves to `data`.
+ * When `signal` aborts, a call still waiting for its slot leaves the queue and rejects
+ * with the abort reason (a call already sent is aborted by the SDK itself).
+ */
+export function scheduleModelCall(laneKey, estimatedTokens, call, signal = null) {
+  const lane = getLane(laneKey);
+  const jobId = jobContext.getStore() || DEFAULT_JOB;
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const task = { estimatedTokens, call, resolve, reject };
+    if (!lane.queues.has(jobId)) {
+      lane.queues.set(jobId, []);
+      lane.order.push(jobId);
+    }
+    lane.queues.get(jobId).push(task);
+
+    signal?.addEventListener('abort', () => {
+      if (dequeueTask(lane, jobId, task)) {
+        reject(signal.reason);
+      }
+    }, { once: true });
+
+    dispatch(lane);
+  });
+}
+
+// Lane state for logging
+export function describeSchedulerLanes() {
+  return [...getLanes().values()].map(lane => ({
+    lane: lane.key,
+    running: lane.running,
+    waiting: lane.order.reduce((count, jobId) => count + lane.queues.get(jobId).length, 0),
+    jobs: lane.order.length,
+    requestsPerMinute: lane.requests.capacity,
+    tokensPerMinute: lane.tokens.capacity,
+    pausedForMs: Math.max(0, lane.pausedUntil - Date.now())
+  }));
+}
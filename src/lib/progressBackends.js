@@ -0,0 +1,134 @@
+// Storage backends for analysis progress (see progressStore.js)
+// A backend keeps every progress update and partial result of a request as an event:
+//   { id, kind, phase, progress, message, details, timestamp, startedAt }
+// where kind is 'progress' or 'partial', ids increase per request and startedAt is the
+// time of the request's first event. Ids must become visible in order (an event with a
+// lower id never shows up after a higher one), since readers page with id > last seen.
+//
+// Interface:
+//   name                                   for logging
+//   shared                                 true if other server instances see the same events
+//   append(requestId, update)              store { kind, phase, progress, message, details }, return the event
+//   getLatest(requestId)                   the newest progress event (not partial result), or null
+//   getEvents(requestId, afterId)          events newer than afterId, oldest first
+//   clear(requestId)                       drop a request's events
+//   sweep(ttlMs)                           drop requests without an update for ttlMs
+//
+// All methods are async. The in-memory backend serves a single instance; the Supabase
+// backend (analysis_progress_events) lets any instance answer for any job and survives
+// restarts. Another shared store (e.g. Redis) only needs the same methods.
+
+// Progress updates kept per request in memory; a client reconnecting from an older id gets
+// what is left. Partial results don't count and are never dropped: a client that misses
+// an early section (e.g. the transcript) couldn't rebuild it from later events.
+const MAX_EVENTS_PER_REQUEST = 500;
+
+export function createMemoryProgressBackend() {
+  // Use global to ensure a single store across API routes
+  if (!global.progressStore) {
+    global.progressStore = new Map();
+  }
+  const requests = global.progressStore;
+
+  return {
+    name: 'memory',
+    shared: false,
+
+    async append(requestId, update) {
+      if (!requests.has(requestId)) {
+        requests.set(requestId, { events: [], progressEvents: 0, nextId: 1, startedAt: Date.now(), timestamp: Date.now() });
+      }
+      const entry = requests.get(requestId);
+      const event = { id: entry.nextId++, kind: 'progress', ...update, timestamp: Date.now(), startedAt: entry.startedAt };
+
+      entry.events.push(event);
+      if (event.kind === 'progress' && ++entry.progressEvents > MAX_EVENTS_PER_REQUEST) {
+        entry.events.splice(entry.events.findIndex(stored => stored.kind === 'progress'), 1);
+        entry.progressEvents--;
+      }
+      entry.timestamp = event.timestamp;
+      return event;
+    },
+
+    async getLatest(requestId) {
+      const events = requests.get(requestId)?.events || [];
+      return events.findLast(event => event.kind === 'progress') || null;
+    },
+
+    async getEvents(requestId, afterId = 0) {
+      return (requests.get(requestId)?.events || []).filter(event => event.id > afterId);
+    },
+
+    async clear(requestId) {
+      requests.delete(requestId);
+    },
+
+    async sweep(ttlMs) {
+      const cutoff = Date.now() - ttlMs;
+      for (const [requestId, entry] of requests.entries()) {
+        if (entry.timestamp < cutoff) {
+          requests.delete(requestId);
+        }
+      }
+    }
+  };
+}
+
+function fromRow(row) {
+  return {
+    id: Number(row.id),
+    kind: row.kind || 'progress',
+    phase: row.phase,
+    progress: Number(row.progress),
+    message: row.message,
+    details: row.details || {},
+    timestamp: new Date(row.created_at).getTime(),
+    startedAt: new Date(row.started_at).getTime()
+  };
+}
+
+async function callRpc(client, name, params) {
+  const { data, error } = await client.rpc(name, params);
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+// Event ids are the per-request sequence numbers append_analysis_progress assigns under
+// the request's counter row lock, not the table's global id. The progress functions are
+// only executable by the service role, so client is the service client.
+export function createSupabaseProgressBackend(client) {
+  return {
+    name: 'supabase',
+    shared: true,
+
+    async append(requestId, { kind = 'progress', phase, progress, message, details }) {
+      const rows = await callRpc(client, 'append_analysis_progress', {
+        p_request_id: requestId,
+        p_phase: phase,
+        p_progress: progress,
+        p_message: message,
+        p_details: details || {},
+        p_kind: kind
+      });
+      return fromRow(Array.isArray(rows) ? rows[0] : rows);
+    },
+
+    async getLatest(requestId) {
+      const rows = await callRpc(client, 'get_analysis_progress', { p_request_id: requestId, p_after_id: 0, p_latest_only: true });
+      return Array.isArray(rows) && rows.length > 0 ? fromRow(rows[0]) : null;
+    },
+
+    async getEvents(requestId, afterId = 0) {
+      const rows = await callRpc(client, 'get_analysis_progress', { p_request_id: requestId, p_after_id: afterId, p_latest_only: false });
+      return (Array.isArray(rows) ? rows : []).map(fromRow);
+    },
+
+    async clear(requestId) {
+      await callRpc(client, 'clear_analysis_progress', { p_request_id: requestId });
+    },
+
+    async sweep(ttlMs) {
+      await callRpc(client, 'sweep_analysis_progress', { p_ttl_seconds: Math.round(ttlMs / 1000) });
+    }
+  };
+}
@@ -1,29 +1,128 @@
 // Shared progress store for tracking video analysis progress
-// In-memory progress tracking (in production, use Redis or database)
-// Use global to ensure singleton across API routes
-if (!global.progressStore) {
-  global.progressStore = new Map();
+// Every update is kept as a numbered event in a progress backend (progressBackends.js):
+// in Supabase when it is available, so any server instance can answer /api/progress and
+// stream a job it isn't running, and progress survives restarts; in memory otherwise.
+// /api/progress/stream replays the events to new and reconnecting clients (from their
+// Last-Event-ID) and pushes new ones as they happen; /api/progress returns the latest
+// snapshot for clients that poll. Time estimates are derived from the events.
+//
+// Partial results (transcript, scene cards, hooks, ...) travel as events of their own
+// kind, so the UI can show them while the analysis is still running.
+//
+// Configuration (optional):
+//   PROGRESS_BACKEND         memory | supabase (default: supabase when SUPABASE_SERVICE_ROLE_KEY is set, else memory)
+//   PROGRESS_TTL_SECONDS     progress of requests without updates for this long is dropped (default 3600)
+//   PROGRESS_POLL_INTERVAL   ms between reads of a shared backend while streaming (default 1000)
+import { getSupabaseServiceClient } from './supabaseService.js';
+import { createMemoryProgressBackend, createSupabaseProgressBackend } from './progressBackends.js';
+
+const PROGRESS_TTL = parseInt(process.env.PROGRESS_TTL_SECONDS || '3600', 10) * 1000;
+const PROGRESS_POLL_INTERVAL = parseInt(process.env.PROGRESS_POLL_INTERVAL || '1000', 10);
+
+// Phases after which no more updates follow
+const FINAL_PHASES = ['complete', 'failed', 'cancelled'];
+
+function logProgress(message, data = null) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`, data ? JSON.stringify(data, null, 2) : '');
 }
-const progressStore = global.progressStore;
 
-export function setProgress(requestId, { phase, progress, message, details }) {
-  if (!requestId) return false;
-  
-  progressStore.set(requestId, {
-    phase,
-    progress,
-    message,
-    details,
-    timestamp: Date.now()
+function selectBackend() {
+  const requested = process.env.PROGRESS_BACKEND;
+  if (requested === 'memory') return createMemoryProgressBackend();
+  const serviceClient = getSupabaseServiceClient();
+  if (requested === 'supabase' || (!requested && serviceClient)) {
+    if (serviceClient) return createSupabaseProgressBackend(serviceClient);
+    logProgress('⚠️ PROGRESS_BACKEND=supabase but SUPABASE_SERVICE_ROLE_KEY is not set, keeping progress in memory');
+  }
+  return createMemoryProgressBackend();
+}
+
+// Use global to ensure a single backend and listener registry across API routes
+if (!global.progressBackend) {
+  global.progressBackend = selectBackend();
+  global.progressListeners = new Map();
+}
+const backend = global.progressBackend;
+const listeners = global.progressListeners;
+
+export function isFinalPhase(phase) {
+  return FINAL_PHASES.includes(phase);
+}
+
+// Elapsed, remaining and total seconds, assuming the rest goes as fast as progress so far
+function estimateTime(event) {
+  const elapsed = event.timestamp - event.startedAt;
+  const estimatedTotal = event.progress > 0 ? (elapsed / event.progress) * 100 : 0;
+
+  return {
+    elapsed: Math.round(elapsed / 1000),
+    remaining: Math.max(0, Math.round((estimatedTotal - elapsed) / 1000)),
+    total: Math.round(estimatedTotal / 1000)
+  };
+}
+
+function present(event) {
+  if (event.kind === 'partial') {
+    const { section, data, append } = event.details;
+    return { id: event.id, kind: 'partial', section, data, append: Boolean(append), timestamp: event.timestamp };
+  }
+  return { ...event, details: { ...event.details, timeEstimate: estimateTime(event) } };
+}
+
+function isPartialResult(event) {
+  return event.kind === 'partial';
+}
+
+async function appendEvent(requestId, update) {
+  try {
+    const event = present(await backend.append(requestId, update));
+    for (const deliver of listeners.get(requestId) || []) {
+      deliver(event);
+    }
+    return event;
+  } catch (error) {
+    logProgress(`⚠️ Failed to store ${update.kind === 'partial' ? 'partial result' : 'progress'}`, { requestId, backend: backend.name, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Record a progress update and push it to this instance's stream subscribers.
+ * Returns the stored event (with details.timeEstimate), or null if it couldn't be stored.
+ */
+export async function setProgress(requestId, { phase, progress, message, details = {} }) {
+  if (!requestId) return null;
+
+  return appendEvent(requestId, { kind: 'progress', phase, progress, message, details });
+}
+
+/**
+ * Publish an intermediate artifact of a running analysis under a result section
+ * (e.g. 'transcript', 'scenes'). With append, data is a list added to what the section
+ * already holds (scene cards arrive a batch at a time); otherwise it replaces it.
+ * Returns the stored event, or null if it couldn't be stored.
+ */
+export async function publishPartialResult(requestId, section, data, { append = false } = {}) {
+  if (!requestId) return null;
+
+  return appendEvent(requestId, {
+    kind: 'partial',
+    phase: 'partial',
+    progress: 0,
+    message: null,
+    details: { section, data, append }
   });
-  
-  return true;
 }
 
-export function getProgress(requestId) {
+export async function getProgress(requestId) {
   if (!requestId) return null;
-  
-  return progressStore.get(requestId) || {
+
+  const latest = await backend.getLatest(requestId).catch(error => {
+    logProgress('⚠️ Failed to read progress', { requestId, backend: backend.name, error: error.message });
+    return null;
+  });
+  return latest ? present(latest) : {
     phase: 'initializing',
     progress: 0,
     message: 'Starting analysis...',
@@ -31,20 +130,123 @@ export function getProgress(requestId) {
   };
 }
 
-export function clearProgress(requestId) {
-  if (!requestId) return false;
-  
-  return progressStore.delete(requestId);
+// Events of a request newer than afterId, oldest first
+export async function getProgressEvents(requestId, afterId = 0) {
+  return (await backend.getEvents(requestId, afterId)).map(present);
 }
 
-// Clean up old progress entries (older than 1 hour)
-setInterval(() => {
-  const oneHourAgo = Date.now() - 60 * 60 * 1000;
-  for (const [key, value] of progressStore.entries()) {
-    if (value.timestamp < oneHourAgo) {
-      progressStore.delete(key);
+// One entry per phase in the order they ran: when it started and its latest update
+export async function getPhaseHistory(requestId) {
+  const events = await backend.getEvents(requestId, 0).catch(error => {
+    logProgress('⚠️ Failed to read progress events', { requestId, backend: backend.name, error: error.message });
+    return [];
+  });
+
+  const phases = [];
+  for (const event of events.filter(event => !isPartialResult(event))) {
+    const current = phases[phases.length - 1];
+    if (current?.phase === event.phase) {
+      Object.assign(current, { progress: event.progress, message: event.message, updatedAt: event.timestamp });
+      continue;
     }
+    if (current) current.endedAt = event.timestamp;
+    phases.push({
+      phase: event.phase,
+      progress: event.progress,
+      message: event.message,
+      startedAt: event.timestamp,
+      updatedAt: event.timestamp,
+      endedAt: null
+    });
   }
-}, 5 * 60 * 1000); // Clean up every 5 minutes
+  return phases;
+}
+
+// Partial results published so far, merged per section
+export async function getPartialResults(requestId) {
+  const events = await backend.getEvents(requestId, 0).catch(error => {
+    logProgress('⚠️ Failed to read progress events', { requestId, backend: backend.name, error: error.message });
+    return [];
+  });
+
+  const results = {};
+  for (const { section, data, append } of events.filter(isPartialResult).map(present)) {
+    results[section] = append ? [...(results[section] || []), ...data] : data;
+  }
+  return results;
+}
+
+/**
+ * Call listener with every event of a request newer than afterId, in order: first the
+ * stored ones, then new ones as they come. Updates made on this instance are pushed
+ * right away; with a shared backend, those of other instances are read every
+ * PROGRESS_POLL_INTERVAL. Returns the unsubscribe function.
+ */
+export function subscribeProgress(requestId, afterId, listener) {
+  let lastId = afterId;
+  let replaying = true;
+  let stopped = false;
+  const pending = [];
+
+  const deliver = (event) => {
+    if (stopped) return;
+    if (replaying) {
+      pending.push(event);
+      return;
+    }
+    if (event.id > lastId) {
+      lastId = event.id;
+      listener(event);
+    }
+  };
+
+  const readStored = async () => {
+    try {
+      const events = await getProgressEvents(requestId, lastId);
+      if (replaying) {
+        replaying = false;
+        [...events, ...pending.splice(0)].sort((a, b) => a.id - b.id).forEach(deliver);
+      } else {
+        events.forEach(deliver);
+      }
+    } catch (error) {
+      logProgress('⚠️ Failed to read progress events', { requestId, backend: backend.name, error: error.message });
+      if (replaying) {
+        replaying = false;
+        pending.splice(0).forEach(deliver);
+      }
+    }
+  };
+
+  if (!listeners.has(requestId)) {
+    listeners.set(requestId, new Set());
+  }
+  listeners.get(requestId).add(deliver);
+
+  readStored();
+  const timer = backend.shared ? setInterval(readStored, PROGRESS_POLL_INTERVAL) : null;
+
+  return () => {
+    stopped = true;
+    clearInterval(timer);
+    const requestListeners = listeners.get(requestId);
+    requestListeners?.delete(deliver);
+    if (requestListeners?.size === 0) {
+      listeners.delete(requestId);
+    }
+  };
+}
 
-export default progressStore; 
\ No newline at end of file
+export async function clearProgress(requestId) {
+  if (!requestId) return false;
+
+  await backend.clear(requestId);
+  return true;
+}
+
+// Drop the progress of requests without an update within the TTL
+setInterval(() => {
+  backend.sweep(PROGRESS_TTL).catch(error => {
+    logProgress('⚠️ Failed to clean up progress', { backend: backend.name, error: error.message });
+  });
+}, 5 * 60 * 1000); // Clean up every 5 minutes
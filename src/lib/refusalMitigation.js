@@ -0,0 +1,86 @@
+// Fallbacks for frames the vision model refuses to describe
+// A refused frame is retried with escalating changes, each step only for the frames the
+// previous one couldn't recover: a neutral technical-description prompt, then a
+// downscaled and blurred copy of the image (faces and small details are what usually
+// trip the refusal), then the frame on its own. Frames that needed any of this are
+// flagged so the breakdown can show which moments rest on a weaker analysis.
+//
+// Configuration (optional):
+//   REFUSAL_MITIGATION        set to 'false' to mark refused frames as failed without fallbacks
+//   REFUSAL_DEGRADE_WIDTH     width in px of the downscaled copy (default 256)
+//   REFUSAL_BLUR_RADIUS       box blur radius applied to the downscaled copy (default 3, 0 disables)
+import fs from 'fs';
+import { execAsync } from './cancellation.js';
+
+export const REFUSAL_MITIGATION_ENABLED = process.env.REFUSAL_MITIGATION !== 'false';
+
+const DEGRADE_WIDTH = parseInt(process.env.REFUSAL_DEGRADE_WIDTH || '256', 10);
+const BLUR_RADIUS = parseInt(process.env.REFUSAL_BLUR_RADIUS || '3', 10);
+
+// Steps in the order they are tried
+export const MITIGATION_STEPS = ['neutral_prompt', 'degraded_image', 'single_frame'];
+
+function logMitigation(message, data = null) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`, data ? JSON.stringify(data, null, 2) : '');
+}
+
+function degradedPath(framePath) {
+  return framePath.replace(/\.jpg$/, '') + '-mitigated.jpg';
+}
+
+/**
+ * Write downscaled, blurred copies of the given frames next to the originals.
+ * Returns the frames that could be degraded, with `path` pointing at the copy.
+ * Frames ffmpeg fails on are left out (and logged) rather than failing the step.
+ */
+export async function degradeFrames(frames) {
+  const filters = [`scale=${DEGRADE_WIDTH}:-2`];
+  if (BLUR_RADIUS > 0) filters.push(`boxblur=${BLUR_RADIUS}:1`);
+
+  const degraded = [];
+  for (const frame of frames) {
+    const outputPath = degradedPath(frame.path);
+    try {
+      await execAsync(`ffmpeg -v error -y -i "${frame.path}" -vf "${filters.join(',')}" -q:v 4 "${outputPath}"`);
+      degraded.push({ ...frame, path: outputPath, originalPath: frame.path });
+    } catch (error) {
+      logMitigation('⚠️ Failed to degrade frame for refusal mitigation', { frameIndex: frame.index, error: error.message });
+    }
+  }
+  return degraded;
+}
+
+// Remove the copies written by degradeFrames
+export async function removeDegradedFrames(frames) {
+  await Promise.all(frames.map(frame => fs.promises.rm(frame.path, { force: true }).catch(error => {
+    logMitigation('⚠️ Failed to remove degraded frame', { path: frame.path, error: error.message });
+  })));
+}
+
+/**
+ * Summarize which frames of a timeline needed refusal mitigation.
+ * `recovered` frames were described after a fallback (their analysis may be coarser than
+ * the rest); `unresolved` frames stayed refused and count as failed.
+ */
+export function summarizeRefusalMitigation(frameAnalyses) {
+  // Near-duplicates copy their original's analysis, mitigation included; count it once
+  const mitigated = frameAnalyses.filter(frameAnalysis => frameAnalysis?.mitigation && frameAnalysis.duplicateOf === undefined);
+  const recovered = mitigated.filter(frameAnalysis => frameAnalysis.mitigation.resolvedBy);
+
+  return {
+    mitigatedFrames: mitigated.length,
+    recoveredFrames: recovered.length,
+    unresolvedFrames: mitigated.length - recovered.length,
+    recoveredBy: Object.fromEntries(MITIGATION_STEPS.map(step => [
+      step,
+      recovered.filter(frameAnalysis => frameAnalysis.mitigation.resolvedBy === step).length
+    ])),
+    frames: mitigated.map(frameAnalysis => ({
+      frameIndex: frameAnalysis.frameIndex,
+      timestamp: frameAnalysis.timestamp,
+      steps: frameAnalysis.mitigation.steps,
+      resolvedBy: frameAnalysis.mitigation.resolvedBy
+    }))
+  };
+}
@@ -0,0 +1,22 @@
+// Caller identity for API routes
+// The browser sends its Supabase access token as Authorization: Bearer ...; the token
+// is verified with Supabase Auth using the app's anon key client, so no service role
+// key is needed.
+
+import { getUserFromAccessToken } from './supabase';
+
+// The request's bearer token, or null if it has none
+export function getBearerToken(request) {
+  return request.headers.get('authorization')?.replace('Bearer ', '') || null;
+}
+
+/**
+ * The Supabase user the request's bearer token belongs to, or null when there is no
+ * token, it is invalid or expired, or Supabase is not configured.
+ */
+export async function getRequestUser(request) {
+  const token = getBearerToken(request);
+  if (!token) return null;
+
+  return getUserFromAccessToken(token);
+}
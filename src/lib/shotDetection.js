@@ -0,0 +1,183 @@
+// Shot (cut) detection from the video signal
+// Uses ffmpeg's per-frame scene score (a normalized luma/colour difference between
+// consecutive frames) on a downscaled copy of the video. A frame is a cut when its
+// score clears a fixed threshold, or when it stands out strongly against the
+// surrounding frames, which catches soft cuts in otherwise static footage.
+//
+// Borderline cuts (below the fixed threshold) are checked against a second signal: the
+// dHash distance between the cut frame and the one before it (see frameDedupe.js). The
+// hash compares the picture's structure, so a flash, fade or lighting change that moves
+// the scene score without changing what is shown is rejected, while a real cut between
+// similarly coloured shots is kept.
+import { execAsync, throwIfCancelled } from './cancellation.js';
+import { hashVideoFrames, hammingDistance } from './frameDedupe.js';
+
+const SHOT_DETECTION_DEFAULTS = {
+  threshold: 0.3,          // Score above which a frame is always a cut
+  minThreshold: 0.12,      // Scores below this are never cuts
+  localRatio: 4,           // ...or score must be this many times the local median
+  localWindow: 15,         // Frames on each side used for the local median
+  minHashDistance: 10,     // Borderline cuts need this many differing dHash bits (of 64)
+  minShotDuration: 0.25,   // Seconds; closer cuts are merged (flashes, glitches)
+  scaleWidth: 320          // Downscale before scoring for speed
+};
+
+function logShots(message, data = null) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`, data ? JSON.stringify(data, null, 2) : '');
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Parse `metadata=print` output: a "pts_time:" line per frame followed by its scene score
+function parseSceneScores(output) {
+  const scores = [];
+  let currentTime = null;
+
+  for (const line of output.split('\n')) {
+    const timeMatch = line.match(/pts_time:\s*([\d.]+)/);
+    if (timeMatch) {
+      currentTime = parseFloat(timeMatch[1]);
+      continue;
+    }
+
+    const scoreMatch = line.match(/lavfi\.scene_score=([\d.]+)/);
+    if (scoreMatch && currentTime !== null) {
+      scores.push({ time: currentTime, score: parseFloat(scoreMatch[1]) });
+      currentTime = null;
+    }
+  }
+
+  return scores;
+}
+
+// Frames whose score marks them as cuts; borderline ones only stand out locally
+function pickCuts(scores, options) {
+  const cuts = [];
+
+  scores.forEach(({ time, score }, index) => {
+    if (index === 0 || score < options.minThreshold) return;
+
+    const neighbours = [
+      ...scores.slice(Math.max(0, index - options.localWindow), index),
+      ...scores.slice(index + 1, index + options.localWindow + 1)
+    ].map(entry => entry.score);
+    const localMedian = median(neighbours);
+
+    const isCut = score >= options.threshold || score >= localMedian * options.localRatio;
+    if (!isCut) return;
+
+    cuts.push({ time, score, previousTime: scores[index - 1].time, borderline: score < options.threshold });
+  });
+
+  return cuts;
+}
+
+// dHash distance between a cut frame and the frame before it, or null if they can't be hashed
+async function hashDistanceAcross(videoPath, cut) {
+  try {
+    const [before, after] = await hashVideoFrames(videoPath, cut.previousTime, 2);
+    return before && after ? hammingDistance(before, after) : null;
+  } catch (error) {
+    throwIfCancelled();
+    return null;
+  }
+}
+
+// Keep a borderline cut only if the picture changes across it. A cut whose frames
+// can't be hashed keeps the scene score's verdict.
+async function confirmBorderlineCuts(videoPath, cuts, options) {
+  const confirmed = [];
+  let rejected = 0;
+
+  for (const cut of cuts) {
+    if (!cut.borderline) {
+      confirmed.push(cut);
+      continue;
+    }
+
+    const distance = await hashDistanceAcross(videoPath, cut);
+    if (distance !== null && distance < options.minHashDistance) {
+      rejected++;
+      continue;
+    }
+    confirmed.push(cut);
+  }
+
+  return { cuts: confirmed, rejected };
+}
+
+function mergeCloseCuts(cuts, options) {
+  const merged = [];
+
+  for (const { time, score } of cuts) {
+    const previousCut = merged[merged.length - 1];
+    if (previousCut && time - previousCut.time < options.minShotDuration) {
+      // Keep the stronger of two cuts that are too close together
+      if (score > previousCut.score) {
+        merged[merged.length - 1] = { time, score };
+      }
+      continue;
+    }
+
+    merged.push({ time, score });
+  }
+
+  return merged;
+}
+
+async function getDuration(videoPath) {
+  const { stdout } = await execAsync(
+    `ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${videoPath}"`
+  );
+  return parseFloat(stdout);
+}
+
+/**
+ * Detect hard cuts in a video.
+ * Returns { duration, cuts: [{ time, score }], shots: [{ index, start, end }], scores }
+ * where times are in seconds and shots cover the whole video without gaps.
+ */
+export async function detectShots(videoPath, overrides = {}) {
+  const startTime = Date.now();
+  const options = { ...SHOT_DETECTION_DEFAULTS, ...overrides };
+  logShots('✂️ Starting shot detection', { videoPath, threshold: options.threshold });
+
+  const duration = await getDuration(videoPath);
+
+  const { stderr } = await execAsync(
+    `ffmpeg -nostats -i "${videoPath}" -an -vf "scale=${options.scaleWidth}:-2,select='gte(scene,0)',metadata=print" -f null -`,
+    { maxBuffer: 64 * 1024 * 1024 }
+  );
+
+  const scores = parseSceneScores(stderr);
+  const candidates = pickCuts(scores, options);
+  const { cuts: confirmedCuts, rejected } = await confirmBorderlineCuts(videoPath, candidates, options);
+  const cuts = mergeCloseCuts(confirmedCuts, options);
+
+  const videoEnd = Number.isFinite(duration) ? duration : (scores[scores.length - 1]?.time ?? 0);
+  const boundaries = [0, ...cuts.map(cut => cut.time), videoEnd];
+  const shots = [];
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    if (boundaries[i + 1] > boundaries[i]) {
+      shots.push({ index: shots.length, start: boundaries[i], end: boundaries[i + 1] });
+    }
+  }
+
+  logShots('✅ Shot detection complete', {
+    duration: `${videoEnd}s`,
+    scoredFrames: scores.length,
+    cutCount: cuts.length,
+    borderlineCutsRejected: rejected,
+    shotCount: shots.length,
+    cutTimes: cuts.map(cut => `${cut.time.toFixed(2)}s`).slice(0, 50),
+    processingTime: `${Date.now() - startTime}ms`
+  });
+
+  return { duration: videoEnd, cuts, shots, scores };
+}
@@ -0,0 +1,288 @@
+// Schema-validated JSON output from model stages
+// A stage declares the JSON it expects as a (subset of) JSON Schema. The request asks
+// the provider for that schema, the reply is validated locally, and an invalid reply is
+// sent back with the validation errors for another attempt. If the reply still doesn't
+// match, every missing or invalid field is filled from the schema defaults and its path
+// is listed in fallbackFields, so downstream code and the UI can tell real values from
+// placeholders.
+//
+// Supported keywords: type, properties, required, items, enum, minimum, maximum, default.
+//
+// Configuration (optional):
+//   STRUCTURED_OUTPUT_RETRIES   correction attempts after an invalid reply (default 2)
+//   STRUCTURED_OUTPUT_FORMAT    json_schema (default) | json_object, for servers without json_schema support
+
+const STRUCTURED_OUTPUT_RETRIES = parseInt(process.env.STRUCTURED_OUTPUT_RETRIES || '2', 10);
+const STRUCTURED_OUTPUT_FORMAT = process.env.STRUCTURED_OUTPUT_FORMAT === 'json_object' ? 'json_object' : 'json_schema';
+
+// Marks a value that is a default in its entirety (the stage failed or was refused)
+export const FALLBACK_ALL = '*';
+
+// Validation errors are echoed back to the model; keep the correction prompt short
+const MAX_REPORTED_ERRORS = 15;
+
+function logStructured(message, data = null) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`, data ? JSON.stringify(data, null, 2) : '');
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(schema, value) {
+  if (!schema.type) return true;
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const actual = typeOf(value);
+  return types.includes(actual) || (actual === 'integer' && types.includes('number'));
+}
+
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validate a value against a schema.
+ * Returns a list of human-readable errors (empty when the value matches).
+ */
+export function validateSchema(schema, value, path = '') {
+  const label = path || 'response';
+
+  if (!matchesType(schema, value)) {
+    const expected = Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type;
+    return [`${label} must be ${expected}, got ${typeOf(value)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${label} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`];
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) return [`${label} must be >= ${schema.minimum}`];
+    if (schema.maximum !== undefined && value > schema.maximum) return [`${label} must be <= ${schema.maximum}`];
+  }
+
+  const errors = [];
+  if (typeOf(value) === 'object' && schema.properties) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${joinPath(path, key)} is required`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      if (value[key] !== undefined) errors.push(...validateSchema(propertySchema, value[key], joinPath(path, key)));
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, joinPath(path, index))));
+  }
+  return errors;
+}
+
+// Default for a schema: the caller's override, its `default`, or an empty value of its
+// type. Objects are built property by property so partial overrides work.
+function defaultFor(schema, override) {
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+
+  if (type === 'object' && schema.properties && (override !== undefined || schema.default === undefined)) {
+    return Object.fromEntries(
+      Object.entries(schema.properties).map(([key, propertySchema]) => [key, defaultFor(propertySchema, override?.[key])])
+    );
+  }
+  if (override !== undefined) return override;
+  if (schema.default !== undefined) return structuredClone(schema.default);
+
+  switch (type) {
+    case 'array':
+      return [];
+    case 'string':
+      return schema.enum ? schema.enum[0] : '';
+    case 'number':
+    case 'integer':
+      return schema.minimum ?? 0;
+    case 'boolean':
+      return false;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Repair a value so it matches the schema.
+ * Missing or invalid fields get their default (from `overrides` at the same path, else
+ * the schema); their paths are pushed onto fallbackFields. Invalid array items that
+ * can't be repaired are dropped and also reported.
+ */
+export function applySchemaDefaults(schema, value, overrides = undefined, path = '', fallbackFields = []) {
+  const isObjectSchema = schema.type === 'object' && schema.properties;
+
+  if (isObjectSchema && typeOf(value) === 'object') {
+    const repaired = { ...value };
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      repaired[key] = applySchemaDefaults(propertySchema, value[key], overrides?.[key], joinPath(path, key), fallbackFields);
+    }
+    return repaired;
+  }
+
+  if (schema.type === 'array' && Array.isArray(value)) {
+    if (!schema.items) return value;
+    const itemIsObject = schema.items.type === 'object';
+    const repaired = [];
+    let dropped = false;
+    value.forEach(item => {
+      if (validateSchema(schema.items, item).length === 0) {
+        repaired.push(item);
+      } else if (itemIsObject && typeOf(item) === 'object') {
+        repaired.push(applySchemaDefaults(schema.items, item, undefined, joinPath(path, repaired.length), fallbackFields));
+      } else {
+        dropped = true;
+      }
+    });
+    // Items that couldn't be repaired are left out; the array as a whole is then incomplete
+    if (dropped) fallbackFields.push(path || FALLBACK_ALL);
+    return repaired;
+  }
+
+  if (value !== undefined && validateSchema(schema, value).length === 0) {
+    return value;
+  }
+
+  fallbackFields.push(path || FALLBACK_ALL);
+  return defaultFor(schema, overrides);
+}
+
+// Schema as sent to the provider: our defaults are local-only
+function toProviderSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toProviderSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  const { default: _default, ...rest } = schema;
+  return Object.fromEntries(Object.entries(rest).map(([key, value]) => [key, toProviderSchema(value)]));
+}
+
+// Typical wording of a model declining a request
+const REFUSAL_PATTERNS = [
+  /i'?m unable to/i,
+  /i can'?t/i,
+  /i don'?t have the ability/i,
+  /i'm not able to/i,
+  /i cannot/i,
+  /unable to provide/i,
+  /can'?t analyze/i,
+  /unable to analyze/i,
+  /i'm not capable/i,
+  /i don'?t have access/i,
+  /i can'?t see/i,
+  /i'm unable to see/i,
+  /i can'?t provide/i,
+  /i'm not designed to/i,
+  /i don'?t currently have/i
+];
+
+// Whether a free-text model reply is a refusal. Only meant for a whole reply: a field
+// of a structured answer can legitimately quote such words (e.g. on-screen text).
+export function isRefusalResponse(response) {
+  if (!response || typeof response !== 'string') return false;
+  return REFUSAL_PATTERNS.some(pattern => pattern.test(response));
+}
+
+function parseJson(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+  return JSON.parse((fenced ? fenced[1] : text).trim());
+}
+
+/**
+ * Ask a model provider for JSON matching `schema`.
+ * Returns { data, fallbackFields, attempts, refusal }. `data` always matches the schema;
+ * fallbackFields lists the paths that hold defaults (FALLBACK_ALL if nothing usable came
+ * back). `refusal` holds the model's refusal message when it declined to answer, through
+ * the API's refusal field or with a plain-text refusal instead of JSON.
+ * Provider errors (network, rate limits) are thrown for the caller's retry logic.
+ */
+export async function requestStructured(provider, { name, schema, messages, defaults, retries = STRUCTURED_OUTPUT_RETRIES, ...params }) {
+  const responseFormat = STRUCTURED_OUTPUT_FORMAT === 'json_schema'
+    ? { type: 'json_schema', json_schema: { name, schema: toProviderSchema(schema), strict: false } }
+    : { type: 'json_object' };
+
+  const conversation = STRUCTURED_OUTPUT_FORMAT === 'json_schema'
+    ? [...messages]
+    : [
+      { role: 'system', content: `Respond with a single JSON object matching this JSON Schema:\n${JSON.stringify(toProviderSchema(schema))}` },
+      ...messages
+    ];
+
+  let parsed;
+  let errors = [];
+  let attempts = 0;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    attempts++;
+    const response = await provider.chat({ ...params, messages: conversation, response_format: responseFormat });
+    const message = response.choices[0].message;
+
+    if (message.refusal) {
+      logStructured('🚫 Model refused structured request', { stage: provider.stage, name, refusal: message.refusal });
+      return { data: defaultFor(schema, defaults), fallbackFields: [FALLBACK_ALL], attempts, refusal: message.refusal };
+    }
+
+    const content = message.content || '';
+    let reply;
+    try {
+      reply = parseJson(content);
+      errors = validateSchema(schema, reply);
+    } catch (parseError) {
+      errors = [`response is not valid JSON (${parseError.message})`];
+    }
+
+    if (errors.length === 0) {
+      return { data: reply, fallbackFields: [], attempts, refusal: null };
+    }
+    // Models without a refusal field decline in prose instead of JSON
+    if (reply === undefined && isRefusalResponse(content)) {
+      logStructured('🚫 Model refused structured request', { stage: provider.stage, name, refusal: content.substring(0, 200) });
+      return { data: defaultFor(schema, defaults), fallbackFields: [FALLBACK_ALL], attempts, refusal: content };
+    }
+    // Defaults are applied to the latest reply that was at least valid JSON
+    if (reply !== undefined) parsed = reply;
+
+    logStructured('⚠️ Structured output failed validation', {
+      stage: provider.stage,
+      name,
+      attempt: attempt + 1,
+      errors: errors.slice(0, MAX_REPORTED_ERRORS)
+    });
+
+    conversation.push(
+      { role: 'assistant', content },
+      {
+        role: 'user',
+        content: `Your JSON does not match the required schema:\n- ${errors.slice(0, MAX_REPORTED_ERRORS).join('\n- ')}\n\nReturn the complete corrected JSON only.`
+      }
+    );
+  }
+
+  const fallbackFields = [];
+  const data = applySchemaDefaults(schema, parsed, defaults, '', fallbackFields);
+  logStructured('⚠️ Using schema defaults for invalid fields', { stage: provider.stage, name, attempts, fallbackFields });
+  return { data, fallbackFields, attempts, refusal: null };
+}
+
+// Prefix a stage's fallbackFields with where the stage sits in the final result
+export function prefixFallbackFields(prefix, fallbackFields = []) {
+  return fallbackFields.map(field => (field === FALLBACK_ALL ? prefix : joinPath(prefix, field)));
+}
+
+// The fallbackFields under `prefix` (e.g. 'frames[2]'), relative to it. A default at the
+// prefix itself or at an object above it means the whole value is a default. (An array
+// listed as incomplete doesn't taint the items that did come back.)
+export function scopeFallbackFields(prefix, fallbackFields = []) {
+  const scoped = [];
+  for (const field of fallbackFields) {
+    if (field === FALLBACK_ALL || field === prefix || prefix.startsWith(`${field}.`)) {
+      return [FALLBACK_ALL];
+    }
+    if (field.startsWith(`${prefix}.`)) {
+      scoped.push(field.slice(prefix.length + 1));
+    }
+  }
+  return scoped;
+}
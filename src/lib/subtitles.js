@@ -0,0 +1,66 @@
+// Subtitle files (SRT, WebVTT) supplied with an upload
+// Cues are parsed into { start, end, text } with times in seconds, the input of the
+// subtitles transcription provider. Formatting tags (<i>, <v Speaker>, {\an8}) are
+// dropped, multi-line cues are joined with spaces, and VTT NOTE/STYLE/REGION blocks
+// are skipped.
+
+export const SUBTITLE_EXTENSIONS = ['.srt', '.vtt'];
+
+// Captions of even a long video are a few hundred KB
+export const MAX_SUBTITLE_BYTES = 2 * 1024 * 1024;
+
+// 00:01:02,500 (SRT) or 01:02.500 / 00:01:02.500 (VTT)
+const TIMESTAMP = /(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})/;
+const TIMING_LINE = new RegExp(`${TIMESTAMP.source}\\s*-->\\s*${TIMESTAMP.source}`);
+
+function toSeconds(hours, minutes, seconds, fraction) {
+  return (parseInt(hours || '0', 10) * 3600)
+    + (parseInt(minutes, 10) * 60)
+    + parseInt(seconds, 10)
+    + (parseInt(fraction.padEnd(3, '0'), 10) / 1000);
+}
+
+function cleanCueText(lines) {
+  return lines
+    .join(' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/\{\\[^}]*\}/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    // Last, so an escaped entity (&amp;lt;) stays literal text
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse SRT or WebVTT text into cues sorted by start time. Throws when no cue is found,
+ * so a wrong file fails the upload instead of analyzing a video without speech.
+ */
+export function parseSubtitles(content) {
+  const blocks = content
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/);
+
+  const cues = [];
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => TIMING_LINE.test(line));
+    if (timingIndex === -1) continue;
+
+    const match = lines[timingIndex].match(TIMING_LINE);
+    const start = toSeconds(match[1], match[2], match[3], match[4]);
+    const end = toSeconds(match[5], match[6], match[7], match[8]);
+    const text = cleanCueText(lines.slice(timingIndex + 1));
+    if (!text || end <= start) continue;
+
+    cues.push({ start, end, text });
+  }
+
+  if (cues.length === 0) {
+    throw new Error('No subtitle cues found; expected an SRT or WebVTT file');
+  }
+  return cues.sort((a, b) => a.start - b.start);
+}
@@ -125,6 +125,34 @@ export const isSupabaseAvailable = () => {
   }
 }
 
+// Access token of the signed-in user, sent as a bearer token to API routes that
+// check who is calling (see requestAuth.js)
+export const getAccessToken = async () => {
+  if (!isSupabaseAvailable()) return null
+  const { data: { session } } = await supabase.auth.getSession()
+  return session?.access_token || null
+}
+
+// User an access token belongs to, or null if it is invalid or expired. Checked by
+// Supabase Auth with the anon key; uses the client directly because the proxy above
+// stubs it out on the server outside development.
+export const getUserFromAccessToken = async (accessToken) => {
+  const client = initializeSupabase()
+  if (!client) return null
+  const { data: { user }, error } = await client.auth.getUser(accessToken)
+  return error ? null : user
+}
+
+// Client acting as the user an access token belongs to, for server-side calls that
+// Row Level Security and auth.uid() should scope to that user
+export const createSupabaseClientForUser = (accessToken) => {
+  if (!initializeSupabase()) return null
+  return createClient(supabaseUrl, supabaseAnonKey, {
+    global: { headers: { Authorization: `Bearer ${accessToken}` } },
+    auth: { autoRefreshToken: false, persistSession: false }
+  })
+}
+
 // Helper function to get the current user's profile
 export const getUserProfile = async (userId) => {
   console.log('🔍 getUserProfile v2.0 called with userId:', userId)
@@ -0,0 +1,48 @@
+// Service role Supabase client for server-side work
+// Database functions that read or write any user's jobs, progress or credits are only
+// executable by the service role, so the server calls them through this client.
+// Requires NEXT_PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY; without them it is
+// null, and callers keep that state in memory (single instance) or skip the write.
+import { createClient } from '@supabase/supabase-js';
+
+let serviceClient;
+
+export function getSupabaseServiceClient() {
+  if (serviceClient !== undefined) return serviceClient;
+
+  const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  serviceClient = supabaseUrl && serviceRoleKey
+    ? createClient(supabaseUrl, serviceRoleKey, {
+      auth: { autoRefreshToken: false, persistSession: false }
+    })
+    : null;
+  return serviceClient;
+}
+
+// Charge a cancelled analysis: the reserved credits are recorded as usage and the
+// unprocessed share is given back as a refund transaction
+export async function chargeCancelledAnalysis(userId, requestId, creditsReserved, creditsRefunded) {
+  const client = getSupabaseServiceClient();
+  if (!client) {
+    throw new Error('Charging a cancelled analysis requires SUPABASE_SERVICE_ROLE_KEY');
+  }
+
+  const { data, error } = await client.rpc('charge_cancelled_analysis', {
+    p_user_id: userId,
+    p_request_id: requestId,
+    p_credits_reserved: creditsReserved,
+    p_credits_refunded: creditsRefunded
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  const result = Array.isArray(data) ? data[0] : data;
+  if (result && !result.success) {
+    throw new Error(result.message);
+  }
+
+  return result;
+}
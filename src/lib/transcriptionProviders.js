@@ -0,0 +1,189 @@
+// Speech-to-text backends for the audio analysis
+// Every provider returns the shape of Whisper's verbose_json, which the rest of the
+// pipeline reads:
+//   { text, segments: [{ id, start, end, text }], words?: [{ word, start, end }], language?, duration?, provider }
+// with times in seconds. words is only present when the backend gives word timings.
+// Transcripts taken from supplied subtitles are marked humanAuthored: true.
+//
+// Providers:
+//   openai       the `transcription` model stage (whisper-1, or any OpenAI-compatible server)
+//   whisper-cpp  a local whisper.cpp build on the CPU, no network needed
+//   subtitles    captions supplied with the video (SRT/VTT, see subtitles.js), used as-is
+//
+// Interface:
+//   name          provider id, stored on the transcription
+//   description   what produced the transcript, part of the analysis cache key
+//   transcribe(audioPath)   async, resolves to the shape above
+//
+// Configuration (optional):
+//   TRANSCRIPTION_PROVIDER   openai | whisper-cpp (default openai); subtitles are chosen per request
+//   WHISPER_CPP_BIN          whisper.cpp CLI (default whisper-cli)
+//   WHISPER_CPP_MODEL        path to the ggml model file (required for whisper-cpp)
+//   WHISPER_CPP_LANGUAGE     spoken language, or auto (default auto)
+//   WHISPER_CPP_THREADS      CPU threads (default 4)
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { getModelProvider } from './modelProvider.js';
+import { execAsync } from './cancellation.js';
+
+export const TRANSCRIPTION_PROVIDERS = {
+  OPENAI: 'openai',
+  WHISPER_CPP: 'whisper-cpp',
+  SUBTITLES: 'subtitles'
+};
+
+// whisper.cpp prints the whole transcript with token details as JSON
+const WHISPER_CPP_MAX_BUFFER = 64 * 1024 * 1024;
+
+function logTranscription(message, data = null) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`, data ? JSON.stringify(data, null, 2) : '');
+}
+
+function joinSegmentText(segments) {
+  return segments.map(segment => segment.text.trim()).filter(Boolean).join(' ');
+}
+
+export function createOpenAITranscriptionProvider() {
+  const provider = getModelProvider('transcription');
+
+  return {
+    name: TRANSCRIPTION_PROVIDERS.OPENAI,
+    description: `${TRANSCRIPTION_PROVIDERS.OPENAI}:${provider.model}${provider.baseURL ? `@${provider.baseURL}` : ''}`,
+
+    async transcribe(audioPath) {
+      const transcription = await provider.transcribe({
+        file: fs.createReadStream(audioPath),
+        response_format: 'verbose_json',
+        timestamp_granularities: ['word', 'segment']
+      });
+      return { ...transcription, provider: TRANSCRIPTION_PROVIDERS.OPENAI };
+    }
+  };
+}
+
+// whisper.cpp splits words into tokens: a token starting with a space starts a word,
+// the others (word pieces, punctuation) continue it. [_BEG_], [_TT_...] are control tokens.
+function toWords(entries) {
+  const words = [];
+  for (const entry of entries) {
+    let current = null;
+    for (const token of entry.tokens || []) {
+      if (!token.text.trim() || token.text.trim().startsWith('[_')) continue;
+
+      const start = token.offsets.from / 1000;
+      const end = token.offsets.to / 1000;
+      if (current && !token.text.startsWith(' ')) {
+        current.word += token.text;
+        current.end = end;
+      } else {
+        current = { word: token.text.trim(), start, end };
+        words.push(current);
+      }
+    }
+  }
+  return words;
+}
+
+// Output of `whisper-cli -ojf` in verbose_json shape
+function fromWhisperCppOutput(output) {
+  const entries = output.transcription || [];
+  const segments = entries.map((entry, id) => ({
+    id,
+    start: entry.offsets.from / 1000,
+    end: entry.offsets.to / 1000,
+    text: entry.text
+  }));
+
+  return {
+    text: joinSegmentText(segments),
+    segments,
+    words: toWords(entries),
+    language: output.result?.language || null,
+    duration: segments.length > 0 ? segments[segments.length - 1].end : 0,
+    provider: TRANSCRIPTION_PROVIDERS.WHISPER_CPP
+  };
+}
+
+export function createWhisperCppTranscriptionProvider() {
+  const bin = process.env.WHISPER_CPP_BIN || 'whisper-cli';
+  const model = process.env.WHISPER_CPP_MODEL;
+  const language = process.env.WHISPER_CPP_LANGUAGE || 'auto';
+  const threads = parseInt(process.env.WHISPER_CPP_THREADS || '4', 10);
+
+  return {
+    name: TRANSCRIPTION_PROVIDERS.WHISPER_CPP,
+    description: `${TRANSCRIPTION_PROVIDERS.WHISPER_CPP}:${path.basename(model || 'no-model')}:${language}`,
+
+    async transcribe(audioPath) {
+      if (!model) {
+        throw new Error('WHISPER_CPP_MODEL is not set; point it at a ggml model file to transcribe locally');
+      }
+
+      // whisper.cpp reads 16 kHz mono WAV
+      const base = audioPath.replace(/\.[^.]+$/, '');
+      const wavPath = `${base}.16k.wav`;
+      const outputBase = `${base}.whisper`;
+
+      try {
+        await execAsync(`ffmpeg -i "${audioPath}" -ar 16000 -ac 1 -c:a pcm_s16le "${wavPath}" -y`);
+        await execAsync(
+          `"${bin}" -m "${model}" -f "${wavPath}" -l ${language} -t ${threads} -ojf -of "${outputBase}" -np`,
+          { maxBuffer: WHISPER_CPP_MAX_BUFFER }
+        );
+        const output = JSON.parse(fs.readFileSync(`${outputBase}.json`, 'utf8'));
+        return fromWhisperCppOutput(output);
+      } finally {
+        for (const file of [wavPath, `${outputBase}.json`]) {
+          fs.rmSync(file, { force: true });
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Captions that came with the video ({ start, end, text } cues, in seconds) as the
+ * transcript. No audio is read and no words are timed.
+ */
+export function createSubtitleTranscriptionProvider(cues) {
+  const segments = [...cues]
+    .sort((a, b) => a.start - b.start)
+    .map((cue, id) => ({ id, start: cue.start, end: cue.end, text: cue.text }));
+  const digest = crypto.createHash('sha256').update(JSON.stringify(segments)).digest('hex').slice(0, 16);
+
+  return {
+    name: TRANSCRIPTION_PROVIDERS.SUBTITLES,
+    description: `${TRANSCRIPTION_PROVIDERS.SUBTITLES}:${digest}`,
+
+    async transcribe() {
+      return {
+        text: joinSegmentText(segments),
+        segments,
+        duration: segments.length > 0 ? segments[segments.length - 1].end : 0,
+        provider: TRANSCRIPTION_PROVIDERS.SUBTITLES,
+        humanAuthored: true
+      };
+    }
+  };
+}
+
+/**
+ * Provider for one analysis: the video's own subtitles when given, else the
+ * TRANSCRIPTION_PROVIDER backend.
+ */
+export function getTranscriptionProvider({ subtitles = null } = {}) {
+  if (subtitles?.length > 0) {
+    return createSubtitleTranscriptionProvider(subtitles);
+  }
+
+  const requested = process.env.TRANSCRIPTION_PROVIDER || TRANSCRIPTION_PROVIDERS.OPENAI;
+  if (requested === TRANSCRIPTION_PROVIDERS.WHISPER_CPP) {
+    return createWhisperCppTranscriptionProvider();
+  }
+  if (requested !== TRANSCRIPTION_PROVIDERS.OPENAI) {
+    logTranscription('⚠️ Unknown TRANSCRIPTION_PROVIDER, using openai', { requested });
+  }
+  return createOpenAITranscriptionProvider();
+}
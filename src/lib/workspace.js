@@ -0,0 +1,109 @@
+// Per-request working directories for video analysis
+// Every analysis gets its own folder under temp/jobs/<requestId>-<hash> holding the
+// downloaded video, extracted frames and audio, so concurrent jobs never touch
+// each other's files. The folder is removed when the job finishes, fails or is cancelled.
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const WORKSPACES_ROOT = path.join(process.cwd(), 'temp', 'jobs');
+
+// Leftover folders older than this (e.g. after a crash) are swept on startup and hourly
+const STALE_WORKSPACE_AGE = 6 * 60 * 60 * 1000;
+
+// Use global to ensure the same workspace registry across API routes
+if (!global.analysisWorkspaces) {
+  global.analysisWorkspaces = new Map();
+}
+const workspaces = global.analysisWorkspaces;
+
+function logWorkspace(message, data = null) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`, data ? JSON.stringify(data, null, 2) : '');
+}
+
+// Request ids come from the client, so keep only filesystem-safe characters. Different
+// ids can sanitize to the same name (a.b and a_b), so a hash of the full id is appended.
+export function toDirName(requestId) {
+  const id = String(requestId);
+  const safe = id.replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64) || 'unknown';
+  const hash = crypto.createHash('sha256').update(id).digest('hex').slice(0, 16);
+  return `${safe}-${hash}`;
+}
+
+export function getWorkspace(requestId) {
+  return workspaces.get(requestId) || null;
+}
+
+export function createWorkspace(requestId) {
+  const existing = workspaces.get(requestId);
+  if (existing) return existing;
+
+  const root = path.join(WORKSPACES_ROOT, toDirName(requestId));
+  const framesDir = path.join(root, 'frames');
+  fs.mkdirSync(framesDir, { recursive: true });
+
+  const workspace = {
+    requestId,
+    root,
+    framesDir,
+    createdAt: Date.now(),
+    // Absolute path for a file inside this workspace
+    file: (name) => path.join(root, name)
+  };
+
+  workspaces.set(requestId, workspace);
+  logWorkspace('📁 Created job workspace', { requestId, root });
+  return workspace;
+}
+
+export async function releaseWorkspace(requestId) {
+  const workspace = workspaces.get(requestId);
+  if (!workspace) return;
+
+  workspaces.delete(requestId);
+  try {
+    await fs.promises.rm(workspace.root, { recursive: true, force: true });
+    logWorkspace('🧹 Removed job workspace', { requestId, root: workspace.root });
+  } catch (error) {
+    logWorkspace('❌ Failed to remove job workspace', { requestId, root: workspace.root, error: error.message });
+  }
+}
+
+// Run fn inside the request's workspace. A workspace created here is always
+// removed afterwards; one created by the caller is left for the caller to release.
+export async function withWorkspace(requestId, fn) {
+  const owned = !workspaces.has(requestId);
+  const workspace = createWorkspace(requestId);
+
+  try {
+    return await fn(workspace);
+  } finally {
+    if (owned) {
+      await releaseWorkspace(requestId);
+    }
+  }
+}
+
+function sweepStaleWorkspaces() {
+  if (!fs.existsSync(WORKSPACES_ROOT)) return;
+
+  const cutoff = Date.now() - STALE_WORKSPACE_AGE;
+  const activeRoots = new Set([...workspaces.values()].map(workspace => workspace.root));
+
+  for (const entry of fs.readdirSync(WORKSPACES_ROOT)) {
+    const dir = path.join(WORKSPACES_ROOT, entry);
+    try {
+      if (activeRoots.has(dir) || fs.statSync(dir).mtimeMs > cutoff) continue;
+      fs.rmSync(dir, { recursive: true, force: true });
+      logWorkspace('🧹 Removed stale job workspace', { dir });
+    } catch (error) {
+      logWorkspace('⚠️ Failed to remove stale job workspace', { dir, error: error.message });
+    }
+  }
+}
+
+if (!global.analysisWorkspaceSweep) {
+  global.analysisWorkspaceSweep = setInterval(sweepStaleWorkspaces, 60 * 60 * 1000); // Sweep every hour
+  sweepStaleWorkspaces();
+}
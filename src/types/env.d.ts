@@ -2,6 +2,7 @@ declare global {
   namespace NodeJS {
     interface ProcessEnv {
       OPENAI_API_KEY: string;
+      OPENAI_BASE_URL?: string;
       NODE_ENV: 'development' | 'production' | 'test';
       INSTAGRAM_COOKIES: string;
       // Add other environment variables as needed
@@ -0,0 +1,210 @@
+-- Background job queue for /api/analyze
+-- Each queued analysis gets a video_analyses row keyed by its request id. The row
+-- tracks the job through queued -> running -> succeeded/failed and is filled in
+-- with the structured analysis once the worker finishes.
+
+-- Allow the job states alongside the existing status values
+ALTER TABLE video_analyses DROP CONSTRAINT IF EXISTS video_analyses_status_check;
+ALTER TABLE video_analyses ADD CONSTRAINT video_analyses_status_check
+  CHECK (status IN ('pending', 'processing', 'completed', 'failed', 'queued', 'running', 'succeeded'));
+
+-- Job bookkeeping columns
+ALTER TABLE video_analyses
+ADD COLUMN IF NOT EXISTS request_id TEXT,
+ADD COLUMN IF NOT EXISTS job_payload JSONB,
+ADD COLUMN IF NOT EXISTS error_message TEXT,
+ADD COLUMN IF NOT EXISTS started_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP WITH TIME ZONE;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_video_analyses_request_id ON video_analyses(request_id) WHERE request_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_video_analyses_status ON video_analyses(status);
+
+COMMENT ON COLUMN video_analyses.request_id IS 'Client request id, doubles as the background job id';
+COMMENT ON COLUMN video_analyses.job_payload IS 'JSONB input needed to (re)run the background job';
+COMMENT ON COLUMN video_analyses.error_message IS 'Failure reason for jobs that ended in the failed state';
+
+-- Create or update the job row for a request
+CREATE OR REPLACE FUNCTION upsert_analysis_job(
+  p_request_id TEXT,
+  p_user_id UUID,
+  p_video_url TEXT,
+  p_status TEXT,
+  p_job_payload JSONB DEFAULT NULL,
+  p_error_message TEXT DEFAULT NULL
+)
+RETURNS UUID AS $$
+DECLARE
+  job_id UUID;
+BEGIN
+  UPDATE video_analyses
+  SET
+    status = p_status,
+    job_payload = COALESCE(p_job_payload, job_payload),
+    error_message = p_error_message,
+    started_at = CASE WHEN p_status = 'running' THEN NOW() ELSE started_at END,
+    completed_at = CASE WHEN p_status IN ('succeeded', 'failed') THEN NOW() ELSE completed_at END,
+    updated_at = NOW()
+  WHERE request_id = p_request_id
+  RETURNING id INTO job_id;
+
+  IF job_id IS NULL THEN
+    INSERT INTO video_analyses (
+      user_id,
+      video_url,
+      request_id,
+      job_payload,
+      status,
+      error_message,
+      analysis_data,
+      credits_used,
+      analysis_version,
+      created_at,
+      updated_at
+    ) VALUES (
+      p_user_id,
+      p_video_url,
+      p_request_id,
+      p_job_payload,
+      p_status,
+      p_error_message,
+      '{}',
+      0,
+      '2.0',
+      NOW(),
+      NOW()
+    ) RETURNING id INTO job_id;
+  END IF;
+
+  RETURN job_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Fetch a job (and its result once succeeded) by request id
+CREATE OR REPLACE FUNCTION get_analysis_job(p_request_id TEXT)
+RETURNS TABLE(
+  request_id TEXT,
+  user_id UUID,
+  video_url TEXT,
+  status TEXT,
+  job_payload JSONB,
+  error_message TEXT,
+  analysis_data JSONB,
+  created_at TIMESTAMP WITH TIME ZONE,
+  started_at TIMESTAMP WITH TIME ZONE,
+  completed_at TIMESTAMP WITH TIME ZONE
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT va.request_id, va.user_id, va.video_url, va.status, va.job_payload, va.error_message,
+         va.analysis_data, va.created_at, va.started_at, va.completed_at
+  FROM video_analyses va
+  WHERE va.request_id = p_request_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Jobs that were still queued or running when the worker process stopped
+CREATE OR REPLACE FUNCTION get_resumable_analysis_jobs()
+RETURNS TABLE(
+  request_id TEXT,
+  user_id UUID,
+  video_url TEXT,
+  job_payload JSONB
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT va.request_id, va.user_id, va.video_url, va.job_payload
+  FROM video_analyses va
+  WHERE va.status IN ('queued', 'running')
+    AND va.request_id IS NOT NULL
+    AND va.job_payload IS NOT NULL
+  ORDER BY va.created_at ASC;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Store the finished analysis on the job row when one exists for the request,
+-- otherwise insert a new row as before
+DROP FUNCTION IF EXISTS insert_structured_analysis(UUID, TEXT, INTEGER, JSONB, JSONB, JSONB, JSONB, JSONB, JSONB);
+
+CREATE OR REPLACE FUNCTION insert_structured_analysis(
+  p_user_id UUID,
+  p_video_url TEXT,
+  p_credits_used INTEGER,
+  p_content_analysis JSONB DEFAULT NULL,
+  p_scene_analysis JSONB DEFAULT NULL,
+  p_hook_analysis JSONB DEFAULT NULL,
+  p_transcript_data JSONB DEFAULT NULL,
+  p_video_metadata JSONB DEFAULT NULL,
+  p_legacy_analysis_data JSONB DEFAULT NULL,
+  p_request_id TEXT DEFAULT NULL
+)
+RETURNS UUID AS $$
+DECLARE
+  new_analysis_id UUID;
+BEGIN
+  IF p_request_id IS NOT NULL THEN
+    UPDATE video_analyses
+    SET
+      credits_used = p_credits_used,
+      content_analysis = p_content_analysis,
+      scene_analysis = p_scene_analysis,
+      hook_analysis = p_hook_analysis,
+      transcript_data = p_transcript_data,
+      video_metadata = p_video_metadata,
+      analysis_data = COALESCE(p_legacy_analysis_data, '{}'),
+      analysis_version = '2.0',
+      status = 'succeeded',
+      completed_at = NOW(),
+      updated_at = NOW()
+    WHERE request_id = p_request_id
+    RETURNING id INTO new_analysis_id;
+
+    IF new_analysis_id IS NOT NULL THEN
+      RETURN new_analysis_id;
+    END IF;
+  END IF;
+
+  INSERT INTO video_analyses (
+    user_id,
+    video_url,
+    request_id,
+    credits_used,
+    content_analysis,
+    scene_analysis,
+    hook_analysis,
+    transcript_data,
+    video_metadata,
+    analysis_data, -- Keep for backward compatibility
+    analysis_version,
+    status,
+    created_at,
+    updated_at
+  ) VALUES (
+    p_user_id,
+    p_video_url,
+    p_request_id,
+    p_credits_used,
+    p_content_analysis,
+    p_scene_analysis,
+    p_hook_analysis,
+    p_transcript_data,
+    p_video_metadata,
+    COALESCE(p_legacy_analysis_data, '{}'),
+    '2.0',
+    'completed',
+    NOW(),
+    NOW()
+  ) RETURNING id INTO new_analysis_id;
+
+  RETURN new_analysis_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Jobs hold every user's payloads and results: only the server, with the service
+-- role, reads and writes them (the job API checks the caller owns the job)
+REVOKE EXECUTE ON FUNCTION upsert_analysis_job FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION get_analysis_job FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION get_resumable_analysis_jobs FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION upsert_analysis_job TO service_role;
+GRANT EXECUTE ON FUNCTION get_analysis_job TO service_role;
+GRANT EXECUTE ON FUNCTION get_resumable_analysis_jobs TO service_role;
+GRANT EXECUTE ON FUNCTION insert_structured_analysis TO authenticated, anon;
@@ -0,0 +1,49 @@
+-- Content-addressed analysis cache
+-- Completed analyses are tagged with a cache key (hash of the video file, analysis
+-- mode and pipeline settings) so the same video can be served without re-running
+-- the pipeline.
+
+ALTER TABLE video_analyses
+ADD COLUMN IF NOT EXISTS cache_key TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_video_analyses_cache_key ON video_analyses(cache_key) WHERE cache_key IS NOT NULL;
+
+COMMENT ON COLUMN video_analyses.cache_key IS 'sha256 of video content + analysis mode + pipeline settings';
+
+-- Tag a saved analysis with its cache key
+CREATE OR REPLACE FUNCTION set_analysis_cache_key(p_analysis_id UUID, p_cache_key TEXT)
+RETURNS VOID AS $$
+BEGIN
+  UPDATE video_analyses
+  SET cache_key = p_cache_key,
+      updated_at = NOW()
+  WHERE id = p_analysis_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Most recent completed analysis for a cache key
+CREATE OR REPLACE FUNCTION get_cached_analysis(p_cache_key TEXT)
+RETURNS TABLE(
+  analysis_id UUID,
+  analysis_data JSONB,
+  created_at TIMESTAMP WITH TIME ZONE
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT va.id, va.analysis_data, va.created_at
+  FROM video_analyses va
+  WHERE va.cache_key = p_cache_key
+    AND va.status IN ('completed', 'succeeded')
+    AND va.analysis_data IS NOT NULL
+    AND va.analysis_data <> '{}'::jsonb
+  ORDER BY va.created_at DESC
+  LIMIT 1;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Cached results are shared between users: only the server, with the service role,
+-- tags analyses and looks them up, so clients can neither poison nor read the cache
+REVOKE EXECUTE ON FUNCTION set_analysis_cache_key FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION get_cached_analysis FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION set_analysis_cache_key TO service_role;
+GRANT EXECUTE ON FUNCTION get_cached_analysis TO service_role;
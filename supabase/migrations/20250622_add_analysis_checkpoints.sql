@@ -0,0 +1,62 @@
+-- Pipeline checkpoints
+-- Each finished phase of an analysis (frame analyses, audio analysis, scenes, hooks, ...)
+-- is stored against the request id so a job restarted after a crash or deploy can resume
+-- from the last finished phase.
+
+CREATE TABLE IF NOT EXISTS analysis_checkpoints (
+  request_id TEXT NOT NULL,
+  phase TEXT NOT NULL,
+  data JSONB NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL,
+  PRIMARY KEY (request_id, phase)
+);
+
+CREATE INDEX IF NOT EXISTS idx_analysis_checkpoints_updated_at ON analysis_checkpoints(updated_at);
+
+-- Only the server (through the functions below) touches checkpoints
+ALTER TABLE analysis_checkpoints ENABLE ROW LEVEL SECURITY;
+
+-- Store (or replace) the output of a phase; also drops checkpoints abandoned for a week
+CREATE OR REPLACE FUNCTION save_analysis_checkpoint(
+  p_request_id TEXT,
+  p_phase TEXT,
+  p_data JSONB
+)
+RETURNS VOID AS $$
+BEGIN
+  INSERT INTO analysis_checkpoints (request_id, phase, data, created_at, updated_at)
+  VALUES (p_request_id, p_phase, p_data, NOW(), NOW())
+  ON CONFLICT (request_id, phase)
+  DO UPDATE SET data = EXCLUDED.data, updated_at = NOW();
+
+  DELETE FROM analysis_checkpoints
+  WHERE updated_at < NOW() - INTERVAL '7 days';
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION get_analysis_checkpoints(p_request_id TEXT)
+RETURNS TABLE(
+  phase TEXT,
+  data JSONB,
+  updated_at TIMESTAMP WITH TIME ZONE
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT ac.phase, ac.data, ac.updated_at
+  FROM analysis_checkpoints ac
+  WHERE ac.request_id = p_request_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION clear_analysis_checkpoints(p_request_id TEXT)
+RETURNS VOID AS $$
+BEGIN
+  DELETE FROM analysis_checkpoints
+  WHERE request_id = p_request_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION save_analysis_checkpoint TO authenticated, anon;
+GRANT EXECUTE ON FUNCTION get_analysis_checkpoints TO authenticated, anon;
+GRANT EXECUTE ON FUNCTION clear_analysis_checkpoints TO authenticated, anon;
@@ -0,0 +1,79 @@
+-- Model cost accounting
+-- Each finished analysis records what its model calls cost (tokens, Whisper minutes
+-- and dollars per pipeline phase) next to the credits charged, so cost and revenue
+-- can be compared per user and per analysis mode.
+
+ALTER TABLE video_analyses
+ADD COLUMN IF NOT EXISTS analysis_mode TEXT,
+ADD COLUMN IF NOT EXISTS model_cost_usd NUMERIC(12, 6),
+ADD COLUMN IF NOT EXISTS model_cost JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_video_analyses_analysis_mode ON video_analyses(analysis_mode);
+
+COMMENT ON COLUMN video_analyses.analysis_mode IS 'Frame sampling mode the analysis ran with (fine, standard, broad, adaptive)';
+COMMENT ON COLUMN video_analyses.model_cost_usd IS 'Total model spend for the analysis in USD';
+COMMENT ON COLUMN video_analyses.model_cost IS 'JSONB token, image token, Whisper minute and cost breakdown per pipeline phase';
+
+-- Attach the cost summary to a saved analysis
+CREATE OR REPLACE FUNCTION set_analysis_cost(
+  p_analysis_id UUID,
+  p_analysis_mode TEXT,
+  p_model_cost_usd NUMERIC,
+  p_model_cost JSONB
+)
+RETURNS VOID AS $$
+BEGIN
+  UPDATE video_analyses
+  SET analysis_mode = p_analysis_mode,
+      model_cost_usd = p_model_cost_usd,
+      model_cost = p_model_cost,
+      updated_at = NOW()
+  WHERE id = p_analysis_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Cost versus credits charged per user and analysis mode for finished analyses
+CREATE OR REPLACE FUNCTION get_analysis_cost_report(
+  p_since TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_until TIMESTAMP WITH TIME ZONE DEFAULT NULL
+)
+RETURNS TABLE(
+  user_id UUID,
+  analysis_mode TEXT,
+  analyses BIGINT,
+  cache_hits BIGINT,
+  credits_charged BIGINT,
+  model_cost_usd NUMERIC,
+  prompt_tokens BIGINT,
+  completion_tokens BIGINT,
+  image_tokens BIGINT,
+  whisper_minutes NUMERIC
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    va.user_id,
+    COALESCE(va.analysis_mode, 'unknown'),
+    COUNT(*),
+    COUNT(*) FILTER (WHERE (va.video_metadata -> 'cache' ->> 'hit')::BOOLEAN IS TRUE),
+    COALESCE(SUM(va.credits_used), 0)::BIGINT,
+    COALESCE(SUM(va.model_cost_usd), 0),
+    COALESCE(SUM((va.model_cost ->> 'promptTokens')::BIGINT), 0)::BIGINT,
+    COALESCE(SUM((va.model_cost ->> 'completionTokens')::BIGINT), 0)::BIGINT,
+    COALESCE(SUM((va.model_cost ->> 'imageTokens')::BIGINT), 0)::BIGINT,
+    COALESCE(SUM((va.model_cost ->> 'whisperMinutes')::NUMERIC), 0)
+  FROM video_analyses va
+  WHERE va.status IN ('completed', 'succeeded')
+    AND va.model_cost IS NOT NULL
+    AND (p_since IS NULL OR va.created_at >= p_since)
+    AND (p_until IS NULL OR va.created_at < p_until)
+  GROUP BY va.user_id, COALESCE(va.analysis_mode, 'unknown')
+  ORDER BY COALESCE(SUM(va.model_cost_usd), 0) DESC;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION set_analysis_cost TO authenticated, anon;
+
+-- Per-user spend is admin-only: served through /api/admin/costs with the service role
+REVOKE EXECUTE ON FUNCTION get_analysis_cost_report FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION get_analysis_cost_report TO service_role;
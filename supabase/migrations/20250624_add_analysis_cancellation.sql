@@ -0,0 +1,133 @@
+-- Cancelling in-flight analyses
+-- A job cancelled by the user ends in the cancelled state. Credits are only deducted
+-- once an analysis is saved, so a cancelled one is charged here instead: the credits
+-- reserved for it are recorded as usage and the share of the work that was never done
+-- is refunded, both linked to the job row.
+
+ALTER TABLE video_analyses DROP CONSTRAINT IF EXISTS video_analyses_status_check;
+ALTER TABLE video_analyses ADD CONSTRAINT video_analyses_status_check
+  CHECK (status IN ('pending', 'processing', 'completed', 'failed', 'queued', 'running', 'succeeded', 'cancelled'));
+
+-- Same as before, with cancelled counting as a finished state
+CREATE OR REPLACE FUNCTION upsert_analysis_job(
+  p_request_id TEXT,
+  p_user_id UUID,
+  p_video_url TEXT,
+  p_status TEXT,
+  p_job_payload JSONB DEFAULT NULL,
+  p_error_message TEXT DEFAULT NULL
+)
+RETURNS UUID AS $$
+DECLARE
+  job_id UUID;
+BEGIN
+  UPDATE video_analyses
+  SET
+    status = p_status,
+    job_payload = COALESCE(p_job_payload, job_payload),
+    error_message = p_error_message,
+    started_at = CASE WHEN p_status = 'running' THEN NOW() ELSE started_at END,
+    completed_at = CASE WHEN p_status IN ('succeeded', 'failed', 'cancelled') THEN NOW() ELSE completed_at END,
+    updated_at = NOW()
+  WHERE request_id = p_request_id
+  RETURNING id INTO job_id;
+
+  IF job_id IS NULL THEN
+    INSERT INTO video_analyses (
+      user_id,
+      video_url,
+      request_id,
+      job_payload,
+      status,
+      error_message,
+      analysis_data,
+      credits_used,
+      analysis_version,
+      created_at,
+      updated_at
+    ) VALUES (
+      p_user_id,
+      p_video_url,
+      p_request_id,
+      p_job_payload,
+      p_status,
+      p_error_message,
+      '{}',
+      0,
+      '2.0',
+      NOW(),
+      NOW()
+    ) RETURNING id INTO job_id;
+  END IF;
+
+  RETURN job_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Charge a cancelled analysis: usage for the reserved credits, a refund for the
+-- unprocessed share, and the net amount taken from the balance
+CREATE OR REPLACE FUNCTION charge_cancelled_analysis(
+  p_user_id UUID,
+  p_request_id TEXT,
+  p_credits_reserved INTEGER,
+  p_credits_refunded INTEGER
+)
+RETURNS TABLE(success BOOLEAN, new_balance INTEGER, message TEXT) AS $$
+DECLARE
+  current_balance INTEGER;
+  credits_charged INTEGER;
+  job_id UUID;
+BEGIN
+  -- A refund can never exceed what was reserved
+  IF p_credits_refunded < 0 OR p_credits_refunded > p_credits_reserved THEN
+    RETURN QUERY SELECT false, 0, 'Invalid refund amount';
+    RETURN;
+  END IF;
+
+  credits_charged := p_credits_reserved - p_credits_refunded;
+
+  SELECT credits_balance INTO current_balance
+  FROM user_profiles
+  WHERE id = p_user_id
+  FOR UPDATE;
+
+  IF current_balance IS NULL THEN
+    RETURN QUERY SELECT false, 0, 'User not found';
+    RETURN;
+  END IF;
+
+  IF current_balance < credits_charged THEN
+    RETURN QUERY SELECT false, current_balance, 'Insufficient credits';
+    RETURN;
+  END IF;
+
+  SELECT id INTO job_id FROM video_analyses WHERE request_id = p_request_id;
+
+  UPDATE user_profiles
+  SET
+    credits_balance = current_balance - credits_charged,
+    total_credits_used = total_credits_used + credits_charged,
+    updated_at = NOW()
+  WHERE id = p_user_id;
+
+  UPDATE video_analyses
+  SET credits_used = credits_charged, updated_at = NOW()
+  WHERE id = job_id;
+
+  INSERT INTO credit_transactions (user_id, transaction_type, credits_amount, description, analysis_id)
+  VALUES (p_user_id, 'usage', -p_credits_reserved, 'Video analysis (cancelled)', job_id);
+
+  IF p_credits_refunded > 0 THEN
+    INSERT INTO credit_transactions (user_id, transaction_type, credits_amount, description, analysis_id)
+    VALUES (p_user_id, 'refund', p_credits_refunded, 'Refund for the unprocessed part of a cancelled analysis', job_id);
+  END IF;
+
+  RETURN QUERY SELECT true, current_balance - credits_charged, 'Cancelled analysis charged';
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION upsert_analysis_job FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION upsert_analysis_job TO service_role;
+-- Charges whichever user it is given, so only the server may call it
+REVOKE EXECUTE ON FUNCTION charge_cancelled_analysis FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION charge_cancelled_analysis TO service_role;
@@ -0,0 +1,124 @@
+-- Shared analysis progress
+-- Every progress update of an analysis is stored as an event, so any server instance
+-- can report (and stream) the progress of a job another instance is running, and
+-- progress survives restarts. Requests without an update for the TTL are swept.
+
+CREATE TABLE IF NOT EXISTS analysis_progress_events (
+  id BIGSERIAL PRIMARY KEY,
+  request_id TEXT NOT NULL,
+  phase TEXT NOT NULL,
+  progress NUMERIC NOT NULL DEFAULT 0,
+  message TEXT,
+  details JSONB DEFAULT '{}' NOT NULL,
+  started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_analysis_progress_events_request_id ON analysis_progress_events(request_id, id);
+CREATE INDEX IF NOT EXISTS idx_analysis_progress_events_created_at ON analysis_progress_events(created_at);
+
+COMMENT ON COLUMN analysis_progress_events.started_at IS 'Time of the request''s first progress event, for time estimates';
+
+-- Only the server (through the functions below) touches progress
+ALTER TABLE analysis_progress_events ENABLE ROW LEVEL SECURITY;
+
+-- Record an update; started_at carries over from the request's first event
+CREATE OR REPLACE FUNCTION append_analysis_progress(
+  p_request_id TEXT,
+  p_phase TEXT,
+  p_progress NUMERIC,
+  p_message TEXT,
+  p_details JSONB DEFAULT '{}'
+)
+RETURNS TABLE(
+  id BIGINT,
+  phase TEXT,
+  progress NUMERIC,
+  message TEXT,
+  details JSONB,
+  started_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE
+) AS $$
+DECLARE
+  first_started_at TIMESTAMP WITH TIME ZONE;
+BEGIN
+  SELECT ape.started_at INTO first_started_at
+  FROM analysis_progress_events ape
+  WHERE ape.request_id = p_request_id
+  ORDER BY ape.id ASC
+  LIMIT 1;
+
+  RETURN QUERY
+  INSERT INTO analysis_progress_events AS ape (request_id, phase, progress, message, details, started_at, created_at)
+  VALUES (p_request_id, p_phase, p_progress, p_message, COALESCE(p_details, '{}'), COALESCE(first_started_at, NOW()), NOW())
+  RETURNING ape.id, ape.phase, ape.progress, ape.message, ape.details, ape.started_at, ape.created_at;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Events of a request after p_after_id, oldest first (or only the newest one)
+CREATE OR REPLACE FUNCTION get_analysis_progress(
+  p_request_id TEXT,
+  p_after_id BIGINT DEFAULT 0,
+  p_latest_only BOOLEAN DEFAULT false
+)
+RETURNS TABLE(
+  id BIGINT,
+  phase TEXT,
+  progress NUMERIC,
+  message TEXT,
+  details JSONB,
+  started_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE
+) AS $$
+BEGIN
+  IF p_latest_only THEN
+    RETURN QUERY
+    SELECT ape.id, ape.phase, ape.progress, ape.message, ape.details, ape.started_at, ape.created_at
+    FROM analysis_progress_events ape
+    WHERE ape.request_id = p_request_id
+    ORDER BY ape.id DESC
+    LIMIT 1;
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  SELECT ape.id, ape.phase, ape.progress, ape.message, ape.details, ape.started_at, ape.created_at
+  FROM analysis_progress_events ape
+  WHERE ape.request_id = p_request_id
+    AND ape.id > p_after_id
+  ORDER BY ape.id ASC;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION clear_analysis_progress(p_request_id TEXT)
+RETURNS VOID AS $$
+BEGIN
+  DELETE FROM analysis_progress_events
+  WHERE request_id = p_request_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Drop the progress of requests whose last update is older than the TTL
+CREATE OR REPLACE FUNCTION sweep_analysis_progress(p_ttl_seconds INTEGER DEFAULT 3600)
+RETURNS VOID AS $$
+BEGIN
+  DELETE FROM analysis_progress_events
+  WHERE request_id IN (
+    SELECT ape.request_id
+    FROM analysis_progress_events ape
+    GROUP BY ape.request_id
+    HAVING MAX(ape.created_at) < NOW() - make_interval(secs => p_ttl_seconds)
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the server writes and reads progress (clients go through /api/progress), with
+-- the service role
+REVOKE EXECUTE ON FUNCTION append_analysis_progress FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION get_analysis_progress FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION clear_analysis_progress FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION sweep_analysis_progress FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION append_analysis_progress TO service_role;
+GRANT EXECUTE ON FUNCTION get_analysis_progress TO service_role;
+GRANT EXECUTE ON FUNCTION clear_analysis_progress TO service_role;
+GRANT EXECUTE ON FUNCTION sweep_analysis_progress TO service_role;
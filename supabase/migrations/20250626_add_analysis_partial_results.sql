@@ -0,0 +1,91 @@
+-- Partial analysis results
+-- Intermediate artifacts of a running analysis (transcript, scene boundaries, scene cards,
+-- hooks, category) are stored as events next to its progress updates, so clients get
+-- them over the same stream, in order, from any instance. kind tells the two apart;
+-- a partial event keeps its section, data and merge mode in details.
+
+ALTER TABLE analysis_progress_events
+  ADD COLUMN IF NOT EXISTS kind TEXT DEFAULT 'progress' NOT NULL
+  CHECK (kind IN ('progress', 'partial'));
+
+-- The return type changes, so the functions are dropped rather than replaced
+DROP FUNCTION IF EXISTS append_analysis_progress(TEXT, TEXT, NUMERIC, TEXT, JSONB);
+DROP FUNCTION IF EXISTS get_analysis_progress(TEXT, BIGINT, BOOLEAN);
+
+-- Record an update; started_at carries over from the request's first event
+CREATE OR REPLACE FUNCTION append_analysis_progress(
+  p_request_id TEXT,
+  p_phase TEXT,
+  p_progress NUMERIC,
+  p_message TEXT,
+  p_details JSONB DEFAULT '{}',
+  p_kind TEXT DEFAULT 'progress'
+)
+RETURNS TABLE(
+  id BIGINT,
+  kind TEXT,
+  phase TEXT,
+  progress NUMERIC,
+  message TEXT,
+  details JSONB,
+  started_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE
+) AS $$
+DECLARE
+  first_started_at TIMESTAMP WITH TIME ZONE;
+BEGIN
+  SELECT ape.started_at INTO first_started_at
+  FROM analysis_progress_events ape
+  WHERE ape.request_id = p_request_id
+  ORDER BY ape.id ASC
+  LIMIT 1;
+
+  RETURN QUERY
+  INSERT INTO analysis_progress_events AS ape (request_id, kind, phase, progress, message, details, started_at, created_at)
+  VALUES (p_request_id, COALESCE(p_kind, 'progress'), p_phase, p_progress, p_message, COALESCE(p_details, '{}'), COALESCE(first_started_at, NOW()), NOW())
+  RETURNING ape.id, ape.kind, ape.phase, ape.progress, ape.message, ape.details, ape.started_at, ape.created_at;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Events of a request after p_after_id, oldest first (or only the newest progress update)
+CREATE OR REPLACE FUNCTION get_analysis_progress(
+  p_request_id TEXT,
+  p_after_id BIGINT DEFAULT 0,
+  p_latest_only BOOLEAN DEFAULT false
+)
+RETURNS TABLE(
+  id BIGINT,
+  kind TEXT,
+  phase TEXT,
+  progress NUMERIC,
+  message TEXT,
+  details JSONB,
+  started_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE
+) AS $$
+BEGIN
+  IF p_latest_only THEN
+    RETURN QUERY
+    SELECT ape.id, ape.kind, ape.phase, ape.progress, ape.message, ape.details, ape.started_at, ape.created_at
+    FROM analysis_progress_events ape
+    WHERE ape.request_id = p_request_id
+      AND ape.kind = 'progress'
+    ORDER BY ape.id DESC
+    LIMIT 1;
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  SELECT ape.id, ape.kind, ape.phase, ape.progress, ape.message, ape.details, ape.started_at, ape.created_at
+  FROM analysis_progress_events ape
+  WHERE ape.request_id = p_request_id
+    AND ape.id > p_after_id
+  ORDER BY ape.id ASC;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Server only, as before
+REVOKE EXECUTE ON FUNCTION append_analysis_progress FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION get_analysis_progress FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION append_analysis_progress TO service_role;
+GRANT EXECUTE ON FUNCTION get_analysis_progress TO service_role;
@@ -0,0 +1,21 @@
+-- Transcript export
+-- The caption export endpoint reads an analysis' stored transcript for its owner. The
+-- function runs as the calling user and only returns their own analyses (auth.uid()).
+
+CREATE OR REPLACE FUNCTION get_analysis_transcript(p_analysis_id UUID)
+RETURNS TABLE(
+  analysis_id UUID,
+  transcript_data JSONB,
+  created_at TIMESTAMP WITH TIME ZONE
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT va.id, va.transcript_data, va.created_at
+  FROM video_analyses va
+  WHERE va.id = p_analysis_id
+    AND va.user_id = auth.uid();
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION get_analysis_transcript FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION get_analysis_transcript TO authenticated;
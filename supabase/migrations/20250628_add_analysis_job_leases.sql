@@ -0,0 +1,145 @@
+-- Job leases for recovering unfinished analyses
+-- Every instance holds a lease on the queued and running jobs it owns and renews it
+-- while it is alive. Recovery claims only jobs whose lease has expired, so a starting
+-- instance no longer re-queues jobs that another live instance is still working on.
+
+ALTER TABLE video_analyses
+ADD COLUMN IF NOT EXISTS lease_owner TEXT,
+ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_video_analyses_lease_expires_at
+  ON video_analyses(lease_expires_at) WHERE status IN ('queued', 'running');
+
+-- Same as before, taking a lease for p_lease_owner while the job is queued or running
+-- and releasing it once the job is finished
+DROP FUNCTION IF EXISTS upsert_analysis_job(TEXT, UUID, TEXT, TEXT, JSONB, TEXT);
+
+CREATE OR REPLACE FUNCTION upsert_analysis_job(
+  p_request_id TEXT,
+  p_user_id UUID,
+  p_video_url TEXT,
+  p_status TEXT,
+  p_job_payload JSONB DEFAULT NULL,
+  p_error_message TEXT DEFAULT NULL,
+  p_lease_owner TEXT DEFAULT NULL,
+  p_lease_seconds INTEGER DEFAULT 60
+)
+RETURNS UUID AS $$
+DECLARE
+  job_id UUID;
+  is_active BOOLEAN := p_status IN ('queued', 'running');
+BEGIN
+  UPDATE video_analyses
+  SET
+    status = p_status,
+    job_payload = COALESCE(p_job_payload, job_payload),
+    error_message = p_error_message,
+    started_at = CASE WHEN p_status = 'running' THEN NOW() ELSE started_at END,
+    completed_at = CASE WHEN p_status IN ('succeeded', 'failed', 'cancelled') THEN NOW() ELSE completed_at END,
+    lease_owner = CASE WHEN is_active THEN COALESCE(p_lease_owner, lease_owner) ELSE NULL END,
+    lease_expires_at = CASE
+      WHEN is_active AND p_lease_owner IS NOT NULL THEN NOW() + make_interval(secs => p_lease_seconds)
+      WHEN is_active THEN lease_expires_at
+      ELSE NULL
+    END,
+    updated_at = NOW()
+  WHERE request_id = p_request_id
+  RETURNING id INTO job_id;
+
+  IF job_id IS NULL THEN
+    INSERT INTO video_analyses (
+      user_id,
+      video_url,
+      request_id,
+      job_payload,
+      status,
+      error_message,
+      lease_owner,
+      lease_expires_at,
+      analysis_data,
+      credits_used,
+      analysis_version,
+      created_at,
+      updated_at
+    ) VALUES (
+      p_user_id,
+      p_video_url,
+      p_request_id,
+      p_job_payload,
+      p_status,
+      p_error_message,
+      CASE WHEN is_active THEN p_lease_owner END,
+      CASE WHEN is_active AND p_lease_owner IS NOT NULL THEN NOW() + make_interval(secs => p_lease_seconds) END,
+      '{}',
+      0,
+      '2.0',
+      NOW(),
+      NOW()
+    ) RETURNING id INTO job_id;
+  END IF;
+
+  RETURN job_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Extend the leases p_lease_owner still holds; returns the request ids it kept, so the
+-- owner can tell when a job was taken over after its lease ran out
+CREATE OR REPLACE FUNCTION renew_analysis_job_leases(
+  p_lease_owner TEXT,
+  p_request_ids TEXT[],
+  p_lease_seconds INTEGER DEFAULT 60
+)
+RETURNS TABLE(request_id TEXT) AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE video_analyses va
+  SET lease_expires_at = NOW() + make_interval(secs => p_lease_seconds)
+  WHERE va.request_id = ANY(p_request_ids)
+    AND va.lease_owner = p_lease_owner
+    AND va.status IN ('queued', 'running')
+  RETURNING va.request_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Atomically take over unfinished jobs whose lease has expired (or that never had one).
+-- Rows locked by a concurrent claim are skipped, so each job goes to one instance.
+CREATE OR REPLACE FUNCTION claim_resumable_analysis_jobs(
+  p_lease_owner TEXT,
+  p_lease_seconds INTEGER DEFAULT 60
+)
+RETURNS TABLE(
+  request_id TEXT,
+  user_id UUID,
+  video_url TEXT,
+  job_payload JSONB
+) AS $$
+BEGIN
+  RETURN QUERY
+  WITH claimable AS (
+    SELECT id
+    FROM video_analyses
+    WHERE status IN ('queued', 'running')
+      AND video_analyses.request_id IS NOT NULL
+      AND video_analyses.job_payload IS NOT NULL
+      AND (lease_expires_at IS NULL OR lease_expires_at < NOW())
+    ORDER BY created_at ASC
+    FOR UPDATE SKIP LOCKED
+  )
+  UPDATE video_analyses va
+  SET
+    lease_owner = p_lease_owner,
+    lease_expires_at = NOW() + make_interval(secs => p_lease_seconds),
+    updated_at = NOW()
+  FROM claimable
+  WHERE va.id = claimable.id
+  RETURNING va.request_id, va.user_id, va.video_url, va.job_payload;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Server only, like the other job functions
+REVOKE EXECUTE ON FUNCTION upsert_analysis_job FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION renew_analysis_job_leases FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION claim_resumable_analysis_jobs FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION upsert_analysis_job TO service_role;
+GRANT EXECUTE ON FUNCTION renew_analysis_job_leases TO service_role;
+GRANT EXECUTE ON FUNCTION claim_resumable_analysis_jobs TO service_role;
@@ -0,0 +1,159 @@
+-- Per-request sequence for progress events
+-- Event ids come from a global BIGSERIAL, which is taken at insert time but can commit
+-- out of order: a reader paging with id > last seen id could pass an event that
+-- committed late and never see it. Each event now gets a sequence number from its
+-- request's counter row, taken under that row's lock, so a request's events commit in
+-- sequence order. Events are paged (and Last-Event-ID resumes) on that sequence.
+
+CREATE TABLE IF NOT EXISTS analysis_progress_counters (
+  request_id TEXT PRIMARY KEY,
+  last_seq BIGINT NOT NULL DEFAULT 0,
+  started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() NOT NULL
+);
+
+COMMENT ON COLUMN analysis_progress_counters.started_at IS 'Time of the request''s first progress event, for time estimates';
+
+CREATE INDEX IF NOT EXISTS idx_analysis_progress_counters_updated_at ON analysis_progress_counters(updated_at);
+
+-- Only the server (through the functions below) touches progress
+ALTER TABLE analysis_progress_counters ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE analysis_progress_events ADD COLUMN IF NOT EXISTS seq BIGINT;
+
+-- Number the events already stored in their id order
+UPDATE analysis_progress_events ape
+SET seq = numbered.seq
+FROM (
+  SELECT id, ROW_NUMBER() OVER (PARTITION BY request_id ORDER BY id) AS seq
+  FROM analysis_progress_events
+) numbered
+WHERE ape.id = numbered.id
+  AND ape.seq IS NULL;
+
+ALTER TABLE analysis_progress_events ALTER COLUMN seq SET NOT NULL;
+
+DROP INDEX IF EXISTS idx_analysis_progress_events_request_id;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_analysis_progress_events_request_seq ON analysis_progress_events(request_id, seq);
+
+INSERT INTO analysis_progress_counters (request_id, last_seq, started_at, updated_at)
+SELECT request_id, MAX(seq), MIN(started_at), MAX(created_at)
+FROM analysis_progress_events
+GROUP BY request_id
+ON CONFLICT (request_id) DO NOTHING;
+
+-- Record an update under the next sequence number of its request. The upsert locks the
+-- request's counter row until the transaction commits, so a concurrent append of the
+-- same request waits and takes the following number. The event is returned with its
+-- sequence number as id.
+CREATE OR REPLACE FUNCTION append_analysis_progress(
+  p_request_id TEXT,
+  p_phase TEXT,
+  p_progress NUMERIC,
+  p_message TEXT,
+  p_details JSONB DEFAULT '{}',
+  p_kind TEXT DEFAULT 'progress'
+)
+RETURNS TABLE(
+  id BIGINT,
+  kind TEXT,
+  phase TEXT,
+  progress NUMERIC,
+  message TEXT,
+  details JSONB,
+  started_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE
+) AS $$
+DECLARE
+  next_seq BIGINT;
+  first_started_at TIMESTAMP WITH TIME ZONE;
+BEGIN
+  INSERT INTO analysis_progress_counters AS apc (request_id, last_seq, started_at, updated_at)
+  VALUES (p_request_id, 1, NOW(), NOW())
+  ON CONFLICT (request_id) DO UPDATE
+  SET last_seq = apc.last_seq + 1, updated_at = NOW()
+  RETURNING apc.last_seq, apc.started_at INTO next_seq, first_started_at;
+
+  RETURN QUERY
+  INSERT INTO analysis_progress_events AS ape (request_id, seq, kind, phase, progress, message, details, started_at, created_at)
+  VALUES (p_request_id, next_seq, COALESCE(p_kind, 'progress'), p_phase, p_progress, p_message, COALESCE(p_details, '{}'), first_started_at, NOW())
+  RETURNING ape.seq, ape.kind, ape.phase, ape.progress, ape.message, ape.details, ape.started_at, ape.created_at;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Events of a request with a sequence number after p_after_id, oldest first (or only
+-- the newest progress update); ids returned are sequence numbers
+CREATE OR REPLACE FUNCTION get_analysis_progress(
+  p_request_id TEXT,
+  p_after_id BIGINT DEFAULT 0,
+  p_latest_only BOOLEAN DEFAULT false
+)
+RETURNS TABLE(
+  id BIGINT,
+  kind TEXT,
+  phase TEXT,
+  progress NUMERIC,
+  message TEXT,
+  details JSONB,
+  started_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE
+) AS $$
+BEGIN
+  IF p_latest_only THEN
+    RETURN QUERY
+    SELECT ape.seq, ape.kind, ape.phase, ape.progress, ape.message, ape.details, ape.started_at, ape.created_at
+    FROM analysis_progress_events ape
+    WHERE ape.request_id = p_request_id
+      AND ape.kind = 'progress'
+    ORDER BY ape.seq DESC
+    LIMIT 1;
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  SELECT ape.seq, ape.kind, ape.phase, ape.progress, ape.message, ape.details, ape.started_at, ape.created_at
+  FROM analysis_progress_events ape
+  WHERE ape.request_id = p_request_id
+    AND ape.seq > p_after_id
+  ORDER BY ape.seq ASC;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION clear_analysis_progress(p_request_id TEXT)
+RETURNS VOID AS $$
+BEGIN
+  DELETE FROM analysis_progress_events
+  WHERE request_id = p_request_id;
+
+  DELETE FROM analysis_progress_counters
+  WHERE request_id = p_request_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Drop the progress of requests whose last update is older than the TTL. Events go
+-- first, so a counter is never reset while old events of its request remain.
+CREATE OR REPLACE FUNCTION sweep_analysis_progress(p_ttl_seconds INTEGER DEFAULT 3600)
+RETURNS VOID AS $$
+BEGIN
+  DELETE FROM analysis_progress_events
+  WHERE request_id IN (
+    SELECT ape.request_id
+    FROM analysis_progress_events ape
+    GROUP BY ape.request_id
+    HAVING MAX(ape.created_at) < NOW() - make_interval(secs => p_ttl_seconds)
+  );
+
+  DELETE FROM analysis_progress_counters
+  WHERE updated_at < NOW() - make_interval(secs => p_ttl_seconds);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Server only, as before
+REVOKE EXECUTE ON FUNCTION append_analysis_progress FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION get_analysis_progress FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION clear_analysis_progress FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION sweep_analysis_progress FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION append_analysis_progress TO service_role;
+GRANT EXECUTE ON FUNCTION get_analysis_progress TO service_role;
+GRANT EXECUTE ON FUNCTION clear_analysis_progress TO service_role;
+GRANT EXECUTE ON FUNCTION sweep_analysis_progress TO service_role;
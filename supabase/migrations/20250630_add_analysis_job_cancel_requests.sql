@@ -0,0 +1,113 @@
+-- Cancelling a job leased by another instance
+-- A cancel that reaches an instance which isn't running the job is stored on the job
+-- row, with the progress it was requested at. The lease owner picks it up when it
+-- renews its leases and stops the job as if it had been cancelled there; credits are
+-- settled against the stored progress.
+
+ALTER TABLE video_analyses
+ADD COLUMN IF NOT EXISTS cancel_requested_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS cancel_progress NUMERIC;
+
+-- A request only applies to the run it was made for: clear it once the job finishes,
+-- so the same request id can be queued again
+CREATE OR REPLACE FUNCTION clear_analysis_job_cancel_request()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.status IN ('succeeded', 'failed', 'cancelled') THEN
+    NEW.cancel_requested_at := NULL;
+    NEW.cancel_progress := NULL;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS clear_analysis_job_cancel_request_trigger ON video_analyses;
+CREATE TRIGGER clear_analysis_job_cancel_request_trigger
+  BEFORE UPDATE OF status ON video_analyses
+  FOR EACH ROW EXECUTE FUNCTION clear_analysis_job_cancel_request();
+
+-- Ask the lease owner to cancel a queued or running job. The first request wins;
+-- returns false if the job is unknown or already finished.
+CREATE OR REPLACE FUNCTION request_analysis_job_cancel(
+  p_request_id TEXT,
+  p_progress NUMERIC DEFAULT 0
+)
+RETURNS BOOLEAN AS $$
+BEGIN
+  UPDATE video_analyses
+  SET
+    cancel_requested_at = COALESCE(cancel_requested_at, NOW()),
+    cancel_progress = COALESCE(cancel_progress, p_progress),
+    updated_at = NOW()
+  WHERE request_id = p_request_id
+    AND status IN ('queued', 'running');
+
+  RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Same as before, also returning whether a cancel was requested for each job kept
+DROP FUNCTION IF EXISTS renew_analysis_job_leases(TEXT, TEXT[], INTEGER);
+
+CREATE OR REPLACE FUNCTION renew_analysis_job_leases(
+  p_lease_owner TEXT,
+  p_request_ids TEXT[],
+  p_lease_seconds INTEGER DEFAULT 60
+)
+RETURNS TABLE(request_id TEXT, cancel_requested BOOLEAN, cancel_progress NUMERIC) AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE video_analyses va
+  SET lease_expires_at = NOW() + make_interval(secs => p_lease_seconds)
+  WHERE va.request_id = ANY(p_request_ids)
+    AND va.lease_owner = p_lease_owner
+    AND va.status IN ('queued', 'running')
+  RETURNING va.request_id, va.cancel_requested_at IS NOT NULL, va.cancel_progress;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Same as before, also returning pending cancel requests, so a job whose instance
+-- stopped after it was cancelled is settled instead of resumed
+DROP FUNCTION IF EXISTS claim_resumable_analysis_jobs(TEXT, INTEGER);
+
+CREATE OR REPLACE FUNCTION claim_resumable_analysis_jobs(
+  p_lease_owner TEXT,
+  p_lease_seconds INTEGER DEFAULT 60
+)
+RETURNS TABLE(
+  request_id TEXT,
+  user_id UUID,
+  video_url TEXT,
+  job_payload JSONB,
+  cancel_requested BOOLEAN
+) AS $$
+BEGIN
+  RETURN QUERY
+  WITH claimable AS (
+    SELECT id
+    FROM video_analyses
+    WHERE status IN ('queued', 'running')
+      AND video_analyses.request_id IS NOT NULL
+      AND video_analyses.job_payload IS NOT NULL
+      AND (lease_expires_at IS NULL OR lease_expires_at < NOW())
+    ORDER BY created_at ASC
+    FOR UPDATE SKIP LOCKED
+  )
+  UPDATE video_analyses va
+  SET
+    lease_owner = p_lease_owner,
+    lease_expires_at = NOW() + make_interval(secs => p_lease_seconds),
+    updated_at = NOW()
+  FROM claimable
+  WHERE va.id = claimable.id
+  RETURNING va.request_id, va.user_id, va.video_url, va.job_payload, va.cancel_requested_at IS NOT NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Server only, like the other job functions
+REVOKE EXECUTE ON FUNCTION request_analysis_job_cancel FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION renew_analysis_job_leases FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION claim_resumable_analysis_jobs FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION request_analysis_job_cancel TO service_role;
+GRANT EXECUTE ON FUNCTION renew_analysis_job_leases TO service_role;
+GRANT EXECUTE ON FUNCTION claim_resumable_analysis_jobs TO service_role;